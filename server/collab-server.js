@@ -0,0 +1,184 @@
+// Collaboration sync server for UI Mocks API Annotator.
+//
+// Speaks the y-websocket protocol: every WebSocket connection to ws://host:port/<room> joins that room's shared
+// Yjs document, receives everyone's edits and presence (cursors and selections), and sends its own. The server
+// merges edits with Yjs, so it needs no knowledge of the project format.
+//
+// Environment:
+//   PORT         port to listen on (default 1234)
+//   HOST         interface to bind (default 0.0.0.0)
+//   PERSIST_DIR  directory to keep room documents in across restarts (default: memory only)
+
+import fs from 'node:fs';
+import http from 'node:http';
+import path from 'node:path';
+import { WebSocketServer } from 'ws';
+import * as Y from 'yjs';
+import * as awarenessProtocol from 'y-protocols/awareness';
+import * as syncProtocol from 'y-protocols/sync';
+import * as decoding from 'lib0/decoding';
+import * as encoding from 'lib0/encoding';
+
+const PORT = Number(process.env.PORT) || 1234;
+const HOST = process.env.HOST || '0.0.0.0';
+const PERSIST_DIR = process.env.PERSIST_DIR || null;
+
+const MESSAGE_SYNC = 0;
+const MESSAGE_AWARENESS = 1;
+const PING_INTERVAL_MS = 30000;
+const PERSIST_DELAY_MS = 2000;
+
+// Rooms currently open: name -> { doc, awareness, connections: Map<socket, Set<awareness clientId>> }
+const rooms = new Map();
+
+const roomFile = (name) => path.join(PERSIST_DIR, `${encodeURIComponent(name)}.ydoc`);
+
+const send = (socket, message) => {
+  if (socket.readyState !== socket.OPEN) return;
+  socket.send(message, (error) => {
+    if (error) socket.close();
+  });
+};
+
+const broadcast = (room, message) => room.connections.forEach((_, socket) => send(socket, message));
+
+const getRoom = (name) => {
+  if (rooms.has(name)) return rooms.get(name);
+  const doc = new Y.Doc();
+  if (PERSIST_DIR && fs.existsSync(roomFile(name))) {
+    Y.applyUpdate(doc, fs.readFileSync(roomFile(name)));
+  }
+  const awareness = new awarenessProtocol.Awareness(doc);
+  awareness.setLocalState(null); // The server itself is not a collaborator
+  const room = { name, doc, awareness, connections: new Map(), persistTimer: null };
+
+  doc.on('update', (update) => {
+    const encoder = encoding.createEncoder();
+    encoding.writeVarUint(encoder, MESSAGE_SYNC);
+    syncProtocol.writeUpdate(encoder, update);
+    broadcast(room, encoding.toUint8Array(encoder));
+    if (PERSIST_DIR) {
+      clearTimeout(room.persistTimer);
+      room.persistTimer = setTimeout(() => persistRoom(room), PERSIST_DELAY_MS);
+    }
+  });
+
+  awareness.on('update', ({ added, updated, removed }, socket) => {
+    const changed = [...added, ...updated, ...removed];
+    // Remember which awareness clients each connection controls, to clear them when it disconnects
+    if (socket && room.connections.has(socket)) {
+      const controlled = room.connections.get(socket);
+      added.forEach((clientId) => controlled.add(clientId));
+      removed.forEach((clientId) => controlled.delete(clientId));
+    }
+    const encoder = encoding.createEncoder();
+    encoding.writeVarUint(encoder, MESSAGE_AWARENESS);
+    encoding.writeVarUint8Array(encoder, awarenessProtocol.encodeAwarenessUpdate(awareness, changed));
+    broadcast(room, encoding.toUint8Array(encoder));
+  });
+
+  rooms.set(name, room);
+  return room;
+};
+
+function persistRoom(room) {
+  clearTimeout(room.persistTimer);
+  room.persistTimer = null;
+  fs.writeFileSync(roomFile(room.name), Y.encodeStateAsUpdate(room.doc));
+}
+
+const closeConnection = (room, socket) => {
+  const controlled = room.connections.get(socket);
+  if (!controlled) return;
+  room.connections.delete(socket);
+  awarenessProtocol.removeAwarenessStates(room.awareness, Array.from(controlled), null);
+  if (room.connections.size === 0) {
+    if (PERSIST_DIR) persistRoom(room);
+    room.doc.destroy();
+    rooms.delete(room.name);
+  }
+};
+
+const handleMessage = (room, socket, message) => {
+  const decoder = decoding.createDecoder(new Uint8Array(message));
+  const encoder = encoding.createEncoder();
+  switch (decoding.readVarUint(decoder)) {
+    case MESSAGE_SYNC:
+      encoding.writeVarUint(encoder, MESSAGE_SYNC);
+      syncProtocol.readSyncMessage(decoder, encoder, room.doc, socket);
+      // Only answer sync step 1; updates are rebroadcast by the doc's update handler
+      if (encoding.length(encoder) > 1) send(socket, encoding.toUint8Array(encoder));
+      break;
+    case MESSAGE_AWARENESS:
+      awarenessProtocol.applyAwarenessUpdate(room.awareness, decoding.readVarUint8Array(decoder), socket);
+      break;
+    default:
+      break;
+  }
+};
+
+const handleConnection = (socket, request) => {
+  const roomName = decodeURIComponent(new URL(request.url, 'http://localhost').pathname.slice(1)) || 'default';
+  const room = getRoom(roomName);
+  room.connections.set(socket, new Set());
+  socket.binaryType = 'arraybuffer';
+
+  socket.on('message', (message) => {
+    try {
+      handleMessage(room, socket, message);
+    } catch (error) {
+      console.error(`Bad message in room "${roomName}":`, error);
+    }
+  });
+  socket.on('close', () => closeConnection(room, socket));
+
+  // Connections that stop answering pings are dropped
+  let alive = true;
+  socket.on('pong', () => {
+    alive = true;
+  });
+  const pingTimer = setInterval(() => {
+    if (!alive) {
+      socket.terminate();
+      clearInterval(pingTimer);
+      return;
+    }
+    alive = false;
+    socket.ping();
+  }, PING_INTERVAL_MS);
+  socket.on('close', () => clearInterval(pingTimer));
+
+  // Start the sync handshake and send who else is here
+  const syncEncoder = encoding.createEncoder();
+  encoding.writeVarUint(syncEncoder, MESSAGE_SYNC);
+  syncProtocol.writeSyncStep1(syncEncoder, room.doc);
+  send(socket, encoding.toUint8Array(syncEncoder));
+  const states = room.awareness.getStates();
+  if (states.size > 0) {
+    const awarenessEncoder = encoding.createEncoder();
+    encoding.writeVarUint(awarenessEncoder, MESSAGE_AWARENESS);
+    encoding.writeVarUint8Array(awarenessEncoder, awarenessProtocol.encodeAwarenessUpdate(room.awareness, Array.from(states.keys())));
+    send(socket, encoding.toUint8Array(awarenessEncoder));
+  }
+};
+
+if (PERSIST_DIR) fs.mkdirSync(PERSIST_DIR, { recursive: true });
+
+const server = http.createServer((request, response) => {
+  response.writeHead(200, { 'Content-Type': 'text/plain' });
+  response.end(`UI Mocks collaboration server: ${rooms.size} open room${rooms.size === 1 ? '' : 's'}\n`);
+});
+const wss = new WebSocketServer({ server });
+wss.on('connection', handleConnection);
+
+server.listen(PORT, HOST, () => {
+  console.log(`Collaboration server listening on ws://${HOST}:${PORT}${PERSIST_DIR ? ` (rooms saved in ${PERSIST_DIR})` : ''}`);
+});
+
+// Save open rooms before exiting
+const shutdown = () => {
+  if (PERSIST_DIR) rooms.forEach(persistRoom);
+  process.exit(0);
+};
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
@@ -1,10 +1,134 @@
-import React, { useState, useRef, useEffect, useCallback } from 'react';
+import React, { useState, useRef, useEffect, useCallback, useMemo } from 'react';
+import ApiInventory from './components/ApiInventory';
+import BodySchema from './components/BodySchema';
+import CollaborationPanel from './components/CollaborationPanel';
+import EndpointInput from './components/EndpointInput';
+import ExportMenu from './components/ExportMenu';
+import FlowGraph from './components/FlowGraph';
+import HarPanel from './components/HarPanel';
+import HeaderListEditor from './components/HeaderListEditor';
+import HistoryPanel from './components/HistoryPanel';
+import ImportReport from './components/ImportReport';
+import JsonTextarea from './components/JsonTextarea';
+import LayerTree from './components/LayerTree';
+import Minimap from './components/Minimap';
+import ParametersEditor from './components/ParametersEditor';
+import PeerOverlay from './components/PeerOverlay';
+import PreviewPanel from './components/PreviewPanel';
+import ProblemsPanel from './components/ProblemsPanel';
+import ProjectSwitcher from './components/ProjectSwitcher';
+import ResponsesEditor from './components/ResponsesEditor';
+import VerificationPanel from './components/VerificationPanel';
+import useCollaboration from './hooks/useCollaboration';
+import useHistoryState from './hooks/useHistoryState';
+import { lintProject } from './utils/apiLint';
+import { buildPreviewRequest, mockPreviewResponse, sendPreviewRequest } from './utils/apiRequest';
+import {
+  alignSelection,
+  copySelection,
+  distributeSelection,
+  NUDGE_STEP_LARGE_PX,
+  NUDGE_STEP_PX,
+  pasteRegions,
+  regionsInMarquee,
+  remapSelection,
+  removeSelection,
+  selectionBounds,
+  SNAP_DISTANCE_PX,
+  snapBox,
+  translateSelection,
+} from './utils/arrange';
+import { generateApiClient, generateReactQueryHooks } from './utils/clientCodegen';
+import { addCollectionOperations, generateInsomniaExport, generatePostmanCollection, parseCollection } from './utils/collections';
+import { generateJUnitReport, runContractVerification } from './utils/contractVerification';
+import { downloadFile } from './utils/download';
+import { buildMarkdownHandoffBundle, generateHandoffHtml } from './utils/handoff';
+import { applyHarCall, extractHarCalls, HAR_CALL_DRAG_TYPE, parseHarFile } from './utils/harImport';
+import { buildMockServerBundle } from './utils/mockServer';
+import { ACCEPTED_MOCKUP_TYPES, readMockupFiles } from './utils/mockupImport';
+import { buildOpenApiDocument, serializeOpenApiDocument } from './utils/openapi';
+import {
+  applyOperation,
+  extractOperations,
+  hasOutdatedAnnotations,
+  parseOpenApiDocument,
+  reconcileSpecBindings,
+  unlinkOperation,
+} from './utils/openapiImport';
+import { syncPathParameters } from './utils/parameters';
+import { mergeProjectImages, validateProject } from './utils/projectFormat';
+import { buildProjectPackage, readProjectFile } from './utils/projectPackage';
+import { BODY_LABELS, getProtocol, HTTP_METHODS, PROTOCOL_LABELS, PROTOCOLS, withProtocol } from './utils/protocols';
+import {
+  deleteProject,
+  getLastProjectId,
+  isProjectStoreAvailable,
+  listProjects,
+  loadProject,
+  saveProject,
+  setLastProjectId,
+} from './utils/projectStore';
+import {
+  findContainingParent,
+  hitTest,
+  isDescendantOf,
+  isPolygonal,
+  moveInZOrder,
+  paintOrder,
+  pointsToBounds,
+  removeAnnotation,
+  resizeRegion,
+  setParent,
+  simplifyPath,
+} from './utils/regions';
+import { AUTH_LABELS, AUTH_SCHEMES, DEFAULT_API_KEY_HEADER, findStateResponse } from './utils/responses';
+import { linkTarget, unlinkImage } from './utils/screenFlow';
+import { generateAnnotationTypes, generateProjectTypes, toPascalCase } from './utils/typescript';
+import { actualSize, centerOn, clampPan, fitToWidth, visibleRegion, ZOOM_STEP, zoomAtPoint } from './utils/viewport';
 
 // A unique ID generator for images and annotations
 const generateId = () => Math.random().toString(36).substring(2, 11);
 
+// Delay after the last edit before the project is autosaved to IndexedDB
+const AUTOSAVE_DELAY_MS = 500;
+const DEFAULT_PROJECT_NAME = 'Untitled project';
+// Collaboration sync server offered when starting a session (see server/README.md)
+const DEFAULT_COLLAB_SERVER_URL = process.env.REACT_APP_COLLAB_SERVER_URL || 'ws://localhost:1234';
+
+// Clicking this close (in pixels) to a polygon's first point closes it
+const POLYGON_CLOSE_DISTANCE_PX = 8;
+// Freehand strokes are simplified to within this many pixels of what was drawn
+const FREEHAND_TOLERANCE_PX = 2;
+const DRAWING_TOOLS = ['draw', 'polygon', 'freehand'];
+// Size of the region created by dropping a recorded call on empty space, at the current zoom
+const DROPPED_REGION_SIZE_PX = { width: 160, height: 48 };
+// Badges of the contract verification outcomes on the regions of the canvas
+const VERIFICATION_BADGES = {
+  passed: { symbol: '✓', className: 'bg-green-600' },
+  failed: { symbol: '✗', className: 'bg-red-600' },
+  error: { symbol: '!', className: 'bg-amber-500' },
+};
+
 // ImageAnnotatorTab Component: Handles a single image and its annotations
-function ImageAnnotatorTab({ image, onUpdateImage, activeTool, setSelectedAnnotationIndex, selectedAnnotationIndex }) {
+// `selectedAnnotationIndexes` is the multi-selection; its last entry is the primary `selectedAnnotationIndex` shown in the form
+function ImageAnnotatorTab({
+  image,
+  onUpdateImage,
+  activeTool,
+  setSelectedAnnotationIndex,
+  selectedAnnotationIndex,
+  selectedAnnotationIndexes,
+  setSelectedAnnotationIndexes,
+  clipboard,
+  onCopy,
+  onPreviewAnnotation,
+  peers = [],
+  onCursorMove,
+  verification = {},
+  screenNames = {},
+  fillFromCall,
+  focusRequest,
+}) {
   // Destructure image properties for easier access
   const { id, name, url: imageUrl, annotations } = image;
 
@@ -22,27 +146,275 @@ function ImageAnnotatorTab({ image, onUpdateImage, activeTool, setSelectedAnnota
   const [resizeHandle, setResizeHandle] = useState(null); // Which handle is being dragged (e.g., 'se', 'n', 'w')
   const [initialAnnotationRect, setInitialAnnotationRect] = useState(null); // Original rect when resize/drag starts
   const [initialMousePos, setInitialMousePos] = useState({ x: 0, y: 0 }); // Initial mouse position for resizing
+  const [gestureId, setGestureId] = useState(null); // Identifies one drag/resize so its moves become a single undo step
+
+  // Outline of the polygon/freehand region being drawn (pixels), and where the pointer is while placing polygon points
+  const [draftPoints, setDraftPoints] = useState([]);
+  const [hoverPoint, setHoverPoint] = useState(null);
+  const [isSketching, setIsSketching] = useState(false); // Freehand stroke in progress
+
+  // Rubber-band selection being dragged out on empty canvas (pixels), snapping and the guides of the current snap
+  const [marquee, setMarquee] = useState(null);
+  const [snapEnabled, setSnapEnabled] = useState(true);
+  const [snapGuides, setSnapGuides] = useState({});
 
-  // State to track if the image has fully loaded
+  // State to track if the image has fully loaded, and its natural size once it has
   const [imageLoaded, setImageLoaded] = useState(false);
+  const [naturalSize, setNaturalSize] = useState({ width: 0, height: 0 });
 
+  // Zoom and pan of the canvas ({ zoom, x, y }, see utils/viewport), and the state of a space-drag pan
+  const [view, setView] = useState({ zoom: 1, x: 0, y: 0 });
+  const [isSpacePressed, setIsSpacePressed] = useState(false);
+  const [panStart, setPanStart] = useState(null); // Mouse position and view when a pan started
+
+  // Ref for the viewport that clips the zoomed mockup
+  const viewportRef = useRef(null);
+  const isPointerOverCanvasRef = useRef(false);
   // Ref for the image container (the div that wraps the image and annotations)
   const imageWrapperRef = useRef(null);
-  // Ref for the actual <img> element to get its displayed dimensions
+  // Ref for the actual <img> element
   const imgRef = useRef(null);
 
+  // Size the mockup is drawn at. Derived from the zoom rather than measured, so it is already right
+  // during the render that changes the zoom; mouse positions divided by it give the stored ratios.
+  const displayedWidth = naturalSize.width * view.zoom;
+  const displayedHeight = naturalSize.height * view.zoom;
+
   // Helper to get annotation pixel dimensions from ratios
-  const getAnnotationPixels = useCallback((annotation) => {
-    const displayedWidth = imgRef.current ? imgRef.current.offsetWidth : 0;
-    const displayedHeight = imgRef.current ? imgRef.current.offsetHeight : 0;
-    return {
-      x: annotation.ratioX * displayedWidth,
-      y: annotation.ratioY * displayedHeight,
-      width: annotation.ratioWidth * displayedWidth,
-      height: annotation.ratioHeight * displayedHeight,
+  const getAnnotationPixels = useCallback((annotation) => ({
+    x: annotation.ratioX * displayedWidth,
+    y: annotation.ratioY * displayedHeight,
+    width: annotation.ratioWidth * displayedWidth,
+    height: annotation.ratioHeight * displayedHeight,
+  }), [displayedWidth, displayedHeight]);
+
+  const getViewportSize = () => ({
+    width: viewportRef.current ? viewportRef.current.clientWidth : 0,
+    height: viewportRef.current ? viewportRef.current.clientHeight : 0,
+  });
+
+  // Start fitted to the viewport width once the mockup's size is known
+  useEffect(() => {
+    if (imageLoaded && viewportRef.current) {
+      setView(fitToWidth(naturalSize, { width: viewportRef.current.clientWidth, height: viewportRef.current.clientHeight }));
+    }
+  }, [imageLoaded, naturalSize]);
+
+  // Pans to a region picked elsewhere (e.g. in the API inventory) once the mockup's size is known
+  const handledFocusRequestRef = useRef(null);
+  useEffect(() => {
+    if (!focusRequest || focusRequest === handledFocusRequestRef.current || !imageLoaded || !viewportRef.current) return;
+    const target = annotations.find((annotation) => annotation.id === focusRequest.annotationId);
+    if (!target) return;
+    handledFocusRequestRef.current = focusRequest;
+    const center = { x: target.ratioX + target.ratioWidth / 2, y: target.ratioY + target.ratioHeight / 2 };
+    const viewportSize = { width: viewportRef.current.clientWidth, height: viewportRef.current.clientHeight };
+    setView((prev) => centerOn(prev, center, naturalSize, viewportSize));
+  }, [focusRequest, imageLoaded, annotations, naturalSize]);
+
+  // Zoom buttons zoom around the middle of the viewport
+  const zoomBy = (factor) => {
+    const viewportSize = getViewportSize();
+    setView((prev) => clampPan(
+      zoomAtPoint(prev, prev.zoom * factor, { x: viewportSize.width / 2, y: viewportSize.height / 2 }),
+      naturalSize,
+      viewportSize
+    ));
+  };
+
+  // Ctrl/Cmd+wheel (and trackpad pinch, which arrives as ctrl+wheel) zooms around the pointer; the plain wheel pans.
+  // Registered by hand because React's wheel listener is passive and can't stop the page from scrolling.
+  useEffect(() => {
+    const viewport = viewportRef.current;
+    if (!viewport || !imageLoaded) return undefined;
+    const handleWheel = (event) => {
+      event.preventDefault();
+      const lineHeight = event.deltaMode === 1 ? 16 : 1; // Firefox reports lines instead of pixels
+      const deltaX = event.deltaX * lineHeight;
+      const deltaY = event.deltaY * lineHeight;
+      const rect = viewport.getBoundingClientRect();
+      const viewportSize = { width: viewport.clientWidth, height: viewport.clientHeight };
+      if (event.ctrlKey || event.metaKey) {
+        const anchor = { x: event.clientX - rect.left, y: event.clientY - rect.top };
+        setView((prev) => clampPan(zoomAtPoint(prev, prev.zoom * Math.exp(-deltaY * 0.01), anchor), naturalSize, viewportSize));
+      } else {
+        setView((prev) => clampPan({ ...prev, x: prev.x - deltaX, y: prev.y - deltaY }, naturalSize, viewportSize));
+      }
+    };
+    viewport.addEventListener('wheel', handleWheel, { passive: false });
+    return () => {
+      viewport.removeEventListener('wheel', handleWheel);
+    };
+  }, [imageLoaded, naturalSize]);
+
+  // Holding space turns the pointer into a hand for panning while the pointer is over the canvas or the canvas
+  // has focus (unless the user is typing); elsewhere Space keeps pressing buttons and ticking checkboxes
+  useEffect(() => {
+    const isTyping = (event) => ['INPUT', 'TEXTAREA', 'SELECT'].includes(event.target.tagName) || event.target.isContentEditable;
+    const isOnCanvas = (event) => isPointerOverCanvasRef.current || (viewportRef.current && viewportRef.current.contains(event.target));
+    const handleKeyDown = (event) => {
+      if (event.code !== 'Space' || isTyping(event) || !isOnCanvas(event)) return;
+      event.preventDefault();
+      setIsSpacePressed(true);
+    };
+    const handleKeyUp = (event) => {
+      if (event.code === 'Space') setIsSpacePressed(false);
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    window.addEventListener('keyup', handleKeyUp);
+    return () => {
+      window.removeEventListener('keydown', handleKeyDown);
+      window.removeEventListener('keyup', handleKeyUp);
     };
   }, []);
 
+  // Space+drag or a middle-button drag pans; captured before the canvas sees it so nothing is drawn or moved
+  const handlePanStart = (event) => {
+    if (!isSpacePressed && event.button !== 1) return;
+    event.preventDefault();
+    event.stopPropagation();
+    setPanStart({ mouseX: event.clientX, mouseY: event.clientY, viewX: view.x, viewY: view.y });
+  };
+
+  useEffect(() => {
+    if (!panStart) return undefined;
+    const handleMouseMove = (event) => {
+      const viewportSize = getViewportSize();
+      setView((prev) => clampPan({
+        ...prev,
+        x: panStart.viewX + event.clientX - panStart.mouseX,
+        y: panStart.viewY + event.clientY - panStart.mouseY,
+      }, naturalSize, viewportSize));
+    };
+    const handleMouseUp = () => setPanStart(null);
+    window.addEventListener('mousemove', handleMouseMove);
+    window.addEventListener('mouseup', handleMouseUp);
+    return () => {
+      window.removeEventListener('mousemove', handleMouseMove);
+      window.removeEventListener('mouseup', handleMouseUp);
+    };
+  }, [panStart, naturalSize]);
+
+  // Indexes that are still valid after undo/redo removed regions
+  const selection = selectedAnnotationIndexes.filter((index) => index < annotations.length);
+
+  // Adds a newly drawn region, nested inside the innermost region that contains it. `fill` can fill in
+  // its apiDetails right away.
+  const addRegion = useCallback((region, { fill = (apiDetails) => apiDetails, label = 'Draw annotation' } = {}) => {
+    const newAnnotation = {
+      id: generateId(),
+      ...region,
+      apiDetails: fill({
+        name: '', endpoint: '', method: 'GET', requestBody: '', responseBody: '', parameters: [], description: '',
+        protocol: 'http', graphqlQuery: '', graphqlOperationName: '', channel: '',
+        responseStatus: '200', responseHeaders: [], responses: [], requestHeaders: [], authScheme: 'none', authKeyName: ''
+      })
+    };
+    newAnnotation.parentId = findContainingParent(annotations, newAnnotation);
+    const updatedAnnotations = [...annotations, newAnnotation];
+    onUpdateImage({ ...image, annotations: updatedAnnotations }, { label });
+    setSelectedAnnotationIndex(updatedAnnotations.length - 1);
+  }, [annotations, image, onUpdateImage, setSelectedAnnotationIndex]);
+
+  // Turns the outline of a drawn polygon/freehand shape (ratio points, so zooming mid-drawing is fine) into a region
+  const finishOutline = useCallback((points, shape) => {
+    setDraftPoints([]);
+    setHoverPoint(null);
+    // Cleanup happens at on-screen pixel scale: double-clicks and slow strokes leave points on top of each other
+    const pixels = points.map((point) => ({ x: point.x * displayedWidth, y: point.y * displayedHeight }));
+    const distinct = pixels.filter((point, index) =>
+      index === 0 || Math.hypot(point.x - pixels[index - 1].x, point.y - pixels[index - 1].y) > 2
+    );
+    const outline = shape === 'freehand' ? simplifyPath(distinct, FREEHAND_TOLERANCE_PX) : distinct;
+    if (outline.length < 3) return;
+    const ratioPoints = outline.map((point) => ({ x: point.x / displayedWidth, y: point.y / displayedHeight }));
+    const bounds = pointsToBounds(ratioPoints);
+    if (bounds.ratioWidth * displayedWidth > 5 && bounds.ratioHeight * displayedHeight > 5) {
+      addRegion({ shape, points: ratioPoints, ...bounds });
+    }
+  }, [addRegion, displayedWidth, displayedHeight]);
+
+  // Switching tools abandons a half-drawn outline
+  useEffect(() => {
+    setDraftPoints([]);
+    setHoverPoint(null);
+    setIsSketching(false);
+  }, [activeTool]);
+
+  // Enter closes the polygon being drawn, Escape discards it
+  useEffect(() => {
+    if (activeTool !== 'polygon' || draftPoints.length === 0) return undefined;
+    const handleKeyDown = (event) => {
+      if (event.key === 'Escape') {
+        setDraftPoints([]);
+        setHoverPoint(null);
+      } else if (event.key === 'Enter') {
+        event.preventDefault();
+        finishOutline(draftPoints, 'polygon');
+      }
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => {
+      window.removeEventListener('keydown', handleKeyDown);
+    };
+  }, [activeTool, draftPoints, finishOutline]);
+
+  // Applies a change to several regions at once, selecting `nextSelection` afterwards when given
+  const updateSelection = useCallback((updatedAnnotations, label, nextSelection, coalesceKey) => {
+    if (updatedAnnotations === annotations) return;
+    onUpdateImage({ ...image, annotations: updatedAnnotations }, { label, coalesceKey });
+    if (nextSelection) setSelectedAnnotationIndexes(nextSelection);
+  }, [annotations, image, onUpdateImage, setSelectedAnnotationIndexes]);
+
+  // Keyboard editing of the selection: arrows nudge (Shift for bigger steps), Delete removes,
+  // Ctrl/Cmd+C/V/D copy, paste and duplicate, Ctrl/Cmd+A selects every region, Escape deselects
+  useEffect(() => {
+    if (activeTool === 'preview') return undefined;
+    const handleKeyDown = (event) => {
+      const isTyping = ['INPUT', 'TEXTAREA', 'SELECT'].includes(event.target.tagName) || event.target.isContentEditable;
+      if (isTyping) return;
+      const withModifier = event.ctrlKey || event.metaKey;
+      const key = event.key.toLowerCase();
+      const arrows = { arrowleft: [-1, 0], arrowright: [1, 0], arrowup: [0, -1], arrowdown: [0, 1] };
+
+      if (arrows[key] && selection.length > 0 && naturalSize.width) {
+        event.preventDefault();
+        // Steps are image pixels, so a nudge moves the same distance at any zoom level
+        const step = event.shiftKey ? NUDGE_STEP_LARGE_PX : NUDGE_STEP_PX;
+        const [x, y] = arrows[key];
+        updateSelection(
+          translateSelection(annotations, selection, (x * step) / naturalSize.width, (y * step) / naturalSize.height),
+          selection.length > 1 ? 'Nudge annotations' : 'Nudge annotation',
+          null,
+          `nudge-${selection.join(',')}`
+        );
+      } else if ((key === 'delete' || key === 'backspace') && selection.length > 0) {
+        event.preventDefault();
+        updateSelection(removeSelection(annotations, selection), selection.length > 1 ? 'Delete annotations' : 'Delete annotation', []);
+      } else if (withModifier && key === 'c' && selection.length > 0) {
+        event.preventDefault();
+        onCopy(copySelection(annotations, selection, id));
+      } else if (withModifier && key === 'v' && clipboard && clipboard.annotations.length > 0) {
+        event.preventDefault();
+        const pasted = pasteRegions(annotations, clipboard, id, generateId);
+        updateSelection(pasted.annotations, pasted.indexes.length > 1 ? 'Paste annotations' : 'Paste annotation', pasted.indexes);
+      } else if (withModifier && key === 'd' && selection.length > 0) {
+        event.preventDefault();
+        const duplicated = pasteRegions(annotations, copySelection(annotations, selection, id), id, generateId);
+        updateSelection(duplicated.annotations, duplicated.indexes.length > 1 ? 'Duplicate annotations' : 'Duplicate annotation', duplicated.indexes);
+      } else if (withModifier && key === 'a' && annotations.length > 0) {
+        event.preventDefault();
+        setSelectedAnnotationIndexes(annotations.map((_, index) => index));
+      } else if (key === 'escape' && draftPoints.length === 0) {
+        setSelectedAnnotationIndex(null);
+      }
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => {
+      window.removeEventListener('keydown', handleKeyDown);
+    };
+  }, [activeTool, annotations, selection, naturalSize, clipboard, id, onCopy, updateSelection, setSelectedAnnotationIndexes, setSelectedAnnotationIndex, draftPoints.length]);
+
   // Handle mouse down event on the image wrapper to start drawing, dragging, or resizing
   const handleMouseDown = useCallback((event) => {
     if (!imageUrl || !imageWrapperRef.current || !imgRef.current || !imageLoaded) return; // Ensure image is loaded
@@ -58,20 +430,54 @@ function ImageAnnotatorTab({ image, onUpdateImage, activeTool, setSelectedAnnota
       setResizeHandle(target.dataset.resizeHandle);
       setInitialAnnotationRect(getAnnotationPixels(annotations[selectedAnnotationIndex]));
       setInitialMousePos({ x: clientX, y: clientY }); // Capture initial mouse position for resizing
+      setGestureId(generateId());
       event.stopPropagation(); // Prevent dragging if resizing
       return;
     }
 
-    // Check if an existing annotation was clicked for dragging
-    const clickedAnnotationIndex = annotations.findIndex(annotation => {
-      const annPixels = getAnnotationPixels(annotation);
-      return clientX >= annPixels.x && clientX <= annPixels.x + annPixels.width &&
-             clientY >= annPixels.y && clientY <= annPixels.y + annPixels.height;
-    });
+    if (activeTool === 'polygon') {
+      // Each click adds a point; clicking the first point again closes the outline
+      const first = draftPoints[0];
+      const distanceToFirst = first ? Math.hypot(clientX - first.x * displayedWidth, clientY - first.y * displayedHeight) : Infinity;
+      if (draftPoints.length >= 3 && distanceToFirst <= POLYGON_CLOSE_DISTANCE_PX) {
+        finishOutline(draftPoints, 'polygon');
+      } else {
+        setDraftPoints((prev) => [...prev, { x: clientX / displayedWidth, y: clientY / displayedHeight }]);
+        setSelectedAnnotationIndex(null);
+      }
+      return;
+    }
+    if (activeTool === 'freehand') {
+      setIsSketching(true);
+      setDraftPoints([{ x: clientX / displayedWidth, y: clientY / displayedHeight }]);
+      setSelectedAnnotationIndex(null);
+      return;
+    }
+
+    // Check if an existing annotation was clicked for dragging; nested and stacked regions resolve to the innermost/topmost one
+    const clickedAnnotationIndex = hitTest(annotations, { x: clientX / displayedWidth, y: clientY / displayedHeight });
 
-    if (clickedAnnotationIndex !== -1 && activeTool === 'select') {
-      setSelectedAnnotationIndex(clickedAnnotationIndex);
+    if (activeTool === 'preview') {
+      // In preview mode clicking a region fires its API call instead of editing it
+      if (clickedAnnotationIndex !== -1) {
+        setSelectedAnnotationIndex(clickedAnnotationIndex);
+        onPreviewAnnotation(annotations[clickedAnnotationIndex]);
+      }
+      return;
+    }
+
+    if (clickedAnnotationIndex !== -1 && activeTool === 'select' && event.shiftKey) {
+      // Shift+click adds a region to the selection or takes it out again
+      setSelectedAnnotationIndexes(selection.includes(clickedAnnotationIndex)
+        ? selection.filter((index) => index !== clickedAnnotationIndex)
+        : [...selection, clickedAnnotationIndex]);
+    } else if (clickedAnnotationIndex !== -1 && activeTool === 'select') {
+      // Dragging a region that is part of the selection moves the whole selection; it becomes the primary one
+      setSelectedAnnotationIndexes(selection.includes(clickedAnnotationIndex)
+        ? [...selection.filter((index) => index !== clickedAnnotationIndex), clickedAnnotationIndex]
+        : [clickedAnnotationIndex]);
       setIsDraggingAnnotation(true);
+      setGestureId(generateId());
       const annPixels = getAnnotationPixels(annotations[clickedAnnotationIndex]);
       // Calculate offset from mouse to annotation's top-left corner
       setDragOffset({ x: clientX - annPixels.x, y: clientY - annPixels.y });
@@ -85,13 +491,51 @@ function ImageAnnotatorTab({ image, onUpdateImage, activeTool, setSelectedAnnota
       setIsDraggingAnnotation(false);
       setIsResizingAnnotation(false);
     } else if (activeTool === 'select' && clickedAnnotationIndex === -1) {
-      // If 'select' tool is active and empty space is clicked, deselect
-      setSelectedAnnotationIndex(null);
+      // If 'select' tool is active and empty space is clicked, deselect (unless Shift is held) and start a marquee
+      if (!event.shiftKey) setSelectedAnnotationIndex(null);
+      setMarquee({ startX: clientX, startY: clientY, x: clientX, y: clientY, width: 0, height: 0, additive: event.shiftKey });
       setIsDrawing(false);
       setIsDraggingAnnotation(false);
       setIsResizingAnnotation(false);
     }
-  }, [activeTool, annotations, getAnnotationPixels, imageUrl, imageLoaded, selectedAnnotationIndex, setSelectedAnnotationIndex]);
+  }, [activeTool, annotations, getAnnotationPixels, imageUrl, imageLoaded, selectedAnnotationIndex, setSelectedAnnotationIndex, onPreviewAnnotation, draftPoints, finishOutline, displayedWidth, displayedHeight, selection, setSelectedAnnotationIndexes]);
+
+  // Double-clicking closes the polygon being drawn
+  const handleDoubleClick = useCallback(() => {
+    if (activeTool === 'polygon' && draftPoints.length >= 3) finishOutline(draftPoints, 'polygon');
+  }, [activeTool, draftPoints, finishOutline]);
+
+  // A call recorded in a HAR file dropped on the mockup fills the region under the pointer, or a new region there
+  const handleCallDragOver = (event) => {
+    if (!fillFromCall || !Array.from(event.dataTransfer.types).includes(HAR_CALL_DRAG_TYPE)) return;
+    event.preventDefault();
+    event.dataTransfer.dropEffect = 'copy';
+  };
+
+  const handleCallDrop = (event) => {
+    if (!fillFromCall || !imageLoaded || !Array.from(event.dataTransfer.types).includes(HAR_CALL_DRAG_TYPE)) return;
+    event.preventDefault();
+    const callId = event.dataTransfer.getData(HAR_CALL_DRAG_TYPE);
+    const rect = imageWrapperRef.current.getBoundingClientRect();
+    const point = { x: (event.clientX - rect.left) / displayedWidth, y: (event.clientY - rect.top) / displayedHeight };
+    const index = hitTest(annotations, point);
+    if (index === -1) {
+      const ratioWidth = Math.min(DROPPED_REGION_SIZE_PX.width / displayedWidth, 1);
+      const ratioHeight = Math.min(DROPPED_REGION_SIZE_PX.height / displayedHeight, 1);
+      addRegion({
+        ratioX: Math.min(Math.max(point.x - ratioWidth / 2, 0), 1 - ratioWidth),
+        ratioY: Math.min(Math.max(point.y - ratioHeight / 2, 0), 1 - ratioHeight),
+        ratioWidth,
+        ratioHeight,
+      }, { fill: (apiDetails) => fillFromCall(callId, apiDetails), label: 'Add annotation from recorded call' });
+      return;
+    }
+    const updatedAnnotations = annotations.map((annotation, i) => (
+      i === index ? { ...annotation, apiDetails: fillFromCall(callId, annotation.apiDetails) } : annotation
+    ));
+    onUpdateImage({ ...image, annotations: updatedAnnotations }, { label: 'Fill annotation from recorded call' });
+    setSelectedAnnotationIndex(index);
+  };
 
 
   // Handle mouse move event while drawing, dragging, or resizing
@@ -101,11 +545,25 @@ function ImageAnnotatorTab({ image, onUpdateImage, activeTool, setSelectedAnnota
     const rect = imageWrapperRef.current.getBoundingClientRect();
     const clientX = event.clientX - rect.left;
     const clientY = event.clientY - rect.top;
+    if (onCursorMove) onCursorMove({ x: clientX / displayedWidth, y: clientY / displayedHeight });
 
-    const displayedWidth = imgRef.current.offsetWidth;
-    const displayedHeight = imgRef.current.offsetHeight;
-
-    if (isDrawing) {
+    if (isSketching) {
+      setDraftPoints((prev) => {
+        const last = prev[prev.length - 1];
+        const moved = last ? Math.hypot(clientX - last.x * displayedWidth, clientY - last.y * displayedHeight) : Infinity;
+        return moved < FREEHAND_TOLERANCE_PX ? prev : [...prev, { x: clientX / displayedWidth, y: clientY / displayedHeight }];
+      });
+    } else if (activeTool === 'polygon' && draftPoints.length > 0) {
+      setHoverPoint({ x: clientX / displayedWidth, y: clientY / displayedHeight });
+    } else if (marquee) {
+      setMarquee({
+        ...marquee,
+        x: Math.min(marquee.startX, clientX),
+        y: Math.min(marquee.startY, clientY),
+        width: Math.abs(clientX - marquee.startX),
+        height: Math.abs(clientY - marquee.startY),
+      });
+    } else if (isDrawing) {
       // Calculate current rectangle dimensions for drawing new annotation
       const newX = Math.min(startPoint.x, clientX);
       const newY = Math.min(startPoint.y, clientY);
@@ -119,24 +577,29 @@ function ImageAnnotatorTab({ image, onUpdateImage, activeTool, setSelectedAnnota
 
       // Boundary checks for dragging
       const currentAnnPixels = getAnnotationPixels(annotations[selectedAnnotationIndex]); // Get current pixel dimensions
-      const imgWidth = imgRef.current.offsetWidth;
-      const imgHeight = imgRef.current.offsetHeight;
 
-      const boundedX = Math.max(0, Math.min(newX, imgWidth - currentAnnPixels.width));
-      const boundedY = Math.max(0, Math.min(newY, imgHeight - currentAnnPixels.height));
+      const boundedX = Math.max(0, Math.min(newX, displayedWidth - currentAnnPixels.width));
+      const boundedY = Math.max(0, Math.min(newY, displayedHeight - currentAnnPixels.height));
 
 
-      const updatedAnnotations = annotations.map((ann, idx) => {
-        if (idx === selectedAnnotationIndex) {
-          return {
-            ...ann,
-            ratioX: boundedX / imgWidth,
-            ratioY: boundedY / imgHeight,
-          };
-        }
-        return ann;
-      });
-      onUpdateImage({ ...image, annotations: updatedAnnotations });
+      // The rest of the selection, and regions nested inside it, travel with the region being dragged
+      const dragged = annotations[selectedAnnotationIndex];
+      let dx = boundedX / displayedWidth - dragged.ratioX;
+      let dy = boundedY / displayedHeight - dragged.ratioY;
+      if (snapEnabled && !event.altKey) {
+        const bounds = selectionBounds(annotations, selection);
+        const others = annotations.filter((ann) => !selection.some((index) => isDescendantOf(annotations, ann.id, annotations[index].id)));
+        const snap = snapBox(
+          { left: bounds.left + dx, top: bounds.top + dy, right: bounds.right + dx, bottom: bounds.bottom + dy },
+          others,
+          { thresholdX: SNAP_DISTANCE_PX / displayedWidth, thresholdY: SNAP_DISTANCE_PX / displayedHeight }
+        );
+        dx += snap.dx;
+        dy += snap.dy;
+        setSnapGuides(snap.guides);
+      }
+      const updatedAnnotations = translateSelection(annotations, selection, dx, dy);
+      onUpdateImage({ ...image, annotations: updatedAnnotations }, { label: 'Move annotation', coalesceKey: `move-${gestureId}` });
     } else if (isResizingAnnotation && selectedAnnotationIndex !== null && initialAnnotationRect) {
       // Calculate new dimensions for resizing existing annotation
       let { x, y, width, height } = initialAnnotationRect;
@@ -182,6 +645,33 @@ function ImageAnnotatorTab({ image, onUpdateImage, activeTool, setSelectedAnnota
           break;
       }
 
+      // Snap the edges being dragged to other regions (hold Alt to place freely)
+      if (snapEnabled && !event.altKey) {
+        const edges = [['n', 'top'], ['s', 'bottom'], ['e', 'right'], ['w', 'left']]
+          .filter(([letter]) => resizeHandle.includes(letter))
+          .map(([, edge]) => edge);
+        const snap = snapBox(
+          { left: x / displayedWidth, top: y / displayedHeight, right: (x + width) / displayedWidth, bottom: (y + height) / displayedHeight },
+          annotations.filter((_, idx) => idx !== selectedAnnotationIndex),
+          { thresholdX: SNAP_DISTANCE_PX / displayedWidth, thresholdY: SNAP_DISTANCE_PX / displayedHeight, edges }
+        );
+        const snapX = snap.dx * displayedWidth;
+        const snapY = snap.dy * displayedHeight;
+        if (edges.includes('left')) {
+          x += snapX;
+          width -= snapX;
+        } else {
+          width += snapX;
+        }
+        if (edges.includes('top')) {
+          y += snapY;
+          height -= snapY;
+        } else {
+          height += snapY;
+        }
+        setSnapGuides(snap.guides);
+      }
+
       // Ensure minimum size and prevent negative dimensions
       width = Math.max(width, 10);
       height = Math.max(height, 10);
@@ -191,41 +681,48 @@ function ImageAnnotatorTab({ image, onUpdateImage, activeTool, setSelectedAnnota
 
       const updatedAnnotations = annotations.map((ann, idx) => {
         if (idx === selectedAnnotationIndex) {
-          return {
-            ...ann,
+          return resizeRegion(ann, {
             ratioX: x / displayedWidth,
             ratioY: y / displayedHeight,
             ratioWidth: width / displayedWidth,
             ratioHeight: height / displayedHeight,
-          };
+          });
         }
         return ann;
       });
-      onUpdateImage({ ...image, annotations: updatedAnnotations });
+      onUpdateImage({ ...image, annotations: updatedAnnotations }, { label: 'Resize annotation', coalesceKey: `resize-${gestureId}` });
     }
-  }, [isDrawing, startPoint, isDraggingAnnotation, selectedAnnotationIndex, dragOffset, annotations, image, onUpdateImage, isResizingAnnotation, resizeHandle, initialAnnotationRect, initialMousePos, imageUrl, imageLoaded, getAnnotationPixels]);
+  }, [isDrawing, startPoint, isDraggingAnnotation, selectedAnnotationIndex, dragOffset, annotations, image, onUpdateImage, isResizingAnnotation, resizeHandle, initialAnnotationRect, initialMousePos, imageUrl, imageLoaded, getAnnotationPixels, gestureId, isSketching, activeTool, draftPoints.length, displayedWidth, displayedHeight, marquee, snapEnabled, selection, onCursorMove]);
 
 
   // Handle mouse up event to finish drawing, dragging, or resizing
   const handleMouseUp = useCallback(() => {
+    if (marquee) {
+      const inside = regionsInMarquee(annotations, {
+        left: marquee.x / displayedWidth,
+        top: marquee.y / displayedHeight,
+        right: (marquee.x + marquee.width) / displayedWidth,
+        bottom: (marquee.y + marquee.height) / displayedHeight,
+      });
+      if (marquee.width > 2 || marquee.height > 2) {
+        setSelectedAnnotationIndexes(marquee.additive ? [...selection.filter((index) => !inside.includes(index)), ...inside] : inside);
+      }
+      setMarquee(null);
+    }
+    setSnapGuides({});
+    if (isSketching) {
+      setIsSketching(false);
+      finishOutline(draftPoints, 'freehand');
+    }
     if (isDrawing) {
       setIsDrawing(false);
       if (currentRect.width > 5 && currentRect.height > 5) {
-        const displayedWidth = imgRef.current.offsetWidth;
-        const displayedHeight = imgRef.current.offsetHeight;
-        const newAnnotation = {
-          id: generateId(),
+        addRegion({
           ratioX: currentRect.x / displayedWidth,
           ratioY: currentRect.y / displayedHeight,
           ratioWidth: currentRect.width / displayedWidth,
           ratioHeight: currentRect.height / displayedHeight,
-          apiDetails: {
-            name: '', endpoint: '', method: 'GET', requestBody: '', responseBody: '', parameters: [], description: ''
-          }
-        };
-        const updatedAnnotations = [...annotations, newAnnotation];
-        onUpdateImage({ ...image, annotations: updatedAnnotations });
-        setSelectedAnnotationIndex(updatedAnnotations.length - 1);
+        });
       }
       setCurrentRect({ x: 0, y: 0, width: 0, height: 0 });
     }
@@ -235,7 +732,7 @@ function ImageAnnotatorTab({ image, onUpdateImage, activeTool, setSelectedAnnota
     setResizeHandle(null);
     setInitialAnnotationRect(null);
     setInitialMousePos({ x: 0, y: 0 });
-  }, [isDrawing, currentRect, annotations, image, onUpdateImage, setSelectedAnnotationIndex]);
+  }, [isDrawing, currentRect, addRegion, isSketching, draftPoints, finishOutline, displayedWidth, displayedHeight, marquee, annotations, selection, setSelectedAnnotationIndexes]);
 
   // Effect to add/remove global mouse event listeners for drawing, dragging, and resizing
   useEffect(() => {
@@ -245,9 +742,7 @@ function ImageAnnotatorTab({ image, onUpdateImage, activeTool, setSelectedAnnota
     };
   }, [handleMouseUp]);
 
-  // Get current displayed image dimensions for rendering annotations
-  const currentDisplayedWidth = imgRef.current ? imgRef.current.offsetWidth : 0;
-  const currentDisplayedHeight = imgRef.current ? imgRef.current.offsetHeight : 0;
+  const viewportSize = getViewportSize();
 
   return (
     <div className="flex flex-col lg:flex-row w-full h-full gap-6">
@@ -262,78 +757,223 @@ function ImageAnnotatorTab({ image, onUpdateImage, activeTool, setSelectedAnnota
           </div>
         )}
         {imageUrl && (
-          <div
-            ref={imageWrapperRef}
-            className={`relative w-full h-auto ${activeTool === 'draw' ? 'cursor-crosshair' : 'cursor-default'}`}
-            onMouseDown={handleMouseDown}
-            onMouseMove={handleMouseMove}
-          >
-            <img
-              ref={imgRef}
-              src={imageUrl}
-              alt={`Mockup: ${name}`}
-              className="w-full h-auto object-contain"
-              draggable="false"
-              onLoad={() => setImageLoaded(true)} // Set imageLoaded to true when image loads
-            />
-
-            {/* Display existing annotations only if image is loaded */}
-            {imageLoaded && annotations.map((annotation, index) => {
-              const annPixels = getAnnotationPixels(annotation);
-              const isSelected = selectedAnnotationIndex === index;
-              return (
-                <div
-                  key={annotation.id}
-                  className={`absolute border-2 ${
-                    isSelected ? 'border-blue-500 bg-blue-500 bg-opacity-20' : 'border-red-500 bg-red-500 bg-opacity-10'
-                  } hover:border-blue-500 hover:bg-blue-500 hover:bg-opacity-20 transition-all duration-150 ease-in-out flex justify-center items-center rounded-md`}
-                  style={{
-                    left: `${annPixels.x}px`,
-                    top: `${annPixels.y}px`,
-                    width: `${annPixels.width}px`,
-                    height: `${annPixels.height}px`,
-                    cursor: activeTool === 'select' && isSelected ? 'grab' : (activeTool === 'select' ? 'pointer' : 'default'), // Change cursor for dragging
-                  }}
-                  onClick={(e) => {
-                    e.stopPropagation();
-                    if (activeTool === 'select') {
-                      setSelectedAnnotationIndex(index);
-                    }
+          <div className="flex flex-col w-full gap-2">
+            {/* Zoom controls */}
+            <div className="flex items-center gap-1 text-sm">
+              <button type="button" onClick={() => zoomBy(1 / ZOOM_STEP)} className="px-2 py-1 bg-gray-200 text-gray-700 rounded-md hover:bg-gray-300" title="Zoom out (Ctrl+wheel)" aria-label="Zoom out">&minus;</button>
+              <span className="w-14 text-center text-gray-700 tabular-nums">{Math.round(view.zoom * 100)}%</span>
+              <button type="button" onClick={() => zoomBy(ZOOM_STEP)} className="px-2 py-1 bg-gray-200 text-gray-700 rounded-md hover:bg-gray-300" title="Zoom in (Ctrl+wheel)" aria-label="Zoom in">+</button>
+              <button type="button" onClick={() => setView(fitToWidth(naturalSize, viewportSize))} className="ml-2 px-2 py-1 bg-gray-200 text-gray-700 rounded-md hover:bg-gray-300">Fit width</button>
+              <button type="button" onClick={() => setView(clampPan(actualSize(view, viewportSize), naturalSize, viewportSize))} className="px-2 py-1 bg-gray-200 text-gray-700 rounded-md hover:bg-gray-300">100%</button>
+              <label className="ml-3 flex items-center gap-1 text-gray-700" title="Snap to the edges and centres of other regions (hold Alt to place freely)">
+                <input type="checkbox" checked={snapEnabled} onChange={(e) => setSnapEnabled(e.target.checked)} />
+                Snap
+              </label>
+              <span className="ml-auto text-xs text-gray-500">Hold Space and drag to pan</span>
+            </div>
+            {/* Align/distribute commands for a multi-selection */}
+            {selection.length >= 2 && (
+              <div className="flex flex-wrap items-center gap-1 text-sm">
+                <span className="text-xs text-gray-500 mr-1">{selection.length} selected &middot; Align</span>
+                {[
+                  ['left', 'Left'], ['center', 'Centre'], ['right', 'Right'], ['top', 'Top'], ['middle', 'Middle'], ['bottom', 'Bottom'],
+                ].map(([edge, label]) => (
+                  <button
+                    key={edge}
+                    type="button"
+                    onClick={() => updateSelection(alignSelection(annotations, selection, edge), `Align ${label.toLowerCase()}`)}
+                    className="px-2 py-1 bg-gray-200 text-gray-700 rounded-md hover:bg-gray-300"
+                  >
+                    {label}
+                  </button>
+                ))}
+                <span className="text-xs text-gray-500 ml-2 mr-1">Distribute</span>
+                {[['horizontal', 'Horizontally'], ['vertical', 'Vertically']].map(([axis, label]) => (
+                  <button
+                    key={axis}
+                    type="button"
+                    disabled={selection.length < 3}
+                    onClick={() => updateSelection(distributeSelection(annotations, selection, axis), `Distribute ${label.toLowerCase()}`)}
+                    className="px-2 py-1 bg-gray-200 text-gray-700 rounded-md hover:bg-gray-300 disabled:opacity-50 disabled:hover:bg-gray-200"
+                    title="Needs at least three regions"
+                  >
+                    {label}
+                  </button>
+                ))}
+              </div>
+            )}
+            <div
+              ref={viewportRef}
+              className={`relative w-full h-[70vh] overflow-hidden bg-gray-100 rounded-lg ${panStart ? 'cursor-grabbing' : isSpacePressed ? 'cursor-grab' : ''}`}
+              onMouseDownCapture={handlePanStart}
+              onMouseEnter={() => { isPointerOverCanvasRef.current = true; }}
+              onMouseLeave={() => { isPointerOverCanvasRef.current = false; }}
+            >
+              <div
+                ref={imageWrapperRef}
+                className={`absolute top-0 left-0 ${DRAWING_TOOLS.includes(activeTool) ? 'cursor-crosshair' : 'cursor-default'}`}
+                style={{ transform: `translate(${view.x}px, ${view.y}px)`, pointerEvents: isSpacePressed || panStart ? 'none' : undefined }}
+                onMouseDown={handleMouseDown}
+                onMouseMove={handleMouseMove}
+                onMouseLeave={() => onCursorMove && onCursorMove(null)}
+                onDoubleClick={handleDoubleClick}
+                onDragOver={handleCallDragOver}
+                onDrop={handleCallDrop}
+              >
+                <img
+                  ref={imgRef}
+                  src={imageUrl}
+                  alt={`Mockup: ${name}`}
+                  className="block max-w-none"
+                  style={imageLoaded ? { width: `${displayedWidth}px`, height: `${displayedHeight}px` } : { visibility: 'hidden' }}
+                  draggable="false"
+                  onLoad={(e) => {
+                    // The natural size is what zoom levels are relative to
+                    setNaturalSize({ width: e.target.naturalWidth, height: e.target.naturalHeight });
+                    setImageLoaded(true);
                   }}
-                  title={annotation.apiDetails.name || `Annotation ${index + 1}`}
-                >
-                  <span className="absolute -top-6 left-0 text-xs font-bold text-blue-700 bg-blue-100 px-1 py-0.5 rounded-md">
-                    {annotation.apiDetails.name || `Section ${index + 1}`}
-                  </span>
-                  {isSelected && activeTool === 'select' && (
-                    <>
-                      {/* Resize Handles - Half size (w-1.5 h-1.5) and adjusted positioning */}
-                      <div className="absolute w-1.5 h-1.5 bg-blue-700 border border-white rounded-full -top-0.5 -left-0.5 cursor-nwse-resize" data-resize-handle="nw"></div>
-                      <div className="absolute w-1.5 h-1.5 bg-blue-700 border border-white rounded-full -top-0.5 left-1/2 -translate-x-1/2 cursor-ns-resize" data-resize-handle="n"></div>
-                      <div className="absolute w-1.5 h-1.5 bg-blue-700 border border-white rounded-full -top-0.5 -right-0.5 cursor-nesw-resize" data-resize-handle="ne"></div>
-                      <div className="absolute w-1.5 h-1.5 bg-blue-700 border border-white rounded-full top-1/2 -right-0.5 -translate-y-1/2 cursor-ew-resize" data-resize-handle="e"></div>
-                      <div className="absolute w-1.5 h-1.5 bg-blue-700 border border-white rounded-full -bottom-0.5 -right-0.5 cursor-nwse-resize" data-resize-handle="se"></div>
-                      <div className="absolute w-1.5 h-1.5 bg-blue-700 border border-white rounded-full -bottom-0.5 left-1/2 -translate-x-1/2 cursor-ns-resize" data-resize-handle="s"></div>
-                      <div className="absolute w-1.5 h-1.5 bg-blue-700 border border-white rounded-full -bottom-0.5 -left-0.5 cursor-nesw-resize" data-resize-handle="sw"></div>
-                      <div className="absolute w-1.5 h-1.5 bg-blue-700 border border-white rounded-full top-1/2 -left-0.5 -translate-y-1/2 cursor-ew-resize" data-resize-handle="w"></div>
-                    </>
-                  )}
-                </div>
-              );
-            })}
+                />
 
-            {/* Display the rectangle being drawn */}
-            {isDrawing && currentRect.width > 0 && currentRect.height > 0 && (
-              <div
-                className="absolute border-2 border-green-500 bg-green-500 bg-opacity-20 rounded-md"
-                style={{
-                  left: `${currentRect.x}px`,
-                  top: `${currentRect.y}px`,
-                  width: `${currentRect.width}px`,
-                  height: `${currentRect.height}px`,
-                }}
-              ></div>
-            )}
+                {/* Display existing annotations only if image is loaded; children paint above their parents */}
+                {imageLoaded && paintOrder(annotations).map((index, layer) => {
+                  const annotation = annotations[index];
+                  const annPixels = getAnnotationPixels(annotation);
+                  const isSelected = selection.includes(index);
+                  const polygonal = isPolygonal(annotation);
+                  const regionClasses = polygonal
+                    ? `border ${isSelected ? 'border-dashed border-blue-400' : 'border-transparent'}`
+                    : `border-2 rounded-md ${isSelected ? 'border-blue-500 bg-blue-500 bg-opacity-20' : 'border-red-500 bg-red-500 bg-opacity-10'} hover:border-blue-500 hover:bg-blue-500 hover:bg-opacity-20`;
+                  return (
+                    <div
+                      key={annotation.id}
+                      className={`absolute group ${regionClasses} transition-all duration-150 ease-in-out flex justify-center items-center`}
+                      style={{
+                        left: `${annPixels.x}px`,
+                        top: `${annPixels.y}px`,
+                        width: `${annPixels.width}px`,
+                        height: `${annPixels.height}px`,
+                        zIndex: isSelected ? annotations.length + 1 : layer + 1, // Keep the selection's handles reachable
+                        cursor: activeTool === 'select' && isSelected ? 'grab' : (activeTool === 'select' || activeTool === 'preview' ? 'pointer' : 'default'), // Change cursor for dragging
+                      }}
+                      title={annotation.apiDetails.name || `Annotation ${index + 1}`}
+                    >
+                      {polygonal && (
+                        <svg className="absolute inset-0 overflow-visible pointer-events-none" width={annPixels.width} height={annPixels.height}>
+                          <polygon
+                            points={annotation.points.map((point) => `${point.x * displayedWidth - annPixels.x},${point.y * displayedHeight - annPixels.y}`).join(' ')}
+                            className={isSelected ? 'fill-blue-500/20 stroke-blue-500' : 'fill-red-500/10 stroke-red-500 group-hover:fill-blue-500/20 group-hover:stroke-blue-500'}
+                            strokeWidth="2"
+                            strokeLinejoin="round"
+                          />
+                        </svg>
+                      )}
+                      <span className="absolute -top-6 left-0 text-xs font-bold text-blue-700 bg-blue-100 px-1 py-0.5 rounded-md">
+                        {annotation.apiDetails.name || `Section ${index + 1}`}
+                      </span>
+                      {verification[annotation.id] && (
+                        <span
+                          className={`absolute -top-2 -right-2 flex items-center justify-center w-5 h-5 rounded-full text-xs font-bold text-white shadow ${VERIFICATION_BADGES[verification[annotation.id].outcome].className}`}
+                          title={[`Contract ${verification[annotation.id].outcome}`, ...verification[annotation.id].messages].join('\n')}
+                        >
+                          {VERIFICATION_BADGES[verification[annotation.id].outcome].symbol}
+                        </span>
+                      )}
+                      {screenNames[annotation.apiDetails.targetImageId] && (
+                        <span
+                          className="absolute -bottom-2 -right-2 flex items-center justify-center w-5 h-5 rounded-full text-xs font-bold text-white bg-indigo-600 shadow"
+                          title={`Leads to "${screenNames[annotation.apiDetails.targetImageId]}"`}
+                        >
+                          →
+                        </span>
+                      )}
+                      {isSelected && selection.length === 1 && activeTool === 'select' && (
+                        <>
+                          {/* Resize Handles - Half size (w-1.5 h-1.5) and adjusted positioning */}
+                          <div className="absolute w-1.5 h-1.5 bg-blue-700 border border-white rounded-full -top-0.5 -left-0.5 cursor-nwse-resize" data-resize-handle="nw"></div>
+                          <div className="absolute w-1.5 h-1.5 bg-blue-700 border border-white rounded-full -top-0.5 left-1/2 -translate-x-1/2 cursor-ns-resize" data-resize-handle="n"></div>
+                          <div className="absolute w-1.5 h-1.5 bg-blue-700 border border-white rounded-full -top-0.5 -right-0.5 cursor-nesw-resize" data-resize-handle="ne"></div>
+                          <div className="absolute w-1.5 h-1.5 bg-blue-700 border border-white rounded-full top-1/2 -right-0.5 -translate-y-1/2 cursor-ew-resize" data-resize-handle="e"></div>
+                          <div className="absolute w-1.5 h-1.5 bg-blue-700 border border-white rounded-full -bottom-0.5 -right-0.5 cursor-nwse-resize" data-resize-handle="se"></div>
+                          <div className="absolute w-1.5 h-1.5 bg-blue-700 border border-white rounded-full -bottom-0.5 left-1/2 -translate-x-1/2 cursor-ns-resize" data-resize-handle="s"></div>
+                          <div className="absolute w-1.5 h-1.5 bg-blue-700 border border-white rounded-full -bottom-0.5 -left-0.5 cursor-nesw-resize" data-resize-handle="sw"></div>
+                          <div className="absolute w-1.5 h-1.5 bg-blue-700 border border-white rounded-full top-1/2 -left-0.5 -translate-y-1/2 cursor-ew-resize" data-resize-handle="w"></div>
+                        </>
+                      )}
+                    </div>
+                  );
+                })}
+
+                {/* Display the polygon/freehand outline being drawn */}
+                {draftPoints.length > 0 && (
+                  <svg className="absolute inset-0 w-full h-full overflow-visible pointer-events-none" style={{ zIndex: annotations.length + 2 }}>
+                    <polyline
+                      points={[...draftPoints, ...(hoverPoint ? [hoverPoint] : [])].map((point) => `${point.x * displayedWidth},${point.y * displayedHeight}`).join(' ')}
+                      className="fill-green-500/20 stroke-green-500"
+                      strokeWidth="2"
+                      strokeLinejoin="round"
+                    />
+                    {activeTool === 'polygon' && draftPoints.map((point, index) => (
+                      <circle
+                        key={index}
+                        cx={point.x * displayedWidth}
+                        cy={point.y * displayedHeight}
+                        r={index === 0 && draftPoints.length >= 3 ? POLYGON_CLOSE_DISTANCE_PX / 2 : 3}
+                        className="fill-white stroke-green-600"
+                        strokeWidth="2"
+                      />
+                    ))}
+                  </svg>
+                )}
+
+                {/* Snap guides and the marquee being dragged */}
+                {snapGuides.x !== undefined && (
+                  <div className="absolute top-0 bottom-0 border-l border-pink-500 pointer-events-none" style={{ left: `${snapGuides.x * displayedWidth}px`, zIndex: annotations.length + 3 }} />
+                )}
+                {snapGuides.y !== undefined && (
+                  <div className="absolute left-0 right-0 border-t border-pink-500 pointer-events-none" style={{ top: `${snapGuides.y * displayedHeight}px`, zIndex: annotations.length + 3 }} />
+                )}
+                {marquee && (
+                  <div
+                    className="absolute border border-dashed border-blue-500 bg-blue-500 bg-opacity-10 pointer-events-none"
+                    style={{ left: `${marquee.x}px`, top: `${marquee.y}px`, width: `${marquee.width}px`, height: `${marquee.height}px`, zIndex: annotations.length + 3 }}
+                  />
+                )}
+
+                {/* Where collaborators are pointing and what they have selected */}
+                {imageLoaded && peers.length > 0 && (
+                  <PeerOverlay
+                    peers={peers}
+                    annotations={annotations}
+                    displayedWidth={displayedWidth}
+                    displayedHeight={displayedHeight}
+                    zIndex={annotations.length + 4}
+                  />
+                )}
+
+                {/* Display the rectangle being drawn */}
+                {isDrawing && currentRect.width > 0 && currentRect.height > 0 && (
+                  <div
+                    className="absolute border-2 border-green-500 bg-green-500 bg-opacity-20 rounded-md"
+                    style={{
+                      zIndex: annotations.length + 2,
+                      left: `${currentRect.x}px`,
+                      top: `${currentRect.y}px`,
+                      width: `${currentRect.width}px`,
+                      height: `${currentRect.height}px`,
+                    }}
+                  ></div>
+                )}
+              </div>
+              {imageLoaded && (
+                <Minimap
+                  imageUrl={imageUrl}
+                  imageSize={naturalSize}
+                  annotations={annotations}
+                  visibleRect={visibleRegion(view, naturalSize, viewportSize)}
+                  onNavigate={(ratioPoint) => setView((prev) => centerOn(prev, ratioPoint, naturalSize, getViewportSize()))}
+                />
+              )}
+            </div>
           </div>
         )}
       </div>
@@ -343,111 +983,449 @@ function ImageAnnotatorTab({ image, onUpdateImage, activeTool, setSelectedAnnota
 
 // Main App component
 function App() {
-  // State to hold all images and their respective annotations
-  const [images, setImages] = useState([]);
+  // State to hold all images and their respective annotations, with undo/redo history
+  const {
+    state: images,
+    setState: setImages,
+    undo: undoImages,
+    redo: redoImages,
+    jumpTo: jumpToHistoryEntry,
+    reset: resetImages,
+    replace: replaceImages,
+    canUndo: canUndoImages,
+    canRedo: canRedoImages,
+    entries: historyEntries,
+    index: historyIndex,
+  } = useHistoryState([]);
   // State to track the ID of the currently selected image/tab
   const [selectedImageId, setSelectedImageId] = useState(null);
   // State to manage the input for new tab names
   const [newTabName, setNewTabName] = useState('');
+  const [isImportingMockups, setIsImportingMockups] = useState(false);
+  const [mockupImportErrors, setMockupImportErrors] = useState([]);
+  const [isDraggingFiles, setIsDraggingFiles] = useState(false);
   // State for the active annotation tool
-  const [activeTool, setActiveTool] = useState('select'); // 'select' or 'draw'
-  // State for the selected annotation index, lifted from ImageAnnotatorTab
-  const [selectedAnnotationIndex, setSelectedAnnotationIndex] = useState(null);
+  const [activeTool, setActiveTool] = useState('select'); // 'select', 'draw' (rectangle), 'polygon', 'freehand' or 'preview'
+  // Indexes of the selected annotations, lifted from ImageAnnotatorTab. The last one is the primary selection
+  // whose details the properties form shows; most code only deals with that one through selectedAnnotationIndex.
+  const [selectedAnnotationIndexes, setSelectedAnnotationIndexes] = useState([]);
+  const selectedAnnotationIndex = selectedAnnotationIndexes.length > 0 ? selectedAnnotationIndexes[selectedAnnotationIndexes.length - 1] : null;
+  const setSelectedAnnotationIndex = useCallback((index) => {
+    setSelectedAnnotationIndexes(index === null || index === undefined ? [] : [index]);
+  }, []);
+  // Shift+click in the lists adds an annotation to the selection or takes it out again
+  const toggleAnnotationSelection = (index) => {
+    setSelectedAnnotationIndexes((prev) => (prev.includes(index) ? prev.filter((other) => other !== index) : [...prev, index]));
+  };
+  // What the central area shows: the current mockup ('canvas'), the project-wide API inventory or the linter's problems
+  const [mainView, setMainView] = useState('canvas');
+  // The region last opened from the inventory ({ imageId, annotationId }), which the canvas pans to
+  const [focusRequest, setFocusRequest] = useState(null);
+  // The collaboration session joined from the sidebar ({ serverUrl, room, name }), or null when working alone
+  const [collabSession, setCollabSession] = useState(null);
+  // Annotations copied with Ctrl/Cmd+C, pasteable into any mockup
+  const [annotationClipboard, setAnnotationClipboard] = useState(null);
+  // Operations of the imported OpenAPI spec, offered as endpoint autocomplete
+  const [specOperations, setSpecOperations] = useState([]);
+  // Title/version of the imported spec and the last import error, shown in the sidebar
+  const [specInfo, setSpecInfo] = useState(null);
+  const [specError, setSpecError] = useState(null);
+  // Calls of the last imported HAR recording, offered for dragging onto the mockup, and the last import error
+  const [harCalls, setHarCalls] = useState([]);
+  const [harError, setHarError] = useState(null);
+  // Per-project overrides of the API linter's rule severities (rule id -> 'error', 'warning', 'info' or 'off')
+  const [lintSeverities, setLintSeverities] = useState({});
+  // Where preview mode sends requests ('mock' answers in the browser, 'live' calls baseUrl) and the calls made so far
+  const [previewSettings, setPreviewSettings] = useState({ mode: 'mock', baseUrl: 'http://localhost:8080', followLinks: true });
+  const [previewLog, setPreviewLog] = useState([]);
+  // Results of the last contract verification run against previewSettings.baseUrl, as they come in
+  const [verificationResults, setVerificationResults] = useState([]);
+  const [isVerifying, setIsVerifying] = useState(false);
+  // The project being edited, the projects saved in this browser and the autosave status
+  const [projectId, setProjectId] = useState(() => generateId());
+  const [projectName, setProjectName] = useState(DEFAULT_PROJECT_NAME);
+  const [projects, setProjects] = useState([]);
+  const [saveStatus, setSaveStatus] = useState(null);
+  // Autosave is held back until the last session has been restored, so it cannot overwrite it
+  const [isRestored, setIsRestored] = useState(false);
 
   // Ref for the hidden file input for loading data
   const fileInputRef = useRef(null);
+  // Outcome of the last project file import, shown in a dialog until dismissed
+  const [importReport, setImportReport] = useState(null);
+
+  // Replaces all project state with a project loaded from (or created for) the local store
+  const applyProject = useCallback((project) => {
+    setProjectId(project.id);
+    setProjectName(project.name || DEFAULT_PROJECT_NAME);
+    resetImages(project.images || []);
+    setSelectedImageId(project.images && project.images.length > 0 ? project.images[0].id : null);
+    setSelectedAnnotationIndexes([]);
+    setSpecOperations(project.specOperations || []);
+    setSpecInfo(project.specInfo || null);
+    setSpecError(null);
+    setLintSeverities(project.lintSeverities || {});
+    setVerificationResults([]); // Results belong to the project that was verified
+    setHarCalls([]);
+    setHarError(null);
+    setCollabSession(null); // Sessions belong to the project they were started from
+  }, [resetImages]);
+
+  // Effect to restore the last session from IndexedDB on load
+  useEffect(() => {
+    if (!isProjectStoreAvailable()) {
+      setSaveStatus('unavailable');
+      setIsRestored(true);
+      return undefined;
+    }
+    let cancelled = false;
+    const restore = async () => {
+      try {
+        const lastProjectId = await getLastProjectId();
+        const project = lastProjectId ? await loadProject(lastProjectId) : null;
+        if (!cancelled && project) applyProject(project);
+        const savedProjects = await listProjects();
+        if (!cancelled) setProjects(savedProjects);
+      } catch (error) {
+        console.error("Failed to restore the last session:", error);
+        if (!cancelled) setSaveStatus('error');
+      } finally {
+        if (!cancelled) setIsRestored(true);
+      }
+    };
+    restore();
+    return () => {
+      cancelled = true;
+    };
+  }, [applyProject]);
+
+  // Empty projects are only written once they have content, so "New" does not litter the project list
+  const isProjectSaved = projects.some((project) => project.id === projectId);
+
+  // Effect to autosave the project shortly after every change
+  useEffect(() => {
+    if (!isRestored || !isProjectStoreAvailable() || (images.length === 0 && !isProjectSaved)) return undefined;
+    const timer = setTimeout(async () => {
+      setSaveStatus('saving');
+      try {
+        await saveProject({ id: projectId, name: projectName, images, specOperations, specInfo, lintSeverities });
+        await setLastProjectId(projectId);
+        setProjects(await listProjects());
+        setSaveStatus('saved');
+      } catch (error) {
+        console.error("Failed to autosave project:", error);
+        setSaveStatus('error');
+      }
+    }, AUTOSAVE_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [isRestored, isProjectSaved, projectId, projectName, images, specOperations, specInfo, lintSeverities]);
+
+  // Saves the current project right away (used before switching away from it)
+  const flushProject = async () => {
+    if (!isProjectStoreAvailable() || (images.length === 0 && !isProjectSaved)) return;
+    await saveProject({ id: projectId, name: projectName, images, specOperations, specInfo, lintSeverities });
+  };
+
+  // Switches to another locally saved project
+  const handleSwitchProject = async (id) => {
+    if (id === projectId) return;
+    try {
+      await flushProject();
+      const project = await loadProject(id);
+      if (project) {
+        applyProject(project);
+        await setLastProjectId(id);
+      }
+      setProjects(await listProjects());
+    } catch (error) {
+      console.error("Failed to switch project:", error);
+      setSaveStatus('error');
+    }
+  };
+
+  // Starts a new, empty project (the current one stays in the project list)
+  const handleCreateProject = async () => {
+    try {
+      await flushProject();
+      if (isProjectStoreAvailable()) setProjects(await listProjects());
+    } catch (error) {
+      console.error("Failed to save project:", error);
+      setSaveStatus('error');
+    }
+    applyProject({ id: generateId(), name: DEFAULT_PROJECT_NAME, images: [] });
+    setPreviewLog([]);
+  };
+
+  // Deletes the current project from the browser and opens the next most recent one
+  const handleDeleteProject = async () => {
+    if (!window.confirm(`Delete "${projectName}" and all of its mockups from this browser?`)) return;
+    try {
+      if (isProjectStoreAvailable()) {
+        await deleteProject(projectId);
+        const remaining = await listProjects();
+        const next = remaining.length > 0 ? await loadProject(remaining[0].id) : null;
+        setProjects(remaining);
+        if (next) {
+          applyProject(next);
+          await setLastProjectId(next.id);
+          return;
+        }
+      }
+      applyProject({ id: generateId(), name: DEFAULT_PROJECT_NAME, images: [] });
+    } catch (error) {
+      console.error("Failed to delete project:", error);
+      setSaveStatus('error');
+    }
+  };
 
-  // Effect to set the first image as selected when images are loaded
+  // Effect to set the first image as selected when images are loaded, or when the selected one
+  // disappears (e.g. after undoing its upload)
   useEffect(() => {
-    if (images.length > 0 && selectedImageId === null) {
+    if (images.length > 0 && !images.some((img) => img.id === selectedImageId)) {
       setSelectedImageId(images[0].id);
+    } else if (images.length === 0 && selectedImageId !== null) {
+      setSelectedImageId(null);
     }
   }, [images, selectedImageId]);
 
-  // Handle adding a new image (and thus a new tab)
+  // Adds one tab per uploaded or dropped design file (one per page for PDFs), named after the files
+  const addMockupFiles = async (files) => {
+    if (files.length === 0) return;
+    setIsImportingMockups(true);
+    const { mockups, errors } = await readMockupFiles(files, { name: newTabName });
+    setIsImportingMockups(false);
+    setMockupImportErrors(errors);
+    if (mockups.length === 0) return;
+    const newImages = mockups.map((mockup) => ({ id: generateId(), name: mockup.name, url: mockup.url, annotations: [] }));
+    const label = newImages.length === 1 ? `Add mockup "${newImages[0].name}"` : `Add ${newImages.length} mockups`;
+    setImages((prev) => [...prev, ...newImages], { label });
+    setSelectedImageId(newImages[0].id); // Select the first new tab
+    setNewTabName(''); // Clear the input
+  };
+
+  // Handle adding new images (and thus new tabs) from the file picker
   const handleAddImage = (event) => {
-    const file = event.target.files[0];
-    if (file) {
-      const reader = new FileReader();
-      reader.onloadend = () => {
-        const newImage = {
-          id: generateId(),
-          name: newTabName || file.name.split('.')[0] || `Mockup ${images.length + 1}`, // Default name from file name
-          url: reader.result,
-          annotations: [],
-        };
-        setImages((prev) => [...prev, newImage]);
-        setSelectedImageId(newImage.id); // Select the new tab
-        setNewTabName(''); // Clear the input
-        event.target.value = null; // Clear the file input
-      };
-      reader.readAsDataURL(file);
-    }
+    const files = Array.from(event.target.files);
+    event.target.value = null; // Clear the file input so the same files can be picked again
+    addMockupFiles(files);
+  };
+
+  // Design files can also be dropped anywhere on the left sidebar
+  const handleSidebarDragOver = (event) => {
+    if (!Array.from(event.dataTransfer.types).includes('Files')) return;
+    event.preventDefault();
+    event.dataTransfer.dropEffect = 'copy';
+    setIsDraggingFiles(true);
+  };
+
+  const handleSidebarDragLeave = (event) => {
+    if (!event.currentTarget.contains(event.relatedTarget)) setIsDraggingFiles(false);
+  };
+
+  const handleSidebarDrop = (event) => {
+    if (!Array.from(event.dataTransfer.types).includes('Files')) return;
+    event.preventDefault();
+    setIsDraggingFiles(false);
+    addMockupFiles(Array.from(event.dataTransfer.files));
   };
 
   // Handle deleting an image/tab
   const handleDeleteImage = (imageIdToDelete) => {
-    setImages((prev) => prev.filter(img => img.id !== imageIdToDelete));
+    const imageToDelete = images.find(img => img.id === imageIdToDelete);
+    // Regions leading to the deleted mockup lose their link
+    setImages((prev) => unlinkImage(prev.filter(img => img.id !== imageIdToDelete), imageIdToDelete), { label: `Delete mockup "${imageToDelete ? imageToDelete.name : ''}"` });
     if (selectedImageId === imageIdToDelete) {
       // If the deleted tab was selected, select the first remaining tab or null
       setSelectedImageId(images.length > 1 ? images[0].id : null);
     }
   };
 
-  // Callback to update an image's data (e.g., annotations) from the ImageAnnotatorTab component
-  const handleUpdateImage = (updatedImage) => {
+  // Callback to update an image's data (e.g., annotations) from the ImageAnnotatorTab component.
+  // `historyOptions` ({ label, coalesceKey }) describe the change in the undo history.
+  const handleUpdateImage = useCallback((updatedImage, historyOptions) => {
     setImages((prev) =>
-      prev.map((img) => (img.id === updatedImage.id ? updatedImage : img))
+      prev.map((img) => (img.id === updatedImage.id ? updatedImage : img)),
+      historyOptions
     );
-  };
+  }, [setImages]);
 
   // Find the currently selected image object
   const currentImage = images.find((img) => img.id === selectedImageId);
 
-  // Function to save all images and annotations to a JSON file
-  const handleExportProject = () => {
+  // Edits from collaborators are not undo steps: undoing to a snapshot taken before them would take them back
+  // for everyone. During a session undo and redo go through `sharedHistory` instead, which only reverts this
+  // tab's own edits. The selection is kept on the same regions, wherever the edit moved them.
+  const handleRemoteImages = useCallback((remoteImages) => {
+    const previous = images.find((img) => img.id === selectedImageId);
+    const next = remoteImages.find((img) => img.id === selectedImageId);
+    setSelectedAnnotationIndexes((indexes) => (previous && next ? remapSelection(previous.annotations, next.annotations, indexes) : []));
+    replaceImages(remoteImages);
+  }, [images, selectedImageId, replaceImages]);
+  const { status: collabStatus, peers, updatePresence, sharedHistory } = useCollaboration({ session: collabSession, projectId, images, onRemoteImages: handleRemoteImages });
+  const undoChange = sharedHistory ? sharedHistory.undo : undoImages;
+  const redoChange = sharedHistory ? sharedHistory.redo : redoImages;
+
+  // Effect to bind Ctrl/Cmd+Z (undo) and Ctrl/Cmd+Shift+Z or Ctrl+Y (redo). Text fields whose edits are not
+  // part of the history (project name, search boxes, settings) keep the browser's own text undo.
+  useEffect(() => {
+    const handleKeyDown = (event) => {
+      if (!(event.ctrlKey || event.metaKey)) return;
+      const isTyping = ['INPUT', 'TEXTAREA', 'SELECT'].includes(event.target.tagName) || event.target.isContentEditable;
+      if (isTyping && !event.target.closest('[data-history-bound]')) return;
+      const key = event.key.toLowerCase();
+      if (key === 'z' && !event.shiftKey) {
+        event.preventDefault();
+        undoChange();
+      } else if ((key === 'z' && event.shiftKey) || key === 'y') {
+        event.preventDefault();
+        redoChange();
+      }
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => {
+      window.removeEventListener('keydown', handleKeyDown);
+    };
+  }, [undoChange, redoChange]);
+
+  // The snapshots recorded during a session lack the edits others made in between, so leaving starts afresh
+  const handleLeaveSession = () => {
+    setCollabSession(null);
+    resetImages(images, 'Left collaboration session');
+  };
+
+  const handleCursorMove = useCallback((cursor) => updatePresence({ cursor }), [updatePresence]);
+  const peersOnCurrentImage = currentImage ? peers.filter((peer) => peer.imageId === currentImage.id) : [];
+  // Collaborators who have this annotation selected
+  const peersSelecting = (annotation) => peersOnCurrentImage.filter((peer) => peer.selection.includes(annotation.id));
+
+  // Opens a region found in the API inventory or the problems list: its mockup, selected, and panned into view.
+  // Without an annotationId only the mockup is opened.
+  const handleJumpToAnnotation = ({ imageId, annotationId }) => {
+    const image = images.find((img) => img.id === imageId);
+    if (!image) return;
+    const index = image.annotations.findIndex((annotation) => annotation.id === annotationId);
+    if (annotationId && index === -1) return;
+    setSelectedImageId(imageId);
+    setSelectedAnnotationIndex(index === -1 ? null : index);
+    setFocusRequest(index === -1 ? null : { imageId, annotationId });
+    setMainView('canvas');
+  };
+
+  const lintProblems = useMemo(() => lintProject(images, lintSeverities), [images, lintSeverities]);
+
+  // Applies the automatic fix a lint problem offers to its annotation
+  const handleApplyLintFix = ({ imageId, annotationId, fix }) => {
+    setImages((prev) => prev.map((image) => (image.id !== imageId ? image : {
+      ...image,
+      annotations: image.annotations.map((annotation) => (annotation.id === annotationId ? { ...annotation, apiDetails: fix.apiDetails } : annotation)),
+    })), { label: fix.label });
+  };
+
+  // Tells collaborators which mockup and regions this user is looking at (again once connected)
+  const selectedAnnotationIdsKey = currentImage
+    ? selectedAnnotationIndexes.map((index) => currentImage.annotations[index]).filter(Boolean).map((annotation) => annotation.id).join(',')
+    : '';
+  useEffect(() => {
+    updatePresence({ imageId: selectedImageId, selection: selectedAnnotationIdsKey ? selectedAnnotationIdsKey.split(',') : [] });
+  }, [updatePresence, collabStatus, selectedImageId, selectedAnnotationIdsKey]);
+
+  // Replaces the apiDetails of the selected annotation in the current image
+  const handleUpdateApiDetails = (updatedApiDetails, historyOptions) => {
+    const updatedAnnotations = currentImage.annotations.map((ann, idx) =>
+      idx === selectedAnnotationIndex ? { ...ann, apiDetails: updatedApiDetails } : ann
+    );
+    handleUpdateImage({ ...currentImage, annotations: updatedAnnotations }, historyOptions);
+  };
+
+  // Changes the stacking of a region among its siblings, keeping it selected
+  const handleMoveLayer = (index, direction) => {
+    const moved = moveInZOrder(currentImage.annotations, index, direction);
+    if (moved.annotations === currentImage.annotations) return;
+    const labels = { front: 'Bring to front', forward: 'Bring forward', backward: 'Send backward', back: 'Send to back' };
+    handleUpdateImage({ ...currentImage, annotations: moved.annotations }, { label: labels[direction] });
+    setSelectedAnnotationIndex(moved.index);
+  };
+
+  // Nests a region inside another one (or moves it back to the top level when parentId is null)
+  const handleSetParent = (index, parentId) => {
+    const updatedAnnotations = setParent(currentImage.annotations, index, parentId);
+    if (updatedAnnotations === currentImage.annotations) return;
+    handleUpdateImage({ ...currentImage, annotations: updatedAnnotations }, { label: 'Change parent region' });
+  };
+
+  // Function to export TypeScript declarations for every annotated operation as api-types.d.ts
+  const handleExportTypes = () => {
     try {
-      const dataToSave = JSON.stringify(images, null, 2); // Pretty print JSON
-      const blob = new Blob([dataToSave], { type: 'application/json' });
-      const url = URL.createObjectURL(blob);
-      const a = document.createElement('a');
-      a.href = url;
-      a.download = 'ui-mocks-annotations.json';
-      document.body.appendChild(a); // Append to body to make it clickable
-      a.click(); // Programmatically click the link to trigger download
-      document.body.removeChild(a); // Clean up the element
-      URL.revokeObjectURL(url); // Release the object URL
+      downloadFile(generateProjectTypes(images), 'api-types.d.ts', 'text/plain');
     } catch (error) {
-      console.error("Failed to save data:", error);
-      // In a real app, you might show a user-friendly error message here
+      console.error("Failed to generate types:", error);
+    }
+  };
+
+  // Function to export a typed fetch client (api-client.ts) or React Query hooks built on it (api-hooks.ts)
+  const handleExportClient = (withHooks) => {
+    try {
+      if (withHooks) downloadFile(generateReactQueryHooks(images), 'api-hooks.ts', 'text/plain');
+      else downloadFile(generateApiClient(images), 'api-client.ts', 'text/plain');
+    } catch (error) {
+      console.error("Failed to generate API client:", error);
+    }
+  };
+
+  // Function to export a runnable mock server (Express + MSW handlers) serving the annotated responses
+  const handleExportMockServer = async () => {
+    try {
+      const bundle = await buildMockServerBundle(images);
+      downloadFile(bundle, 'mock-server.zip', 'application/zip');
+    } catch (error) {
+      console.error("Failed to export mock server:", error);
+    }
+  };
+
+  // Function to export the API handoff document: one self-contained HTML page, or Markdown zipped with its mockups
+  const handleExportHandoff = async (format) => {
+    try {
+      const title = projectName ? `${projectName} API handoff` : 'API handoff';
+      if (format === 'markdown') {
+        downloadFile(await buildMarkdownHandoffBundle(images, { title }), 'api-handoff.zip', 'application/zip');
+      } else {
+        downloadFile(generateHandoffHtml(images, { title }), 'api-handoff.html', 'text/html');
+      }
+    } catch (error) {
+      console.error("Failed to export handoff document:", error);
     }
   };
 
-  // Function to load data from a JSON file
-  const handleLoadData = (event) => {
+  // Function to import an OpenAPI 3.x spec (JSON or YAML) and re-check annotations linked to it, or a Postman/Insomnia collection
+  const handleImportSpec = (event) => {
     const file = event.target.files[0];
     if (file) {
       const reader = new FileReader();
       reader.onload = (e) => {
         try {
-          const loadedData = JSON.parse(e.target.result);
-          // Basic validation: ensure it's an array and has expected properties
-          if (Array.isArray(loadedData) && loadedData.every(item => item.id && item.name && item.url && Array.isArray(item.annotations))) {
-            setImages(loadedData);
-            // Select the first image if data is loaded
-            if (loadedData.length > 0) {
-              setSelectedImageId(loadedData[0].id);
-            } else {
-              setSelectedImageId(null);
-            }
-            setSelectedAnnotationIndex(null); // Reset selected annotation on load
-          } else {
-            console.error("Loaded data is not in the expected format.");
-            // Show error to user
+          // Postman and Insomnia collections only add their requests to the autocomplete: annotations linked to
+          // the imported spec keep being checked against that spec
+          const collection = parseCollection(e.target.result);
+          if (collection) {
+            const operations = addCollectionOperations(specOperations, collection.operations);
+            setSpecOperations(operations);
+            setSpecInfo(specInfo ? { ...specInfo, operationCount: operations.length } : { title: collection.title, operationCount: operations.length });
+            setSpecError(null);
+            return;
           }
+          const document = parseOpenApiDocument(e.target.result);
+          const operations = extractOperations(document);
+          setSpecOperations(operations);
+          setSpecInfo({
+            title: (document.info && document.info.title) || file.name,
+            version: document.info && document.info.version,
+            operationCount: operations.length,
+          });
+          setSpecError(null);
+          setImages((prev) => reconcileSpecBindings(prev, operations), { label: 'Import OpenAPI spec' });
         } catch (error) {
-          console.error("Error parsing JSON file:", error);
-          // Show error to user
+          console.error("Error importing API spec:", error);
+          setSpecError(error.message);
         }
       };
       reader.readAsText(file);
@@ -455,12 +1433,212 @@ function App() {
     }
   };
 
+  // Lists the API calls of a HAR recording exported from the browser dev tools
+  const handleImportHar = (event) => {
+    const file = event.target.files[0];
+    if (file) {
+      const reader = new FileReader();
+      reader.onload = (e) => {
+        try {
+          const calls = extractHarCalls(parseHarFile(e.target.result));
+          setHarCalls(calls);
+          setHarError(calls.length === 0 ? 'The recording has no API calls.' : null);
+        } catch (error) {
+          console.error("Error importing HAR file:", error);
+          setHarError(error.message);
+        }
+      };
+      reader.readAsText(file);
+      event.target.value = null; // Clear the file input
+    }
+  };
+
+  // Fills apiDetails from a recorded call dropped on the mockup, by id
+  const fillFromHarCall = useCallback((callId, apiDetails) => {
+    const call = harCalls.find((candidate) => candidate.id === callId);
+    return call ? applyHarCall(apiDetails, call) : apiDetails;
+  }, [harCalls]);
+
+  // Spec operation the selected annotation is linked to, if it still exists in the imported spec
+  const selectedAnnotation = currentImage && selectedAnnotationIndex !== null ? currentImage.annotations[selectedAnnotationIndex] : null;
+  const selectedProtocol = selectedAnnotation ? getProtocol(selectedAnnotation.apiDetails) : 'http';
+  const linkedSpecOperation = selectedAnnotation && selectedAnnotation.apiDetails.operationId
+    ? specOperations.find((operation) => operation.operationId === selectedAnnotation.apiDetails.operationId)
+    : null;
+
+  // Fires the API call of an annotation clicked in preview mode and records it in the preview log
+  const handlePreviewAnnotation = useCallback(async (annotation) => {
+    // Click-through: a region leading to another mockup opens it once its call succeeded, or right away
+    // when it only navigates
+    const target = previewSettings.followLinks ? linkTarget(images, annotation.apiDetails) : null;
+    const followLink = () => {
+      setSelectedImageId(target.id);
+      setSelectedAnnotationIndex(null);
+    };
+    if (target && !annotation.apiDetails.endpoint) {
+      followLink();
+      return;
+    }
+
+    // A region marked as showing one of another call's responses (an empty state, an error banner) plays
+    // that call answered with that response
+    const state = !annotation.apiDetails.endpoint && currentImage ? findStateResponse(currentImage.annotations, annotation.id) : null;
+    const { apiDetails } = state ? state.annotation : annotation;
+    const { mode, baseUrl } = previewSettings;
+    const request = buildPreviewRequest(apiDetails, { baseUrl: mode === 'live' ? baseUrl : '' });
+    const name = apiDetails.name || 'Untitled section';
+    const entry = { id: generateId(), name: state ? `${name} (${state.response.status})` : name, mode, request, pending: true };
+    setPreviewLog((prev) => [entry, ...prev].slice(0, 50)); // Keep the log bounded
+
+    let response;
+    if (state && mode !== 'live') {
+      response = mockPreviewResponse(apiDetails, request, { response: state.response });
+    } else if (!apiDetails.endpoint) {
+      response = { error: 'This section has no API endpoint yet.', latency: 0 };
+    } else if (mode === 'live') {
+      response = await sendPreviewRequest(request);
+    } else {
+      response = mockPreviewResponse(apiDetails, request);
+    }
+    setPreviewLog((prev) => prev.map((item) => (item.id === entry.id ? { ...item, pending: false, response } : item)));
+    if (target && !response.error && response.status < 400) followLink();
+  }, [currentImage, images, previewSettings, setSelectedAnnotationIndex]);
+
+  // Calls every annotated operation on the backend and checks the answers against the annotations
+  const handleRunVerification = async () => {
+    setIsVerifying(true);
+    setVerificationResults([]);
+    try {
+      await runContractVerification(images, {
+        baseUrl: previewSettings.baseUrl,
+        onResult: (result) => setVerificationResults((prev) => [...prev, result]),
+      });
+    } catch (error) {
+      console.error('Contract verification failed:', error);
+    } finally {
+      setIsVerifying(false);
+    }
+  };
+
+  // The outcome of the last verification run for each region of the current mockup, shown as badges
+  const verificationOnCurrentImage = useMemo(() => Object.fromEntries(verificationResults
+    .filter((result) => currentImage && result.imageId === currentImage.id && result.outcome !== 'skipped')
+    .map((result) => [result.annotationId, result])), [verificationResults, currentImage]);
+
+  // Mockup names by id for the screen links shown on regions (utils/screenFlow)
+  const screenNames = useMemo(() => Object.fromEntries(images.map((img, index) => [img.id, img.name || `Mockup ${index + 1}`])), [images]);
+
+  // Number of annotations whose linked operation was removed or changed in the imported spec
+  const outdatedAnnotationCount = images.reduce(
+    (count, img) => count + img.annotations.filter((ann) => ann.apiDetails.specStatus).length,
+    0
+  );
+
+  // Function to save all images and annotations as a project package (project.json + image files)
+  const handleExportProject = async () => {
+    try {
+      const projectPackage = await buildProjectPackage({ name: projectName, images });
+      downloadFile(projectPackage, 'ui-mocks-project.zip', 'application/zip');
+    } catch (error) {
+      console.error("Failed to save data:", error);
+      // In a real app, you might show a user-friendly error message here
+    }
+  };
+
+  // Function to export every annotated API call as an OpenAPI 3.1 document
+  const handleExportOpenApi = (format) => {
+    try {
+      const document = buildOpenApiDocument(images);
+      const content = serializeOpenApiDocument(document, format);
+      if (format === 'json') {
+        downloadFile(content, 'openapi.json', 'application/json');
+      } else {
+        downloadFile(content, 'openapi.yaml', 'application/yaml');
+      }
+    } catch (error) {
+      console.error("Failed to export OpenAPI document:", error);
+    }
+  };
+
+  // Exports every annotated call as a Postman collection or an Insomnia workspace, pointed at the preview base URL
+  const handleExportCollection = (format) => {
+    try {
+      const options = { title: projectName || DEFAULT_PROJECT_NAME, baseUrl: previewSettings.baseUrl };
+      if (format === 'insomnia') {
+        downloadFile(JSON.stringify(generateInsomniaExport(images, options), null, 2), 'insomnia-export.json', 'application/json');
+      } else {
+        downloadFile(JSON.stringify(generatePostmanCollection(images, options), null, 2), 'postman-collection.json', 'application/json');
+      }
+    } catch (error) {
+      console.error("Failed to export collection:", error);
+    }
+  };
+
+  // Function to load a project package or JSON project file
+  // `mode` is 'replace' (swap in the file's mockups) or 'merge' (add them to the current project).
+  // Files from older versions are migrated; invalid entries are skipped and listed in the import report.
+  const handleLoadData = async (event, mode = 'replace') => {
+    const file = event.target.files[0];
+    if (!file) return;
+    event.target.value = null; // Clear the file input
+    let project;
+    try {
+      project = await readProjectFile(file);
+    } catch (error) {
+      console.error("Error reading project file:", error);
+      setImportReport({ fileName: file.name, imported: 0, fatal: error.message, errors: [], warnings: [] });
+      return;
+    }
+    const { images: validImages, errors, warnings } = validateProject(project);
+    if (errors.length > 0 || warnings.length > 0 || validImages.length === 0) {
+      setImportReport({ fileName: file.name, imported: validImages.length, errors, warnings });
+    }
+    if (validImages.length === 0) return;
+
+    if (mode === 'merge') {
+      setImages((prev) => mergeProjectImages(prev, validImages, generateId), { label: `Import mockups from "${file.name}"` });
+      setSelectedAnnotationIndex(null);
+      return;
+    }
+    setImages(validImages, { label: 'Load project data' });
+    setSelectedImageId(validImages[0].id); // Select the first loaded image
+    setSelectedAnnotationIndex(null); // Reset selected annotation on load
+  };
+
   return (
     <div className="flex flex-col h-screen bg-gray-100 font-sans text-gray-800">
+      {importReport && <ImportReport report={importReport} onClose={() => setImportReport(null)} />}
       {/* Header */}
       <header className="bg-white shadow-md p-4 flex justify-between items-center sticky top-0 z-20">
-        <h1 className="text-2xl font-bold text-gray-800">UI Mocks API Annotator</h1>
+        <div className="flex items-center gap-6">
+          <h1 className="text-2xl font-bold text-gray-800">UI Mocks API Annotator</h1>
+          <ProjectSwitcher
+            projects={projects}
+            currentProjectId={projectId}
+            projectName={projectName}
+            saveStatus={saveStatus}
+            onRename={setProjectName}
+            onSwitch={handleSwitchProject}
+            onCreate={handleCreateProject}
+            onDelete={handleDeleteProject}
+          />
+        </div>
         <div className="flex items-center gap-3">
+          <ExportMenu
+            label="Generate"
+            items={[
+              { label: 'OpenAPI 3.1 (YAML)', hint: 'openapi.yaml', onClick: () => handleExportOpenApi('yaml') },
+              { label: 'OpenAPI 3.1 (JSON)', hint: 'openapi.json', onClick: () => handleExportOpenApi('json') },
+              { label: 'TypeScript types', hint: 'api-types.d.ts', onClick: handleExportTypes },
+              { label: 'API client', hint: 'api-client.ts: typed fetch functions', onClick: () => handleExportClient(false) },
+              { label: 'React Query hooks', hint: 'api-hooks.ts: imports ./api-client', onClick: () => handleExportClient(true) },
+              { label: 'Mock server', hint: 'mock-server.zip: Express server + MSW handlers', onClick: handleExportMockServer },
+              { label: 'Postman collection', hint: 'postman-collection.json: v2.1, one folder per mockup', onClick: () => handleExportCollection('postman') },
+              { label: 'Insomnia export', hint: 'insomnia-export.json: one folder per mockup', onClick: () => handleExportCollection('insomnia') },
+              { label: 'Handoff page (HTML)', hint: 'api-handoff.html: mockups with clickable hotspots', onClick: () => handleExportHandoff('html') },
+              { label: 'Handoff notes (Markdown)', hint: 'api-handoff.zip: handoff.md + images', onClick: () => handleExportHandoff('markdown') },
+            ]}
+          />
           <button
             onClick={handleExportProject}
             className="px-4 py-2 bg-blue-600 text-white rounded-lg text-sm font-medium hover:bg-blue-700 transition-colors duration-200 shadow-sm"
@@ -473,7 +1651,17 @@ function App() {
       {/* Main Content Area */}
       <div className="flex flex-1 overflow-hidden">
         {/* Left Sidebar */}
-        <aside className="w-64 bg-gray-50 border-r border-gray-200 p-4 flex flex-col shadow-lg overflow-y-auto">
+        <aside
+          className="relative w-64 bg-gray-50 border-r border-gray-200 p-4 flex flex-col shadow-lg overflow-y-auto"
+          onDragOver={handleSidebarDragOver}
+          onDragLeave={handleSidebarDragLeave}
+          onDrop={handleSidebarDrop}
+        >
+          {isDraggingFiles && (
+            <div className="absolute inset-2 z-20 flex items-center justify-center rounded-lg border-2 border-dashed border-green-500 bg-green-50 bg-opacity-90 text-sm font-medium text-green-800 pointer-events-none">
+              Drop images, SVGs or PDFs to add them
+            </div>
+          )}
           <h2 className="text-lg font-semibold text-gray-700 mb-4 border-b pb-2">PROJECT FILES</h2>
           <div className="flex flex-col gap-2 mb-6">
             {images.map((img) => (
@@ -486,6 +1674,9 @@ function App() {
                 <span className="flex items-center">
                   <span className={`w-2 h-2 rounded-full mr-2 ${selectedImageId === img.id ? 'bg-blue-500' : 'bg-gray-400'}`}></span>
                   {img.name}
+                  {hasOutdatedAnnotations(img) && (
+                    <span className="ml-2 text-amber-600" title="Some annotations are out of date with the imported API spec">&#9888;</span>
+                  )}
                 </span>
                 <button
                   className="ml-2 text-red-500 hover:text-red-700 text-sm"
@@ -518,28 +1709,181 @@ function App() {
               </svg>
               + Add API
             </button>
+            <button
+              onClick={() => setActiveTool('polygon')}
+              className={`flex items-center px-4 py-2 rounded-lg shadow-md transition-colors duration-200 ${activeTool === 'polygon' ? 'bg-blue-600 text-white' : 'bg-gray-200 text-gray-700 hover:bg-gray-300'}`}
+              title="Click to place points; click the first point, double-click or press Enter to finish"
+            >
+              <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5 mr-2" fill="none" viewBox="0 0 24 24" stroke="currentColor" strokeWidth="2">
+                <path strokeLinecap="round" strokeLinejoin="round" d="M12 3l8 6-3 11H7L4 9l8-6z" />
+              </svg>
+              Polygon
+            </button>
+            <button
+              onClick={() => setActiveTool('freehand')}
+              className={`flex items-center px-4 py-2 rounded-lg shadow-md transition-colors duration-200 ${activeTool === 'freehand' ? 'bg-blue-600 text-white' : 'bg-gray-200 text-gray-700 hover:bg-gray-300'}`}
+              title="Drag around the section to outline it"
+            >
+              <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5 mr-2" fill="none" viewBox="0 0 24 24" stroke="currentColor" strokeWidth="2">
+                <path strokeLinecap="round" strokeLinejoin="round" d="M15.232 5.232l3.536 3.536M9 13l6.232-6.232a2.5 2.5 0 013.536 3.536L12.536 16.536A4 4 0 019.708 17.7L6 18l.3-3.708A4 4 0 017.464 11.464L9 13z" />
+              </svg>
+              Freehand
+            </button>
+            <button
+              onClick={() => setActiveTool('preview')}
+              className={`flex items-center px-4 py-2 rounded-lg shadow-md transition-colors duration-200 ${activeTool === 'preview' ? 'bg-blue-600 text-white' : 'bg-gray-200 text-gray-700 hover:bg-gray-300'}`}
+            >
+              <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5 mr-2" viewBox="0 0 20 20" fill="currentColor">
+                <path fillRule="evenodd" d="M10 18a8 8 0 100-16 8 8 0 000 16zM9.555 7.168A1 1 0 008 8v4a1 1 0 001.555.832l3-2a1 1 0 000-1.664l-3-2z" clipRule="evenodd" />
+              </svg>
+              Preview
+            </button>
+          </div>
+
+          {currentImage && (
+            <>
+              <h2 className="text-lg font-semibold text-gray-700 mt-6 mb-4 border-b pb-2">LAYERS</h2>
+              <LayerTree
+                annotations={currentImage.annotations}
+                selectedIndex={selectedAnnotationIndex}
+                selectedIndexes={selectedAnnotationIndexes}
+                onSelect={setSelectedAnnotationIndex}
+                onToggleSelect={toggleAnnotationSelection}
+                onMove={handleMoveLayer}
+                onSetParent={handleSetParent}
+              />
+            </>
+          )}
+
+          <h2 className="text-lg font-semibold text-gray-700 mt-6 mb-4 border-b pb-2">HISTORY</h2>
+          <HistoryPanel
+            entries={historyEntries}
+            index={historyIndex}
+            onJump={sharedHistory ? null : jumpToHistoryEntry}
+            onUndo={undoChange}
+            onRedo={redoChange}
+            canUndo={sharedHistory ? sharedHistory.canUndo : canUndoImages}
+            canRedo={sharedHistory ? sharedHistory.canRedo : canRedoImages}
+          />
+          {sharedHistory && (
+            <p className="mt-2 text-gray-500 text-xs">During a session, undo and redo only take back your own edits.</p>
+          )}
+
+          <h2 className="text-lg font-semibold text-gray-700 mt-6 mb-4 border-b pb-2">COLLABORATION</h2>
+          <CollaborationPanel
+            session={collabSession}
+            status={collabStatus}
+            peers={peers}
+            images={images}
+            defaultServerUrl={DEFAULT_COLLAB_SERVER_URL}
+            defaultRoom={projectId}
+            onJoin={setCollabSession}
+            onLeave={handleLeaveSession}
+            onRename={(name) => setCollabSession((prev) => ({ ...prev, name }))}
+          />
+
+          <h2 className="text-lg font-semibold text-gray-700 mt-6 mb-4 border-b pb-2">API SPEC</h2>
+          <div className="flex flex-col gap-2 text-sm">
+            {specInfo ? (
+              <p className="text-gray-700">
+                <span className="font-medium">{specInfo.title}</span>
+                {specInfo.version && <span className="text-gray-500"> v{specInfo.version}</span>}
+                <span className="block text-xs text-gray-500">{specInfo.operationCount} operations available</span>
+              </p>
+            ) : (
+              <p className="text-gray-500 text-xs">Import an OpenAPI spec or a Postman/Insomnia collection to autocomplete endpoints.</p>
+            )}
+            {outdatedAnnotationCount > 0 && (
+              <p className="text-xs text-amber-700 bg-amber-50 border border-amber-200 rounded-md p-2">
+                {outdatedAnnotationCount} annotation{outdatedAnnotationCount === 1 ? ' is' : 's are'} out of date with the spec.
+              </p>
+            )}
+            {specError && (
+              <p className="text-xs text-red-700 bg-red-50 border border-red-200 rounded-md p-2">{specError}</p>
+            )}
+            <label htmlFor="import-spec-file" className="w-full text-center px-4 py-2 bg-purple-600 text-white rounded-lg text-sm font-medium cursor-pointer hover:bg-purple-700 transition-colors duration-200 shadow-md">
+              Import Spec or Collection
+            </label>
+            <input
+              type="file"
+              id="import-spec-file"
+              accept=".json,.yaml,.yml"
+              onChange={handleImportSpec}
+              className="hidden"
+            />
+          </div>
+
+          <h2 className="text-lg font-semibold text-gray-700 mt-6 mb-4 border-b pb-2">RECORDED TRAFFIC</h2>
+          <div className="flex flex-col gap-2 text-sm">
+            {harCalls.length > 0 ? (
+              <HarPanel
+                calls={harCalls}
+                onApply={selectedAnnotation
+                  ? (call) => handleUpdateApiDetails(applyHarCall(selectedAnnotation.apiDetails, call), { label: 'Fill annotation from recorded call' })
+                  : null}
+              />
+            ) : (
+              <p className="text-gray-500 text-xs">Import a HAR file saved from the browser dev tools to turn recorded calls into annotations.</p>
+            )}
+            {harError && (
+              <p className="text-xs text-red-700 bg-red-50 border border-red-200 rounded-md p-2">{harError}</p>
+            )}
+            <label htmlFor="import-har-file" className="w-full text-center px-4 py-2 bg-indigo-600 text-white rounded-lg text-sm font-medium cursor-pointer hover:bg-indigo-700 transition-colors duration-200 shadow-md">
+              Import HAR Recording
+            </label>
+            <input
+              type="file"
+              id="import-har-file"
+              accept=".har,.json"
+              onChange={handleImportHar}
+              className="hidden"
+            />
           </div>
 
+          <h2 className="text-lg font-semibold text-gray-700 mt-6 mb-4 border-b pb-2">CONTRACT VERIFICATION</h2>
+          <VerificationPanel
+            baseUrl={previewSettings.baseUrl}
+            onChangeBaseUrl={(baseUrl) => setPreviewSettings((prev) => ({ ...prev, baseUrl }))}
+            results={verificationResults}
+            total={images.reduce((count, img) => count + img.annotations.length, 0)}
+            isRunning={isVerifying}
+            onRun={handleRunVerification}
+            onJump={handleJumpToAnnotation}
+            onDownloadReport={() => downloadFile(
+              generateJUnitReport(verificationResults, { baseUrl: previewSettings.baseUrl }),
+              'contract-verification.xml',
+              'application/xml'
+            )}
+          />
+
           <div className="mt-auto pt-6 border-t border-gray-200"> {/* Pushes to bottom */}
             <h2 className="text-lg font-semibold text-gray-700 mb-4 border-b pb-2">Add New File</h2>
             <div className="flex flex-col gap-2">
               <input
                 type="text"
-                placeholder="New File Name"
+                placeholder="New File Name (single file)"
                 value={newTabName}
                 onChange={(e) => setNewTabName(e.target.value)}
                 className="px-3 py-2 border border-gray-300 rounded-md shadow-sm text-sm focus:ring-blue-400 focus:border-blue-400 outline-none"
               />
               <label htmlFor="add-image-file" className="w-full text-center px-4 py-2 bg-green-600 text-white rounded-lg cursor-pointer hover:bg-green-700 text-sm font-medium transition-colors duration-200 shadow-md">
-                Upload Design File
+                {isImportingMockups ? 'Importing…' : 'Upload Design Files'}
               </label>
               <input
                 type="file"
                 id="add-image-file"
-                accept="image/*"
+                accept={ACCEPTED_MOCKUP_TYPES}
+                multiple
                 onChange={handleAddImage}
+                disabled={isImportingMockups}
                 className="hidden"
               />
+              <p className="text-gray-500 text-xs">Images, SVGs and PDFs (one tab per page). You can also drop files here.</p>
+              {mockupImportErrors.length > 0 && (
+                <div className="text-xs text-red-700 bg-red-50 border border-red-200 rounded-md p-2">
+                  {mockupImportErrors.map((message) => <p key={message}>{message}</p>)}
+                </div>
+              )}
               {/* Load Data button moved here for consistency with file management */}
               <label htmlFor="load-data-file" className="w-full text-center px-4 py-2 bg-yellow-600 text-white rounded-lg text-sm font-medium cursor-pointer hover:bg-yellow-700 transition-colors duration-200 shadow-md">
                 Load Project Data
@@ -547,18 +1891,57 @@ function App() {
               <input
                 type="file"
                 id="load-data-file"
-                accept=".json"
-                onChange={handleLoadData}
+                accept=".zip,.json"
+                onChange={(e) => handleLoadData(e, 'replace')}
                 className="hidden"
                 ref={fileInputRef}
               />
+              <label htmlFor="merge-data-file" className="w-full text-center px-4 py-2 bg-yellow-100 text-yellow-800 border border-yellow-300 rounded-lg text-sm font-medium cursor-pointer hover:bg-yellow-200 transition-colors duration-200" title="Add the mockups of another project file to this one">
+                Merge Project Data
+              </label>
+              <input
+                type="file"
+                id="merge-data-file"
+                accept=".zip,.json"
+                onChange={(e) => handleLoadData(e, 'merge')}
+                className="hidden"
+              />
             </div>
           </div>
         </aside>
 
         {/* Central Content Area */}
         <main className="flex-1 p-6 overflow-y-auto">
-          {currentImage ? (
+          {images.length > 0 && (
+            <div className="flex gap-2 mb-4">
+              {[['canvas', 'Canvas'], ['inventory', 'API Inventory'], ['flow', 'Screen Flow'], ['problems', `Problems (${lintProblems.length})`]].map(([value, label]) => (
+                <button
+                  key={value}
+                  type="button"
+                  onClick={() => setMainView(value)}
+                  className={`px-4 py-2 rounded-lg text-sm font-medium transition-colors duration-200 ${
+                    mainView === value ? 'bg-blue-600 text-white shadow-md' : 'bg-white text-gray-700 hover:bg-gray-100 shadow-sm'
+                  }`}
+                >
+                  {label}
+                </button>
+              ))}
+            </div>
+          )}
+          {mainView === 'inventory' && images.length > 0 ? (
+            <ApiInventory images={images} onJump={handleJumpToAnnotation} />
+          ) : mainView === 'flow' && images.length > 0 ? (
+            <FlowGraph images={images} onJump={handleJumpToAnnotation} />
+          ) : mainView === 'problems' && images.length > 0 ? (
+            <ProblemsPanel
+              problems={lintProblems}
+              images={images}
+              severities={lintSeverities}
+              onChangeSeverity={(ruleId, severity) => setLintSeverities((prev) => ({ ...prev, [ruleId]: severity }))}
+              onJump={handleJumpToAnnotation}
+              onFix={handleApplyLintFix}
+            />
+          ) : currentImage ? (
             <>
               <ImageAnnotatorTab
                 key={currentImage.id}
@@ -567,6 +1950,17 @@ function App() {
                 activeTool={activeTool}
                 setSelectedAnnotationIndex={setSelectedAnnotationIndex}
                 selectedAnnotationIndex={selectedAnnotationIndex}
+                selectedAnnotationIndexes={selectedAnnotationIndexes}
+                setSelectedAnnotationIndexes={setSelectedAnnotationIndexes}
+                clipboard={annotationClipboard}
+                onCopy={setAnnotationClipboard}
+                onPreviewAnnotation={handlePreviewAnnotation}
+                peers={peersOnCurrentImage}
+                onCursorMove={handleCursorMove}
+                verification={verificationOnCurrentImage}
+                screenNames={screenNames}
+                fillFromCall={harCalls.length > 0 ? fillFromHarCall : null}
+                focusRequest={focusRequest && focusRequest.imageId === currentImage.id ? focusRequest : null}
               />
 
               {/* Annotations List (moved to main content, can be collapsed later if needed) */}
@@ -580,17 +1974,30 @@ function App() {
                       <div
                         key={annotation.id}
                         className={`p-4 border rounded-lg ${
-                          selectedAnnotationIndex === index
+                          selectedAnnotationIndexes.includes(index)
                             ? 'border-blue-500 bg-blue-50 shadow-md'
                             : 'border-gray-200 hover:shadow-sm'
                         } cursor-pointer transition-all duration-200`}
-                        onClick={() => setSelectedAnnotationIndex(index)} // Allow selecting from this list
+                        onClick={(e) => (e.shiftKey ? toggleAnnotationSelection(index) : setSelectedAnnotationIndex(index))} // Allow selecting from this list
                       >
-                        <h3 className="text-lg font-medium text-gray-900 mb-1">
-                          {annotation.apiDetails.name || `Section ${index + 1}`}
+                        <h3 className="flex items-center gap-2 text-lg font-medium text-gray-900 mb-1">
+                          <span className="truncate">{annotation.apiDetails.name || `Section ${index + 1}`}</span>
+                          {peersSelecting(annotation).map((peer) => (
+                            <span key={peer.clientId} className="inline-block w-2.5 h-2.5 rounded-full flex-shrink-0" style={{ backgroundColor: peer.color }} title={`${peer.name} has this selected`} />
+                          ))}
                         </h3>
                         <p className="text-sm text-gray-600">Endpoint: {annotation.apiDetails.endpoint || 'N/A'}</p>
-                        <p className="text-sm text-gray-600">Method: {annotation.apiDetails.method}</p>
+                        {getProtocol(annotation.apiDetails) === 'http'
+                          ? <p className="text-sm text-gray-600">Method: {annotation.apiDetails.method}</p>
+                          : <p className="text-sm text-gray-600">Protocol: {PROTOCOL_LABELS[getProtocol(annotation.apiDetails)]}</p>}
+                        {screenNames[annotation.apiDetails.targetImageId] && (
+                          <p className="text-sm text-gray-600">Leads to: {screenNames[annotation.apiDetails.targetImageId]}</p>
+                        )}
+                        {annotation.apiDetails.specStatus && (
+                          <p className="mt-2 inline-block text-xs font-medium text-amber-800 bg-amber-100 rounded px-2 py-0.5">
+                            {annotation.apiDetails.specStatus === 'removed' ? 'Removed from spec' : 'Changed in spec'}
+                          </p>
+                        )}
                       </div>
                     ))}
                   </div>
@@ -609,9 +2016,24 @@ function App() {
 
         {/* Right Sidebar (API Details Form) */}
         <aside className="w-96 bg-white p-6 rounded-xl shadow-lg overflow-y-auto flex-shrink-0">
-          <h2 className="text-xl font-semibold text-gray-800 mb-4 border-b pb-2">Annotation Properties</h2>
-          {currentImage && selectedAnnotationIndex !== null && currentImage.annotations[selectedAnnotationIndex] ? (
-            <form onSubmit={(e) => { e.preventDefault(); /* saveApiDetails is handled by state updates */ }}>
+          <h2 className="text-xl font-semibold text-gray-800 mb-4 border-b pb-2">
+            {activeTool === 'preview' ? 'Prototype Preview' : 'Annotation Properties'}
+          </h2>
+          {activeTool === 'preview' ? (
+            <PreviewPanel
+              settings={previewSettings}
+              onChangeSettings={setPreviewSettings}
+              log={previewLog}
+              onClearLog={() => setPreviewLog([])}
+            />
+          ) : currentImage && selectedAnnotationIndex !== null && currentImage.annotations[selectedAnnotationIndex] ? (
+            <form data-history-bound onSubmit={(e) => { e.preventDefault(); /* saveApiDetails is handled by state updates */ }}>
+              {peersSelecting(currentImage.annotations[selectedAnnotationIndex]).length > 0 && (
+                <p className="mb-4 text-xs text-indigo-800 bg-indigo-50 border border-indigo-200 rounded-md p-2">
+                  Also editing: {peersSelecting(currentImage.annotations[selectedAnnotationIndex]).map((peer) => peer.name).join(', ')}.
+                  Changes to the same field by two people at once keep only one of them.
+                </p>
+              )}
               {/* Section Name Input */}
               <div className="mb-4">
                 <label htmlFor={`section-name-${currentImage.id}`} className="block text-sm font-medium text-gray-700 mb-1">
@@ -627,7 +2049,7 @@ function App() {
                     const updatedAnnotations = currentImage.annotations.map((ann, idx) =>
                       idx === selectedAnnotationIndex ? { ...ann, apiDetails: updatedApiDetails } : ann
                     );
-                    handleUpdateImage({ ...currentImage, annotations: updatedAnnotations });
+                    handleUpdateImage({ ...currentImage, annotations: updatedAnnotations }, { label: 'Edit section name', coalesceKey: `edit-${selectedAnnotation.id}-name` });
                   }}
                   className="mt-1 block w-full border border-gray-300 rounded-md shadow-sm p-2 text-sm focus:ring-blue-400 focus:border-blue-400 outline-none transition-all duration-200"
                   placeholder="e.g., User Profile Section"
@@ -638,47 +2060,190 @@ function App() {
                 <label htmlFor={`api-endpoint-${currentImage.id}`} className="block text-sm font-medium text-gray-700 mb-1">
                   API Endpoint
                 </label>
-                <input
-                  type="text"
+                <EndpointInput
                   id={`api-endpoint-${currentImage.id}`}
-                  name="endpoint"
                   value={currentImage.annotations[selectedAnnotationIndex].apiDetails.endpoint}
-                  onChange={(e) => {
-                    const updatedApiDetails = { ...currentImage.annotations[selectedAnnotationIndex].apiDetails, endpoint: e.target.value };
-                    const updatedAnnotations = currentImage.annotations.map((ann, idx) =>
-                      idx === selectedAnnotationIndex ? { ...ann, apiDetails: updatedApiDetails } : ann
+                  onChange={(endpoint) => {
+                    const { apiDetails } = currentImage.annotations[selectedAnnotationIndex];
+                    handleUpdateApiDetails(
+                      { ...apiDetails, endpoint, parameters: syncPathParameters(apiDetails.parameters, endpoint) },
+                      { label: 'Edit endpoint', coalesceKey: `edit-${selectedAnnotation.id}-endpoint` }
                     );
-                    handleUpdateImage({ ...currentImage, annotations: updatedAnnotations });
+                  }}
+                  operations={specOperations}
+                  onSelectOperation={(operation) => {
+                    handleUpdateApiDetails(applyOperation(currentImage.annotations[selectedAnnotationIndex].apiDetails, operation), { label: 'Link spec operation' });
                   }}
                   className="mt-1 block w-full border border-gray-300 rounded-md shadow-sm p-2 text-sm focus:ring-blue-400 focus:border-blue-400 outline-none transition-all duration-200"
                   placeholder="/api/products"
                 />
+                {currentImage.annotations[selectedAnnotationIndex].apiDetails.operationId && (
+                  <div className="mt-2 flex items-center justify-between text-xs text-gray-600">
+                    <span>
+                      Linked to <span className="font-mono">{currentImage.annotations[selectedAnnotationIndex].apiDetails.operationId}</span>
+                    </span>
+                    <button
+                      type="button"
+                      onClick={() => handleUpdateApiDetails(unlinkOperation(currentImage.annotations[selectedAnnotationIndex].apiDetails), { label: 'Unlink spec operation' })}
+                      className="text-blue-600 hover:text-blue-800"
+                    >
+                      Unlink
+                    </button>
+                  </div>
+                )}
+                {currentImage.annotations[selectedAnnotationIndex].apiDetails.specStatus && (
+                  <div className="mt-2 text-xs text-amber-800 bg-amber-50 border border-amber-200 rounded-md p-2">
+                    {currentImage.annotations[selectedAnnotationIndex].apiDetails.specStatus === 'removed'
+                      ? 'This operation no longer exists in the imported spec.'
+                      : 'This operation changed in the imported spec since it was linked.'}
+                    {linkedSpecOperation && (
+                      <button
+                        type="button"
+                        onClick={() => handleUpdateApiDetails(applyOperation(currentImage.annotations[selectedAnnotationIndex].apiDetails, linkedSpecOperation), { label: 'Update from spec' })}
+                        className="block mt-1 font-medium text-blue-600 hover:text-blue-800"
+                      >
+                        Update from spec
+                      </button>
+                    )}
+                  </div>
+                )}
               </div>
 
               <div className="mb-4">
-                <label htmlFor={`method-${currentImage.id}`} className="block text-sm font-medium text-gray-700 mb-1">
-                  HTTP Method
+                <label htmlFor={`protocol-${currentImage.id}`} className="block text-sm font-medium text-gray-700 mb-1">
+                  Protocol
                 </label>
                 <select
-                  id={`method-${currentImage.id}`}
-                  name="method"
-                  value={currentImage.annotations[selectedAnnotationIndex].apiDetails.method}
-                  onChange={(e) => {
-                    const updatedApiDetails = { ...currentImage.annotations[selectedAnnotationIndex].apiDetails, method: e.target.value };
-                    const updatedAnnotations = currentImage.annotations.map((ann, idx) =>
-                      idx === selectedAnnotationIndex ? { ...ann, apiDetails: updatedApiDetails } : ann
-                    );
-                    handleUpdateImage({ ...currentImage, annotations: updatedAnnotations });
-                  }}
+                  id={`protocol-${currentImage.id}`}
+                  name="protocol"
+                  value={selectedProtocol}
+                  onChange={(e) => handleUpdateApiDetails(withProtocol(selectedAnnotation.apiDetails, e.target.value), { label: 'Change protocol' })}
                   className="mt-1 block w-full border border-gray-300 rounded-md shadow-sm p-2 text-sm focus:ring-blue-400 focus:border-blue-400 outline-none transition-all duration-200"
                 >
-                  <option value="GET">GET</option>
-                  <option value="POST">POST</option>
-                  <option value="PUT">PUT</option>
-                  <option value="DELETE">DELETE</option>
+                  {PROTOCOLS.map((protocol) => <option key={protocol} value={protocol}>{PROTOCOL_LABELS[protocol]}</option>)}
                 </select>
               </div>
 
+              {selectedProtocol === 'http' && (
+                <div className="mb-4">
+                  <label htmlFor={`method-${currentImage.id}`} className="block text-sm font-medium text-gray-700 mb-1">
+                    HTTP Method
+                  </label>
+                  <select
+                    id={`method-${currentImage.id}`}
+                    name="method"
+                    value={currentImage.annotations[selectedAnnotationIndex].apiDetails.method}
+                    onChange={(e) => {
+                      const updatedApiDetails = { ...currentImage.annotations[selectedAnnotationIndex].apiDetails, method: e.target.value };
+                      const updatedAnnotations = currentImage.annotations.map((ann, idx) =>
+                        idx === selectedAnnotationIndex ? { ...ann, apiDetails: updatedApiDetails } : ann
+                      );
+                      handleUpdateImage({ ...currentImage, annotations: updatedAnnotations }, { label: 'Change HTTP method' });
+                    }}
+                    className="mt-1 block w-full border border-gray-300 rounded-md shadow-sm p-2 text-sm focus:ring-blue-400 focus:border-blue-400 outline-none transition-all duration-200"
+                  >
+                    {HTTP_METHODS.map((method) => <option key={method} value={method}>{method}</option>)}
+                  </select>
+                </div>
+              )}
+
+              {selectedProtocol === 'graphql' && (
+                <div className="mb-4">
+                  <label htmlFor={`graphqlOperationName-${currentImage.id}`} className="block text-sm font-medium text-gray-700 mb-1">
+                    Operation Name
+                  </label>
+                  <input
+                    type="text"
+                    id={`graphqlOperationName-${currentImage.id}`}
+                    name="graphqlOperationName"
+                    value={selectedAnnotation.apiDetails.graphqlOperationName || ''}
+                    onChange={(e) => handleUpdateApiDetails(
+                      { ...selectedAnnotation.apiDetails, graphqlOperationName: e.target.value },
+                      { label: 'Edit operation name', coalesceKey: `edit-${selectedAnnotation.id}-graphqlOperationName` }
+                    )}
+                    className="mt-1 block w-full border border-gray-300 rounded-md shadow-sm p-2 text-sm font-mono focus:ring-blue-400 focus:border-blue-400 outline-none transition-all duration-200"
+                    placeholder="Taken from the query when empty"
+                  />
+                  <label htmlFor={`graphqlQuery-${currentImage.id}`} className="block text-sm font-medium text-gray-700 mt-3 mb-1">
+                    Query
+                  </label>
+                  <textarea
+                    id={`graphqlQuery-${currentImage.id}`}
+                    name="graphqlQuery"
+                    value={selectedAnnotation.apiDetails.graphqlQuery || ''}
+                    onChange={(e) => handleUpdateApiDetails(
+                      { ...selectedAnnotation.apiDetails, graphqlQuery: e.target.value },
+                      { label: 'Edit GraphQL query', coalesceKey: `edit-${selectedAnnotation.id}-graphqlQuery` }
+                    )}
+                    rows="6"
+                    spellCheck="false"
+                    className="mt-1 block w-full border border-gray-300 rounded-md shadow-sm p-2 text-sm font-mono focus:ring-2 focus:ring-blue-400 focus:border-blue-400 outline-none transition-all duration-200"
+                    placeholder={'query Product($id: ID!) {\n  product(id: $id) { name price }\n}'}
+                  ></textarea>
+                </div>
+              )}
+
+              {(selectedProtocol === 'websocket' || selectedProtocol === 'sse') && (
+                <div className="mb-4">
+                  <label htmlFor={`channel-${currentImage.id}`} className="block text-sm font-medium text-gray-700 mb-1">
+                    {selectedProtocol === 'sse' ? 'Event Name' : 'Channel'}
+                  </label>
+                  <input
+                    type="text"
+                    id={`channel-${currentImage.id}`}
+                    name="channel"
+                    value={selectedAnnotation.apiDetails.channel || ''}
+                    onChange={(e) => handleUpdateApiDetails(
+                      { ...selectedAnnotation.apiDetails, channel: e.target.value },
+                      { label: selectedProtocol === 'sse' ? 'Edit event name' : 'Edit channel', coalesceKey: `edit-${selectedAnnotation.id}-channel` }
+                    )}
+                    className="mt-1 block w-full border border-gray-300 rounded-md shadow-sm p-2 text-sm font-mono focus:ring-blue-400 focus:border-blue-400 outline-none transition-all duration-200"
+                    placeholder={selectedProtocol === 'sse' ? 'Empty for unnamed "message" events' : 'e.g., orders.updates'}
+                  />
+                </div>
+              )}
+
+              {selectedProtocol !== 'websocket' && (
+                <>
+                  <div className="mb-4">
+                    <label htmlFor={`authScheme-${currentImage.id}`} className="block text-sm font-medium text-gray-700 mb-1">
+                      Authentication
+                    </label>
+                    <div className="flex gap-2">
+                      <select
+                        id={`authScheme-${currentImage.id}`}
+                        name="authScheme"
+                        value={selectedAnnotation.apiDetails.authScheme || 'none'}
+                        onChange={(e) => handleUpdateApiDetails({ ...selectedAnnotation.apiDetails, authScheme: e.target.value }, { label: 'Change authentication' })}
+                        className="mt-1 block flex-1 border border-gray-300 rounded-md shadow-sm p-2 text-sm focus:ring-blue-400 focus:border-blue-400 outline-none transition-all duration-200"
+                      >
+                        {AUTH_SCHEMES.map((scheme) => <option key={scheme} value={scheme}>{AUTH_LABELS[scheme]}</option>)}
+                      </select>
+                      {selectedAnnotation.apiDetails.authScheme === 'apiKey' && (
+                        <input
+                          type="text"
+                          name="authKeyName"
+                          value={selectedAnnotation.apiDetails.authKeyName || ''}
+                          onChange={(e) => handleUpdateApiDetails(
+                            { ...selectedAnnotation.apiDetails, authKeyName: e.target.value },
+                            { label: 'Edit API key header', coalesceKey: `edit-${selectedAnnotation.id}-authKeyName` }
+                          )}
+                          aria-label="API key header name"
+                          className="mt-1 block flex-1 border border-gray-300 rounded-md shadow-sm p-2 text-sm font-mono focus:ring-blue-400 focus:border-blue-400 outline-none transition-all duration-200"
+                          placeholder={DEFAULT_API_KEY_HEADER}
+                        />
+                      )}
+                    </div>
+                  </div>
+                  <HeaderListEditor
+                    label="Request Headers"
+                    headers={selectedAnnotation.apiDetails.requestHeaders}
+                    onChange={(requestHeaders, historyOptions) => handleUpdateApiDetails({ ...selectedAnnotation.apiDetails, requestHeaders }, historyOptions)}
+                    coalesceKey={`edit-${selectedAnnotation.id}-requestHeader`}
+                  />
+                </>
+              )}
+
               <div className="mb-4">
                 <label htmlFor={`description-${currentImage.id}`} className="block text-sm font-medium text-gray-700 mb-1">
                   Description
@@ -692,7 +2257,7 @@ function App() {
                     const updatedAnnotations = currentImage.annotations.map((ann, idx) =>
                       idx === selectedAnnotationIndex ? { ...ann, apiDetails: updatedApiDetails } : ann
                     );
-                    handleUpdateImage({ ...currentImage, annotations: updatedAnnotations });
+                    handleUpdateImage({ ...currentImage, annotations: updatedAnnotations }, { label: 'Edit description', coalesceKey: `edit-${selectedAnnotation.id}-description` });
                   }}
                   rows="3"
                   className="mt-1 block w-full border border-gray-300 rounded-md shadow-sm p-2 text-sm focus:ring-2 focus:ring-blue-400 focus:border-blue-400 outline-none transition-all duration-200"
@@ -700,34 +2265,78 @@ function App() {
                 ></textarea>
               </div>
 
-              {/* Request Body (JSON) */}
               <div className="mb-4">
-                <label htmlFor={`requestBody-${currentImage.id}`} className="block text-sm font-medium text-gray-700 mb-1">
-                  Request Body (JSON)
+                <label htmlFor={`targetImageId-${currentImage.id}`} className="block text-sm font-medium text-gray-700 mb-1">
+                  Leads to
                 </label>
-                <textarea
-                  id={`requestBody-${currentImage.id}`}
-                  name="requestBody"
-                  value={currentImage.annotations[selectedAnnotationIndex].apiDetails.requestBody}
-                  onChange={(e) => {
-                    const updatedApiDetails = { ...currentImage.annotations[selectedAnnotationIndex].apiDetails, requestBody: e.target.value };
-                    const updatedAnnotations = currentImage.annotations.map((ann, idx) =>
-                      idx === selectedAnnotationIndex ? { ...ann, apiDetails: updatedApiDetails } : ann
-                    );
-                    handleUpdateImage({ ...currentImage, annotations: updatedAnnotations });
-                  }}
-                  rows="4"
-                  className="mt-1 block w-full border border-gray-300 rounded-md shadow-sm p-2 font-mono text-sm focus:ring-2 focus:ring-blue-400 focus:border-blue-400 outline-none transition-all duration-200"
-                  placeholder='{"key": "value"}'
-                ></textarea>
+                <select
+                  id={`targetImageId-${currentImage.id}`}
+                  name="targetImageId"
+                  value={selectedAnnotation.apiDetails.targetImageId || ''}
+                  onChange={(e) => handleUpdateApiDetails({ ...selectedAnnotation.apiDetails, targetImageId: e.target.value || null }, { label: 'Change screen link' })}
+                  className="mt-1 block w-full border border-gray-300 rounded-md shadow-sm p-2 text-sm focus:ring-blue-400 focus:border-blue-400 outline-none transition-all duration-200"
+                >
+                  <option value="">No link</option>
+                  {images.map((img, index) => (
+                    <option key={img.id} value={img.id}>{img.name || `Mockup ${index + 1}`}{img.id === currentImage.id ? ' (this mockup)' : ''}</option>
+                  ))}
+                </select>
+                <p className="text-gray-500 text-xs mt-1">The mockup this region opens; in preview mode clicking it goes there once its call succeeded.</p>
               </div>
 
+              {/* Request Body (JSON) */}
+              {BODY_LABELS[selectedProtocol].request && (
+                <div className="mb-4">
+                  <label htmlFor={`requestBody-${currentImage.id}`} className="block text-sm font-medium text-gray-700 mb-1">
+                    {BODY_LABELS[selectedProtocol].request} (JSON)
+                  </label>
+                  <JsonTextarea
+                    id={`requestBody-${currentImage.id}`}
+                    name="requestBody"
+                    value={currentImage.annotations[selectedAnnotationIndex].apiDetails.requestBody}
+                    onChange={(e) => {
+                      const updatedApiDetails = { ...currentImage.annotations[selectedAnnotationIndex].apiDetails, requestBody: e.target.value };
+                      const updatedAnnotations = currentImage.annotations.map((ann, idx) =>
+                        idx === selectedAnnotationIndex ? { ...ann, apiDetails: updatedApiDetails } : ann
+                      );
+                      handleUpdateImage({ ...currentImage, annotations: updatedAnnotations }, { label: 'Edit request body', coalesceKey: `edit-${selectedAnnotation.id}-requestBody` });
+                    }}
+                    rows="4"
+                    placeholder='{"key": "value"}'
+                  />
+                  <BodySchema
+                    apiDetails={currentImage.annotations[selectedAnnotationIndex].apiDetails}
+                    kind="request"
+                    onChange={(updatedApiDetails) => handleUpdateApiDetails(updatedApiDetails, { label: 'Edit request schema' })}
+                  />
+                </div>
+              )}
+
               {/* Expected Response Body (JSON) */}
               <div className="mb-4">
+                {selectedProtocol === 'http' && (
+                  <div className="flex items-center gap-2 mb-2">
+                    <label htmlFor={`responseStatus-${currentImage.id}`} className="text-sm font-medium text-gray-700">
+                      Status
+                    </label>
+                    <input
+                      type="text"
+                      id={`responseStatus-${currentImage.id}`}
+                      name="responseStatus"
+                      value={selectedAnnotation.apiDetails.responseStatus || ''}
+                      onChange={(e) => handleUpdateApiDetails(
+                        { ...selectedAnnotation.apiDetails, responseStatus: e.target.value },
+                        { label: 'Edit response status', coalesceKey: `edit-${selectedAnnotation.id}-responseStatus` }
+                      )}
+                      className="w-20 border border-gray-300 rounded-md shadow-sm p-1 text-sm font-mono focus:ring-blue-400 focus:border-blue-400 outline-none"
+                      placeholder="200"
+                    />
+                  </div>
+                )}
                 <label htmlFor={`responseBody-${currentImage.id}`} className="block text-sm font-medium text-gray-700 mb-1">
-                  Expected Response Body (JSON)
+                  {selectedProtocol === 'http' ? 'Expected Response Body' : BODY_LABELS[selectedProtocol].response} (JSON)
                 </label>
-                <textarea
+                <JsonTextarea
                   id={`responseBody-${currentImage.id}`}
                   name="responseBody"
                   value={currentImage.annotations[selectedAnnotationIndex].apiDetails.responseBody}
@@ -736,85 +2345,54 @@ function App() {
                     const updatedAnnotations = currentImage.annotations.map((ann, idx) =>
                       idx === selectedAnnotationIndex ? { ...ann, apiDetails: updatedApiDetails } : ann
                     );
-                    handleUpdateImage({ ...currentImage, annotations: updatedAnnotations });
+                    handleUpdateImage({ ...currentImage, annotations: updatedAnnotations }, { label: 'Edit response body', coalesceKey: `edit-${selectedAnnotation.id}-responseBody` });
                   }}
                   rows="4"
-                  className="mt-1 block w-full border border-gray-300 rounded-md shadow-sm p-2 font-mono text-sm focus:ring-2 focus:ring-blue-400 focus:border-blue-400 outline-none transition-all duration-200"
-                  placeholder='{"data": "response"}'
-                ></textarea>
+                  placeholder={selectedProtocol === 'websocket' || selectedProtocol === 'sse' ? '[{"event": "payload"}]' : '{"data": "response"}'}
+                />
+                <BodySchema
+                  apiDetails={currentImage.annotations[selectedAnnotationIndex].apiDetails}
+                  kind="response"
+                  onChange={(updatedApiDetails) => handleUpdateApiDetails(updatedApiDetails, { label: 'Edit response schema' })}
+                />
               </div>
 
-              {/* Parameters Section */}
-              <div className="mb-4">
-                <label className="block text-sm font-medium text-gray-700 mb-2">Parameters</label>
-                {currentImage.annotations[selectedAnnotationIndex].apiDetails.parameters.map((param, index) => (
-                  <div key={index} className="flex items-center gap-2 mb-2">
-                    <input
-                      type="text"
-                      value={param.key}
-                      onChange={(e) => {
-                        const updatedParams = currentImage.annotations[selectedAnnotationIndex].apiDetails.parameters.map((p, i) =>
-                          i === index ? { ...p, key: e.target.value } : p
-                        );
-                        const updatedApiDetails = { ...currentImage.annotations[selectedAnnotationIndex].apiDetails, parameters: updatedParams };
-                        const updatedAnnotations = currentImage.annotations.map((ann, idx) =>
-                          idx === selectedAnnotationIndex ? { ...ann, apiDetails: updatedApiDetails } : ann
-                        );
-                        handleUpdateImage({ ...currentImage, annotations: updatedAnnotations });
-                      }}
-                      className="flex-1 border border-gray-300 rounded-md shadow-sm p-2 text-sm focus:ring-blue-400 focus:border-blue-400 outline-none"
-                      placeholder="key"
-                    />
-                    <input
-                      type="text"
-                      value={param.type}
-                      onChange={(e) => {
-                        const updatedParams = currentImage.annotations[selectedAnnotationIndex].apiDetails.parameters.map((p, i) =>
-                          i === index ? { ...p, type: e.target.value } : p
-                        );
-                        const updatedApiDetails = { ...currentImage.annotations[selectedAnnotationIndex].apiDetails, parameters: updatedParams };
-                        const updatedAnnotations = currentImage.annotations.map((ann, idx) =>
-                          idx === selectedAnnotationIndex ? { ...ann, apiDetails: updatedApiDetails } : ann
-                        );
-                        handleUpdateImage({ ...currentImage, annotations: updatedAnnotations });
-                      }}
-                      className="flex-1 border border-gray-300 rounded-md shadow-sm p-2 text-sm focus:ring-blue-400 focus:border-blue-400 outline-none"
-                      placeholder="type"
-                    />
-                    <button
-                      type="button"
-                      onClick={() => {
-                        const updatedParams = currentImage.annotations[selectedAnnotationIndex].apiDetails.parameters.filter((_, i) => i !== index);
-                        const updatedApiDetails = { ...currentImage.annotations[selectedAnnotationIndex].apiDetails, parameters: updatedParams };
-                        const updatedAnnotations = currentImage.annotations.map((ann, idx) =>
-                          idx === selectedAnnotationIndex ? { ...ann, apiDetails: updatedApiDetails } : ann
-                        );
-                        handleUpdateImage({ ...currentImage, annotations: updatedAnnotations });
-                      }}
-                      className="p-2 text-red-600 hover:text-red-800 rounded-full transition-colors duration-200"
-                      title="Remove parameter"
-                    >
-                      <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5" viewBox="0 0 20 20" fill="currentColor">
-                        <path fillRule="evenodd" d="M9 2a1 1 0 00-.894.553L7.382 4H4a1 1 0 000 2v10a2 2 0 002 2h8a2 2 0 002-2V6a1 1 0 100-2h-3.382l-.724-1.447A1 1 0 0011 2H9zM7 8a1 1 0 011-1h4a1 1 0 110 2H8a1 1 0 01-1-1zm2 3a1 1 0 011-1h4a1 1 0 110 2H10a1 1 0 01-1-1z" clipRule="evenodd" />
-                      </svg>
-                    </button>
-                  </div>
-                ))}
-                <button
-                  type="button"
-                  onClick={() => {
-                    const updatedParams = [...currentImage.annotations[selectedAnnotationIndex].apiDetails.parameters, { key: '', type: '' }];
-                    const updatedApiDetails = { ...currentImage.annotations[selectedAnnotationIndex].apiDetails, parameters: updatedParams };
-                    const updatedAnnotations = currentImage.annotations.map((ann, idx) =>
-                      idx === selectedAnnotationIndex ? { ...ann, apiDetails: updatedApiDetails } : ann
-                    );
-                    handleUpdateImage({ ...currentImage, annotations: updatedAnnotations });
-                  }}
-                  className="mt-2 px-4 py-2 bg-gray-200 text-gray-700 rounded-md text-sm font-medium hover:bg-gray-300 transition-colors duration-200 w-full"
-                >
-                  + Add Parameter
-                </button>
-              </div>
+              {selectedProtocol === 'http' && (
+                <>
+                  <HeaderListEditor
+                    label="Response Headers"
+                    headers={selectedAnnotation.apiDetails.responseHeaders}
+                    onChange={(responseHeaders, historyOptions) => handleUpdateApiDetails({ ...selectedAnnotation.apiDetails, responseHeaders }, historyOptions)}
+                    coalesceKey={`edit-${selectedAnnotation.id}-responseHeader`}
+                  />
+                  <ResponsesEditor
+                    annotationId={selectedAnnotation.id}
+                    apiDetails={selectedAnnotation.apiDetails}
+                    regions={currentImage.annotations
+                      .map((annotation, index) => ({ id: annotation.id, label: `#${index + 1} ${annotation.apiDetails.name || `Section ${index + 1}`}` }))
+                      .filter((region) => region.id !== selectedAnnotation.id)}
+                    onChange={handleUpdateApiDetails}
+                  />
+                </>
+              )}
+
+              <ParametersEditor
+                annotationId={selectedAnnotation.id}
+                parameters={selectedAnnotation.apiDetails.parameters}
+                onChange={(parameters, historyOptions) => handleUpdateApiDetails({ ...selectedAnnotation.apiDetails, parameters }, historyOptions)}
+              />
+
+              <button
+                type="button"
+                onClick={() => {
+                  const { apiDetails } = currentImage.annotations[selectedAnnotationIndex];
+                  const fallbackName = `Section${selectedAnnotationIndex + 1}`;
+                  downloadFile(generateAnnotationTypes(apiDetails, fallbackName), `${toPascalCase(apiDetails.name, fallbackName)}.d.ts`, 'text/plain');
+                }}
+                className="mt-2 px-4 py-2 bg-gray-200 text-gray-700 rounded-md text-sm font-medium hover:bg-gray-300 transition-colors duration-200 w-full"
+              >
+                Generate Types for this Section
+              </button>
 
               <div className="flex justify-between mt-6 gap-4">
                 <button
@@ -830,8 +2408,9 @@ function App() {
                 <button
                   type="button"
                   onClick={() => {
-                    const updatedAnnotations = currentImage.annotations.filter((_, idx) => idx !== selectedAnnotationIndex);
-                    handleUpdateImage({ ...currentImage, annotations: updatedAnnotations });
+                    // Regions nested inside the deleted one are kept and move up a level
+                    const updatedAnnotations = removeAnnotation(currentImage.annotations, selectedAnnotationIndex);
+                    handleUpdateImage({ ...currentImage, annotations: updatedAnnotations }, { label: 'Delete annotation' });
                     setSelectedAnnotationIndex(null); // Deselect after deletion
                   }}
                   className="inline-flex items-center justify-center flex-1 px-4 py-2 border border-transparent text-sm font-medium rounded-lg shadow-sm text-white bg-red-600 hover:bg-red-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-red-500 transition-colors duration-200"
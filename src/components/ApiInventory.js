@@ -0,0 +1,89 @@
+import React, { useMemo, useState } from 'react';
+import { buildApiInventory, countScreens, searchInventory } from '../utils/inventory';
+
+const METHOD_COLORS = {
+  GET: 'bg-green-100 text-green-800',
+  POST: 'bg-blue-100 text-blue-800',
+  PUT: 'bg-amber-100 text-amber-800',
+  PATCH: 'bg-amber-100 text-amber-800',
+  DELETE: 'bg-red-100 text-red-800',
+  QUERY: 'bg-pink-100 text-pink-800',
+  MUTATION: 'bg-pink-100 text-pink-800',
+  SUBSCRIPTION: 'bg-pink-100 text-pink-800',
+  WS: 'bg-purple-100 text-purple-800',
+  SSE: 'bg-purple-100 text-purple-800',
+};
+
+// Every API operation annotated anywhere in the project, with the screens and regions that call it.
+// The search box narrows it down to regions mentioning all the typed words; clicking a region
+// calls `onJump({ imageId, annotationId })`.
+function ApiInventory({ images, onJump }) {
+  const [query, setQuery] = useState('');
+  const inventory = useMemo(() => buildApiInventory(images), [images]);
+  const results = useMemo(() => searchInventory(inventory, query), [inventory, query]);
+  const operationCount = inventory.filter((group) => group.path).length;
+  const isSearching = query.trim() !== '';
+
+  return (
+    <div className="w-full bg-white p-6 rounded-xl shadow-lg">
+      <div className="flex items-center justify-between gap-4 mb-4 border-b pb-2">
+        <h2 className="text-xl font-semibold text-gray-800">API Inventory</h2>
+        <p className="text-sm text-gray-500">
+          {operationCount} operation{operationCount === 1 ? '' : 's'} across {images.length} mockup{images.length === 1 ? '' : 's'}
+        </p>
+      </div>
+      <input
+        type="search"
+        value={query}
+        onChange={(e) => setQuery(e.target.value)}
+        placeholder="Search names, descriptions, parameters, headers and bodies"
+        aria-label="Search annotations"
+        className="w-full mb-4 px-3 py-2 border border-gray-300 rounded-md shadow-sm text-sm focus:ring-blue-400 focus:border-blue-400 outline-none"
+      />
+      {results.length === 0 && (
+        <p className="text-gray-500 text-sm">{isSearching ? 'No annotations match your search.' : 'No annotations yet.'}</p>
+      )}
+      <ul className="flex flex-col gap-3">
+        {results.map((group) => (
+          <li key={group.key} className="border border-gray-200 rounded-lg p-4">
+            <div className="flex items-center gap-2 mb-2">
+              {group.path ? (
+                <>
+                  <span className={`px-2 py-0.5 rounded text-xs font-bold ${METHOD_COLORS[group.method] || 'bg-gray-100 text-gray-800'}`}>{group.method}</span>
+                  <span className="font-mono text-sm text-gray-900 truncate">{group.target}</span>
+                </>
+              ) : (
+                <span className="text-sm font-medium text-gray-500">No endpoint yet</span>
+              )}
+              <span className="ml-auto text-xs text-gray-500 whitespace-nowrap">
+                {isSearching ? `${group.usages.length} of ${group.allUsages.length}` : group.usages.length} use{group.allUsages.length === 1 ? '' : 's'}
+                {' '}on {countScreens(group.allUsages)} screen{countScreens(group.allUsages) === 1 ? '' : 's'}
+              </span>
+            </div>
+            <ul className="flex flex-col">
+              {group.usages.map(({ image, annotation, index, matches }) => (
+                <li key={`${image.id}-${annotation.id}`}>
+                  <button
+                    type="button"
+                    onClick={() => onJump({ imageId: image.id, annotationId: annotation.id })}
+                    className="block w-full text-left px-2 py-1 rounded-md text-sm hover:bg-blue-50"
+                  >
+                    <span className="text-gray-500">{image.name} › </span>
+                    <span className="text-gray-900">{annotation.apiDetails.name || `Section ${index + 1}`}</span>
+                    {matches && matches.map((match) => (
+                      <span key={match.field} className="block text-xs text-gray-500 truncate">
+                        <span className="font-medium">{match.label}:</span> {match.excerpt}
+                      </span>
+                    ))}
+                  </button>
+                </li>
+              ))}
+            </ul>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
+
+export default ApiInventory;
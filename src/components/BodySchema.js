@@ -0,0 +1,42 @@
+import React from 'react';
+import SchemaEditor from './SchemaEditor';
+import { getEffectiveSchema } from '../utils/schema';
+
+// Collapsible schema of a request/response body (`kind`). Editing it stores a hand-edited schema
+// on the annotation (`requestSchema`/`responseSchema`) that takes precedence over inference.
+function BodySchema({ apiDetails, kind, onChange }) {
+  const schemaKey = `${kind}Schema`;
+  const isEdited = Boolean(apiDetails[schemaKey]);
+  const schema = getEffectiveSchema(apiDetails, kind);
+
+  return (
+    <details className="mt-2 text-sm">
+      <summary className="cursor-pointer text-gray-600 select-none">
+        Schema{' '}
+        <span className={`text-xs rounded px-1.5 py-0.5 ${isEdited ? 'bg-purple-100 text-purple-800' : 'bg-gray-100 text-gray-600'}`}>
+          {isEdited ? 'edited' : 'inferred'}
+        </span>
+      </summary>
+      <div className="mt-2">
+        <SchemaEditor
+          schema={schema}
+          onChange={(updatedSchema) => onChange({ ...apiDetails, [schemaKey]: updatedSchema })}
+        />
+        {isEdited && (
+          <button
+            type="button"
+            onClick={() => {
+              const { [schemaKey]: dropped, ...rest } = apiDetails;
+              onChange(rest);
+            }}
+            className="mt-1 text-xs text-blue-600 hover:text-blue-800"
+          >
+            Reset to inferred from example
+          </button>
+        )}
+      </div>
+    </details>
+  );
+}
+
+export default BodySchema;
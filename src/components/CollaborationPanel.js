@@ -0,0 +1,81 @@
+import React, { useState } from 'react';
+
+const STATUS_LABELS = {
+  connecting: 'Connecting…',
+  connected: 'Connected',
+  offline: 'Offline: changes will sync when the server is back',
+};
+
+// Sidebar controls for joining a shared editing session, and the list of who else is in it.
+// Everyone who joins the same room on the same server edits the same mockups.
+function CollaborationPanel({ session, status, peers, images, defaultServerUrl, defaultRoom, onJoin, onLeave, onRename }) {
+  const [name, setName] = useState('');
+  const [serverUrl, setServerUrl] = useState(defaultServerUrl);
+  const [room, setRoom] = useState('');
+  const inputClassName = 'px-2 py-1 border border-gray-300 rounded-md text-sm focus:ring-blue-400 focus:border-blue-400 outline-none';
+
+  if (!session) {
+    return (
+      <form
+        className="flex flex-col gap-2 text-sm"
+        onSubmit={(e) => {
+          e.preventDefault();
+          onJoin({ name: name.trim() || 'Anonymous', serverUrl: serverUrl.trim(), room: room.trim() || defaultRoom });
+        }}
+      >
+        <input type="text" value={name} onChange={(e) => setName(e.target.value)} placeholder="Your name" aria-label="Your name" className={inputClassName} />
+        <input type="text" value={room} onChange={(e) => setRoom(e.target.value)} placeholder={`Room (default ${defaultRoom})`} aria-label="Room" className={inputClassName} />
+        <input type="text" value={serverUrl} onChange={(e) => setServerUrl(e.target.value)} placeholder="ws://host:port" aria-label="Sync server" className={inputClassName} />
+        <button
+          type="submit"
+          disabled={!serverUrl.trim()}
+          className="px-3 py-1.5 bg-indigo-600 text-white rounded-md text-sm font-medium hover:bg-indigo-700 disabled:opacity-50"
+        >
+          Start or join session
+        </button>
+        <p className="text-gray-500 text-xs">Share the room name with the people you want to edit with. Joining an existing room replaces this project's mockups with the room's; rejoining from the same project merges the changes made since.</p>
+      </form>
+    );
+  }
+
+  const imageName = (imageId) => {
+    const image = images.find((img) => img.id === imageId);
+    return image ? image.name : null;
+  };
+
+  return (
+    <div className="flex flex-col gap-2 text-sm">
+      <p className="flex items-center gap-2 text-xs text-gray-600">
+        <span className={`inline-block w-2 h-2 rounded-full ${status === 'connected' ? 'bg-green-500' : status === 'connecting' ? 'bg-yellow-400' : 'bg-gray-400'}`} />
+        {STATUS_LABELS[status] || status}
+      </p>
+      <p className="text-xs text-gray-600 truncate" title={session.serverUrl}>Room <span className="font-mono">{session.room}</span></p>
+      <input
+        type="text"
+        value={session.name}
+        onChange={(e) => onRename(e.target.value)}
+        aria-label="Your name"
+        className={inputClassName}
+      />
+      <ul className="flex flex-col gap-1">
+        {peers.length === 0 && <li className="text-gray-500 text-xs">Nobody else is here yet.</li>}
+        {peers.map((peer) => (
+          <li key={peer.clientId} className="flex items-center gap-2 text-xs">
+            <span className="inline-block w-2.5 h-2.5 rounded-full flex-shrink-0" style={{ backgroundColor: peer.color }} />
+            <span className="font-medium truncate">{peer.name}</span>
+            {imageName(peer.imageId) && <span className="text-gray-500 truncate">on {imageName(peer.imageId)}</span>}
+          </li>
+        ))}
+      </ul>
+      <button
+        type="button"
+        onClick={onLeave}
+        className="px-3 py-1.5 bg-gray-200 text-gray-700 rounded-md text-sm hover:bg-gray-300"
+      >
+        Leave session
+      </button>
+    </div>
+  );
+}
+
+export default CollaborationPanel;
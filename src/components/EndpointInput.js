@@ -0,0 +1,95 @@
+import React, { useState } from 'react';
+
+const MAX_SUGGESTIONS = 8;
+
+// Returns the operations whose method, path, summary or operationId match the typed text
+const filterOperations = (operations, query) => {
+  const needle = query.trim().toLowerCase();
+  return operations
+    .filter((operation) => {
+      if (!needle) return true;
+      const haystack = `${operation.method} ${operation.path} ${operation.summary} ${operation.operationId}`.toLowerCase();
+      return needle.split(/\s+/).every((word) => haystack.includes(word));
+    })
+    .slice(0, MAX_SUGGESTIONS);
+};
+
+// Text input for the API endpoint with autocomplete over operations from an imported spec
+function EndpointInput({ id, value, onChange, operations, onSelectOperation, className, placeholder }) {
+  const [isFocused, setIsFocused] = useState(false);
+  const [highlightedIndex, setHighlightedIndex] = useState(0);
+
+  const suggestions = operations.length > 0 ? filterOperations(operations, value) : [];
+  const showSuggestions = isFocused && suggestions.length > 0;
+
+  const selectOperation = (operation) => {
+    onSelectOperation(operation);
+    setIsFocused(false);
+  };
+
+  const handleKeyDown = (event) => {
+    if (!showSuggestions) return;
+    if (event.key === 'ArrowDown') {
+      event.preventDefault();
+      setHighlightedIndex((index) => (index + 1) % suggestions.length);
+    } else if (event.key === 'ArrowUp') {
+      event.preventDefault();
+      setHighlightedIndex((index) => (index - 1 + suggestions.length) % suggestions.length);
+    } else if (event.key === 'Enter') {
+      event.preventDefault();
+      selectOperation(suggestions[Math.min(highlightedIndex, suggestions.length - 1)]);
+    } else if (event.key === 'Escape') {
+      setIsFocused(false);
+    }
+  };
+
+  return (
+    <div className="relative">
+      <input
+        type="text"
+        id={id}
+        name="endpoint"
+        value={value}
+        onChange={(e) => {
+          setHighlightedIndex(0);
+          setIsFocused(true);
+          onChange(e.target.value);
+        }}
+        onFocus={() => setIsFocused(true)}
+        onBlur={() => setIsFocused(false)}
+        onKeyDown={handleKeyDown}
+        className={className}
+        placeholder={placeholder}
+        autoComplete="off"
+        role="combobox"
+        aria-expanded={showSuggestions}
+        aria-controls={`${id}-suggestions`}
+        aria-autocomplete="list"
+      />
+      {showSuggestions && (
+        <ul id={`${id}-suggestions`} className="absolute left-0 right-0 mt-1 max-h-64 overflow-y-auto bg-white border border-gray-200 rounded-md shadow-lg z-30" role="listbox">
+          {suggestions.map((operation, index) => (
+            <li
+              key={`${operation.method} ${operation.path} ${operation.operationId}`}
+              role="option"
+              aria-selected={index === highlightedIndex}
+              // onMouseDown fires before the input's blur, so the click is not lost
+              onMouseDown={(e) => {
+                e.preventDefault();
+                selectOperation(operation);
+              }}
+              onMouseEnter={() => setHighlightedIndex(index)}
+              className={`px-3 py-2 cursor-pointer text-sm ${index === highlightedIndex ? 'bg-blue-50' : ''}`}
+            >
+              <span className="font-mono font-semibold text-blue-700 mr-2">{operation.method}</span>
+              <span className="font-mono">{operation.path}</span>
+              {operation.summary && <span className="block text-xs text-gray-500 truncate">{operation.summary}</span>}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+export default EndpointInput;
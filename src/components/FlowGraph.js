@@ -0,0 +1,121 @@
+import React, { useMemo } from 'react';
+import { buildScreenFlow, layoutScreenFlow } from '../utils/screenFlow';
+
+const NODE_WIDTH = 180;
+const NODE_HEIGHT = 140;
+const THUMBNAIL_HEIGHT = 110;
+const COLUMN_GAP = 120;
+const ROW_GAP = 70;
+const MARGIN = 40;
+
+// Cubic bezier path of an edge and the point halfway along it for the label. Forward edges run from the
+// right of one screen to the left of the next; edges back to the same or an earlier column bend below the
+// screens, and a screen leading to itself gets a loop on its top right corner.
+const edgeGeometry = (from, to) => {
+  if (from === to) {
+    const x = from.x + NODE_WIDTH - 30;
+    const { y } = from;
+    return { d: `M ${x} ${y} C ${x} ${y - 60}, ${x + 90} ${y + 10}, ${x + 30} ${y + 30}`, labelX: x + 40, labelY: y - 30 };
+  }
+  let start;
+  let end;
+  let c1;
+  let c2;
+  if (to.x > from.x) {
+    start = { x: from.x + NODE_WIDTH, y: from.y + NODE_HEIGHT / 2 };
+    end = { x: to.x, y: to.y + NODE_HEIGHT / 2 };
+    const bend = (end.x - start.x) / 2;
+    c1 = { x: start.x + bend, y: start.y };
+    c2 = { x: end.x - bend, y: end.y };
+  } else {
+    start = { x: from.x + NODE_WIDTH / 2, y: from.y + NODE_HEIGHT };
+    end = { x: to.x + NODE_WIDTH / 2, y: to.y + NODE_HEIGHT };
+    const depth = ROW_GAP * 0.8;
+    c1 = { x: start.x, y: Math.max(start.y, end.y) + depth };
+    c2 = { x: end.x, y: Math.max(start.y, end.y) + depth };
+  }
+  return {
+    d: `M ${start.x} ${start.y} C ${c1.x} ${c1.y}, ${c2.x} ${c2.y}, ${end.x} ${end.y}`,
+    labelX: (start.x + 3 * c1.x + 3 * c2.x + end.x) / 8,
+    labelY: (start.y + 3 * c1.y + 3 * c2.y + end.y) / 8,
+  };
+};
+
+// Screen flow of the project (utils/screenFlow): mockups as nodes and the regions leading from one to another
+// as arrows labelled with the region and its API call. Clicking a screen calls `onJump({ imageId })`, clicking
+// an arrow `onJump({ imageId, annotationId })` with the region it starts from.
+function FlowGraph({ images, onJump }) {
+  const flow = useMemo(() => buildScreenFlow(images), [images]);
+  const positions = useMemo(() => layoutScreenFlow(flow), [flow]);
+
+  const points = new Map(flow.nodes.map((node) => {
+    const { column, row } = positions.get(node.id);
+    return [node.id, { x: MARGIN + column * (NODE_WIDTH + COLUMN_GAP), y: MARGIN + row * (NODE_HEIGHT + ROW_GAP) }];
+  }));
+  const columns = Math.max(...[...positions.values()].map((position) => position.column)) + 1;
+  const rows = Math.max(...[...positions.values()].map((position) => position.row)) + 1;
+  const width = 2 * MARGIN + columns * NODE_WIDTH + (columns - 1) * COLUMN_GAP;
+  const height = 2 * MARGIN + rows * NODE_HEIGHT + (rows - 1) * ROW_GAP + ROW_GAP;
+
+  return (
+    <div className="w-full bg-white p-6 rounded-xl shadow-lg">
+      <div className="flex items-center justify-between gap-4 mb-4 border-b pb-2">
+        <h2 className="text-xl font-semibold text-gray-800">Screen Flow</h2>
+        <p className="text-sm text-gray-500">
+          {flow.nodes.length} screen{flow.nodes.length === 1 ? '' : 's'}, {flow.edges.length} link{flow.edges.length === 1 ? '' : 's'}
+        </p>
+      </div>
+      {flow.edges.length === 0 && (
+        <p className="text-gray-500 text-sm mb-4">
+          No links yet. Choose the mockup a region leads to under &quot;Leads to&quot; in its details.
+        </p>
+      )}
+      <div className="overflow-auto">
+        <svg width={width} height={height} className="font-sans" role="img" aria-label="Screen flow graph">
+          <defs>
+            <marker id="flow-arrow" viewBox="0 0 10 10" refX="9" refY="5" markerWidth="8" markerHeight="8" orient="auto-start-reverse">
+              <path d="M 0 0 L 10 5 L 0 10 z" fill="#2563eb" />
+            </marker>
+          </defs>
+          {flow.edges.map((edge) => {
+            const { d, labelX, labelY } = edgeGeometry(points.get(edge.from), points.get(edge.to));
+            return (
+              <g
+                key={edge.id}
+                className="cursor-pointer group"
+                onClick={() => onJump({ imageId: edge.from, annotationId: edge.annotationId })}
+              >
+                <title>{edge.call ? `${edge.label}: ${edge.call}` : edge.label}</title>
+                <path d={d} fill="none" stroke="transparent" strokeWidth="12" />
+                <path d={d} fill="none" stroke="#2563eb" strokeWidth="2" markerEnd="url(#flow-arrow)" className="group-hover:stroke-blue-800" />
+                <text x={labelX} y={labelY - 4} textAnchor="middle" fontSize="12" fill="#1f2937" stroke="white" strokeWidth="4" paintOrder="stroke">
+                  {edge.label}
+                </text>
+                {edge.call && (
+                  <text x={labelX} y={labelY + 10} textAnchor="middle" fontSize="10" fontFamily="monospace" fill="#2563eb" stroke="white" strokeWidth="4" paintOrder="stroke">
+                    {edge.call}
+                  </text>
+                )}
+              </g>
+            );
+          })}
+          {flow.nodes.map((node) => {
+            const { x, y } = points.get(node.id);
+            return (
+              <g key={node.id} className="cursor-pointer" onClick={() => onJump({ imageId: node.id })}>
+                <title>{node.name}</title>
+                <rect x={x} y={y} width={NODE_WIDTH} height={NODE_HEIGHT} rx="8" fill="white" stroke="#9ca3af" strokeWidth="1.5" />
+                <image href={node.url} x={x + 4} y={y + 4} width={NODE_WIDTH - 8} height={THUMBNAIL_HEIGHT - 8} preserveAspectRatio="xMidYMid meet" />
+                <text x={x + NODE_WIDTH / 2} y={y + THUMBNAIL_HEIGHT + 18} textAnchor="middle" fontSize="13" fontWeight="600" fill="#1f2937">
+                  {node.name.length > 24 ? `${node.name.slice(0, 23)}…` : node.name}
+                </text>
+              </g>
+            );
+          })}
+        </svg>
+      </div>
+    </div>
+  );
+}
+
+export default FlowGraph;
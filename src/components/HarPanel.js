@@ -0,0 +1,57 @@
+import React, { useState } from 'react';
+import { HAR_CALL_DRAG_TYPE } from '../utils/harImport';
+
+// Status badge colour of a captured call
+const statusClassName = (status) => {
+  if (!status || status >= 500) return 'bg-red-100 text-red-800';
+  if (status >= 400) return 'bg-amber-100 text-amber-800';
+  return 'bg-green-100 text-green-800';
+};
+
+// The API calls of an imported HAR recording (utils/harImport). Calls are dragged onto a region of the
+// mockup to fill it in, or onto empty space to create a region; `onApply(call)` fills the selected region
+// instead and is left out when nothing is selected.
+function HarPanel({ calls, onApply }) {
+  const [filter, setFilter] = useState('');
+  const words = filter.trim().toLowerCase().split(/\s+/).filter(Boolean);
+  const visible = calls.filter((call) => words.every((word) => `${call.method} ${call.url}`.toLowerCase().includes(word)));
+
+  return (
+    <div className="flex flex-col gap-2">
+      <input
+        type="search"
+        value={filter}
+        onChange={(e) => setFilter(e.target.value)}
+        placeholder={`Filter ${calls.length} recorded call${calls.length === 1 ? '' : 's'}`}
+        aria-label="Filter recorded calls"
+        className="px-3 py-2 border border-gray-300 rounded-md shadow-sm text-sm focus:ring-blue-400 focus:border-blue-400 outline-none"
+      />
+      <p className="text-gray-500 text-xs">Drag a call onto a region to fill it in, or onto the mockup to add a region.</p>
+      <ul className="flex flex-col gap-1 max-h-64 overflow-y-auto">
+        {visible.map((call) => (
+          <li
+            key={call.id}
+            draggable
+            onDragStart={(e) => {
+              e.dataTransfer.setData(HAR_CALL_DRAG_TYPE, call.id);
+              e.dataTransfer.effectAllowed = 'copy';
+            }}
+            className="flex items-center gap-2 px-2 py-1 border border-gray-200 rounded-md text-xs bg-white cursor-grab hover:bg-blue-50"
+            title={call.url}
+          >
+            <span className="font-mono font-semibold text-blue-700">{call.method}</span>
+            <span className="font-mono truncate flex-1">{call.template}</span>
+            <span className={`px-1.5 rounded ${statusClassName(call.status)}`}>{call.status || 'ERR'}</span>
+            {onApply && (
+              <button type="button" onClick={() => onApply(call)} className="text-blue-600 hover:text-blue-800" title="Fill the selected region with this call">
+                Use
+              </button>
+            )}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
+
+export default HarPanel;
@@ -0,0 +1,55 @@
+import React from 'react';
+
+// Editable list of headers ([{ key, value }]) with example values. Changes are reported as
+// `onChange(headers, historyOptions)`; `coalesceKey` groups the keystrokes of one field into one undo step.
+function HeaderListEditor({ label, headers = [], onChange, coalesceKey, addLabel = '+ Add Header' }) {
+  const updateHeader = (index, field, value) => onChange(
+    headers.map((header, i) => (i === index ? { ...header, [field]: value } : header)),
+    { label: `Edit ${label.toLowerCase()}`, coalesceKey: `${coalesceKey}-${field}-${index}` }
+  );
+
+  return (
+    <div className="mb-4">
+      <label className="block text-sm font-medium text-gray-700 mb-2">{label}</label>
+      {headers.map((header, index) => (
+        <div key={index} className="flex items-center gap-2 mb-2">
+          <input
+            type="text"
+            value={header.key}
+            onChange={(e) => updateHeader(index, 'key', e.target.value)}
+            aria-label={`${label} name`}
+            className="flex-1 border border-gray-300 rounded-md shadow-sm p-2 text-sm font-mono focus:ring-blue-400 focus:border-blue-400 outline-none"
+            placeholder="Header-Name"
+          />
+          <input
+            type="text"
+            value={header.value}
+            onChange={(e) => updateHeader(index, 'value', e.target.value)}
+            aria-label={`${label} example value`}
+            className="flex-1 border border-gray-300 rounded-md shadow-sm p-2 text-sm focus:ring-blue-400 focus:border-blue-400 outline-none"
+            placeholder="example value"
+          />
+          <button
+            type="button"
+            onClick={() => onChange(headers.filter((_, i) => i !== index), { label: `Remove header from ${label.toLowerCase()}` })}
+            className="p-2 text-red-600 hover:text-red-800 rounded-full transition-colors duration-200"
+            title="Remove header"
+          >
+            <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5" viewBox="0 0 20 20" fill="currentColor">
+              <path fillRule="evenodd" d="M9 2a1 1 0 00-.894.553L7.382 4H4a1 1 0 000 2v10a2 2 0 002 2h8a2 2 0 002-2V6a1 1 0 100-2h-3.382l-.724-1.447A1 1 0 0011 2H9zM7 8a1 1 0 011-1h4a1 1 0 110 2H8a1 1 0 01-1-1zm2 3a1 1 0 011-1h4a1 1 0 110 2H10a1 1 0 01-1-1z" clipRule="evenodd" />
+            </svg>
+          </button>
+        </div>
+      ))}
+      <button
+        type="button"
+        onClick={() => onChange([...headers, { key: '', value: '' }], { label: `Add header to ${label.toLowerCase()}` })}
+        className="px-3 py-1 bg-gray-200 text-gray-700 rounded-md text-xs font-medium hover:bg-gray-300 transition-colors duration-200"
+      >
+        {addLabel}
+      </button>
+    </div>
+  );
+}
+
+export default HeaderListEditor;
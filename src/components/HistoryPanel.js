@@ -0,0 +1,53 @@
+import React from 'react';
+
+// Sidebar list of undo history steps; clicking a step jumps back (or forward) to it. Without `onJump` the
+// steps are only listed.
+function HistoryPanel({ entries, index, onJump, onUndo, onRedo, canUndo, canRedo }) {
+  return (
+    <div className="flex flex-col gap-2">
+      <div className="flex gap-2">
+        <button
+          type="button"
+          onClick={onUndo}
+          disabled={!canUndo}
+          className="flex-1 px-3 py-1.5 bg-gray-200 text-gray-700 rounded-md text-sm hover:bg-gray-300 disabled:opacity-50 disabled:hover:bg-gray-200"
+          title="Undo (Ctrl+Z)"
+        >
+          Undo
+        </button>
+        <button
+          type="button"
+          onClick={onRedo}
+          disabled={!canRedo}
+          className="flex-1 px-3 py-1.5 bg-gray-200 text-gray-700 rounded-md text-sm hover:bg-gray-300 disabled:opacity-50 disabled:hover:bg-gray-200"
+          title="Redo (Ctrl+Shift+Z)"
+        >
+          Redo
+        </button>
+      </div>
+      <ol className="max-h-48 overflow-y-auto text-sm border border-gray-200 rounded-md bg-white">
+        {entries.map((entry, entryIndex) => (
+          <li key={`${entryIndex}-${entry.label}`}>
+            <button
+              type="button"
+              onClick={() => onJump(entryIndex)}
+              disabled={!onJump}
+              className={`block w-full text-left px-3 py-1 truncate ${
+                entryIndex === index
+                  ? 'bg-blue-100 text-blue-800 font-semibold'
+                  : entryIndex > index
+                    ? 'text-gray-400 hover:bg-gray-50'
+                    : 'text-gray-700 hover:bg-gray-50'
+              } disabled:hover:bg-transparent disabled:cursor-default`}
+              title={entry.label}
+            >
+              {entry.label}
+            </button>
+          </li>
+        ))}
+      </ol>
+    </div>
+  );
+}
+
+export default HistoryPanel;
@@ -0,0 +1,64 @@
+import React from 'react';
+
+// Dialog summarising a project import: how much was loaded, which entries were rejected and why,
+// and what was repaired along the way. `report` is { fileName, imported, fatal?, errors, warnings }.
+function ImportReport({ report, onClose }) {
+  const { fileName, imported, fatal, errors = [], warnings = [] } = report;
+  let summary;
+  if (fatal) summary = `Nothing was imported: ${fatal}`;
+  else if (imported === 0) summary = 'Nothing was imported: every mockup in the file was rejected.';
+  else summary = `Imported ${imported} mockup${imported === 1 ? '' : 's'}${errors.length > 0 ? `; ${errors.length} entr${errors.length === 1 ? 'y was' : 'ies were'} rejected` : ''}.`;
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black bg-opacity-40" onClick={onClose}>
+      <div
+        role="dialog"
+        aria-labelledby="import-report-title"
+        className="w-full max-w-2xl max-h-[80vh] flex flex-col bg-white rounded-xl shadow-2xl"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="p-5 border-b border-gray-200">
+          <h2 id="import-report-title" className="text-lg font-semibold text-gray-800">Import report</h2>
+          <p className="text-xs text-gray-500 mt-1">{fileName}</p>
+          <p className={`text-sm mt-3 ${fatal || imported === 0 ? 'text-red-700' : 'text-gray-700'}`}>{summary}</p>
+        </div>
+        <div className="p-5 overflow-y-auto flex flex-col gap-4 text-sm">
+          {errors.length > 0 && (
+            <section>
+              <h3 className="font-semibold text-red-700 mb-2">Rejected</h3>
+              <ul className="flex flex-col gap-2">
+                {errors.map(({ entry, problems }, index) => (
+                  <li key={`${index}-${entry}`} className="bg-red-50 border border-red-200 rounded-md p-2">
+                    <p className="font-medium text-red-800">{entry}</p>
+                    <ul className="list-disc ml-5 text-red-700">
+                      {problems.map((problem) => <li key={problem}>{problem}</li>)}
+                    </ul>
+                  </li>
+                ))}
+              </ul>
+            </section>
+          )}
+          {warnings.length > 0 && (
+            <section>
+              <h3 className="font-semibold text-amber-700 mb-2">Repaired</h3>
+              <ul className="list-disc ml-5 text-amber-800">
+                {warnings.map((warning, index) => <li key={`${index}-${warning}`}>{warning}</li>)}
+              </ul>
+            </section>
+          )}
+        </div>
+        <div className="p-4 border-t border-gray-200 flex justify-end">
+          <button
+            type="button"
+            onClick={onClose}
+            className="px-4 py-2 bg-blue-600 text-white rounded-lg text-sm font-medium hover:bg-blue-700"
+          >
+            Close
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default ImportReport;
@@ -0,0 +1,48 @@
+import React, { useRef } from 'react';
+import { parseJsonExample } from '../utils/schema';
+
+// Textarea for a JSON example that validates as you type and points at the first syntax error
+function JsonTextarea({ id, name, value, onChange, rows = 4, placeholder }) {
+  const textareaRef = useRef(null);
+  const { error, line, column, offset } = parseJsonExample(value);
+
+  // Selects the character the parser stopped at so the typo is easy to spot
+  const jumpToError = () => {
+    const textarea = textareaRef.current;
+    if (!textarea) return;
+    textarea.focus();
+    textarea.setSelectionRange(offset, Math.min(offset + 1, value.length));
+  };
+
+  return (
+    <>
+      <textarea
+        ref={textareaRef}
+        id={id}
+        name={name}
+        value={value}
+        onChange={onChange}
+        rows={rows}
+        spellCheck="false"
+        aria-invalid={Boolean(error)}
+        aria-describedby={error ? `${id}-error` : undefined}
+        className={`mt-1 block w-full border rounded-md shadow-sm p-2 font-mono text-sm focus:ring-2 outline-none transition-all duration-200 ${
+          error
+            ? 'border-red-500 bg-red-50 focus:ring-red-400 focus:border-red-400'
+            : 'border-gray-300 focus:ring-blue-400 focus:border-blue-400'
+        }`}
+        placeholder={placeholder}
+      ></textarea>
+      {error && (
+        <p id={`${id}-error`} className="mt-1 text-xs text-red-700">
+          <button type="button" onClick={jumpToError} className="font-semibold underline mr-1">
+            Line {line}, column {column}:
+          </button>
+          {error}
+        </p>
+      )}
+    </>
+  );
+}
+
+export default JsonTextarea;
@@ -0,0 +1,92 @@
+import React from 'react';
+import { buildLayerTree, getShape, isDescendantOf } from '../utils/regions';
+
+const SHAPE_ICONS = { rect: '▭', polygon: '⬠', freehand: '✎' };
+
+const sectionName = (annotation, index) => annotation.apiDetails.name || `Section ${index + 1}`;
+
+// Sidebar tree of the current mockup's regions, topmost first, with z-order and parent controls for the selected one.
+// `selectedIndex` is the primary selection; `selectedIndexes` also highlights the rest of a multi-selection.
+function LayerTree({ annotations, selectedIndex, selectedIndexes = [], onSelect, onToggleSelect, onMove, onSetParent }) {
+  if (annotations.length === 0) {
+    return <p className="text-gray-500 text-xs">Regions you draw on the mockup are listed here.</p>;
+  }
+
+  // Like the canvas, the tree lists the topmost sibling first
+  const renderNodes = (nodes, depth) => [...nodes].reverse().map((node) => (
+    <li key={node.annotation.id}>
+      <button
+        type="button"
+        onClick={(e) => (e.shiftKey && onToggleSelect ? onToggleSelect(node.index) : onSelect(node.index))}
+        className={`flex items-center w-full text-left py-1 pr-3 truncate ${
+          node.index === selectedIndex
+            ? 'bg-blue-100 text-blue-800 font-semibold'
+            : selectedIndexes.includes(node.index)
+              ? 'bg-blue-50 text-blue-800'
+              : 'text-gray-700 hover:bg-gray-50'
+        }`}
+        style={{ paddingLeft: `${0.75 + depth * 1}rem` }}
+        title={`${node.annotation.apiDetails.method} ${node.annotation.apiDetails.endpoint || '(no endpoint)'}`}
+      >
+        <span className="w-4 mr-1 text-gray-400" aria-hidden="true">{SHAPE_ICONS[getShape(node.annotation)]}</span>
+        <span className="truncate">{sectionName(node.annotation, node.index)}</span>
+      </button>
+      {node.children.length > 0 && <ul>{renderNodes(node.children, depth + 1)}</ul>}
+    </li>
+  ));
+
+  const selected = selectedIndex !== null ? annotations[selectedIndex] : null;
+  // A region can't be nested inside itself or one of its own children
+  const parentOptions = selected
+    ? annotations
+      .map((annotation, index) => ({ annotation, index }))
+      .filter(({ annotation }) => !isDescendantOf(annotations, annotation.id, selected.id))
+    : [];
+  const zOrderButtons = [
+    { direction: 'front', label: '⤒', title: 'Bring to front' },
+    { direction: 'forward', label: '↑', title: 'Bring forward' },
+    { direction: 'backward', label: '↓', title: 'Send backward' },
+    { direction: 'back', label: '⤓', title: 'Send to back' },
+  ];
+
+  return (
+    <div className="flex flex-col gap-2">
+      <ul className="max-h-56 overflow-y-auto text-sm border border-gray-200 rounded-md bg-white">
+        {renderNodes(buildLayerTree(annotations), 0)}
+      </ul>
+      {selected && (
+        <div className="flex flex-col gap-2 text-sm">
+          <div className="flex gap-1">
+            {zOrderButtons.map(({ direction, label, title }) => (
+              <button
+                key={direction}
+                type="button"
+                onClick={() => onMove(selectedIndex, direction)}
+                className="flex-1 px-2 py-1 bg-gray-200 text-gray-700 rounded-md hover:bg-gray-300"
+                title={title}
+                aria-label={title}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+          <label className="flex items-center gap-2 text-xs text-gray-600">
+            Parent
+            <select
+              value={selected.parentId || ''}
+              onChange={(e) => onSetParent(selectedIndex, e.target.value || null)}
+              className="flex-1 px-2 py-1 border border-gray-300 rounded-md text-sm bg-white"
+            >
+              <option value="">None (top level)</option>
+              {parentOptions.map(({ annotation, index }) => (
+                <option key={annotation.id} value={annotation.id}>{sectionName(annotation, index)}</option>
+              ))}
+            </select>
+          </label>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default LayerTree;
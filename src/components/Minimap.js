@@ -0,0 +1,71 @@
+import React, { useRef } from 'react';
+
+const MINIMAP_WIDTH = 160;
+const MINIMAP_MAX_HEIGHT = 200;
+
+// Thumbnail of the whole mockup with its regions and the visible part outlined; click or drag to move there
+function Minimap({ imageUrl, imageSize, annotations, visibleRect, onNavigate }) {
+  const mapRef = useRef(null);
+  if (!imageSize.width || !imageSize.height) return null;
+
+  // Tall mockups are fitted by height instead of width
+  const scale = Math.min(MINIMAP_WIDTH / imageSize.width, MINIMAP_MAX_HEIGHT / imageSize.height);
+  const width = imageSize.width * scale;
+  const height = imageSize.height * scale;
+
+  const navigate = (event) => {
+    const rect = mapRef.current.getBoundingClientRect();
+    onNavigate({
+      x: Math.min(1, Math.max(0, (event.clientX - rect.left) / rect.width)),
+      y: Math.min(1, Math.max(0, (event.clientY - rect.top) / rect.height)),
+    });
+  };
+
+  const handleMouseDown = (event) => {
+    event.preventDefault();
+    event.stopPropagation(); // Don't start drawing or panning on the canvas underneath
+    navigate(event);
+    const handleMouseMove = (moveEvent) => navigate(moveEvent);
+    const handleMouseUp = () => {
+      window.removeEventListener('mousemove', handleMouseMove);
+      window.removeEventListener('mouseup', handleMouseUp);
+    };
+    window.addEventListener('mousemove', handleMouseMove);
+    window.addEventListener('mouseup', handleMouseUp);
+  };
+
+  return (
+    <div
+      ref={mapRef}
+      className="absolute bottom-3 right-3 bg-white border border-gray-300 rounded shadow-lg overflow-hidden cursor-pointer"
+      style={{ width: `${width}px`, height: `${height}px`, zIndex: annotations.length + 10 }}
+      onMouseDown={handleMouseDown}
+      title="Minimap: click or drag to move around the mockup"
+    >
+      <img src={imageUrl} alt="" className="w-full h-full opacity-80" draggable="false" />
+      {annotations.map((annotation) => (
+        <div
+          key={annotation.id}
+          className="absolute border border-red-500"
+          style={{
+            left: `${annotation.ratioX * 100}%`,
+            top: `${annotation.ratioY * 100}%`,
+            width: `${annotation.ratioWidth * 100}%`,
+            height: `${annotation.ratioHeight * 100}%`,
+          }}
+        />
+      ))}
+      <div
+        className="absolute border-2 border-blue-600 bg-blue-500 bg-opacity-10"
+        style={{
+          left: `${visibleRect.x * 100}%`,
+          top: `${visibleRect.y * 100}%`,
+          width: `${visibleRect.width * 100}%`,
+          height: `${visibleRect.height * 100}%`,
+        }}
+      />
+    </div>
+  );
+}
+
+export default Minimap;
@@ -0,0 +1,119 @@
+import React from 'react';
+import { newParameter, PARAM_LOCATIONS, PARAM_TYPES } from '../utils/parameters';
+
+const inputClass = 'border border-gray-300 rounded-md shadow-sm p-2 text-sm focus:ring-blue-400 focus:border-blue-400 outline-none';
+
+// Parameters of an annotation (see utils/parameters). Path parameters follow the endpoint's placeholders,
+// so their location and required flag are fixed here. Changes are reported as `onChange(parameters, historyOptions)`.
+function ParametersEditor({ annotationId, parameters, onChange }) {
+  const updateParameter = (index, changes, historyOptions) => onChange(
+    parameters.map((param, i) => (i === index ? { ...param, ...changes } : param)),
+    historyOptions
+  );
+  const editKey = (index, field) => ({ label: 'Edit parameter', coalesceKey: `edit-${annotationId}-param-${field}-${index}` });
+
+  return (
+    <div className="mb-4">
+      <label className="block text-sm font-medium text-gray-700 mb-2">Parameters</label>
+      {parameters.map((param, index) => {
+        const isPath = param.in === 'path';
+        return (
+          <div key={index} className="mb-2 p-2 border border-gray-200 rounded-lg">
+            <div className="flex items-center gap-2">
+              <input
+                type="text"
+                value={param.key}
+                onChange={(e) => updateParameter(index, { key: e.target.value }, editKey(index, 'key'))}
+                aria-label="Parameter name"
+                className={`flex-1 min-w-0 font-mono ${inputClass}`}
+                placeholder="name"
+              />
+              <select
+                value={param.in || 'query'}
+                onChange={(e) => updateParameter(index, { in: e.target.value, required: e.target.value === 'path' || Boolean(param.required) }, { label: 'Change parameter location' })}
+                aria-label="Parameter location"
+                className={inputClass}
+              >
+                {PARAM_LOCATIONS.map((location) => <option key={location} value={location}>{location}</option>)}
+              </select>
+              <select
+                value={PARAM_TYPES.includes(param.type) ? param.type : 'string'}
+                onChange={(e) => updateParameter(index, { type: e.target.value }, { label: 'Change parameter type' })}
+                aria-label="Parameter type"
+                className={inputClass}
+              >
+                {PARAM_TYPES.map((type) => <option key={type} value={type}>{type}</option>)}
+              </select>
+              <label className="flex items-center gap-1 text-xs text-gray-700" title={isPath ? 'Path parameters are always required' : undefined}>
+                <input
+                  type="checkbox"
+                  checked={isPath || Boolean(param.required)}
+                  disabled={isPath}
+                  onChange={(e) => updateParameter(index, { required: e.target.checked }, { label: 'Change parameter required' })}
+                />
+                Required
+              </label>
+              <button
+                type="button"
+                onClick={() => onChange(parameters.filter((_, i) => i !== index), { label: 'Remove parameter' })}
+                className="p-2 text-red-600 hover:text-red-800 rounded-full transition-colors duration-200"
+                title="Remove parameter"
+              >
+                <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5" viewBox="0 0 20 20" fill="currentColor">
+                  <path fillRule="evenodd" d="M9 2a1 1 0 00-.894.553L7.382 4H4a1 1 0 000 2v10a2 2 0 002 2h8a2 2 0 002-2V6a1 1 0 100-2h-3.382l-.724-1.447A1 1 0 0011 2H9zM7 8a1 1 0 011-1h4a1 1 0 110 2H8a1 1 0 01-1-1zm2 3a1 1 0 011-1h4a1 1 0 110 2H10a1 1 0 01-1-1z" clipRule="evenodd" />
+                </svg>
+              </button>
+            </div>
+            <details className="mt-1 text-sm">
+              <summary className="cursor-pointer text-gray-600 select-none">Description, allowed values and examples</summary>
+              <div className="mt-2 grid grid-cols-2 gap-2">
+                <input
+                  type="text"
+                  value={param.description || ''}
+                  onChange={(e) => updateParameter(index, { description: e.target.value }, editKey(index, 'description'))}
+                  aria-label="Parameter description"
+                  className={`col-span-2 ${inputClass}`}
+                  placeholder="Description"
+                />
+                {/* Split on commas without trimming, so the text typed so far ("asc, ") survives the round trip */}
+                <input
+                  type="text"
+                  value={(param.enum || []).join(',')}
+                  onChange={(e) => updateParameter(index, { enum: e.target.value === '' ? [] : e.target.value.split(',') }, editKey(index, 'enum'))}
+                  aria-label="Allowed values"
+                  className={`col-span-2 font-mono ${inputClass}`}
+                  placeholder="Allowed values, comma-separated (any when empty)"
+                />
+                <input
+                  type="text"
+                  value={param.default || ''}
+                  onChange={(e) => updateParameter(index, { default: e.target.value }, editKey(index, 'default'))}
+                  aria-label="Default value"
+                  className={`font-mono ${inputClass}`}
+                  placeholder="Default"
+                />
+                <input
+                  type="text"
+                  value={param.example || ''}
+                  onChange={(e) => updateParameter(index, { example: e.target.value }, editKey(index, 'example'))}
+                  aria-label="Example value"
+                  className={`font-mono ${inputClass}`}
+                  placeholder="Example"
+                />
+              </div>
+            </details>
+          </div>
+        );
+      })}
+      <button
+        type="button"
+        onClick={() => onChange([...parameters, newParameter()], { label: 'Add parameter' })}
+        className="mt-2 px-4 py-2 bg-gray-200 text-gray-700 rounded-md text-sm font-medium hover:bg-gray-300 transition-colors duration-200 w-full"
+      >
+        + Add Parameter
+      </button>
+    </div>
+  );
+}
+
+export default ParametersEditor;
@@ -0,0 +1,47 @@
+import React from 'react';
+
+// Other collaborators on the canvas: their mouse cursors and the regions they have selected, in their colours.
+// Positions are ratios of the mockup, scaled to its displayed size.
+function PeerOverlay({ peers, annotations, displayedWidth, displayedHeight, zIndex }) {
+  return (
+    <>
+      {peers.flatMap((peer) => peer.selection
+        .map((annotationId) => annotations.find((annotation) => annotation.id === annotationId))
+        .filter(Boolean)
+        .map((annotation) => (
+          <div
+            key={`${peer.clientId}-${annotation.id}`}
+            className="absolute border-2 border-dashed rounded-md pointer-events-none"
+            style={{
+              left: `${annotation.ratioX * displayedWidth - 3}px`,
+              top: `${annotation.ratioY * displayedHeight - 3}px`,
+              width: `${annotation.ratioWidth * displayedWidth + 6}px`,
+              height: `${annotation.ratioHeight * displayedHeight + 6}px`,
+              borderColor: peer.color,
+              zIndex,
+            }}
+          >
+            <span className="absolute -top-5 left-0 px-1 rounded text-xs text-white whitespace-nowrap" style={{ backgroundColor: peer.color }}>
+              {peer.name}
+            </span>
+          </div>
+        )))}
+      {peers.filter((peer) => peer.cursor).map((peer) => (
+        <div
+          key={peer.clientId}
+          className="absolute pointer-events-none"
+          style={{ left: `${peer.cursor.x * displayedWidth}px`, top: `${peer.cursor.y * displayedHeight}px`, zIndex: zIndex + 1 }}
+        >
+          <svg width="16" height="20" viewBox="0 0 16 20" className="drop-shadow" aria-hidden="true">
+            <path d="M1 1 L1 16 L5 12 L8 19 L11 18 L8 11 L14 11 Z" fill={peer.color} stroke="white" strokeWidth="1.5" />
+          </svg>
+          <span className="absolute left-4 top-4 px-1 rounded text-xs text-white whitespace-nowrap" style={{ backgroundColor: peer.color }}>
+            {peer.name}
+          </span>
+        </div>
+      ))}
+    </>
+  );
+}
+
+export default PeerOverlay;
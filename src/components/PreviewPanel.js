@@ -0,0 +1,121 @@
+import React from 'react';
+
+// Colour of the status badge for a response (or a network error)
+const statusClassName = (entry) => {
+  if (entry.pending) return 'bg-gray-200 text-gray-700';
+  if (entry.response.error || entry.response.status >= 500) return 'bg-red-100 text-red-800';
+  if (entry.response.status >= 400) return 'bg-amber-100 text-amber-800';
+  return 'bg-green-100 text-green-800';
+};
+
+// Right-sidebar panel for prototype preview: target settings, whether clicking a linked region opens the
+// mockup it leads to, and a log of the calls fired so far
+function PreviewPanel({ settings, onChangeSettings, log, onClearLog }) {
+  return (
+    <div className="flex flex-col gap-4">
+      <div>
+        <span className="block text-sm font-medium text-gray-700 mb-2">Send requests to</span>
+        <div className="flex flex-col gap-2 text-sm">
+          <label className="flex items-center gap-2">
+            <input
+              type="radio"
+              name="preview-mode"
+              value="mock"
+              checked={settings.mode === 'mock'}
+              onChange={() => onChangeSettings({ ...settings, mode: 'mock' })}
+            />
+            In-browser mock (annotated responses)
+          </label>
+          <label className="flex items-center gap-2">
+            <input
+              type="radio"
+              name="preview-mode"
+              value="live"
+              checked={settings.mode === 'live'}
+              onChange={() => onChangeSettings({ ...settings, mode: 'live' })}
+            />
+            Live backend
+          </label>
+          <input
+            type="text"
+            value={settings.baseUrl}
+            onChange={(e) => onChangeSettings({ ...settings, baseUrl: e.target.value })}
+            disabled={settings.mode !== 'live'}
+            className="block w-full border border-gray-300 rounded-md shadow-sm p-2 text-sm font-mono focus:ring-blue-400 focus:border-blue-400 outline-none disabled:bg-gray-100 disabled:text-gray-400"
+            placeholder="http://localhost:8080"
+            aria-label="Base URL"
+          />
+        </div>
+      </div>
+
+      <label className="flex items-center gap-2 text-sm">
+        <input
+          type="checkbox"
+          checked={settings.followLinks}
+          onChange={(e) => onChangeSettings({ ...settings, followLinks: e.target.checked })}
+        />
+        Follow screen links (click-through)
+      </label>
+
+      <div className="flex items-center justify-between border-b pb-2">
+        <span className="text-sm font-medium text-gray-700">Calls ({log.length})</span>
+        {log.length > 0 && (
+          <button type="button" onClick={onClearLog} className="text-xs text-blue-600 hover:text-blue-800">
+            Clear
+          </button>
+        )}
+      </div>
+
+      {log.length === 0 && (
+        <p className="text-gray-500 text-sm">Click an annotated region on the mockup to fire its API call.</p>
+      )}
+
+      {log.map((entry) => (
+        <details key={entry.id} open={entry === log[0]} className="border border-gray-200 rounded-lg p-3 text-sm">
+          <summary className="cursor-pointer flex items-center gap-2">
+            <span className={`px-2 py-0.5 rounded text-xs font-semibold ${statusClassName(entry)}`}>
+              {entry.pending ? '…' : entry.response.error ? 'ERR' : entry.response.status}
+            </span>
+            <span className="font-mono font-semibold text-blue-700">{entry.request.badge || entry.request.method}</span>
+            <span className="font-mono truncate flex-1" title={entry.request.url}>{entry.request.path}</span>
+            {!entry.pending && <span className="text-xs text-gray-500">{Math.round(entry.response.latency)} ms</span>}
+          </summary>
+          <div className="mt-3 flex flex-col gap-2">
+            <p className="text-xs text-gray-600">
+              {entry.name} &middot; {entry.mode === 'mock' ? 'mock' : entry.request.url}
+            </p>
+            {entry.request.body !== undefined && (
+              <div>
+                <span className="block text-xs font-medium text-gray-700 mb-1">
+                  {entry.request.protocol === 'websocket' ? 'Subscribe message' : 'Request body'}
+                </span>
+                <pre className="bg-gray-50 border border-gray-200 rounded p-2 text-xs overflow-x-auto">{entry.request.body}</pre>
+              </div>
+            )}
+            {!entry.pending && entry.response.error && (
+              <p className="text-xs text-red-700 bg-red-50 border border-red-200 rounded p-2">
+                {entry.response.error}
+                {entry.mode === 'live' && (
+                  <span className="block mt-1">Check that the backend is running and allows CORS requests from this page.</span>
+                )}
+              </p>
+            )}
+            {!entry.pending && !entry.response.error && (
+              <div>
+                <span className="block text-xs font-medium text-gray-700 mb-1">
+                  {entry.request.protocol === 'websocket' || entry.request.protocol === 'sse' ? 'Events' : 'Response'}
+                  {' '}{entry.response.status} {entry.response.statusText}
+                </span>
+                <pre className="bg-gray-50 border border-gray-200 rounded p-2 text-xs overflow-x-auto max-h-64">
+                  {entry.response.body || '(empty body)'}
+                </pre>
+              </div>
+            )}
+          </div>
+        </details>
+      ))}
+    </div>
+  );
+}
+
+export default PreviewPanel;
@@ -0,0 +1,95 @@
+import React from 'react';
+import { countBySeverity, LINT_RULES, ruleSeverity, SEVERITIES } from '../utils/apiLint';
+
+const SEVERITY_STYLES = {
+  error: 'bg-red-100 text-red-800',
+  warning: 'bg-amber-100 text-amber-800',
+  info: 'bg-blue-100 text-blue-800',
+};
+
+// Results of the API consistency linter (utils/apiLint). Clicking a problem calls `onJump({ imageId, annotationId })`;
+// problems with an automatic fix offer it through `onFix(problem)`. The rule list at the bottom sets each
+// rule's severity for this project.
+function ProblemsPanel({ problems, images, severities, onChangeSeverity, onJump, onFix }) {
+  const counts = countBySeverity(problems);
+
+  const locationOf = ({ imageId, annotationId }) => {
+    const image = images.find((img) => img.id === imageId);
+    if (!image) return '';
+    const index = image.annotations.findIndex((annotation) => annotation.id === annotationId);
+    if (index === -1) return image.name;
+    return `${image.name} › ${image.annotations[index].apiDetails.name || `Section ${index + 1}`}`;
+  };
+
+  return (
+    <div className="w-full bg-white p-6 rounded-xl shadow-lg">
+      <div className="flex items-center justify-between gap-4 mb-4 border-b pb-2">
+        <h2 className="text-xl font-semibold text-gray-800">Problems</h2>
+        <p className="flex gap-2 text-xs">
+          {['error', 'warning', 'info'].map((severity) => (
+            <span key={severity} className={`px-2 py-0.5 rounded ${SEVERITY_STYLES[severity]}`}>
+              {counts[severity]} {severity}{counts[severity] === 1 ? '' : 's'}
+            </span>
+          ))}
+        </p>
+      </div>
+      {problems.length === 0 ? (
+        <p className="text-gray-500 text-sm mb-4">No problems found.</p>
+      ) : (
+        <ul className="flex flex-col gap-1 mb-6">
+          {problems.map((problem, index) => (
+            <li key={`${problem.ruleId}-${problem.imageId}-${problem.annotationId}-${index}`} className="flex items-start gap-2">
+              <button
+                type="button"
+                onClick={() => onJump(problem)}
+                className="flex-1 flex items-start gap-2 text-left px-2 py-1 rounded-md text-sm hover:bg-blue-50"
+              >
+                <span className={`px-1.5 rounded text-xs font-medium ${SEVERITY_STYLES[problem.severity]}`}>{problem.severity}</span>
+                <span className="flex-1">
+                  <span className="text-gray-900">{problem.message}</span>
+                  <span className="block text-xs text-gray-500">{locationOf(problem)} · {problem.ruleId}</span>
+                </span>
+              </button>
+              {problem.fix && (
+                <button
+                  type="button"
+                  onClick={() => onFix(problem)}
+                  className="px-2 py-1 bg-gray-200 text-gray-700 rounded-md text-xs hover:bg-gray-300 whitespace-nowrap"
+                >
+                  {problem.fix.label}
+                </button>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+      <details className="text-sm">
+        <summary className="cursor-pointer font-medium text-gray-700">Rules</summary>
+        <table className="mt-2 w-full">
+          <tbody>
+            {LINT_RULES.map((rule) => (
+              <tr key={rule.id} className="border-t border-gray-100">
+                <td className="py-1 pr-2">
+                  <span className="text-gray-900">{rule.title}</span>
+                  <span className="block text-xs text-gray-500">{rule.description}</span>
+                </td>
+                <td className="py-1 text-right">
+                  <select
+                    value={ruleSeverity(rule, severities)}
+                    onChange={(e) => onChangeSeverity(rule.id, e.target.value)}
+                    aria-label={`Severity of ${rule.title}`}
+                    className="border border-gray-300 rounded-md p-1 text-xs"
+                  >
+                    {SEVERITIES.map((severity) => <option key={severity} value={severity}>{severity}</option>)}
+                  </select>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </details>
+    </div>
+  );
+}
+
+export default ProblemsPanel;
@@ -0,0 +1,62 @@
+import React from 'react';
+
+const SAVE_STATUS_LABELS = {
+  saving: 'Saving…',
+  saved: 'All changes saved',
+  error: 'Autosave failed',
+  unavailable: 'Autosave unavailable in this browser',
+};
+
+// Header controls for switching between locally saved projects, renaming and deleting them
+function ProjectSwitcher({ projects, currentProjectId, projectName, saveStatus, onRename, onSwitch, onCreate, onDelete }) {
+  return (
+    <div className="flex items-center gap-2">
+      <select
+        value={currentProjectId || ''}
+        onChange={(e) => onSwitch(e.target.value)}
+        className="border border-gray-300 rounded-md shadow-sm p-2 text-sm focus:ring-blue-400 focus:border-blue-400 outline-none max-w-[12rem]"
+        aria-label="Switch project"
+      >
+        {projects.map((project) => (
+          <option key={project.id} value={project.id}>
+            {project.id === currentProjectId ? projectName || 'Untitled project' : project.name || 'Untitled project'}
+          </option>
+        ))}
+        {!projects.some((project) => project.id === currentProjectId) && (
+          <option value={currentProjectId || ''}>{projectName || 'Untitled project'}</option>
+        )}
+      </select>
+      <input
+        type="text"
+        value={projectName}
+        onChange={(e) => onRename(e.target.value)}
+        className="border border-gray-300 rounded-md shadow-sm p-2 text-sm focus:ring-blue-400 focus:border-blue-400 outline-none w-44"
+        placeholder="Project name"
+        aria-label="Project name"
+      />
+      <button
+        type="button"
+        onClick={onCreate}
+        className="px-3 py-2 bg-gray-200 text-gray-700 rounded-lg text-sm font-medium hover:bg-gray-300 transition-colors duration-200"
+        title="Start a new project"
+      >
+        New
+      </button>
+      <button
+        type="button"
+        onClick={onDelete}
+        className="px-3 py-2 text-red-600 hover:text-red-800 rounded-lg text-sm font-medium"
+        title="Delete this project from the browser"
+      >
+        Delete
+      </button>
+      {saveStatus && (
+        <span className={`text-xs ${saveStatus === 'error' ? 'text-red-600' : 'text-gray-500'}`}>
+          {SAVE_STATUS_LABELS[saveStatus]}
+        </span>
+      )}
+    </div>
+  );
+}
+
+export default ProjectSwitcher;
@@ -0,0 +1,114 @@
+import React from 'react';
+import HeaderListEditor from './HeaderListEditor';
+import JsonTextarea from './JsonTextarea';
+import { CONTENT_TYPES, isJsonContentType, isValidStatus, newResponse, statusText } from '../utils/responses';
+
+// The responses of an HTTP annotation other than the main one: error cases, empty states and the like.
+// Each can be tied to a region of the mockup (`regions`: [{ id, label }]) showing that UI state.
+// Changes are reported as `onChange(apiDetails, historyOptions)`.
+function ResponsesEditor({ annotationId, apiDetails, regions, onChange }) {
+  const responses = apiDetails.responses || [];
+
+  const updateResponse = (index, changes, historyOptions) => onChange(
+    { ...apiDetails, responses: responses.map((response, i) => (i === index ? { ...response, ...changes } : response)) },
+    historyOptions
+  );
+
+  return (
+    <div className="mb-4">
+      <label className="block text-sm font-medium text-gray-700 mb-2">Other Responses</label>
+      {responses.map((response, index) => {
+        const fieldId = `response-${annotationId}-${index}`;
+        const editKey = `edit-${annotationId}-response-${index}`;
+        return (
+          <div key={index} className="mb-3 p-3 border border-gray-200 rounded-lg">
+            <div className="flex items-center gap-2 mb-2">
+              <input
+                type="text"
+                value={response.status}
+                onChange={(e) => updateResponse(index, { status: e.target.value }, { label: 'Edit response status', coalesceKey: `${editKey}-status` })}
+                aria-label="Status code"
+                aria-invalid={!isValidStatus(response.status)}
+                className={`w-20 border rounded-md shadow-sm p-2 text-sm font-mono outline-none ${isValidStatus(response.status) ? 'border-gray-300' : 'border-red-500 bg-red-50'}`}
+                placeholder="404"
+              />
+              <input
+                type="text"
+                value={response.description}
+                onChange={(e) => updateResponse(index, { description: e.target.value }, { label: 'Edit response description', coalesceKey: `${editKey}-description` })}
+                aria-label="Response description"
+                className="flex-1 border border-gray-300 rounded-md shadow-sm p-2 text-sm focus:ring-blue-400 focus:border-blue-400 outline-none"
+                placeholder={statusText(response.status) || 'What this response means'}
+              />
+              <button
+                type="button"
+                onClick={() => onChange({ ...apiDetails, responses: responses.filter((_, i) => i !== index) }, { label: 'Remove response' })}
+                className="p-2 text-red-600 hover:text-red-800 rounded-full transition-colors duration-200"
+                title="Remove response"
+              >
+                <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5" viewBox="0 0 20 20" fill="currentColor">
+                  <path fillRule="evenodd" d="M9 2a1 1 0 00-.894.553L7.382 4H4a1 1 0 000 2v10a2 2 0 002 2h8a2 2 0 002-2V6a1 1 0 100-2h-3.382l-.724-1.447A1 1 0 0011 2H9zM7 8a1 1 0 011-1h4a1 1 0 110 2H8a1 1 0 01-1-1zm2 3a1 1 0 011-1h4a1 1 0 110 2H10a1 1 0 01-1-1z" clipRule="evenodd" />
+                </svg>
+              </button>
+            </div>
+            <div className="flex items-center gap-2 mb-2">
+              <select
+                value={response.contentType}
+                onChange={(e) => updateResponse(index, { contentType: e.target.value }, { label: 'Change response content type' })}
+                aria-label="Content type"
+                className="flex-1 border border-gray-300 rounded-md shadow-sm p-2 text-sm outline-none"
+              >
+                {CONTENT_TYPES.map((contentType) => <option key={contentType} value={contentType}>{contentType}</option>)}
+              </select>
+              <select
+                value={response.regionId || ''}
+                onChange={(e) => updateResponse(index, { regionId: e.target.value || null }, { label: 'Mark response state' })}
+                aria-label="Shown in region"
+                className="flex-1 border border-gray-300 rounded-md shadow-sm p-2 text-sm outline-none"
+              >
+                <option value="">Not shown in the mockup</option>
+                {regions.map((region) => <option key={region.id} value={region.id}>Shown in {region.label}</option>)}
+              </select>
+            </div>
+            {isJsonContentType(response.contentType) ? (
+              <JsonTextarea
+                id={`${fieldId}-body`}
+                name={`${fieldId}-body`}
+                value={response.body}
+                onChange={(e) => updateResponse(index, { body: e.target.value }, { label: 'Edit response body', coalesceKey: `${editKey}-body` })}
+                rows="3"
+                placeholder='{"error": "Not found"}'
+              />
+            ) : (
+              <textarea
+                value={response.body}
+                onChange={(e) => updateResponse(index, { body: e.target.value }, { label: 'Edit response body', coalesceKey: `${editKey}-body` })}
+                aria-label="Response body"
+                rows="3"
+                className="mt-1 block w-full border border-gray-300 rounded-md shadow-sm p-2 font-mono text-sm focus:ring-2 focus:ring-blue-400 focus:border-blue-400 outline-none"
+                placeholder="Response body"
+              ></textarea>
+            )}
+            <div className="mt-2">
+              <HeaderListEditor
+                label="Headers"
+                headers={response.headers}
+                onChange={(headers, historyOptions) => updateResponse(index, { headers }, historyOptions)}
+                coalesceKey={`${editKey}-header`}
+              />
+            </div>
+          </div>
+        );
+      })}
+      <button
+        type="button"
+        onClick={() => onChange({ ...apiDetails, responses: [...responses, newResponse(apiDetails)] }, { label: 'Add response' })}
+        className="mt-2 px-4 py-2 bg-gray-200 text-gray-700 rounded-md text-sm font-medium hover:bg-gray-300 transition-colors duration-200 w-full"
+      >
+        + Add Response
+      </button>
+    </div>
+  );
+}
+
+export default ResponsesEditor;
@@ -0,0 +1,123 @@
+import React from 'react';
+import {
+  SCHEMA_TYPES,
+  STRING_FORMAT_OPTIONS,
+  getBaseType,
+  isNullable,
+  updateSchemaAt,
+  withBaseType,
+  withNullable,
+} from '../utils/schema';
+
+const selectClassName = 'border border-gray-300 rounded p-0.5 text-xs bg-white focus:ring-blue-400 focus:border-blue-400 outline-none';
+
+// One row of the schema tree plus its children (object properties or array items)
+function SchemaNode({ label, schema, path, depth, required, onToggleRequired, onUpdate }) {
+  const baseType = getBaseType(schema);
+  const update = (updater) => onUpdate(path, updater);
+
+  return (
+    <>
+      <div className="flex items-center gap-1.5 py-1 text-xs" style={{ paddingLeft: `${depth * 12}px` }}>
+        <span className="font-mono text-gray-800 truncate flex-1" title={label}>{label}</span>
+        {Array.isArray(schema.anyOf) ? (
+          <span className="text-gray-500 italic">mixed</span>
+        ) : (
+          <>
+            <select
+              value={baseType || ''}
+              onChange={(e) => update((current) => withBaseType(current, e.target.value))}
+              className={selectClassName}
+              aria-label={`Type of ${label}`}
+            >
+              {!baseType && <option value="">any</option>}
+              {SCHEMA_TYPES.map((type) => <option key={type} value={type}>{type}</option>)}
+            </select>
+            {baseType === 'string' && (
+              <select
+                value={schema.format || ''}
+                onChange={(e) => update((current) => {
+                  const { format, ...rest } = current;
+                  return e.target.value ? { ...rest, format: e.target.value } : rest;
+                })}
+                className={selectClassName}
+                aria-label={`Format of ${label}`}
+              >
+                <option value="">no format</option>
+                {STRING_FORMAT_OPTIONS.map((format) => <option key={format} value={format}>{format}</option>)}
+              </select>
+            )}
+            {baseType !== 'null' && (
+              <label className="flex items-center gap-0.5 text-gray-600" title="Value may be null">
+                <input
+                  type="checkbox"
+                  checked={isNullable(schema)}
+                  onChange={(e) => update((current) => withNullable(current, e.target.checked))}
+                />
+                null
+              </label>
+            )}
+          </>
+        )}
+        {onToggleRequired && (
+          <label className="flex items-center gap-0.5 text-gray-600" title="Property must be present">
+            <input type="checkbox" checked={required} onChange={onToggleRequired} />
+            req
+          </label>
+        )}
+      </div>
+
+      {baseType === 'object' && Object.entries(schema.properties || {}).map(([key, propertySchema]) => {
+        const requiredKeys = schema.required || [];
+        return (
+          <SchemaNode
+            key={key}
+            label={key}
+            schema={propertySchema}
+            path={[...path, 'properties', key]}
+            depth={depth + 1}
+            required={requiredKeys.includes(key)}
+            onToggleRequired={() => update((current) => {
+              const currentRequired = current.required || [];
+              const nextRequired = currentRequired.includes(key)
+                ? currentRequired.filter((k) => k !== key)
+                : [...currentRequired, key];
+              const { required: dropped, ...rest } = current;
+              return nextRequired.length > 0 ? { ...rest, required: nextRequired } : rest;
+            })}
+            onUpdate={onUpdate}
+          />
+        );
+      })}
+      {baseType === 'array' && (
+        <SchemaNode
+          label="[items]"
+          schema={schema.items || {}}
+          path={[...path, 'items']}
+          depth={depth + 1}
+          onUpdate={onUpdate}
+        />
+      )}
+    </>
+  );
+}
+
+// Tree editor for the JSON Schema of a request/response body: types, nullability, required fields and formats
+function SchemaEditor({ schema, onChange }) {
+  if (!schema) {
+    return <p className="text-xs text-gray-500">Enter a valid JSON example to infer a schema.</p>;
+  }
+  return (
+    <div className="border border-gray-200 rounded-md px-2 py-1 bg-gray-50 max-h-64 overflow-y-auto">
+      <SchemaNode
+        label="(body)"
+        schema={schema}
+        path={[]}
+        depth={0}
+        onUpdate={(path, updater) => onChange(updateSchemaAt(schema, path, updater))}
+      />
+    </div>
+  );
+}
+
+export default SchemaEditor;
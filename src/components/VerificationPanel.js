@@ -0,0 +1,80 @@
+import React from 'react';
+import { countOutcomes } from '../utils/contractVerification';
+
+const OUTCOME_STYLES = {
+  passed: 'bg-green-100 text-green-800',
+  failed: 'bg-red-100 text-red-800',
+  error: 'bg-amber-100 text-amber-800',
+  skipped: 'bg-gray-100 text-gray-700',
+};
+
+// Runs the contract verification (utils/contractVerification) against a backend and lists what didn't pass.
+// Clicking a result calls `onJump({ imageId, annotationId })`; the outcome of each region also shows as a
+// badge on the mockup.
+function VerificationPanel({ baseUrl, onChangeBaseUrl, results, total, isRunning, onRun, onJump, onDownloadReport }) {
+  const counts = countOutcomes(results);
+  const problems = results.filter((result) => result.outcome === 'failed' || result.outcome === 'error');
+
+  return (
+    <div className="flex flex-col gap-2 text-sm">
+      <input
+        type="text"
+        value={baseUrl}
+        onChange={(e) => onChangeBaseUrl(e.target.value)}
+        className="block w-full border border-gray-300 rounded-md shadow-sm p-2 text-sm font-mono focus:ring-blue-400 focus:border-blue-400 outline-none"
+        placeholder="http://localhost:8080"
+        aria-label="Backend base URL"
+      />
+      <button
+        type="button"
+        onClick={onRun}
+        disabled={isRunning || total === 0 || !baseUrl.trim()}
+        className="w-full px-4 py-2 bg-teal-600 text-white rounded-lg text-sm font-medium hover:bg-teal-700 transition-colors duration-200 shadow-md disabled:opacity-50 disabled:hover:bg-teal-600"
+      >
+        {isRunning ? `Verifying… ${results.length} of ${total}` : 'Verify Against Backend'}
+      </button>
+      {results.length === 0 && !isRunning && (
+        <p className="text-gray-500 text-xs">Calls every annotated operation with its examples and checks the answers against the documented responses.</p>
+      )}
+      {results.length > 0 && (
+        <p className="flex flex-wrap gap-1 text-xs">
+          {['passed', 'failed', 'error', 'skipped'].map((outcome) => (
+            <span key={outcome} className={`px-2 py-0.5 rounded ${OUTCOME_STYLES[outcome]}`}>
+              {counts[outcome]} {outcome}
+            </span>
+          ))}
+        </p>
+      )}
+      {problems.length > 0 && (
+        <ul className="flex flex-col gap-1 max-h-64 overflow-y-auto">
+          {problems.map((result) => (
+            <li key={`${result.imageId}-${result.annotationId}`}>
+              <button
+                type="button"
+                onClick={() => onJump(result)}
+                className="block w-full text-left px-2 py-1 rounded-md text-xs hover:bg-blue-50"
+              >
+                <span className={`px-1.5 rounded font-medium ${OUTCOME_STYLES[result.outcome]}`}>{result.outcome}</span>
+                <span className="ml-1 text-gray-900">{result.imageName} › {result.name}</span>
+                {result.messages.map((message) => (
+                  <span key={message} className="block text-gray-600 truncate" title={message}>{message}</span>
+                ))}
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+      {results.length > 0 && !isRunning && (
+        <button
+          type="button"
+          onClick={onDownloadReport}
+          className="w-full px-4 py-2 bg-gray-200 text-gray-700 rounded-lg text-sm font-medium hover:bg-gray-300 transition-colors duration-200"
+        >
+          Download JUnit Report
+        </button>
+      )}
+    </div>
+  );
+}
+
+export default VerificationPanel;
@@ -0,0 +1,189 @@
+import { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+import * as Y from 'yjs';
+import { applyImagesToDoc, docToImages, isDocEmpty, LOCAL_ORIGIN, peersFromAwareness } from '../utils/collab';
+
+// Cursor positions are broadcast at most this often
+const CURSOR_THROTTLE_MS = 50;
+
+// Key in the room's local cache holding the project this tab last synced with the room
+const SYNCED_PROJECT_KEY = 'projectId';
+
+// The sync client is only downloaded once someone joins a session
+const loadProviders = async () => {
+  const [{ WebsocketProvider }, { IndexeddbPersistence }] = await Promise.all([import('y-websocket'), import('y-indexeddb')]);
+  return { WebsocketProvider, IndexeddbPersistence };
+};
+
+// Keeps `images` in sync with everyone else in a collaboration room while `session` ({ serverUrl, room, name })
+// is set. Local edits are written into a shared Yjs document; remote edits arrive through `onRemoteImages(images)`.
+// The document is also kept in IndexedDB, so edits made while offline are merged when the connection returns,
+// as long as the room is rejoined from the same project (`projectId`).
+// Returns the connection `status` ('off', 'connecting', 'connected' or 'offline'), the other `peers`,
+// `updatePresence({ imageId, cursor, selection })` to share what this user is looking at, and once the
+// document is in sync `sharedHistory` ({ undo, redo, canUndo, canRedo }, else null): undo and redo that take
+// back only this tab's own edits, leaving everyone else's in place.
+export default function useCollaboration({ session, projectId, images, onRemoteImages }) {
+  const [status, setStatus] = useState('off');
+  const [peers, setPeers] = useState([]);
+  const [undoStacks, setUndoStacks] = useState(null);
+  const docRef = useRef(null);
+  const providerRef = useRef(null);
+  const undoManagerRef = useRef(null);
+  const readyRef = useRef(false);
+  // The last images received from (or sent to) the document; anything else is a local edit
+  const syncedImagesRef = useRef(null);
+  const imagesRef = useRef(images);
+  imagesRef.current = images;
+  const onRemoteImagesRef = useRef(onRemoteImages);
+  onRemoteImagesRef.current = onRemoteImages;
+  const cursorTimerRef = useRef(null);
+  const pendingCursorRef = useRef(undefined);
+
+  const serverUrl = session ? session.serverUrl : null;
+  const room = session ? session.room : null;
+  const name = session ? session.name : null;
+  const nameRef = useRef(name);
+  nameRef.current = name;
+  const projectIdRef = useRef(projectId);
+  projectIdRef.current = projectId;
+
+  useEffect(() => {
+    if (!serverUrl || !room) {
+      setStatus('off');
+      setPeers([]);
+      return undefined;
+    }
+    let cancelled = false;
+    const doc = new Y.Doc();
+    let provider = null;
+    let persistence = null;
+    docRef.current = doc;
+    readyRef.current = false;
+    setStatus('connecting');
+
+    const adoptDoc = () => {
+      const next = docToImages(doc);
+      syncedImagesRef.current = next;
+      onRemoteImagesRef.current(next);
+    };
+    const pushLocal = () => {
+      applyImagesToDoc(doc, imagesRef.current);
+      syncedImagesRef.current = imagesRef.current;
+    };
+    // Tracks this tab's edits from here on; seeding or merging the project into the document is not undoable
+    const startUndoManager = () => {
+      const undoManager = new Y.UndoManager(doc.getMap('images'), { trackedOrigins: new Set([LOCAL_ORIGIN]) });
+      const updateStacks = () => setUndoStacks({ canUndo: undoManager.canUndo(), canRedo: undoManager.canRedo() });
+      ['stack-item-added', 'stack-item-popped', 'stack-cleared'].forEach((event) => undoManager.on(event, updateStacks));
+      undoManagerRef.current = undoManager;
+      updateStacks();
+    };
+    const rememberProject = () => {
+      if (!persistence) return;
+      persistence.set(SYNCED_PROJECT_KEY, projectIdRef.current).catch((error) => console.error("Failed to remember the room's project:", error));
+    };
+
+    doc.on('update', (update, origin) => {
+      if (origin !== LOCAL_ORIGIN && readyRef.current) adoptDoc();
+    });
+
+    const start = async () => {
+      try {
+        const { WebsocketProvider, IndexeddbPersistence } = await loadProviders();
+        if (cancelled) return;
+        persistence = typeof indexedDB === 'undefined' ? null : new IndexeddbPersistence(`ui-mocks-collab-${room}`, doc);
+        if (persistence) await persistence.whenSynced;
+        if (cancelled) return;
+
+        // Having synced this project with the room before, whatever changed locally since is an edit to merge.
+        // Otherwise the room's content is adopted (cached from a visit with another project, or once it
+        // arrives from the server), or seeded from this project if the room is new.
+        if (!isDocEmpty(doc)) {
+          const syncedProjectId = persistence ? await persistence.get(SYNCED_PROJECT_KEY) : undefined;
+          if (cancelled) return;
+          if (syncedProjectId === projectIdRef.current) pushLocal();
+          else adoptDoc();
+          readyRef.current = true;
+          startUndoManager();
+          rememberProject();
+        }
+
+        provider = new WebsocketProvider(serverUrl, room, doc);
+        providerRef.current = provider;
+        provider.awareness.setLocalStateField('user', { name: nameRef.current });
+        provider.on('status', ({ status: connection }) => {
+          if (!cancelled) setStatus(connection === 'connected' ? 'connected' : 'offline');
+        });
+        provider.on('sync', (isSynced) => {
+          if (!isSynced || readyRef.current || cancelled) return;
+          if (isDocEmpty(doc)) pushLocal();
+          else adoptDoc();
+          readyRef.current = true;
+          startUndoManager();
+          rememberProject();
+        });
+        const handleAwareness = () => {
+          if (!cancelled) setPeers(peersFromAwareness(provider.awareness.getStates(), doc.clientID));
+        };
+        provider.awareness.on('change', handleAwareness);
+        handleAwareness();
+      } catch (error) {
+        console.error("Failed to start collaboration:", error);
+        if (!cancelled) setStatus('offline');
+      }
+    };
+    start();
+
+    return () => {
+      cancelled = true;
+      clearTimeout(cursorTimerRef.current);
+      cursorTimerRef.current = null;
+      if (undoManagerRef.current) undoManagerRef.current.destroy();
+      undoManagerRef.current = null;
+      setUndoStacks(null);
+      if (provider) provider.destroy();
+      if (persistence) persistence.destroy();
+      doc.destroy();
+      docRef.current = null;
+      providerRef.current = null;
+      readyRef.current = false;
+      syncedImagesRef.current = null;
+      setPeers([]);
+    };
+  }, [serverUrl, room]);
+
+  useEffect(() => {
+    if (providerRef.current) providerRef.current.awareness.setLocalStateField('user', { name });
+  }, [name]);
+
+  // Local edits (including undo/redo) are written into the shared document
+  useEffect(() => {
+    if (!readyRef.current || !docRef.current || images === syncedImagesRef.current) return;
+    applyImagesToDoc(docRef.current, images);
+    syncedImagesRef.current = images;
+  }, [images]);
+
+  const updatePresence = useCallback(({ cursor, ...fields }) => {
+    const provider = providerRef.current;
+    if (!provider) return;
+    Object.entries(fields).forEach(([key, value]) => provider.awareness.setLocalStateField(key, value));
+    if (cursor === undefined) return;
+    pendingCursorRef.current = cursor;
+    if (cursorTimerRef.current) return;
+    cursorTimerRef.current = setTimeout(() => {
+      cursorTimerRef.current = null;
+      if (providerRef.current) providerRef.current.awareness.setLocalStateField('cursor', pendingCursorRef.current);
+    }, CURSOR_THROTTLE_MS);
+  }, []);
+
+  // Undoing changes the document like a remote edit would, so the result reaches the app via onRemoteImages
+  const undo = useCallback(() => {
+    if (undoManagerRef.current) undoManagerRef.current.undo();
+  }, []);
+  const redo = useCallback(() => {
+    if (undoManagerRef.current) undoManagerRef.current.redo();
+  }, []);
+  const sharedHistory = useMemo(() => (undoStacks ? { undo, redo, ...undoStacks } : null), [undoStacks, undo, redo]);
+
+  return { status, peers, updatePresence, sharedHistory };
+}
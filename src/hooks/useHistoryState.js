@@ -0,0 +1,63 @@
+import { useCallback, useReducer } from 'react';
+import {
+  canRedo,
+  canUndo,
+  createHistory,
+  currentState,
+  jumpTo,
+  pushState,
+  redo,
+  replaceState,
+  undo,
+} from '../utils/history';
+
+const historyReducer = (history, action) => {
+  switch (action.type) {
+    case 'set': {
+      const next = typeof action.updater === 'function' ? action.updater(currentState(history)) : action.updater;
+      return pushState(history, next, action.options);
+    }
+    case 'replace':
+      return replaceState(history, action.state);
+    case 'undo':
+      return undo(history);
+    case 'redo':
+      return redo(history);
+    case 'jump':
+      return jumpTo(history, action.index);
+    case 'reset':
+      return createHistory(action.state, action.label);
+    default:
+      return history;
+  }
+};
+
+// useState-like hook with undo/redo. `setState(updater, { label, coalesceKey })` records a labelled step.
+export default function useHistoryState(initialState) {
+  const [history, dispatch] = useReducer(historyReducer, initialState, (state) => createHistory(state));
+
+  const setState = useCallback((updater, options = {}) => {
+    dispatch({ type: 'set', updater, options: { ...options, time: Date.now() } });
+  }, []);
+  const undoState = useCallback(() => dispatch({ type: 'undo' }), []);
+  const redoState = useCallback(() => dispatch({ type: 'redo' }), []);
+  const jumpToEntry = useCallback((index) => dispatch({ type: 'jump', index }), []);
+  // Starts a fresh history, e.g. when another project is opened
+  const resetState = useCallback((state, label) => dispatch({ type: 'reset', state, label }), []);
+  // Changes the present state without an undo step
+  const replaceCurrentState = useCallback((state) => dispatch({ type: 'replace', state }), []);
+
+  return {
+    state: currentState(history),
+    setState,
+    undo: undoState,
+    redo: redoState,
+    jumpTo: jumpToEntry,
+    reset: resetState,
+    replace: replaceCurrentState,
+    canUndo: canUndo(history),
+    canRedo: canRedo(history),
+    entries: history.entries,
+    index: history.index,
+  };
+}
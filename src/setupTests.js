@@ -3,3 +3,8 @@
 // expect(element).toHaveTextContent(/react/i)
 // learn more: https://github.com/testing-library/jest-dom
 import '@testing-library/jest-dom';
+
+// lib0 (used by Yjs) expects the Web Crypto API, which the Jest environment doesn't provide
+if (!global.crypto || !global.crypto.subtle) {
+  Object.defineProperty(global, 'crypto', { value: require('crypto').webcrypto, configurable: true });
+}
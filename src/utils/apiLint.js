@@ -0,0 +1,314 @@
+import { normalizePath, pathParamNames } from './openapi';
+import { endpointPathParams, newParameter, normalizeParameter, parameterValueProblems } from './parameters';
+import { BODY_LABELS, describeOperation, getProtocol } from './protocols';
+import { isJsonContentType, mainStatus } from './responses';
+import { getBaseType, getEffectiveSchema, parseJsonExample } from './schema';
+import { linkTarget } from './screenFlow';
+
+// Consistency checks across all annotations of a project. Each rule reports problems as
+// { ruleId, severity, message, imageId, annotationId, fix }, where annotationId is null for problems with a
+// whole mockup and `fix`, when present, is { label, apiDetails } with the corrected details of the annotation.
+//
+// Severities can be changed per project; 'off' disables a rule.
+
+export const SEVERITIES = ['error', 'warning', 'info', 'off'];
+
+const BODYLESS_METHODS = ['GET', 'DELETE', 'HEAD', 'OPTIONS'];
+const KEBAB_CASE_SEGMENT = /^[a-z0-9]+(-[a-z0-9]+)*$/;
+const CAMEL_CASE_NAME = /^[a-z][a-zA-Z0-9]*$/;
+// A parameter key written as a path placeholder, e.g. "{id}" or ":id"
+const PLACEHOLDER_KEY = /^(?:\{(.+)\}|:(.+))$/;
+
+const sectionName = (annotation, index) => annotation.apiDetails.name || `Section ${index + 1}`;
+
+const declaredKeys = (apiDetails) => (apiDetails.parameters || []).map((param) => String(param.key || '').trim()).filter(Boolean);
+
+// Where two schemas of the same body disagree on a type, as { path, types }, or null when they are compatible.
+// Properties present in only one of them are not a conflict: examples often show only part of a body.
+export const findSchemaConflict = (a, b, path = []) => {
+  const typeA = getBaseType(a || {});
+  const typeB = getBaseType(b || {});
+  if (!typeA || !typeB || typeA === 'null' || typeB === 'null') return null;
+  const numeric = ['integer', 'number'];
+  if (typeA !== typeB && !(numeric.includes(typeA) && numeric.includes(typeB))) return { path, types: [typeA, typeB] };
+  if (typeA === 'object') {
+    const propertiesB = b.properties || {};
+    const shared = Object.keys(a.properties || {}).filter((key) => key in propertiesB);
+    for (let i = 0; i < shared.length; i += 1) {
+      const conflict = findSchemaConflict(a.properties[shared[i]], propertiesB[shared[i]], [...path, shared[i]]);
+      if (conflict) return conflict;
+    }
+  }
+  if (typeA === 'array' && a.items && b.items) return findSchemaConflict(a.items, b.items, [...path, '[]']);
+  return null;
+};
+
+const formatSchemaPath = (path) => (path.length === 0 ? 'the body' : `"${path.join('.').replace(/\.\[\]/g, '[]')}"`);
+
+export const LINT_RULES = [
+  {
+    id: 'conflicting-schemas',
+    title: 'Conflicting schemas',
+    description: 'Annotations of the same operation describe a request or response field with different types.',
+    defaultSeverity: 'error',
+    check: (images, report) => {
+      // Compared per operation: the GraphQL operations sharing an endpoint have unrelated variables and data
+      const operations = new Map();
+      images.forEach((image) => image.annotations.forEach((annotation, index) => {
+        const operation = describeOperation(annotation.apiDetails);
+        if (!operation) return;
+        if (!operations.has(operation.key)) operations.set(operation.key, { label: `${operation.badge} ${operation.target}`, sources: [] });
+        operations.get(operation.key).sources.push({ image, annotation, index });
+      }));
+      operations.forEach(({ label, sources }) => {
+        ['request', 'response'].forEach((kind) => {
+          const withSchema = sources
+            .map((source) => ({ ...source, schema: getEffectiveSchema(source.annotation.apiDetails, kind) }))
+            .filter((source) => source.schema);
+          const [first, ...rest] = withSchema;
+          rest.forEach((source) => {
+            const conflict = findSchemaConflict(first.schema, source.schema);
+            if (!conflict) return;
+            report(source.image, source.annotation, `The ${kind} of ${label} has ${formatSchemaPath(conflict.path)} as ${conflict.types[1]} here, `
+              + `but as ${conflict.types[0]} in "${sectionName(first.annotation, first.index)}" on ${first.image.name}.`);
+          });
+        });
+      });
+    },
+  },
+  {
+    id: 'undeclared-path-param',
+    title: 'Undeclared path parameters',
+    description: 'The endpoint has a {placeholder} that is not declared as a path parameter.',
+    defaultSeverity: 'error',
+    check: (images, report) => {
+      images.forEach((image) => image.annotations.forEach((annotation) => {
+        const { apiDetails } = annotation;
+        const placeholders = endpointPathParams(apiDetails.endpoint);
+        const parameters = (apiDetails.parameters || []).map((param) => normalizeParameter(param, placeholders));
+        // Keys written as placeholders ("{id}") are left to the unused-path-param rule
+        const keys = declaredKeys(apiDetails).map((key) => {
+          const match = key.match(PLACEHOLDER_KEY);
+          return match ? match[1] || match[2] : key;
+        });
+        const missing = placeholders.filter((name) => !keys.includes(name));
+        if (missing.length > 0) {
+          report(image, annotation, `Path parameter${missing.length === 1 ? '' : 's'} ${missing.map((name) => `"${name}"`).join(', ')} `
+            + `${missing.length === 1 ? 'is' : 'are'} not declared.`, {
+            label: `Declare ${missing.map((name) => `"${name}"`).join(', ')}`,
+            apiDetails: { ...apiDetails, parameters: [...(apiDetails.parameters || []), ...missing.map((name) => newParameter({ key: name, in: 'path', required: true }))] },
+          });
+        }
+        parameters.forEach((param, index) => {
+          const key = String(param.key || '').trim();
+          if (!placeholders.includes(key) || param.in === 'path') return;
+          report(image, annotation, `Parameter "${key}" is declared in the ${param.in} but the endpoint has a {${key}} placeholder.`, {
+            label: 'Make it a path parameter',
+            apiDetails: { ...apiDetails, parameters: apiDetails.parameters.map((item, i) => (i === index ? { ...item, in: 'path', required: true } : item)) },
+          });
+        });
+      }));
+    },
+  },
+  {
+    id: 'unused-path-param',
+    title: 'Unused path parameters',
+    description: 'A path parameter does not appear in the endpoint, or is written as a placeholder ({id} or :id) instead of its bare name.',
+    defaultSeverity: 'warning',
+    check: (images, report) => {
+      images.forEach((image) => image.annotations.forEach((annotation) => {
+        const { apiDetails } = annotation;
+        const placeholders = pathParamNames(normalizePath(apiDetails.endpoint));
+        (apiDetails.parameters || []).forEach((param, index) => {
+          const key = String(param.key || '').trim();
+          const match = key.match(PLACEHOLDER_KEY);
+          if (!match) {
+            if (key && param.in === 'path' && !placeholders.includes(key)) {
+              report(image, annotation, `Path parameter "${key}" does not appear in the endpoint.`, {
+                label: 'Move it to the query',
+                apiDetails: { ...apiDetails, parameters: apiDetails.parameters.map((item, i) => (i === index ? { ...item, in: 'query', required: false } : item)) },
+              });
+            }
+            return;
+          }
+          const name = match[1] || match[2];
+          if (placeholders.includes(name)) {
+            report(image, annotation, `Parameter "${key}" should be named "${name}".`, {
+              label: `Rename to "${name}"`,
+              apiDetails: { ...apiDetails, parameters: apiDetails.parameters.map((item, i) => (i === index ? { ...item, key: name, in: 'path', required: true } : item)) },
+            });
+          } else {
+            report(image, annotation, `Path parameter "${name}" does not appear in the endpoint.`);
+          }
+        });
+      }));
+    },
+  },
+  {
+    id: 'invalid-parameter-value',
+    title: 'Invalid parameter values',
+    description: 'The default or example of a parameter does not fit its type or allowed values.',
+    defaultSeverity: 'warning',
+    check: (images, report) => {
+      images.forEach((image) => image.annotations.forEach((annotation) => {
+        (annotation.apiDetails.parameters || []).forEach((param) => {
+          const key = String(param.key || '').trim();
+          if (!key) return;
+          parameterValueProblems(param).forEach((problem) => report(image, annotation, `Parameter "${key}": ${problem}`));
+        });
+      }));
+    },
+  },
+  {
+    id: 'invalid-json-body',
+    title: 'Invalid JSON bodies',
+    description: 'A request or response example with a JSON content type is not valid JSON.',
+    defaultSeverity: 'error',
+    check: (images, report) => {
+      images.forEach((image) => image.annotations.forEach((annotation) => {
+        const labels = BODY_LABELS[getProtocol(annotation.apiDetails)];
+        ['request', 'response'].forEach((kind) => {
+          const { error, line, column } = parseJsonExample(annotation.apiDetails[`${kind}Body`]);
+          if (error) report(image, annotation, `The ${(labels[kind] || `${kind} body`).toLowerCase()} is not valid JSON (line ${line}, column ${column}).`);
+        });
+        (annotation.apiDetails.responses || []).filter((response) => isJsonContentType(response.contentType)).forEach((response) => {
+          const { error, line, column } = parseJsonExample(response.body);
+          if (error) report(image, annotation, `The ${response.status} response body is not valid JSON (line ${line}, column ${column}).`);
+        });
+      }));
+    },
+  },
+  {
+    id: 'body-on-bodyless-method',
+    title: 'Request bodies on GET/DELETE',
+    description: 'GET, DELETE, HEAD and OPTIONS requests have a request body, which many servers and proxies drop.',
+    defaultSeverity: 'warning',
+    check: (images, report) => {
+      images.forEach((image) => image.annotations.forEach((annotation) => {
+        if (getProtocol(annotation.apiDetails) !== 'http') return;
+        const { method, requestBody } = annotation.apiDetails;
+        const upperMethod = String(method || '').toUpperCase();
+        if (BODYLESS_METHODS.includes(upperMethod) && String(requestBody || '').trim()) {
+          report(image, annotation, `${upperMethod} requests should not have a request body.`);
+        }
+      }));
+    },
+  },
+  {
+    id: 'duplicate-response-status',
+    title: 'Duplicate response statuses',
+    description: 'An annotation documents the same status code twice; only one of the responses is exported.',
+    defaultSeverity: 'warning',
+    check: (images, report) => {
+      images.forEach((image) => image.annotations.forEach((annotation) => {
+        const { apiDetails } = annotation;
+        const statuses = [mainStatus(apiDetails), ...(apiDetails.responses || []).map((response) => String(response.status || '').trim())];
+        statuses
+          .filter((status, index) => status && statuses.indexOf(status) !== index)
+          .filter((status, index, duplicates) => duplicates.indexOf(status) === index)
+          .forEach((status) => report(image, annotation, `Status ${status} is documented more than once.`));
+      }));
+    },
+  },
+  {
+    id: 'missing-state-region',
+    title: 'Missing UI state regions',
+    description: 'A response is marked as shown in a region that is no longer on the mockup.',
+    defaultSeverity: 'warning',
+    check: (images, report) => {
+      images.forEach((image) => image.annotations.forEach((annotation) => {
+        const { apiDetails } = annotation;
+        (apiDetails.responses || []).forEach((response, index) => {
+          if (!response.regionId || image.annotations.some((candidate) => candidate.id === response.regionId)) return;
+          report(image, annotation, `The ${response.status} response is marked as shown in a region that was deleted.`, {
+            label: 'Unmark the region',
+            apiDetails: { ...apiDetails, responses: apiDetails.responses.map((item, i) => (i === index ? { ...item, regionId: null } : item)) },
+          });
+        });
+      }));
+    },
+  },
+  {
+    id: 'broken-screen-link',
+    title: 'Broken screen links',
+    description: 'A region leads to a mockup that is no longer in the project.',
+    defaultSeverity: 'warning',
+    check: (images, report) => {
+      images.forEach((image) => image.annotations.forEach((annotation) => {
+        const { apiDetails } = annotation;
+        if (!apiDetails.targetImageId || linkTarget(images, apiDetails)) return;
+        report(image, annotation, 'Leads to a mockup that was deleted.', {
+          label: 'Remove the link',
+          apiDetails: { ...apiDetails, targetImageId: null },
+        });
+      }));
+    },
+  },
+  {
+    id: 'missing-endpoint',
+    title: 'Missing endpoints',
+    description: 'A region has no endpoint yet; regions that only lead to another mockup need none.',
+    defaultSeverity: 'warning',
+    check: (images, report) => {
+      images.forEach((image) => image.annotations.forEach((annotation) => {
+        if (!normalizePath(annotation.apiDetails.endpoint) && !linkTarget(images, annotation.apiDetails)) report(image, annotation, 'No endpoint.');
+      }));
+    },
+  },
+  {
+    id: 'naming-convention',
+    title: 'Naming conventions',
+    description: 'Path segments should be lowercase kebab-case and parameter names other than headers camelCase.',
+    defaultSeverity: 'info',
+    check: (images, report) => {
+      images.forEach((image) => image.annotations.forEach((annotation) => {
+        const path = normalizePath(annotation.apiDetails.endpoint);
+        const segments = path ? path.split('/').filter((segment) => segment && !/^\{.+\}$/.test(segment)) : [];
+        segments.filter((segment) => !KEBAB_CASE_SEGMENT.test(segment)).forEach((segment) => {
+          report(image, annotation, `Path segment "${segment}" is not lowercase kebab-case.`);
+        });
+        // Header names follow HTTP conventions ("X-Request-Id") instead
+        const keys = declaredKeys({ parameters: (annotation.apiDetails.parameters || []).filter((param) => param.in !== 'header') });
+        [...pathParamNames(path), ...keys]
+          .filter((name, index, names) => names.indexOf(name) === index && !PLACEHOLDER_KEY.test(name) && !CAMEL_CASE_NAME.test(name))
+          .forEach((name) => report(image, annotation, `Parameter "${name}" is not camelCase.`));
+      }));
+    },
+  },
+  {
+    id: 'unannotated-screen',
+    title: 'Unannotated screens',
+    description: 'A mockup has no annotated regions.',
+    defaultSeverity: 'warning',
+    check: (images, report) => {
+      images.filter((image) => image.annotations.length === 0).forEach((image) => {
+        report(image, null, 'No regions are annotated on this mockup.');
+      });
+    },
+  },
+];
+
+export const ruleSeverity = (rule, severities = {}) => (SEVERITIES.includes(severities[rule.id]) ? severities[rule.id] : rule.defaultSeverity);
+
+const SEVERITY_ORDER = { error: 0, warning: 1, info: 2 };
+
+// Runs every enabled rule over the project. `severities` maps rule ids to a severity overriding the default.
+// Problems come back ordered by severity, then mockup order.
+export const lintProject = (images, severities = {}) => {
+  const problems = [];
+  LINT_RULES.forEach((rule) => {
+    const severity = ruleSeverity(rule, severities);
+    if (severity === 'off') return;
+    rule.check(images, (image, annotation, message, fix = null) => {
+      problems.push({ ruleId: rule.id, severity, message, imageId: image.id, annotationId: annotation ? annotation.id : null, fix });
+    });
+  });
+  const imageOrder = new Map(images.map((image, index) => [image.id, index]));
+  return problems.sort((a, b) => SEVERITY_ORDER[a.severity] - SEVERITY_ORDER[b.severity] || imageOrder.get(a.imageId) - imageOrder.get(b.imageId));
+};
+
+// Number of problems of each severity, e.g. { error: 2, warning: 0, info: 1 }
+export const countBySeverity = (problems) => problems.reduce(
+  (counts, problem) => ({ ...counts, [problem.severity]: counts[problem.severity] + 1 }),
+  { error: 0, warning: 0, info: 0 }
+);
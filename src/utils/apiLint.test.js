@@ -0,0 +1,169 @@
+import { countBySeverity, findSchemaConflict, lintProject } from './apiLint';
+import { inferSchema } from './schema';
+import { details, region } from './testFixtures';
+
+const user = (overrides) => details({ endpoint: '/api/users/{id}', parameters: [{ key: 'id', type: 'integer' }], ...overrides });
+
+const problemsOf = (problems, ruleId) => problems
+  .filter((problem) => problem.ruleId === ruleId)
+  .map(({ imageId, annotationId, message }) => ({ imageId, annotationId, message }));
+
+test('finds type conflicts between two schemas of the same body', () => {
+  const schemaOf = (value) => inferSchema(value);
+  expect(findSchemaConflict(schemaOf({ id: 1, tags: ['a'] }), schemaOf({ id: 2.5, name: 'x' }))).toBeNull();
+  expect(findSchemaConflict(schemaOf({ user: { email: 'a@b.c' } }), schemaOf({ user: { email: 42 } })))
+    .toEqual({ path: ['user', 'email'], types: ['string', 'integer'] });
+  expect(findSchemaConflict(schemaOf([{ id: 1 }]), schemaOf([{ id: '1' }]))).toEqual({ path: ['[]', 'id'], types: ['integer', 'string'] });
+  expect(findSchemaConflict(schemaOf({ note: null }), schemaOf({ note: 'x' }))).toBeNull();
+});
+
+test('flags conflicting response shapes for the same operation on different screens', () => {
+  const images = [
+    { id: 'profile', name: 'Profile', url: '', annotations: [region('card', user({ name: 'User card', responseBody: '{"id": 1, "email": "a@b.c"}' }))] },
+    { id: 'admin', name: 'Admin', url: '', annotations: [region('row', user({ endpoint: '/api/users/:id', responseBody: '{"id": "1", "email": "a@b.c"}' }))] },
+  ];
+  expect(problemsOf(lintProject(images), 'conflicting-schemas')).toEqual([{
+    imageId: 'admin',
+    annotationId: 'row',
+    message: 'The response of GET /api/users/{id} has "id" as string here, but as integer in "User card" on Profile.',
+  }]);
+});
+
+test('checks path parameters and offers fixes', () => {
+  const images = [{
+    id: 'home',
+    name: 'Home',
+    url: '',
+    annotations: [
+      region('missing', details({ endpoint: '/orders/{orderId}/items/:itemId' })),
+      region('braced', details({ endpoint: '/orders/{orderId}', parameters: [{ key: '{orderId}', type: 'integer' }] })),
+      region('stale', details({ endpoint: '/orders', parameters: [{ key: ':orderId', type: 'integer' }, { key: 'page', type: 'integer' }] })),
+    ],
+  }];
+  const problems = lintProject(images);
+  expect(problemsOf(problems, 'undeclared-path-param')).toEqual([
+    { imageId: 'home', annotationId: 'missing', message: 'Path parameters "orderId", "itemId" are not declared.' },
+  ]);
+  expect(problems.find((problem) => problem.annotationId === 'missing').fix).toEqual({
+    label: 'Declare "orderId", "itemId"',
+    apiDetails: {
+      ...images[0].annotations[0].apiDetails,
+      parameters: [expect.objectContaining({ key: 'orderId', in: 'path', required: true }), expect.objectContaining({ key: 'itemId', in: 'path', required: true })],
+    },
+  });
+  expect(problemsOf(problems, 'unused-path-param')).toEqual([
+    { imageId: 'home', annotationId: 'braced', message: 'Parameter "{orderId}" should be named "orderId".' },
+    { imageId: 'home', annotationId: 'stale', message: 'Path parameter "orderId" does not appear in the endpoint.' },
+  ]);
+  expect(problems.find((problem) => problem.annotationId === 'braced').fix.apiDetails.parameters).toEqual([{ key: 'orderId', type: 'integer', in: 'path', required: true }]);
+});
+
+test('checks parameter locations and values', () => {
+  const images = [{
+    id: 'home',
+    name: 'Home',
+    url: '',
+    annotations: [
+      region('product', details({
+        endpoint: '/products/{sku}',
+        parameters: [
+          { key: 'sku', in: 'query', type: 'string', required: false, enum: [], default: '', description: '', example: '' },
+          { key: 'variant', in: 'path', type: 'string', required: true, enum: [], default: '', description: '', example: '' },
+          { key: 'qty', in: 'query', type: 'integer', required: false, enum: [], default: 'one', description: '', example: '' },
+          { key: 'X-Request-Id', in: 'header', type: 'string', required: false, enum: [], default: '', description: '', example: '' },
+        ],
+      })),
+    ],
+  }];
+  const problems = lintProject(images);
+  expect(problemsOf(problems, 'undeclared-path-param')).toEqual([
+    { imageId: 'home', annotationId: 'product', message: 'Parameter "sku" is declared in the query but the endpoint has a {sku} placeholder.' },
+  ]);
+  expect(problems.find((problem) => problem.ruleId === 'undeclared-path-param').fix.apiDetails.parameters[0]).toMatchObject({ in: 'path', required: true });
+  expect(problemsOf(problems, 'unused-path-param')).toEqual([
+    { imageId: 'home', annotationId: 'product', message: 'Path parameter "variant" does not appear in the endpoint.' },
+  ]);
+  expect(problemsOf(problems, 'invalid-parameter-value')).toEqual([
+    { imageId: 'home', annotationId: 'product', message: 'Parameter "qty": The default "one" is not an integer.' },
+  ]);
+  expect(problemsOf(problems, 'naming-convention')).toEqual([]);
+});
+
+test('flags invalid bodies, bodies on GET, missing endpoints, naming and empty screens', () => {
+  const images = [
+    {
+      id: 'home',
+      name: 'Home',
+      url: '',
+      annotations: [
+        region('search', details({ endpoint: '/searchResults', requestBody: '{"q": "x"}', parameters: [{ key: 'page_size', type: 'integer' }] })),
+        region('broken', details({ endpoint: '/orders', method: 'POST', responseBody: '{"id": 1,}' })),
+        region('todo', details({ name: 'Todo' })),
+      ],
+    },
+    { id: 'empty', name: 'Empty', url: '', annotations: [] },
+  ];
+  const problems = lintProject(images);
+  expect(problemsOf(problems, 'invalid-json-body')).toEqual([
+    { imageId: 'home', annotationId: 'broken', message: expect.stringMatching(/^The response body is not valid JSON \(line 1, column \d+\)\.$/) },
+  ]);
+  expect(problemsOf(problems, 'body-on-bodyless-method')).toEqual([
+    { imageId: 'home', annotationId: 'search', message: 'GET requests should not have a request body.' },
+  ]);
+  expect(problemsOf(problems, 'missing-endpoint')).toEqual([{ imageId: 'home', annotationId: 'todo', message: 'No endpoint.' }]);
+  expect(problemsOf(problems, 'naming-convention')).toEqual([
+    { imageId: 'home', annotationId: 'search', message: 'Path segment "searchResults" is not lowercase kebab-case.' },
+    { imageId: 'home', annotationId: 'search', message: 'Parameter "page_size" is not camelCase.' },
+  ]);
+  expect(problemsOf(problems, 'unannotated-screen')).toEqual([
+    { imageId: 'empty', annotationId: null, message: 'No regions are annotated on this mockup.' },
+  ]);
+  // Errors first, then warnings and infos
+  expect(problems.map((problem) => problem.severity)).toEqual(['error', 'warning', 'warning', 'warning', 'info', 'info']);
+});
+
+test('checks the other responses of an annotation', () => {
+  const images = [{
+    id: 'home',
+    name: 'Home',
+    url: '',
+    annotations: [
+      region('orders', details({
+        endpoint: '/orders',
+        responses: [
+          { status: '200', contentType: 'application/json', headers: [], body: '', regionId: null },
+          { status: '404', contentType: 'application/json', headers: [], body: '{"error": ', regionId: 'gone' },
+          { status: '500', contentType: 'text/plain', headers: [], body: 'not json', regionId: null },
+        ],
+      })),
+    ],
+  }];
+  const problems = lintProject(images);
+  expect(problemsOf(problems, 'invalid-json-body')).toEqual([
+    { imageId: 'home', annotationId: 'orders', message: expect.stringMatching(/^The 404 response body is not valid JSON/) },
+  ]);
+  expect(problemsOf(problems, 'duplicate-response-status')).toEqual([
+    { imageId: 'home', annotationId: 'orders', message: 'Status 200 is documented more than once.' },
+  ]);
+  const [missingRegion] = problems.filter((problem) => problem.ruleId === 'missing-state-region');
+  expect(missingRegion.message).toBe('The 404 response is marked as shown in a region that was deleted.');
+  expect(missingRegion.fix.apiDetails.responses[1].regionId).toBeNull();
+});
+
+test('flags links to deleted mockups and accepts plain navigation regions', () => {
+  const images = [
+    { id: 'home', name: 'Home', url: '', annotations: [region('next', details({ targetImageId: 'cart' })), region('gone', details({ endpoint: '/api/help', targetImageId: 'help' }))] },
+    { id: 'cart', name: 'Cart', url: '', annotations: [region('back', details({ endpoint: '/api/cart', targetImageId: 'home' }))] },
+  ];
+  const problems = lintProject(images);
+  expect(problemsOf(problems, 'missing-endpoint')).toEqual([]);
+  expect(problemsOf(problems, 'broken-screen-link')).toEqual([{ imageId: 'home', annotationId: 'gone', message: 'Leads to a mockup that was deleted.' }]);
+  expect(problems.find((problem) => problem.ruleId === 'broken-screen-link').fix.apiDetails.targetImageId).toBeNull();
+});
+
+test('applies configured severities and skips rules that are off', () => {
+  const images = [{ id: 'home', name: 'Home', url: '', annotations: [region('todo', details({}))] }, { id: 'empty', name: 'Empty', url: '', annotations: [] }];
+  const problems = lintProject(images, { 'missing-endpoint': 'error', 'unannotated-screen': 'off', 'naming-convention': 'bogus' });
+  expect(problems.map(({ ruleId, severity }) => [ruleId, severity])).toEqual([['missing-endpoint', 'error']]);
+  expect(countBySeverity(problems)).toEqual({ error: 1, warning: 0, info: 0 });
+});
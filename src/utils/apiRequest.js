@@ -0,0 +1,231 @@
+import { normalizePath, pathParamNames } from './openapi';
+import { normalizeParameter, sampleParameterValue } from './parameters';
+import { describeOperation, effectiveMethod, getProtocol, graphqlPayload, streamEvents } from './protocols';
+import { headerObject, isJsonContentType, listResponses, normalizeResponse, statusText } from './responses';
+import { parseJsonExample } from './schema';
+
+// Methods whose example request body is sent along with the call
+const METHODS_WITH_BODY = ['POST', 'PUT', 'PATCH', 'DELETE'];
+
+// Joins a base URL and a path without doubling or dropping the slash between them
+export const joinUrl = (baseUrl, path) => {
+  const base = String(baseUrl || '').trim().replace(/\/+$/, '');
+  return `${base}${path.startsWith('/') ? path : `/${path}`}`;
+};
+
+// Live event streams and WebSockets are listened to for this long, then closed
+export const STREAM_PREVIEW_MS = 3000;
+
+// Live calls still without an answer after this long are given up and reported as errors
+export const REQUEST_TIMEOUT_MS = 30000;
+
+// Builds the concrete request an annotation describes: method, URL with parameters filled in, headers and body.
+// Calls other than plain HTTP also get `protocol` and a `badge` to show instead of the method; a WebSocket's
+// `body` is the subscribe message sent once connected.
+export const buildPreviewRequest = (apiDetails, { baseUrl = '' } = {}) => {
+  const method = effectiveMethod(apiDetails);
+  const protocol = getProtocol(apiDetails);
+  const template = normalizePath(apiDetails.endpoint) || '/';
+  const placeholders = pathParamNames(template);
+  const params = (apiDetails.parameters || []).map((param) => normalizeParameter(param, placeholders)).filter((param) => String(param.key).trim());
+  let path = template;
+  placeholders.forEach((name) => {
+    const declared = params.find((param) => param.key.trim() === name);
+    path = path.replace(`{${name}}`, encodeURIComponent(sampleParameterValue(declared || { type: 'string' })));
+  });
+  // Optional query, header and cookie parameters are only sent when an example or default says what to send
+  const sent = (location) => params.filter((param) => param.in === location
+    && (param.required || String(param.example || '').trim() || String(param.default || '').trim()));
+  const query = sent('query').map((param) => `${encodeURIComponent(param.key.trim())}=${encodeURIComponent(sampleParameterValue(param))}`);
+  if (query.length > 0) path = `${path}?${query.join('&')}`;
+
+  const headers = { Accept: 'application/json', ...headerObject(apiDetails.requestHeaders) };
+  sent('header').forEach((param) => {
+    headers[param.key.trim()] = sampleParameterValue(param);
+  });
+  const cookies = sent('cookie').map((param) => `${param.key.trim()}=${encodeURIComponent(sampleParameterValue(param))}`);
+  if (cookies.length > 0) headers.Cookie = cookies.join('; ');
+
+  const request = { method, path, url: joinUrl(baseUrl, path), headers };
+  if (protocol !== 'http') {
+    request.protocol = protocol;
+    request.badge = describeOperation({ ...apiDetails, endpoint: template }).badge;
+  }
+  if (protocol === 'graphql') {
+    request.headers['Content-Type'] = 'application/json';
+    request.body = JSON.stringify(graphqlPayload(apiDetails), null, 2);
+  } else if (protocol === 'sse') {
+    request.headers.Accept = 'text/event-stream';
+  } else if (protocol === 'websocket') {
+    request.url = request.url.replace(/^http/, 'ws');
+    request.headers = {};
+    if (apiDetails.requestBody && apiDetails.requestBody.trim()) request.body = apiDetails.requestBody;
+  } else if (METHODS_WITH_BODY.includes(method) && apiDetails.requestBody && apiDetails.requestBody.trim()) {
+    request.headers['Content-Type'] = 'application/json';
+    request.body = apiDetails.requestBody;
+  }
+  return request;
+};
+
+const now = () => (typeof performance !== 'undefined' ? performance.now() : Date.now());
+
+// Pretty-prints JSON response text, leaving anything else untouched
+const formatBody = (text) => {
+  const { value, error } = parseJsonExample(text);
+  return error || value === undefined ? text : JSON.stringify(value, null, 2);
+};
+
+// Answers a request in the browser from the annotation's example response, like the generated mock server.
+// `response` picks another documented response (see utils/responses) than the main one.
+export const mockPreviewResponse = (apiDetails, request, { response: chosen } = {}) => {
+  const started = now();
+  if (request.body !== undefined) {
+    const { error } = parseJsonExample(request.body);
+    if (error) {
+      return {
+        status: 400,
+        statusText: 'Bad Request',
+        headers: { 'content-type': 'application/json' },
+        body: JSON.stringify({ error: 'Malformed JSON request body', details: [error] }, null, 2),
+        latency: now() - started,
+      };
+    }
+  }
+  const protocol = getProtocol(apiDetails);
+  if (protocol === 'sse') {
+    const channel = String(apiDetails.channel || '').trim();
+    return {
+      status: 200,
+      statusText: 'OK',
+      headers: { 'content-type': 'text/event-stream' },
+      body: streamEvents(apiDetails).map((data) => `${channel ? `event: ${channel}\n` : ''}data: ${JSON.stringify(data)}\n`).join('\n'),
+      latency: now() - started,
+    };
+  }
+  if (protocol === 'websocket') {
+    const messages = streamEvents(apiDetails).map((message) => JSON.stringify(message));
+    return {
+      status: 101,
+      statusText: 'Switching Protocols',
+      headers: {},
+      body: messages.join('\n'),
+      messages,
+      latency: now() - started,
+    };
+  }
+  if (protocol === 'graphql') {
+    const { value, error } = parseJsonExample(apiDetails.responseBody);
+    // GraphQL servers wrap the operation's data
+    const responseBody = !error && value !== undefined ? JSON.stringify({ data: value }) : apiDetails.responseBody || '';
+    return {
+      status: 200,
+      statusText: 'OK',
+      headers: { 'content-type': parseJsonExample(responseBody).error ? 'text/plain' : 'application/json' },
+      body: formatBody(responseBody),
+      latency: now() - started,
+    };
+  }
+  const response = chosen ? normalizeResponse(chosen) : listResponses(apiDetails)[0];
+  const contentType = parseJsonExample(response.body).error && isJsonContentType(response.contentType) ? 'text/plain' : response.contentType;
+  const headers = Object.fromEntries(Object.entries(headerObject(response.headers)).map(([name, value]) => [name.toLowerCase(), value]));
+  return {
+    status: Number(response.status),
+    statusText: statusText(response.status),
+    headers: { 'content-type': contentType, ...headers },
+    body: isJsonContentType(contentType) ? formatBody(response.body) : response.body,
+    latency: now() - started,
+  };
+};
+
+// Reads a streamed response body until the server ends it or `durationMs` have passed
+const readFor = async (response, durationMs) => {
+  if (!response.body || !response.body.getReader) return response.text();
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  const timer = setTimeout(() => reader.cancel(), durationMs);
+  let text = '';
+  let chunk = await reader.read();
+  while (!chunk.done) {
+    text += decoder.decode(chunk.value, { stream: true });
+    chunk = await reader.read();
+  }
+  clearTimeout(timer);
+  return text;
+};
+
+// Connects to a live WebSocket, sends the subscribe message and collects what arrives within `durationMs`.
+// The messages are kept apart in `messages` since one message can span several lines; `body` joins them
+// for display.
+const listenToWebSocket = (request, { WebSocketImpl, durationMs }) => new Promise((resolve) => {
+  const started = now();
+  const messages = [];
+  let socket;
+  try {
+    socket = new WebSocketImpl(request.url);
+  } catch (error) {
+    resolve({ error: error.message || String(error), latency: now() - started });
+    return;
+  }
+  let opened = false;
+  const timer = setTimeout(() => socket.close(), durationMs);
+  socket.onopen = () => {
+    opened = true;
+    if (request.body !== undefined) socket.send(request.body);
+  };
+  socket.onmessage = (event) => messages.push(String(event.data));
+  socket.onclose = () => {
+    clearTimeout(timer);
+    resolve(opened
+      ? { status: 101, statusText: 'Switching Protocols', headers: {}, body: messages.join('\n'), messages, latency: now() - started }
+      : { error: 'Could not connect to the WebSocket', latency: now() - started });
+  };
+});
+
+// Sends the request to a live backend and records status, headers, body and latency. Event streams and
+// WebSockets are listened to for `durationMs`. Network failures (including CORS rejections) and calls
+// without an answer within `timeoutMs` are returned as `error` instead of thrown.
+export const sendPreviewRequest = async (request, {
+  fetchImpl = fetch,
+  WebSocketImpl = typeof WebSocket !== 'undefined' ? WebSocket : undefined,
+  durationMs = STREAM_PREVIEW_MS,
+  timeoutMs = REQUEST_TIMEOUT_MS,
+} = {}) => {
+  if (request.protocol === 'websocket') return listenToWebSocket(request, { WebSocketImpl, durationMs });
+  const started = now();
+  const controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+  let timer;
+  // Raced against the call as well as aborting it, in case the fetch implementation ignores the signal
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => {
+      if (controller) controller.abort();
+      reject(new Error(`No answer within ${timeoutMs / 1000} s`));
+    }, timeoutMs + (request.protocol === 'sse' ? durationMs : 0));
+  });
+  try {
+    const exchange = (async () => {
+      const answer = await fetchImpl(request.url, {
+        method: request.method,
+        headers: request.headers,
+        body: request.body,
+        ...(controller ? { signal: controller.signal } : {}),
+      });
+      return { answer, body: request.protocol === 'sse' ? await readFor(answer, durationMs) : await answer.text() };
+    })();
+    const { answer: response, body: text } = await Promise.race([exchange, timeout]);
+    const headers = {};
+    response.headers.forEach((value, key) => {
+      headers[key] = value;
+    });
+    return {
+      status: response.status,
+      statusText: response.statusText,
+      headers,
+      body: formatBody(text),
+      latency: now() - started,
+    };
+  } catch (error) {
+    return { error: error.message || String(error), latency: now() - started };
+  } finally {
+    clearTimeout(timer);
+  }
+};
@@ -0,0 +1,134 @@
+import { buildPreviewRequest, joinUrl, mockPreviewResponse, sendPreviewRequest } from './apiRequest';
+import { details } from './testFixtures';
+
+test('fills path parameters with sample values and joins the base URL', () => {
+  const request = buildPreviewRequest(
+    details({ endpoint: '/api/users/{id}/posts/:slug', parameters: [{ key: 'id', type: 'integer' }] }),
+    { baseUrl: 'http://localhost:8080/' }
+  );
+  expect(request).toEqual({
+    method: 'GET',
+    path: '/api/users/1/posts/sample',
+    url: 'http://localhost:8080/api/users/1/posts/sample',
+    headers: { Accept: 'application/json' },
+  });
+  expect(joinUrl('', 'health')).toBe('/health');
+});
+
+test('sends the example request body for methods that carry one', () => {
+  const request = buildPreviewRequest(details({ endpoint: '/api/orders', method: 'POST', requestBody: '{"qty": 2}' }));
+  expect(request.headers['Content-Type']).toBe('application/json');
+  expect(request.body).toBe('{"qty": 2}');
+});
+
+test('the in-browser mock answers with the example response or rejects malformed bodies', () => {
+  const apiDetails = details({ endpoint: '/api/orders', method: 'POST', requestBody: '{"qty": 2', responseBody: '{"id":1}' });
+  const rejected = mockPreviewResponse(apiDetails, buildPreviewRequest(apiDetails));
+  expect(rejected.status).toBe(400);
+
+  const fixed = { ...apiDetails, requestBody: '{"qty": 2}' };
+  const response = mockPreviewResponse(fixed, buildPreviewRequest(fixed));
+  expect(response).toMatchObject({ status: 200, body: '{\n  "id": 1\n}' });
+});
+
+test('live requests report network failures instead of throwing', async () => {
+  const request = buildPreviewRequest(details({ endpoint: '/api/orders' }), { baseUrl: 'http://localhost:1' });
+  const failingFetch = () => Promise.reject(new TypeError('Failed to fetch'));
+  await expect(sendPreviewRequest(request, { fetchImpl: failingFetch })).resolves.toMatchObject({ error: 'Failed to fetch' });
+
+  const okFetch = async () => ({
+    status: 201,
+    statusText: 'Created',
+    headers: new Map([['content-type', 'application/json']]),
+    text: async () => '{"ok":true}',
+  });
+  await expect(sendPreviewRequest(request, { fetchImpl: okFetch })).resolves.toMatchObject({
+    status: 201,
+    headers: { 'content-type': 'application/json' },
+    body: '{\n  "ok": true\n}',
+  });
+});
+
+test('live requests that get no answer time out', async () => {
+  const request = buildPreviewRequest(details({ endpoint: '/api/orders' }), { baseUrl: 'http://localhost:1' });
+  let signal;
+  const hangingFetch = (url, options) => {
+    ({ signal } = options);
+    return new Promise(() => {});
+  };
+  await expect(sendPreviewRequest(request, { fetchImpl: hangingFetch, timeoutMs: 10 })).resolves.toMatchObject({ error: 'No answer within 0.01 s' });
+  expect(signal.aborted).toBe(true);
+});
+
+test('GraphQL calls post the operation and streams answer with their example events', async () => {
+  const graphql = details({ protocol: 'graphql', endpoint: '/graphql', method: 'POST', graphqlQuery: 'query Cart($id: ID!) { cart(id: $id) { total } }', requestBody: '{"id": "c1"}', responseBody: '{"cart": {"total": 3}}' });
+  const request = buildPreviewRequest(graphql);
+  expect(request).toMatchObject({ method: 'POST', protocol: 'graphql', badge: 'QUERY' });
+  expect(JSON.parse(request.body)).toEqual({ query: graphql.graphqlQuery, operationName: 'Cart', variables: { id: 'c1' } });
+  expect(JSON.parse(mockPreviewResponse(graphql, request).body)).toEqual({ data: { cart: { total: 3 } } });
+
+  const sse = details({ protocol: 'sse', endpoint: '/events', channel: 'price', responseBody: '[{"p": 1}, {"p": 2}]' });
+  expect(mockPreviewResponse(sse, buildPreviewRequest(sse)).body).toBe('event: price\ndata: {"p":1}\n\nevent: price\ndata: {"p":2}\n');
+
+  const websocket = details({ protocol: 'websocket', endpoint: '/ws', requestBody: '{"subscribe": "chat"}', responseBody: '[{"text": "hi"}]' });
+  const socketRequest = buildPreviewRequest(websocket, { baseUrl: 'https://chat.test' });
+  expect(socketRequest).toMatchObject({ url: 'wss://chat.test/ws', body: '{"subscribe": "chat"}', badge: 'WS' });
+  expect(mockPreviewResponse(websocket, socketRequest)).toMatchObject({ status: 101, body: '{"text":"hi"}' });
+
+  const sent = [];
+  class FakeSocket {
+    constructor(url) {
+      this.url = url;
+      setTimeout(() => {
+        this.onopen();
+        this.onmessage({ data: '{"text":"live"}' });
+      });
+    }
+
+    send(message) {
+      sent.push(message);
+    }
+
+    close() {
+      this.onclose();
+    }
+  }
+  const live = await sendPreviewRequest(socketRequest, { WebSocketImpl: FakeSocket, durationMs: 10 });
+  expect(sent).toEqual(['{"subscribe": "chat"}']);
+  expect(live).toMatchObject({ status: 101, body: '{"text":"live"}', messages: ['{"text":"live"}'] });
+});
+
+test('sends the documented request headers and can answer with another documented response', () => {
+  const apiDetails = details({
+    endpoint: '/orders',
+    responseBody: '[]',
+    responseHeaders: [{ key: 'X-Total-Count', value: '0' }],
+    requestHeaders: [{ key: 'Accept-Language', value: 'en' }],
+    responses: [{ status: '503', description: '', contentType: 'text/plain', headers: [{ key: 'Retry-After', value: '5' }], body: 'Down', regionId: 'banner' }],
+  });
+  const request = buildPreviewRequest(apiDetails);
+  expect(request.headers['Accept-Language']).toBe('en');
+  expect(mockPreviewResponse(apiDetails, request).headers).toMatchObject({ 'x-total-count': '0' });
+  expect(mockPreviewResponse(apiDetails, request, { response: apiDetails.responses[0] })).toMatchObject({
+    status: 503,
+    statusText: 'Service Unavailable',
+    headers: { 'content-type': 'text/plain', 'retry-after': '5' },
+    body: 'Down',
+  });
+});
+
+test('sends required and exemplified query, header and cookie parameters', () => {
+  const request = buildPreviewRequest(details({
+    endpoint: '/products/{category}',
+    parameters: [
+      { key: 'category', in: 'path', type: 'string', required: true, enum: [], default: '', description: '', example: 'shoes' },
+      { key: 'sort', in: 'query', type: 'string', required: false, enum: ['price', 'name'], default: 'price', description: '', example: '' },
+      { key: 'page', in: 'query', type: 'integer', required: false, enum: [], default: '', description: '', example: '' },
+      { key: 'limit', in: 'query', type: 'integer', required: true, enum: [], default: '', description: '', example: '' },
+      { key: 'X-Request-Id', in: 'header', type: 'string', required: false, enum: [], default: '', description: '', example: 'abc' },
+      { key: 'session', in: 'cookie', type: 'string', required: true, enum: [], default: '', description: '', example: '' },
+    ],
+  }));
+  expect(request.path).toBe('/products/shoes?sort=price&limit=1');
+  expect(request.headers).toMatchObject({ 'X-Request-Id': 'abc', Cookie: 'session=sample' });
+});
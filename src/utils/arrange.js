@@ -0,0 +1,174 @@
+// Group operations on annotation regions: moving, aligning, distributing, snapping and copy/paste.
+// Like utils/regions, everything works in ratios of the image size; a selection is a list of annotation indexes.
+
+import { isDescendantOf, removeAnnotation, translateRegion } from './regions';
+
+// Arrow keys move by one image pixel, or by ten with Shift
+export const NUDGE_STEP_PX = 1;
+export const NUDGE_STEP_LARGE_PX = 10;
+// Regions snap to edges closer than this many screen pixels
+export const SNAP_DISTANCE_PX = 6;
+// Pasting into the mockup the regions were copied from shifts them so they don't hide the originals
+const PASTE_OFFSET = 0.02;
+
+// Bounding box ({ left, top, right, bottom }) of the regions at `indexes`
+export const selectionBounds = (annotations, indexes) => {
+  const regions = indexes.map((index) => annotations[index]).filter(Boolean);
+  if (regions.length === 0) return null;
+  return {
+    left: Math.min(...regions.map((region) => region.ratioX)),
+    top: Math.min(...regions.map((region) => region.ratioY)),
+    right: Math.max(...regions.map((region) => region.ratioX + region.ratioWidth)),
+    bottom: Math.max(...regions.map((region) => region.ratioY + region.ratioHeight)),
+  };
+};
+
+// Ids of the selected regions plus everything nested inside them: the regions that move with the selection
+const movingIds = (annotations, indexes) => {
+  const selectedIds = indexes.map((index) => annotations[index] && annotations[index].id).filter(Boolean);
+  return new Set(annotations
+    .filter((annotation) => selectedIds.some((id) => isDescendantOf(annotations, annotation.id, id)))
+    .map((annotation) => annotation.id));
+};
+
+// The selected regions that are not nested inside another selected one; the others move along with them
+const outermostIndexes = (annotations, indexes) => indexes.filter((index) => !indexes.some((other) => other !== index
+  && annotations[index] && annotations[other] && isDescendantOf(annotations, annotations[index].id, annotations[other].id)));
+
+// Moves the selected regions (and their children) by a ratio delta, stopping at the edges of the image
+export const translateSelection = (annotations, indexes, dx, dy) => {
+  const bounds = selectionBounds(annotations, indexes);
+  if (!bounds) return annotations;
+  const clampedDx = Math.min(1 - bounds.right, Math.max(-bounds.left, dx));
+  const clampedDy = Math.min(1 - bounds.bottom, Math.max(-bounds.top, dy));
+  if (clampedDx === 0 && clampedDy === 0) return annotations;
+  const ids = movingIds(annotations, indexes);
+  return annotations.map((annotation) => (ids.has(annotation.id) ? translateRegion(annotation, clampedDx, clampedDy) : annotation));
+};
+
+// Lines each selected region up with the selection's bounding box. Regions whose parent is selected too keep
+// their place inside it. `edge` is 'left', 'center' or 'right' (horizontal) or 'top', 'middle' or 'bottom'
+// (vertical).
+export const alignSelection = (annotations, indexes, edge) => {
+  const bounds = selectionBounds(annotations, indexes);
+  const aligned = outermostIndexes(annotations, indexes);
+  if (!bounds || aligned.length < 2) return annotations;
+  let result = annotations;
+  aligned.forEach((index) => {
+    const region = result[index];
+    const deltas = {
+      left: [bounds.left - region.ratioX, 0],
+      center: [(bounds.left + bounds.right) / 2 - (region.ratioX + region.ratioWidth / 2), 0],
+      right: [bounds.right - (region.ratioX + region.ratioWidth), 0],
+      top: [0, bounds.top - region.ratioY],
+      middle: [0, (bounds.top + bounds.bottom) / 2 - (region.ratioY + region.ratioHeight / 2)],
+      bottom: [0, bounds.bottom - (region.ratioY + region.ratioHeight)],
+    }[edge];
+    result = translateSelection(result, [index], deltas[0], deltas[1]);
+  });
+  return result;
+};
+
+// Spaces three or more regions evenly between the outermost ones; like alignSelection, regions whose parent
+// is selected too move along with it. `axis` is 'horizontal' or 'vertical'.
+export const distributeSelection = (annotations, indexes, axis) => {
+  const distributed = outermostIndexes(annotations, indexes);
+  if (distributed.length < 3) return annotations;
+  const start = axis === 'horizontal' ? 'ratioX' : 'ratioY';
+  const size = axis === 'horizontal' ? 'ratioWidth' : 'ratioHeight';
+  const ordered = [...distributed].sort((a, b) => annotations[a][start] - annotations[b][start]);
+  const first = annotations[ordered[0]];
+  const last = annotations[ordered[ordered.length - 1]];
+  const occupied = ordered.reduce((sum, index) => sum + annotations[index][size], 0);
+  const gap = (last[start] + last[size] - first[start] - occupied) / (ordered.length - 1);
+
+  let result = annotations;
+  let position = first[start] + first[size] + gap;
+  ordered.slice(1, -1).forEach((index) => {
+    const delta = position - result[index][start];
+    result = translateSelection(result, [index], axis === 'horizontal' ? delta : 0, axis === 'horizontal' ? 0 : delta);
+    position += result[index][size] + gap;
+  });
+  return result;
+};
+
+// Finds the smallest shift (within `threshold`) that puts one of `values` on one of `targets`.
+// Returns { delta, target } or null when nothing is close enough.
+const closestSnap = (values, targets, threshold) => {
+  let best = null;
+  values.forEach((value) => {
+    targets.forEach((target) => {
+      const delta = target - value;
+      if (Math.abs(delta) <= threshold && (!best || Math.abs(delta) < Math.abs(best.delta))) best = { delta, target };
+    });
+  });
+  return best;
+};
+
+// Snaps a moving box ({ left, top, right, bottom }) to the edges and centres of other regions and of the image.
+// `edges` lists which of the box's edges are moving ('left', 'right', 'top', 'bottom'; all four when dragging);
+// thresholds are per axis since ratios of a wide image are not square.
+// Returns the correction to apply ({ dx, dy }) and the guide lines to draw ({ x?, y? }).
+export const snapBox = (box, others, { thresholdX, thresholdY, edges = ['left', 'right', 'top', 'bottom'] }) => {
+  const verticalLines = [0, 1];
+  const horizontalLines = [0, 1];
+  others.forEach((other) => {
+    verticalLines.push(other.ratioX, other.ratioX + other.ratioWidth / 2, other.ratioX + other.ratioWidth);
+    horizontalLines.push(other.ratioY, other.ratioY + other.ratioHeight / 2, other.ratioY + other.ratioHeight);
+  });
+  const movesWhole = edges.length === 4;
+  const xValues = movesWhole ? [box.left, (box.left + box.right) / 2, box.right] : edges.filter((edge) => edge === 'left' || edge === 'right').map((edge) => box[edge]);
+  const yValues = movesWhole ? [box.top, (box.top + box.bottom) / 2, box.bottom] : edges.filter((edge) => edge === 'top' || edge === 'bottom').map((edge) => box[edge]);
+
+  const snapX = closestSnap(xValues, verticalLines, thresholdX);
+  const snapY = closestSnap(yValues, horizontalLines, thresholdY);
+  const guides = {};
+  if (snapX) guides.x = snapX.target;
+  if (snapY) guides.y = snapY.target;
+  return { dx: snapX ? snapX.delta : 0, dy: snapY ? snapY.delta : 0, guides };
+};
+
+// Indexes of the regions lying entirely inside a marquee ({ left, top, right, bottom })
+export const regionsInMarquee = (annotations, marquee) => annotations
+  .map((annotation, index) => ({ annotation, index }))
+  .filter(({ annotation }) => annotation.ratioX >= marquee.left && annotation.ratioY >= marquee.top &&
+    annotation.ratioX + annotation.ratioWidth <= marquee.right && annotation.ratioY + annotation.ratioHeight <= marquee.bottom)
+  .map(({ index }) => index);
+
+// Deletes several regions; children of deleted regions move up to the nearest surviving ancestor
+export const removeSelection = (annotations, indexes) => {
+  const ids = indexes.map((index) => annotations[index] && annotations[index].id).filter(Boolean);
+  return ids.reduce((result, id) => removeAnnotation(result, result.findIndex((annotation) => annotation.id === id)), annotations);
+};
+
+// The same selection after the regions changed under it, e.g. by a collaborator: each index follows its region
+// by id, and regions that are gone drop out
+export const remapSelection = (previous, next, indexes) => {
+  const positions = new Map(next.map((annotation, index) => [annotation.id, index]));
+  return indexes.map((index) => previous[index] && positions.get(previous[index].id)).filter((index) => index !== undefined);
+};
+
+// What goes on the annotation clipboard: the selected regions with their apiDetails, and where they came from
+export const copySelection = (annotations, indexes, imageId) => ({
+  imageId,
+  annotations: [...indexes].sort((a, b) => a - b).map((index) => annotations[index]).filter(Boolean),
+});
+
+// Adds copies of the clipboard's regions on top of `annotations` with fresh ids. Nesting among the copied regions
+// is kept; a copied child whose parent wasn't copied stays in that parent when pasted back into the same mockup.
+// Returns the new annotations and the indexes of the pasted regions.
+export const pasteRegions = (annotations, clipboard, imageId, generateId) => {
+  const sameImage = clipboard.imageId === imageId;
+  // Shift the whole group by the same amount, less if that would push it off the image
+  const bounds = selectionBounds(clipboard.annotations, clipboard.annotations.map((_, index) => index));
+  const dx = sameImage && bounds ? Math.max(0, Math.min(PASTE_OFFSET, 1 - bounds.right)) : 0;
+  const dy = sameImage && bounds ? Math.max(0, Math.min(PASTE_OFFSET, 1 - bounds.bottom)) : 0;
+  const newIds = new Map(clipboard.annotations.map((annotation) => [annotation.id, generateId()]));
+  const pasted = clipboard.annotations.map((annotation) => {
+    const copy = translateRegion({ ...annotation, id: newIds.get(annotation.id) }, dx, dy);
+    if (newIds.has(annotation.parentId)) copy.parentId = newIds.get(annotation.parentId);
+    else if (!(sameImage && annotations.some((other) => other.id === annotation.parentId))) copy.parentId = null;
+    return copy;
+  });
+  return { annotations: [...annotations, ...pasted], indexes: pasted.map((_, i) => annotations.length + i) };
+};
@@ -0,0 +1,82 @@
+import {
+  alignSelection,
+  distributeSelection,
+  pasteRegions,
+  regionsInMarquee,
+  remapSelection,
+  removeSelection,
+  snapBox,
+  translateSelection,
+} from './arrange';
+
+const rect = (id, ratioX, ratioY, ratioWidth, ratioHeight, extra = {}) => ({ id, ratioX, ratioY, ratioWidth, ratioHeight, ...extra });
+
+test('moves a selection with its children and stops at the image edge', () => {
+  const annotations = [rect('list', 0.1, 0.1, 0.5, 0.5), rect('row', 0.2, 0.2, 0.1, 0.1, { parentId: 'list' }), rect('other', 0.7, 0.7, 0.1, 0.1)];
+  const moved = translateSelection(annotations, [0], 0.1, 0.6);
+  expect(moved[0]).toMatchObject({ ratioX: 0.2, ratioY: 0.5 });
+  expect(moved[1].ratioX).toBeCloseTo(0.3);
+  expect(moved[1].ratioY).toBeCloseTo(0.6);
+  expect(moved[2]).toBe(annotations[2]);
+});
+
+test('aligns and distributes regions', () => {
+  const annotations = [rect('a', 0, 0, 0.1, 0.1), rect('b', 0.5, 0.3, 0.2, 0.1), rect('c', 0.2, 0.6, 0.1, 0.2)];
+  const right = alignSelection(annotations, [0, 1, 2], 'right');
+  right.forEach((region) => expect(region.ratioX + region.ratioWidth).toBeCloseTo(0.7));
+
+  const distributed = distributeSelection(annotations, [0, 1, 2], 'vertical');
+  // Gaps between a (ends 0.1), b and c (starts 0.6) become equal: (0.6 - 0.1 - 0.1) / 2 = 0.2
+  expect(distributed[1].ratioY).toBeCloseTo(0.3);
+  expect(distributeSelection(annotations, [0, 1, 2], 'horizontal')[2].ratioX).toBeCloseTo(0.25);
+
+  // The row is selected before its list and moves with it instead of being aligned twice
+  const nested = [rect('row', 0.5, 0.5, 0.1, 0.1, { parentId: 'list' }), rect('list', 0.4, 0.4, 0.4, 0.4), rect('card', 0.1, 0, 0.2, 0.2)];
+  const left = alignSelection(nested, [0, 1, 2], 'left');
+  [0.2, 0.1, 0.1].forEach((ratioX, index) => expect(left[index].ratioX).toBeCloseTo(ratioX));
+  expect(distributeSelection(nested, [0, 1, 2], 'vertical')).toBe(nested);
+});
+
+test('snaps a moving box to nearby edges and centres', () => {
+  const others = [rect('a', 0.5, 0.5, 0.2, 0.2)];
+  const snap = snapBox({ left: 0.495, top: 0.1, right: 0.595, bottom: 0.2 }, others, { thresholdX: 0.01, thresholdY: 0.01 });
+  expect(snap.dx).toBeCloseTo(0.005);
+  expect(snap.dy).toBe(0);
+  expect(snap.guides).toEqual({ x: 0.5 });
+  // Only the dragged edge snaps while resizing
+  expect(snapBox({ left: 0.495, top: 0.1, right: 0.698, bottom: 0.2 }, others, { thresholdX: 0.01, thresholdY: 0.01, edges: ['right'] }).guides).toEqual({ x: 0.7 });
+});
+
+test('selects regions inside a marquee and deletes several at once', () => {
+  const annotations = [rect('a', 0.1, 0.1, 0.1, 0.1), rect('b', 0.15, 0.15, 0.5, 0.5), rect('c', 0.12, 0.12, 0.05, 0.05, { parentId: 'b' })];
+  expect(regionsInMarquee(annotations, { left: 0, top: 0, right: 0.3, bottom: 0.3 })).toEqual([0, 2]);
+  expect(removeSelection(annotations, [0, 1])).toEqual([{ ...annotations[2], parentId: null }]);
+});
+
+test('a selection follows its regions when a collaborator deletes or adds one', () => {
+  const annotations = [rect('a', 0, 0, 0.1, 0.1), rect('b', 0.2, 0.2, 0.1, 0.1), rect('c', 0.4, 0.4, 0.1, 0.1)];
+  // 'c' is selected (the form shows it) when a peer deletes 'a': it is now at index 1, not 2
+  const afterDelete = annotations.slice(1);
+  expect(remapSelection(annotations, afterDelete, [2])).toEqual([1]);
+  // A selected region that was deleted drops out instead of pointing at its neighbour
+  expect(remapSelection(annotations, afterDelete, [0, 2])).toEqual([1]);
+  expect(remapSelection(annotations, [rect('d', 0, 0, 0.1, 0.1), ...annotations], [1, 2])).toEqual([2, 3]);
+});
+
+test('pastes copies with fresh ids, keeping nesting among them', () => {
+  let next = 0;
+  const generateId = () => `new${(next += 1)}`;
+  const apiDetails = { name: 'Row', endpoint: '/rows', method: 'GET' };
+  const clipboard = {
+    imageId: 'home',
+    annotations: [rect('list', 0.1, 0.1, 0.5, 0.5), rect('row', 0.2, 0.2, 0.1, 0.1, { parentId: 'list', apiDetails })],
+  };
+  const same = pasteRegions(clipboard.annotations, clipboard, 'home', generateId);
+  expect(same.indexes).toEqual([2, 3]);
+  expect(same.annotations[2].id).toBe('new1');
+  expect(same.annotations[2].ratioX).toBeCloseTo(0.12);
+  expect(same.annotations[3]).toMatchObject({ id: 'new2', parentId: 'new1', apiDetails });
+
+  const other = pasteRegions([], { imageId: 'home', annotations: [clipboard.annotations[1]] }, 'settings', generateId);
+  expect(other.annotations[0]).toMatchObject({ ratioX: 0.2, ratioY: 0.2, parentId: null });
+});
@@ -0,0 +1,385 @@
+import { buildOpenApiDocument, pathParamNames } from './openapi';
+import { mergedSchema } from './protocols';
+import {
+  describeRealtimeOperations,
+  generateOperationTypes,
+  generateRealtimeTypes,
+  operationBodySchema,
+  operationTypeNames,
+  sortedOperations,
+  toPascalCase,
+} from './typescript';
+
+// Output is sorted and free of timestamps so regenerating after small annotation edits gives small diffs
+const FILE_HEADER = '// Generated by UI Mocks API Annotator from annotated mockups. Regenerate instead of editing by hand.\n';
+
+const RESERVED_WORDS = ['delete', 'new', 'function', 'default', 'import', 'export', 'class', 'return'];
+
+// "GetUsersById" / "get-users" -> a valid camelCase function name
+const toFunctionName = (text) => {
+  const pascal = toPascalCase(text, 'Operation');
+  const name = pascal.charAt(0).toLowerCase() + pascal.slice(1);
+  return RESERVED_WORDS.includes(name) ? `${name}Operation` : name;
+};
+
+// Collects what the generators need to know about each HTTP operation, in deterministic order.
+// GraphQL endpoints and streams are generated from describeRealtimeOperations instead.
+const describeOperations = (document) => sortedOperations(document).filter(({ operation }) => !operation['x-protocol']).map(({ path, method, operation }) => {
+  // Headers and cookies are set through the client's configuration rather than per call
+  const parameters = (operation.parameters || []).filter((param) => param.in === 'path' || param.in === 'query');
+  return {
+    path,
+    method: method.toUpperCase(),
+    summary: operation.summary,
+    functionName: toFunctionName(operation.operationId),
+    types: operationTypeNames(operation),
+    queryParams: parameters.filter((param) => param.in === 'query').map((param) => param.name),
+    hasParams: parameters.length > 0,
+    hasBody: Boolean(operationBodySchema(operation, 'request')),
+  };
+});
+
+const propertyAccess = (name) => (/^[A-Za-z_$][A-Za-z0-9_$]*$/.test(name) ? `params.${name}` : `params[${JSON.stringify(name)}]`);
+
+// Template literal building the request path from path params, e.g. `/users/${encodeURIComponent(String(params.id))}`
+const pathExpression = (path) => `\`${path.replace(/`/g, '\\`').replace(/\{([^}]+)\}/g, (match, name) => `\${encodeURIComponent(String(${propertyAccess(name)}))}`)}\``;
+
+const CLIENT_RUNTIME = `export interface ApiClientConfig {
+  /** Prepended to every path, e.g. "https://api.example.com" */
+  baseUrl: string;
+  /** Sent with every request, e.g. an Authorization header */
+  headers?: Record<string, string>;
+  fetch?: typeof fetch;
+}
+
+export interface RequestOptions {
+  headers?: Record<string, string>;
+  signal?: AbortSignal;
+}
+
+let clientConfig: ApiClientConfig = { baseUrl: '' };
+
+export function configureApiClient(config: Partial<ApiClientConfig>): void {
+  clientConfig = { ...clientConfig, ...config };
+}
+
+/** Thrown for non-2xx responses; carries the status and the parsed response body */
+export class ApiError extends Error {
+  readonly status: number;
+  readonly body: unknown;
+
+  constructor(status: number, body: unknown) {
+    super(\`Request failed with status \${status}\`);
+    this.name = 'ApiError';
+    this.status = status;
+    this.body = body;
+  }
+}
+
+async function request<T>(
+  method: string,
+  path: string,
+  { query, body, options }: { query?: Record<string, unknown>; body?: unknown; options?: RequestOptions } = {}
+): Promise<T> {
+  const search = new URLSearchParams();
+  Object.entries(query || {}).forEach(([key, value]) => {
+    if (value !== undefined && value !== null) search.append(key, String(value));
+  });
+  const queryString = search.toString();
+  const headers: Record<string, string> = { Accept: 'application/json', ...clientConfig.headers, ...options?.headers };
+  if (body !== undefined) headers['Content-Type'] = 'application/json';
+
+  const fetchImpl = clientConfig.fetch || fetch;
+  const response = await fetchImpl(clientConfig.baseUrl + path + (queryString ? \`?\${queryString}\` : ''), {
+    method,
+    headers,
+    body: body === undefined ? undefined : JSON.stringify(body),
+    signal: options?.signal,
+  });
+  const text = await response.text();
+  let data: unknown = text;
+  try {
+    data = text ? JSON.parse(text) : undefined;
+  } catch {
+    // Not JSON: hand back the raw text
+  }
+  if (!response.ok) throw new ApiError(response.status, data);
+  return data as T;
+}
+`;
+
+const GRAPHQL_RUNTIME = `/** Thrown when a GraphQL response has errors; carries them and whatever data was resolved */
+export class GraphQLRequestError extends Error {
+  readonly errors: { message: string }[];
+  readonly data: unknown;
+
+  constructor(errors: { message: string }[], data: unknown) {
+    super(errors.map((error) => error.message).join('; '));
+    this.name = 'GraphQLRequestError';
+    this.errors = errors;
+    this.data = data;
+  }
+}
+
+async function graphqlRequest<T>(path: string, query: string, operationName: string | undefined, variables: unknown, options?: RequestOptions): Promise<T> {
+  const result = await request<{ data?: T; errors?: { message: string }[] }>('POST', path, { body: { query, operationName, variables }, options });
+  if (result.errors && result.errors.length > 0) throw new GraphQLRequestError(result.errors, result.data);
+  return result.data as T;
+}
+`;
+
+const STREAM_RUNTIME = `export interface Subscription {
+  /** Stops receiving events and closes the connection */
+  close(): void;
+}
+
+export interface StreamOptions {
+  onError?: (error: Event) => void;
+}
+
+// Absolute URL of a path on the configured baseUrl, with the ws(s) scheme for WebSockets
+function streamUrl(path: string, scheme: 'http' | 'ws'): string {
+  const url = new URL(clientConfig.baseUrl + path, typeof window === 'undefined' ? undefined : window.location.href);
+  if (scheme === 'ws') url.protocol = url.protocol === 'https:' ? 'wss:' : 'ws:';
+  return url.toString();
+}
+
+function parseEventData(data: string): unknown {
+  try {
+    return JSON.parse(data);
+  } catch {
+    return data;
+  }
+}
+
+function subscribeToEventSource<T>(path: string, eventName: string, onEvent: (event: T) => void, options?: StreamOptions): Subscription {
+  const source = new EventSource(streamUrl(path, 'http'));
+  source.addEventListener(eventName, (message) => onEvent(parseEventData((message as MessageEvent).data) as T));
+  if (options?.onError) source.addEventListener('error', options.onError);
+  return { close: () => source.close() };
+}
+
+function subscribeToWebSocket<T>(path: string, subscribeMessage: unknown, onEvent: (event: T) => void, options?: StreamOptions): Subscription {
+  const socket = new WebSocket(streamUrl(path, 'ws'));
+  if (subscribeMessage !== undefined) socket.addEventListener('open', () => socket.send(JSON.stringify(subscribeMessage)));
+  socket.addEventListener('message', (message) => onEvent(parseEventData(message.data) as T));
+  if (options?.onError) socket.addEventListener('error', options.onError);
+  return { close: () => socket.close() };
+}
+`;
+
+// "GetUser" -> "GET_USER"
+const toConstantName = (pascal) => pascal.replace(/([a-z0-9])([A-Z])/g, '$1_$2').toUpperCase();
+
+// GraphQL documents are embedded as template literals
+const templateLiteral = (text) => `\`${text.replace(/\\/g, '\\\\').replace(/`/g, '\\`').replace(/\$\{/g, '\\${')}\``;
+
+// Function names for GraphQL operations and streams, avoiding the names taken by HTTP operations
+const assignRealtimeFunctionNames = (realtime, operations) => {
+  const used = new Set(operations.map((operation) => operation.functionName));
+  const unique = (base) => {
+    let name = base;
+    for (let suffix = 2; used.has(name); suffix += 1) name = `${base}${suffix}`;
+    used.add(name);
+    return name;
+  };
+  return {
+    graphql: realtime.graphql.map((operation) => ({ ...operation, functionName: unique(toFunctionName(operation.typeBase)) })),
+    streams: realtime.streams.map((stream) => ({ ...stream, functionName: unique(`subscribeTo${stream.typeBase}`) })),
+  };
+};
+
+const streamParamsType = (path) => `{ ${pathParamNames(path).map((name) => `${/^[A-Za-z_$][A-Za-z0-9_$]*$/.test(name) ? name : JSON.stringify(name)}: string | number`).join('; ')} }`;
+
+const generateGraphqlFunction = (operation) => {
+  const documentName = `${toConstantName(operation.typeBase)}_DOCUMENT`;
+  const label = `GraphQL ${operation.operationType}${operation.operationName ? ` ${operation.operationName}` : ''} at ${operation.path}`;
+  const summary = operation.sources[0].annotation.apiDetails.name;
+  const declaration = `/** ${label}${summary ? ` - ${summary}` : ''} */
+export const ${documentName} = ${templateLiteral(operation.query)};
+`;
+  if (operation.operationType === 'subscription') {
+    return `${declaration}// Subscriptions need a GraphQL-over-WebSocket client such as graphql-ws; pass it ${documentName}.
+`;
+  }
+  const variables = `${operation.typeBase}Variables`;
+  const data = `${operation.typeBase}Data`;
+  const operationName = operation.operationName ? `'${operation.operationName}'` : 'undefined';
+  return `${declaration}
+export function ${operation.functionName}(variables: ${variables}, options?: RequestOptions): Promise<${data}> {
+  return graphqlRequest<${data}>('${operation.path}', ${documentName}, ${operationName}, variables, options);
+}
+`;
+};
+
+const generateStreamFunction = (stream) => {
+  const args = [];
+  if (pathParamNames(stream.path).length > 0) args.push(`params: ${streamParamsType(stream.path)}`);
+  const hasSubscribeMessage = stream.protocol === 'websocket' && Boolean(mergedSchema(stream.sources, 'request'));
+  if (hasSubscribeMessage) args.push(`message: ${stream.typeBase}SubscribeMessage`);
+  args.push(`onEvent: (event: ${stream.typeBase}Event) => void`, 'options?: StreamOptions');
+  const event = `${stream.typeBase}Event`;
+  const label = `${stream.protocol === 'sse' ? 'SSE' : 'WebSocket'} ${stream.path}${stream.channel ? ` (${stream.channel})` : ''}`;
+  const summary = stream.sources[0].annotation.apiDetails.name;
+  const call = stream.protocol === 'sse'
+    ? `subscribeToEventSource<${event}>(${pathExpression(stream.path)}, '${stream.channel || 'message'}', onEvent, options)`
+    : `subscribeToWebSocket<${event}>(${pathExpression(stream.path)}, ${hasSubscribeMessage ? 'message' : 'undefined'}, onEvent, options)`;
+  return `/** ${label}${summary ? ` - ${summary}` : ''} */
+export function ${stream.functionName}(${args.join(', ')}): Subscription {
+  return ${call};
+}
+`;
+};
+
+const generateClientFunction = (operation) => {
+  const args = [];
+  if (operation.hasParams) args.push(`params: ${operation.types.params}`);
+  if (operation.hasBody) args.push(`body: ${operation.types.request}`);
+  args.push('options?: RequestOptions');
+
+  const requestOptions = [];
+  if (operation.queryParams.length > 0) {
+    requestOptions.push(`query: { ${operation.queryParams.map((name) => `${JSON.stringify(name)}: ${propertyAccess(name)}`).join(', ')} }`);
+  }
+  if (operation.hasBody) requestOptions.push('body');
+  requestOptions.push('options');
+
+  const doc = `/** ${operation.method} ${operation.path}${operation.summary ? ` - ${operation.summary}` : ''} */`;
+  return `${doc}
+export function ${operation.functionName}(${args.join(', ')}): Promise<${operation.types.response}> {
+  return request<${operation.types.response}>('${operation.method}', ${pathExpression(operation.path)}, { ${requestOptions.join(', ')} });
+}
+`;
+};
+
+// api-client.ts: request/response types plus one typed function per unique method + endpoint,
+// GraphQL operation and WebSocket/SSE stream
+export const generateApiClient = (images) => {
+  const document = buildOpenApiDocument(images);
+  const operations = describeOperations(document);
+  const realtime = assignRealtimeFunctionNames(describeRealtimeOperations(images), operations);
+  const types = [generateOperationTypes(document), generateRealtimeTypes(realtime)].filter(Boolean).join('\n');
+  return [
+    FILE_HEADER,
+    CLIENT_RUNTIME,
+    realtime.graphql.length > 0 ? GRAPHQL_RUNTIME : '',
+    realtime.streams.length > 0 ? STREAM_RUNTIME : '',
+    types ? `// Types\n\n${types}` : '',
+    operations.length > 0 ? `// Operations\n\n${operations.map(generateClientFunction).join('\n')}` : '',
+    realtime.graphql.length > 0 ? `// GraphQL\n\n${realtime.graphql.map(generateGraphqlFunction).join('\n')}` : '',
+    realtime.streams.length > 0 ? `// Streams\n\n${realtime.streams.map(generateStreamFunction).join('\n')}` : '',
+  ].filter(Boolean).join('\n');
+};
+
+// Hook names come from the annotation's section name, falling back to the operationId; clashes get a suffix
+const assignHookNames = (operations) => {
+  const used = new Set();
+  return operations.map((operation) => {
+    const base = `use${toPascalCase(operation.summary || operation.functionName, 'Operation')}`;
+    let name = base;
+    for (let suffix = 2; used.has(name); suffix += 1) name = `${base}${suffix}`;
+    used.add(name);
+    return { ...operation, hookName: name };
+  });
+};
+
+// Queries become query hooks and mutations mutation hooks; subscriptions have no hook
+const generateGraphqlHook = (operation) => {
+  const variables = `${operation.typeBase}Variables`;
+  const data = `${operation.typeBase}Data`;
+  const doc = `/** GraphQL ${operation.operationType}${operation.operationName ? ` ${operation.operationName}` : ''} */`;
+  if (operation.operationType === 'query') {
+    return `${doc}
+export function ${operation.hookName}(
+  variables: ${variables},
+  options?: Omit<UseQueryOptions<${data}, ApiError | GraphQLRequestError>, 'queryKey' | 'queryFn'>
+) {
+  return useQuery<${data}, ApiError | GraphQLRequestError>({
+    queryKey: ['${operation.functionName}', variables],
+    queryFn: ({ signal }) => api.${operation.functionName}(variables, { signal }),
+    ...options,
+  });
+}
+`;
+  }
+  return `${doc}
+export function ${operation.hookName}(
+  options?: Omit<UseMutationOptions<${data}, ApiError | GraphQLRequestError, ${variables}>, 'mutationFn'>
+) {
+  return useMutation<${data}, ApiError | GraphQLRequestError, ${variables}>({
+    mutationFn: (variables) => api.${operation.functionName}(variables),
+    ...options,
+  });
+}
+`;
+};
+
+const generateHook = (operation) => {
+  if (operation.kind === 'graphql') return generateGraphqlHook(operation);
+  const doc = `/** ${operation.method} ${operation.path} */`;
+  if (operation.method === 'GET' || operation.method === 'HEAD') {
+    const paramsArg = operation.hasParams ? `params: ${operation.types.params},\n  ` : '';
+    const key = operation.hasParams ? `['${operation.functionName}', params]` : `['${operation.functionName}']`;
+    const call = operation.hasParams ? `api.${operation.functionName}(params, { signal })` : `api.${operation.functionName}({ signal })`;
+    return `${doc}
+export function ${operation.hookName}(
+  ${paramsArg}options?: Omit<UseQueryOptions<${operation.types.response}, ApiError>, 'queryKey' | 'queryFn'>
+) {
+  return useQuery<${operation.types.response}, ApiError>({
+    queryKey: ${key},
+    queryFn: ({ signal }) => ${call},
+    ...options,
+  });
+}
+`;
+  }
+
+  const variableFields = [];
+  const callArgs = [];
+  if (operation.hasParams) {
+    variableFields.push(`params: ${operation.types.params}`);
+    callArgs.push('variables.params');
+  }
+  if (operation.hasBody) {
+    variableFields.push(`body: ${operation.types.request}`);
+    callArgs.push('variables.body');
+  }
+  const variablesType = variableFields.length > 0 ? `{ ${variableFields.join('; ')} }` : 'void';
+  const mutationFn = variableFields.length > 0
+    ? `(variables) => api.${operation.functionName}(${callArgs.join(', ')})`
+    : `() => api.${operation.functionName}()`;
+  return `${doc}
+export function ${operation.hookName}(
+  options?: Omit<UseMutationOptions<${operation.types.response}, ApiError, ${variablesType}>, 'mutationFn'>
+) {
+  return useMutation<${operation.types.response}, ApiError, ${variablesType}>({
+    mutationFn: ${mutationFn},
+    ...options,
+  });
+}
+`;
+};
+
+// api-hooks.ts: React Query (TanStack Query v5) hooks wrapping api-client.ts, named after the section names
+export const generateReactQueryHooks = (images) => {
+  const httpOperations = describeOperations(buildOpenApiDocument(images));
+  const graphqlOperations = assignRealtimeFunctionNames(describeRealtimeOperations(images), httpOperations).graphql
+    .filter((operation) => operation.operationType !== 'subscription')
+    .map((operation) => ({ ...operation, kind: 'graphql', summary: operation.sources[0].annotation.apiDetails.name }));
+  const operations = assignHookNames([...httpOperations, ...graphqlOperations]);
+  const typeNames = [...new Set(operations.flatMap((operation) => (operation.kind === 'graphql'
+    ? [`${operation.typeBase}Variables`, `${operation.typeBase}Data`]
+    : [
+      operation.types.response,
+      ...(operation.hasParams ? [operation.types.params] : []),
+      ...(operation.hasBody ? [operation.types.request] : []),
+    ])))].sort();
+  const errorTypes = graphqlOperations.length > 0 ? ['ApiError', 'GraphQLRequestError'] : ['ApiError'];
+  const imports = [
+    "import { useMutation, useQuery } from '@tanstack/react-query';",
+    "import type { UseMutationOptions, UseQueryOptions } from '@tanstack/react-query';",
+    "import * as api from './api-client';",
+    `import type { ${[...errorTypes, ...typeNames].join(', ')} } from './api-client';`,
+  ].join('\n');
+  return `${FILE_HEADER}\n${imports}\n\n${operations.map(generateHook).join('\n')}`;
+};
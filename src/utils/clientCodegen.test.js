@@ -0,0 +1,78 @@
+import { generateApiClient, generateReactQueryHooks } from './clientCodegen';
+import { details } from './testFixtures';
+
+const images = [{
+  id: 'i1',
+  name: 'Users',
+  url: '',
+  annotations: [
+    {
+      id: 'a',
+      apiDetails: details({
+        name: 'User card',
+        endpoint: '/users/{id}',
+        parameters: [{ key: 'id', type: 'integer' }, { key: 'expand', type: 'string' }],
+        responseBody: '{"id": 1, "name": "Ada"}',
+      }),
+    },
+    {
+      id: 'b',
+      apiDetails: details({
+        name: 'Signup form',
+        endpoint: '/users',
+        method: 'POST',
+        requestBody: '{"name": "Ada"}',
+        responseBody: '{"id": 1}',
+      }),
+    },
+  ],
+}];
+
+test('generates one typed client function per operation', () => {
+  const output = generateApiClient(images);
+  expect(output).toContain('export interface GetUsersByIdParams {\n  id: number;\n  expand?: string;\n}');
+  expect(output).toContain('export function getUsersById(params: GetUsersByIdParams, options?: RequestOptions): Promise<GetUsersByIdResponse> {');
+  expect(output).toContain("request<GetUsersByIdResponse>('GET', `/users/$");
+  expect(output).toContain('{encodeURIComponent(String(params.id))}`, { query: { "expand": params.expand }, options });');
+  expect(output).toContain('export function postUsers(body: PostUsersRequest, options?: RequestOptions): Promise<PostUsersResponse> {');
+  expect(output.indexOf('function postUsers')).toBeLessThan(output.indexOf('function getUsersById'));
+});
+
+test('names React Query hooks after the section names', () => {
+  const output = generateReactQueryHooks(images);
+  expect(output).toContain("import type { ApiError, GetUsersByIdParams, GetUsersByIdResponse, PostUsersRequest, PostUsersResponse } from './api-client';");
+  expect(output).toContain('export function useUserCard(\n  params: GetUsersByIdParams,\n  options?: ');
+  expect(output).toContain("queryKey: ['getUsersById', params],");
+  expect(output).toContain('export function useSignupForm(');
+  expect(output).toContain('mutationFn: (variables) => api.postUsers(variables.body),');
+});
+
+test('output does not depend on annotation order', () => {
+  const reversed = [{ ...images[0], annotations: [...images[0].annotations].reverse() }];
+  expect(generateApiClient(reversed)).toBe(generateApiClient(images));
+  expect(generateReactQueryHooks(reversed)).toBe(generateReactQueryHooks(images));
+});
+
+test('generates GraphQL operations and stream subscriptions next to the REST functions', () => {
+  const live = [{
+    id: 'i2',
+    name: 'Live',
+    url: '',
+    annotations: [
+      { id: 'q', apiDetails: details({ name: 'Cart summary', protocol: 'graphql', endpoint: '/graphql', graphqlQuery: 'query Cart($id: ID!) { cart(id: $id) { total } }', requestBody: '{"id": "c1"}', responseBody: '{"cart": {"total": 3}}' }) },
+      { id: 's', apiDetails: details({ name: 'Price ticker', protocol: 'sse', endpoint: '/events', channel: 'price', responseBody: '[{"price": 1}]' }) },
+    ],
+  }];
+  const client = generateApiClient([...images, ...live]);
+  expect(client).toContain('export class GraphQLRequestError extends Error {');
+  expect(client).toContain('export const CART_DOCUMENT = `query Cart($id: ID!) { cart(id: $id) { total } }`;');
+  expect(client).toContain("return graphqlRequest<CartData>('/graphql', CART_DOCUMENT, 'Cart', variables, options);");
+  expect(client).toContain("export function subscribeToPrice(onEvent: (event: PriceEvent) => void, options?: StreamOptions): Subscription {");
+  expect(client).not.toContain('postGraphql');
+  expect(generateApiClient(images)).not.toContain('GraphQLRequestError');
+
+  const hooks = generateReactQueryHooks([...images, ...live]);
+  expect(hooks).toContain("import type { ApiError, GraphQLRequestError, CartData, CartVariables, GetUsersByIdParams");
+  expect(hooks).toContain('export function useCartSummary(\n  variables: CartVariables,');
+  expect(hooks).toContain("queryKey: ['cart', variables],");
+});
@@ -0,0 +1,109 @@
+// Mirrors the project's images into a Yjs document for real-time collaboration, and back.
+//
+// Document layout (all under doc.getMap('images')):
+//   imageId -> Y.Map { id, name, url, position, annotations: Y.Map }
+//   annotationId -> Y.Map { id, ratioX, ..., position, apiDetails: Y.Map { name, endpoint, method, ... } }
+// Every field is its own map entry, so two people editing different fields (or different annotations) never
+// conflict. Concurrent writes to the same field are resolved by Yjs the same way on every client: one value
+// wins and the other is dropped. Deleting a mockup or region wins over concurrent edits inside it.
+// Array order is kept in `position` fields; equal positions (two concurrent inserts) are ordered by id.
+
+import * as Y from 'yjs';
+import { stableStringify } from './openapiImport';
+
+// Transaction origin of changes made in this tab, so they aren't fed back into the app as remote edits
+export const LOCAL_ORIGIN = 'local';
+
+const PALETTE = ['#e11d48', '#2563eb', '#16a34a', '#d97706', '#9333ea', '#0891b2', '#db2777', '#4f46e5'];
+
+// A stable colour for a collaborator's cursor and selections
+export const peerColor = (clientId) => PALETTE[Math.abs(Number(clientId)) % PALETTE.length];
+
+const sameValue = (a, b) => a === b || (a !== null && b !== null && typeof a === 'object' && typeof b === 'object' && stableStringify(a) === stableStringify(b));
+
+// Writes the plain fields of `values` into a Y.Map, touching only the ones that changed.
+// Keys listed in `nested` hold child Y.Maps and are left alone.
+const syncFields = (yMap, values, nested = []) => {
+  Object.keys(values).forEach((key) => {
+    if (nested.includes(key) || values[key] === undefined) return;
+    if (!sameValue(yMap.get(key), values[key])) yMap.set(key, values[key]);
+  });
+  Array.from(yMap.keys()).forEach((key) => {
+    if (!nested.includes(key) && values[key] === undefined) yMap.delete(key);
+  });
+};
+
+// Returns the child Y.Map stored under `key`, creating it when missing
+const childMap = (parent, key) => {
+  let child = parent.get(key);
+  if (!(child instanceof Y.Map)) {
+    child = new Y.Map();
+    parent.set(key, child);
+  }
+  return child;
+};
+
+// Applies a list of records ({ id, ... }) to a Y.Map keyed by id: adds, updates and removes entries.
+// `writeEntry(yEntry, record, position)` fills in a single entry.
+const syncList = (yList, records, writeEntry) => {
+  const ids = new Set(records.map((record) => record.id));
+  Array.from(yList.keys()).forEach((id) => {
+    if (!ids.has(id)) yList.delete(id);
+  });
+  records.forEach((record, position) => writeEntry(childMap(yList, record.id), record, position));
+};
+
+const writeAnnotation = (yAnnotation, { apiDetails, ...annotation }, position) => {
+  syncFields(yAnnotation, { ...annotation, position }, ['apiDetails']);
+  syncFields(childMap(yAnnotation, 'apiDetails'), apiDetails || {});
+};
+
+const writeImage = (yImage, { annotations, ...image }, position) => {
+  syncFields(yImage, { ...image, position }, ['annotations']);
+  syncList(childMap(yImage, 'annotations'), annotations, writeAnnotation);
+};
+
+// Records the difference between the document and `images` as one Yjs transaction
+export const applyImagesToDoc = (doc, images, origin = LOCAL_ORIGIN) => {
+  doc.transact(() => syncList(doc.getMap('images'), images, writeImage), origin);
+};
+
+// Plain object of a Y.Map's fields, without the bookkeeping `position` and the nested maps in `nested`
+const readFields = (yMap, nested = []) => {
+  const values = {};
+  yMap.forEach((value, key) => {
+    if (key !== 'position' && !nested.includes(key)) values[key] = value;
+  });
+  return values;
+};
+
+const readList = (yList, readEntry) => Array.from(yList.values())
+  .filter((entry) => entry instanceof Y.Map)
+  .sort((a, b) => (a.get('position') - b.get('position')) || String(a.get('id')).localeCompare(String(b.get('id'))))
+  .map(readEntry);
+
+const readAnnotation = (yAnnotation) => ({
+  ...readFields(yAnnotation, ['apiDetails']),
+  apiDetails: yAnnotation.get('apiDetails') instanceof Y.Map ? readFields(yAnnotation.get('apiDetails')) : {},
+});
+
+// Rebuilds the images array from the document
+export const docToImages = (doc) => readList(doc.getMap('images'), (yImage) => ({
+  ...readFields(yImage, ['annotations']),
+  annotations: yImage.get('annotations') instanceof Y.Map ? readList(yImage.get('annotations'), readAnnotation) : [],
+}));
+
+export const isDocEmpty = (doc) => doc.getMap('images').size === 0;
+
+// Collaborators from an awareness state map (clientId -> state), excluding this tab.
+// Each state is { user: { name }, imageId, cursor: { x, y } | null, selection: [annotationId] }.
+export const peersFromAwareness = (states, localClientId) => Array.from(states.entries())
+  .filter(([clientId, state]) => clientId !== localClientId && state && state.user)
+  .map(([clientId, state]) => ({
+    clientId,
+    name: state.user.name || 'Anonymous',
+    color: peerColor(clientId),
+    imageId: state.imageId || null,
+    cursor: state.cursor || null,
+    selection: state.selection || [],
+  }));
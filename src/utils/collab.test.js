@@ -0,0 +1,90 @@
+import * as Y from 'yjs';
+import { applyImagesToDoc, docToImages, peerColor, peersFromAwareness } from './collab';
+import { details } from './testFixtures';
+
+const apiDetails = details({ name: 'Orders', endpoint: '/orders', parameters: [{ key: 'page', type: 'integer' }] });
+const images = [
+  {
+    id: 'home',
+    name: 'Home',
+    url: 'data:image/png;base64,AAAA',
+    annotations: [
+      { id: 'list', ratioX: 0.1, ratioY: 0.1, ratioWidth: 0.5, ratioHeight: 0.5, apiDetails },
+      { id: 'row', ratioX: 0.2, ratioY: 0.2, ratioWidth: 0.1, ratioHeight: 0.1, parentId: 'list', shape: 'polygon', points: [{ x: 0.2, y: 0.2 }, { x: 0.3, y: 0.2 }, { x: 0.2, y: 0.3 }], apiDetails },
+    ],
+  },
+  { id: 'settings', name: 'Settings', url: 'data:image/png;base64,BBBB', annotations: [] },
+];
+
+// Two replicas that have both seen `images`
+const replicas = () => {
+  const a = new Y.Doc();
+  applyImagesToDoc(a, images);
+  const b = new Y.Doc();
+  Y.applyUpdate(b, Y.encodeStateAsUpdate(a));
+  return [a, b];
+};
+
+const exchange = (a, b) => {
+  const fromA = Y.encodeStateAsUpdate(a, Y.encodeStateVector(b));
+  const fromB = Y.encodeStateAsUpdate(b, Y.encodeStateVector(a));
+  Y.applyUpdate(b, fromA);
+  Y.applyUpdate(a, fromB);
+};
+
+const editApiDetails = (source, changes) => source.map((image, index) => (index === 0 ? {
+  ...image,
+  annotations: image.annotations.map((annotation, i) => (i === 0 ? { ...annotation, apiDetails: { ...annotation.apiDetails, ...changes } } : annotation)),
+} : image));
+
+test('round-trips images through the shared document and only writes what changed', () => {
+  const doc = new Y.Doc();
+  applyImagesToDoc(doc, images);
+  expect(docToImages(doc)).toEqual(images);
+
+  const updates = [];
+  doc.on('update', (update) => updates.push(update));
+  applyImagesToDoc(doc, images);
+  expect(updates).toHaveLength(0);
+
+  const reordered = [images[1], { ...images[0], annotations: [images[0].annotations[1], images[0].annotations[0]] }];
+  applyImagesToDoc(doc, reordered);
+  expect(docToImages(doc)).toEqual(reordered);
+});
+
+test('merges concurrent edits to different fields and resolves the same field identically', () => {
+  const [a, b] = replicas();
+  applyImagesToDoc(a, editApiDetails(images, { endpoint: '/v2/orders', description: 'From A' }));
+  applyImagesToDoc(b, editApiDetails(images, { method: 'POST', description: 'From B' }));
+  exchange(a, b);
+
+  const merged = docToImages(a);
+  expect(docToImages(b)).toEqual(merged);
+  expect(merged[0].annotations[0].apiDetails).toMatchObject({ endpoint: '/v2/orders', method: 'POST' });
+  expect(['From A', 'From B']).toContain(merged[0].annotations[0].apiDetails.description);
+});
+
+test('keeps edits from both sides when mockups are added offline, and deletion wins', () => {
+  const [a, b] = replicas();
+  const cart = { id: 'cart', name: 'Cart', url: 'data:,', annotations: [] };
+  // A adds a mockup and moves the row while B deletes the row
+  const rowMoved = { ...images[0], annotations: images[0].annotations.map((annotation) => (annotation.id === 'row' ? { ...annotation, ratioX: 0.25 } : annotation)) };
+  applyImagesToDoc(a, [rowMoved, images[1], cart]);
+  applyImagesToDoc(b, [{ ...images[0], annotations: [images[0].annotations[0]] }, images[1]]);
+  exchange(a, b);
+
+  const merged = docToImages(b);
+  expect(merged.map((image) => image.id)).toEqual(['home', 'settings', 'cart']);
+  expect(merged[0].annotations.map((annotation) => annotation.id)).toEqual(['list']);
+});
+
+test('lists the other collaborators from awareness states', () => {
+  const states = new Map([
+    [1, { user: { name: 'Me' } }],
+    [2, { user: { name: 'Ada' }, imageId: 'home', cursor: { x: 0.5, y: 0.5 }, selection: ['list'] }],
+    [3, {}],
+  ]);
+  expect(peersFromAwareness(states, 1)).toEqual([
+    { clientId: 2, name: 'Ada', color: peerColor(2), imageId: 'home', cursor: { x: 0.5, y: 0.5 }, selection: ['list'] },
+  ]);
+});
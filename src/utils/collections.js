@@ -0,0 +1,392 @@
+import { detectPathTemplate } from './harImport';
+import { buildOperationId, normalizePath } from './openapi';
+import { hashString, stableStringify } from './openapiImport';
+import { endpointPathParams, newParameter, normalizeParameter, sampleParameterValue } from './parameters';
+import { effectiveMethod, getProtocol, graphqlPayload, HTTP_METHODS } from './protocols';
+import { DEFAULT_API_KEY_HEADER, isJsonContentType, isValidStatus, listResponses, statusText } from './responses';
+import { parseJsonExample } from './schema';
+
+// Postman and Insomnia collections: exports of the project for API clients, and imports of such collections
+// into the endpoint autocomplete. Requests use a `baseUrl` variable for the server, so the same collection
+// works against the mock server and the real backend. WebSocket annotations are left out: neither format
+// can describe them.
+
+export const POSTMAN_SCHEMA = 'https://schema.getpostman.com/json/collection/v2.1.0/collection.json';
+
+const DEFAULT_BASE_URL = 'http://localhost:8080';
+
+// Variables holding the credentials of each authentication scheme, created empty in the exports
+const AUTH_VARIABLES = { bearer: ['token'], basic: ['username', 'password'], apiKey: ['apiKey'] };
+
+// The annotations that become requests, grouped by mockup: [{ image, requests: [{ annotation, index }] }]
+const exportedRequests = (images) => images.map((image) => ({
+  image,
+  requests: image.annotations
+    .map((annotation, index) => ({ annotation, index }))
+    .filter(({ annotation }) => normalizePath(annotation.apiDetails.endpoint) && getProtocol(annotation.apiDetails) !== 'websocket'),
+})).filter(({ requests }) => requests.length > 0);
+
+const requestName = ({ annotation, index }) => annotation.apiDetails.name || `Section ${index + 1}`;
+
+// The named parameters of an annotation, with the location of path placeholders sorted out
+const namedParameters = (apiDetails) => {
+  const placeholders = endpointPathParams(apiDetails.endpoint);
+  return (apiDetails.parameters || []).map((param) => normalizeParameter(param, placeholders)).filter((param) => String(param.key).trim());
+};
+
+// Headers sent with every call of an annotation: its request headers, header parameters and the stream's Accept
+const requestHeaderList = (apiDetails) => {
+  const headers = (apiDetails.requestHeaders || [])
+    .filter((header) => String(header.key || '').trim())
+    .map((header) => ({ key: header.key.trim(), value: String(header.value || '') }));
+  namedParameters(apiDetails).filter((param) => param.in === 'header').forEach((param) => {
+    headers.push({ key: param.key.trim(), value: sampleParameterValue(param), description: param.description });
+  });
+  if (getProtocol(apiDetails) === 'sse') headers.push({ key: 'Accept', value: 'text/event-stream' });
+  return headers;
+};
+
+// The example body sent with an annotation's call, or '' when it sends none
+const requestBodyText = (apiDetails) => {
+  const protocol = getProtocol(apiDetails);
+  if (protocol === 'graphql') return JSON.stringify(graphqlPayload(apiDetails), null, 2);
+  if (protocol === 'sse' || ['GET', 'HEAD', 'OPTIONS'].includes(effectiveMethod(apiDetails))) return '';
+  return String(apiDetails.requestBody || '').trim() ? apiDetails.requestBody : '';
+};
+
+const postmanAuth = (apiDetails) => {
+  switch (apiDetails.authScheme) {
+    case 'bearer':
+      return { type: 'bearer', bearer: [{ key: 'token', value: '{{token}}', type: 'string' }] };
+    case 'basic':
+      return {
+        type: 'basic',
+        basic: [{ key: 'username', value: '{{username}}', type: 'string' }, { key: 'password', value: '{{password}}', type: 'string' }],
+      };
+    case 'apiKey':
+      return {
+        type: 'apikey',
+        apikey: [
+          { key: 'key', value: String(apiDetails.authKeyName || '').trim() || DEFAULT_API_KEY_HEADER, type: 'string' },
+          { key: 'value', value: '{{apiKey}}', type: 'string' },
+          { key: 'in', value: 'header', type: 'string' },
+        ],
+      };
+    default:
+      return undefined;
+  }
+};
+
+const postmanUrl = (apiDetails) => {
+  const params = namedParameters(apiDetails);
+  const path = normalizePath(apiDetails.endpoint).replace(/\{([^}]+)\}/g, ':$1');
+  const query = params.filter((param) => param.in === 'query').map((param) => ({
+    key: param.key.trim(),
+    value: sampleParameterValue(param),
+    description: param.description,
+    // Optional parameters without an example are listed but not sent
+    disabled: !param.required && !String(param.example || '').trim() && !String(param.default || '').trim(),
+  }));
+  const enabled = query.filter((param) => !param.disabled).map((param) => `${param.key}=${param.value}`);
+  return {
+    raw: `{{baseUrl}}${path}${enabled.length > 0 ? `?${enabled.join('&')}` : ''}`,
+    host: ['{{baseUrl}}'],
+    path: path.split('/').filter(Boolean),
+    query,
+    variable: endpointPathParams(apiDetails.endpoint).map((name) => {
+      const param = params.find((candidate) => candidate.key.trim() === name) || newParameter({ key: name });
+      return { key: name, value: sampleParameterValue(param), description: param.description };
+    }),
+  };
+};
+
+const postmanBody = (apiDetails) => {
+  const text = requestBodyText(apiDetails);
+  if (!text) return undefined;
+  if (getProtocol(apiDetails) === 'graphql') {
+    const { query, variables } = graphqlPayload(apiDetails);
+    return { mode: 'graphql', graphql: { query, variables: variables === undefined ? '' : JSON.stringify(variables, null, 2) } };
+  }
+  return { mode: 'raw', raw: text, options: { raw: { language: parseJsonExample(text).error ? 'text' : 'json' } } };
+};
+
+// Saved example responses: every documented HTTP response, or the wrapped data of a GraphQL call
+const postmanResponses = (apiDetails, originalRequest) => {
+  const protocol = getProtocol(apiDetails);
+  if (protocol === 'sse') return [];
+  const responses = protocol === 'graphql'
+    ? [{ status: '200', description: '', contentType: 'application/json', headers: [], body: `{"data": ${apiDetails.responseBody}}`, isMain: true }]
+    : listResponses(apiDetails);
+  // The main response is saved when it has an example; the other documented ones always are
+  return responses.filter((response) => !response.isMain || String(apiDetails.responseBody || '').trim()).map((response) => {
+    const { value, error } = parseJsonExample(response.body);
+    const json = isJsonContentType(response.contentType) && !error;
+    return {
+      name: response.description || `${response.status} ${statusText(response.status)}`.trim(),
+      originalRequest,
+      status: statusText(response.status),
+      code: Number(response.status),
+      _postman_previewlanguage: json ? 'json' : 'text',
+      header: [
+        { key: 'Content-Type', value: response.contentType },
+        ...(response.headers || []).filter((header) => String(header.key || '').trim()).map((header) => ({ key: header.key.trim(), value: String(header.value || '') })),
+      ],
+      body: json && value !== undefined ? JSON.stringify(value, null, 2) : String(response.body || ''),
+    };
+  });
+};
+
+const postmanRequest = ({ annotation, index }) => {
+  const { apiDetails } = annotation;
+  const body = postmanBody(apiDetails);
+  const headers = requestHeaderList(apiDetails).map((header) => ({ ...header, type: 'text' }));
+  if (body && body.mode === 'raw' && body.options.raw.language === 'json') headers.push({ key: 'Content-Type', value: 'application/json', type: 'text' });
+  const request = {
+    method: effectiveMethod(apiDetails),
+    header: headers,
+    url: postmanUrl(apiDetails),
+    description: apiDetails.description || '',
+  };
+  if (body) request.body = body;
+  const auth = postmanAuth(apiDetails);
+  if (auth) request.auth = auth;
+  return { name: requestName({ annotation, index }), request, response: postmanResponses(apiDetails, request) };
+};
+
+// Variables for the credentials the project's annotations need, created empty
+const credentialVariables = (images) => {
+  const schemes = new Set(images.flatMap((image) => image.annotations.map((annotation) => annotation.apiDetails.authScheme)));
+  return Object.keys(AUTH_VARIABLES).filter((scheme) => schemes.has(scheme)).flatMap((scheme) => AUTH_VARIABLES[scheme]);
+};
+
+// Postman v2.1 collection of the project: one folder per mockup, one request per annotated call with its
+// parameters, example body and saved example responses
+export const generatePostmanCollection = (images, { title = 'UI Mocks API', baseUrl = DEFAULT_BASE_URL } = {}) => ({
+  info: {
+    name: title,
+    description: 'Generated by UI Mocks API Annotator from annotated mockups. Regenerate instead of editing by hand.',
+    schema: POSTMAN_SCHEMA,
+  },
+  variable: [
+    { key: 'baseUrl', value: baseUrl, type: 'string' },
+    ...credentialVariables(images).map((key) => ({ key, value: '', type: 'string' })),
+  ],
+  item: exportedRequests(images).map(({ image, requests }) => ({ name: image.name, item: requests.map(postmanRequest) })),
+});
+
+const insomniaId = (prefix, id) => `${prefix}_${String(id).replace(/[^A-Za-z0-9]/g, '')}`;
+
+const insomniaAuth = (apiDetails) => {
+  switch (apiDetails.authScheme) {
+    case 'bearer':
+      return { type: 'bearer', token: '{{ _.token }}' };
+    case 'basic':
+      return { type: 'basic', username: '{{ _.username }}', password: '{{ _.password }}' };
+    case 'apiKey':
+      return { type: 'apikey', key: String(apiDetails.authKeyName || '').trim() || DEFAULT_API_KEY_HEADER, value: '{{ _.apiKey }}', addTo: 'header' };
+    default:
+      return {};
+  }
+};
+
+const insomniaRequest = ({ annotation, index }, parentId) => {
+  const { apiDetails } = annotation;
+  const params = namedParameters(apiDetails);
+  let path = normalizePath(apiDetails.endpoint);
+  // Insomnia has no path variables; placeholders are filled with their example values
+  endpointPathParams(apiDetails.endpoint).forEach((name) => {
+    const param = params.find((candidate) => candidate.key.trim() === name) || newParameter({ key: name });
+    path = path.replace(`{${name}}`, encodeURIComponent(sampleParameterValue(param)));
+  });
+  const text = requestBodyText(apiDetails);
+  const graphql = getProtocol(apiDetails) === 'graphql';
+  const headers = requestHeaderList(apiDetails).map(({ key, value, description }) => ({ name: key, value, description }));
+  const contentType = graphql || !parseJsonExample(text).error ? 'application/json' : 'text/plain';
+  if (text) headers.push({ name: 'Content-Type', value: contentType });
+  return {
+    _id: insomniaId('req', annotation.id),
+    _type: 'request',
+    parentId,
+    name: requestName({ annotation, index }),
+    description: apiDetails.description || '',
+    method: effectiveMethod(apiDetails),
+    url: `{{ _.baseUrl }}${path}`,
+    parameters: params.filter((param) => param.in === 'query').map((param) => ({
+      name: param.key.trim(),
+      value: sampleParameterValue(param),
+      description: param.description,
+      disabled: !param.required && !String(param.example || '').trim() && !String(param.default || '').trim(),
+    })),
+    headers,
+    body: text ? { mimeType: graphql ? 'application/graphql' : contentType, text } : {},
+    authentication: insomniaAuth(apiDetails),
+  };
+};
+
+// Insomnia export (format 4) of the project: a workspace with one folder per mockup and an environment
+// holding baseUrl and the credential variables
+export const generateInsomniaExport = (images, { title = 'UI Mocks API', baseUrl = DEFAULT_BASE_URL, exportDate = new Date().toISOString() } = {}) => {
+  const workspaceId = 'wrk_uimocks';
+  const credentials = Object.fromEntries(credentialVariables(images).map((key) => [key, '']));
+  return {
+    _type: 'export',
+    __export_format: 4,
+    __export_date: exportDate,
+    __export_source: 'ui-mocks-api-annotator',
+    resources: [
+      { _id: workspaceId, _type: 'workspace', parentId: null, name: title, description: '', scope: 'collection' },
+      { _id: 'env_uimocks', _type: 'environment', parentId: workspaceId, name: 'Base Environment', data: { baseUrl, ...credentials } },
+      ...exportedRequests(images).flatMap(({ image, requests }) => {
+        const folderId = insomniaId('fld', image.id);
+        return [
+          { _id: folderId, _type: 'request_group', parentId: workspaceId, name: image.name, description: '' },
+          ...requests.map((request) => insomniaRequest(request, folderId)),
+        ];
+      }),
+    ],
+  };
+};
+
+// Path of a collection URL: the server ("{{baseUrl}}", a host or an Insomnia variable) and query dropped,
+// ":id" and "{{id}}" path variables turned into "{id}"
+const pathOfUrl = (raw) => {
+  const withoutServer = String(raw || '')
+    .replace(/^\{\{[^}]*\}\}/, '')
+    .replace(/^[a-z][a-z0-9+.-]*:\/\/[^/]+/i, '');
+  return normalizePath(withoutServer.replace(/\{\{\s*(?:_\.)?([A-Za-z_][\w-]*)\s*\}\}/g, '{$1}')) || '/';
+};
+
+const descriptionText = (description) => (description && typeof description === 'object' ? description.content || '' : String(description || ''));
+
+// Headers that come from the client or the authentication rather than the API
+const IMPLIED_HEADERS = ['accept', 'authorization', 'content-type', 'cookie'];
+
+const headerParameters = (headers) => (headers || [])
+  .filter((header) => header && header.disabled !== true && !IMPLIED_HEADERS.includes(String(header.key || header.name || '').toLowerCase()))
+  .map((header) => newParameter({ key: header.key || header.name, in: 'header', example: String(header.value || '') }));
+
+// Completes an imported operation with the fields every spec operation has (see utils/openapiImport)
+const toOperation = ({ method, path, summary, description, parameters, requestExample, responses }) => {
+  const documented = responses.filter((response) => isValidStatus(response.status));
+  const main = documented.find((response) => /^2/.test(response.status)) || documented[0];
+  const pathNames = endpointPathParams(path);
+  const operation = {
+    operationId: buildOperationId(method, path),
+    method,
+    path,
+    summary,
+    description,
+    parameters: [
+      ...pathNames.map((name) => ({ ...(parameters.find((param) => param.key === name) || newParameter({ key: name })), in: 'path', required: true })),
+      ...parameters.filter((param) => !pathNames.includes(param.key)),
+    ],
+    requestExample,
+    responseExample: main ? main.body : '',
+    responseStatus: main ? main.status : '200',
+    responseHeaders: main ? main.headers : [],
+    otherResponses: documented.filter((response) => response !== main && response.status !== (main && main.status))
+      .map(({ status, description: text, contentType, headers, body }) => ({ status, description: text, contentType, headers, body })),
+  };
+  operation.fingerprint = hashString(stableStringify({
+    method: operation.method,
+    path: operation.path,
+    parameters: operation.parameters.map(({ key, type }) => ({ key, type })),
+    requestExample: operation.requestExample,
+    responseExample: operation.responseExample,
+  }));
+  return operation;
+};
+
+// A parameter typed after its example value, which collections give as text
+const typedParameter = (overrides) => newParameter({ ...overrides, type: /^-?\d+$/.test(overrides.example) ? 'integer' : 'string' });
+
+const postmanRequestBody = (body) => {
+  if (!body) return '';
+  if (body.mode === 'graphql' && body.graphql) return JSON.stringify({ query: body.graphql.query, ...(body.graphql.variables ? { variables: parseJsonExample(body.graphql.variables).value } : {}) }, null, 2);
+  return body.mode === 'raw' ? String(body.raw || '') : '';
+};
+
+const postmanOperation = (item) => {
+  const { request } = item;
+  const url = typeof request.url === 'string' ? { raw: request.url } : request.url || {};
+  return toOperation({
+    method: String(request.method || 'GET').toUpperCase(),
+    path: pathOfUrl(url.raw || `/${(url.path || []).join('/')}`),
+    summary: item.name || '',
+    description: descriptionText(request.description),
+    parameters: [
+      ...(url.variable || []).map((variable) => typedParameter({ key: variable.key, in: 'path', required: true, description: descriptionText(variable.description), example: String(variable.value || '') })),
+      ...(url.query || []).filter((query) => query.key).map((query) => typedParameter({ key: query.key, description: descriptionText(query.description), example: String(query.value || '') })),
+      ...headerParameters(request.header),
+    ],
+    requestExample: postmanRequestBody(request.body),
+    responses: (item.response || []).map((response) => {
+      const headers = (response.header || []).filter((header) => header && header.key);
+      const contentType = headers.find((header) => header.key.toLowerCase() === 'content-type');
+      return {
+        status: String(response.code || ''),
+        description: response.name || '',
+        contentType: contentType ? contentType.value.split(';')[0].trim() : 'application/json',
+        headers: headers.filter((header) => header !== contentType).map((header) => ({ key: header.key, value: String(header.value || '') })),
+        body: String(response.body || ''),
+      };
+    }),
+  });
+};
+
+// Requests of a Postman collection, including those in nested folders
+const postmanItems = (items) => (items || []).flatMap((item) => (Array.isArray(item.item) ? postmanItems(item.item) : item.request ? [item] : []));
+
+// Insomnia URLs hold concrete IDs, which become path parameters like in recorded traffic
+const insomniaOperation = (resource) => {
+  const { template, values } = detectPathTemplate(pathOfUrl(resource.url));
+  return toOperation({
+    method: String(resource.method || 'GET').toUpperCase(),
+    path: template,
+    summary: resource.name || '',
+    description: resource.description || '',
+    parameters: [
+      ...Object.entries(values).map(([key, value]) => typedParameter({ key, in: 'path', required: true, example: value })),
+      ...(resource.parameters || []).filter((param) => param.name).map((param) => typedParameter({ key: param.name, description: param.description || '', example: String(param.value || '') })),
+      ...headerParameters(resource.headers),
+    ],
+    requestExample: resource.body && typeof resource.body.text === 'string' ? resource.body.text : '',
+    responses: [],
+  });
+};
+
+// Reads a Postman (v2.0/v2.1) collection or an Insomnia export (format 4) into the operations offered by the
+// endpoint autocomplete, in the shape of OpenAPI spec operations. Returns { title, operations }, or null when
+// the text is not such a collection. Requests repeating a method and path are skipped.
+export const parseCollection = (text) => {
+  let document;
+  try {
+    document = JSON.parse(text);
+  } catch (error) {
+    return null;
+  }
+  let title;
+  let operations;
+  if (document && document.info && Array.isArray(document.item) && /getpostman\.com/.test(String(document.info.schema || ''))) {
+    title = document.info.name || 'Postman collection';
+    operations = postmanItems(document.item).map(postmanOperation);
+  } else if (document && document._type === 'export' && Array.isArray(document.resources)) {
+    const workspace = document.resources.find((resource) => resource._type === 'workspace');
+    title = (workspace && workspace.name) || 'Insomnia export';
+    operations = document.resources.filter((resource) => resource._type === 'request').map(insomniaOperation);
+  } else {
+    return null;
+  }
+  const unique = operations.filter((operation, index) => HTTP_METHODS.includes(operation.method)
+    && operations.findIndex((other) => other.method === operation.method && other.path === operation.path) === index);
+  return { title, operations: unique };
+};
+
+// Adds a collection's operations to those already offered by the endpoint autocomplete. The imported spec, if any,
+// stays the reference for linked annotations: its operations come first and win over requests with the same
+// method and path.
+export const addCollectionOperations = (operations, collectionOperations) => [
+  ...operations,
+  ...collectionOperations.filter((operation) => !operations.some((existing) => existing.operationId === operation.operationId
+    || (existing.method === operation.method && existing.path === operation.path))),
+];
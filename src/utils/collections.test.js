@@ -0,0 +1,191 @@
+import { addCollectionOperations, generateInsomniaExport, generatePostmanCollection, parseCollection, POSTMAN_SCHEMA } from './collections';
+import { applyOperation, extractOperations, parseOpenApiDocument, reconcileSpecBindings } from './openapiImport';
+
+const images = [
+  {
+    id: 'img-1',
+    name: 'Order page',
+    annotations: [
+      {
+        id: 'a1',
+        apiDetails: {
+          name: 'Order',
+          description: 'Loads the order',
+          endpoint: '/orders/:orderId',
+          method: 'GET',
+          parameters: [
+            { key: 'orderId', in: 'path', type: 'integer', required: true, description: 'Order number', example: '42' },
+            { key: 'view', in: 'query', type: 'string', required: false, enum: ['full'], default: 'full' },
+            { key: 'page', in: 'query', type: 'integer', required: false },
+            { key: 'X-Tenant', in: 'header', type: 'string', required: true, example: 'acme' },
+          ],
+          requestBody: '',
+          responseBody: '{"id": 42}',
+          responseStatus: '200',
+          responseHeaders: [{ key: 'ETag', value: 'W/"1"' }],
+          responses: [{ status: '404', description: 'No such order', contentType: 'application/problem+json', headers: [], body: '{"title": "Not found"}' }],
+          requestHeaders: [],
+          authScheme: 'bearer',
+          authKeyName: '',
+        },
+      },
+      { id: 'a2', apiDetails: { name: 'Decoration', endpoint: '', method: 'GET', parameters: [] } },
+      { id: 'a3', apiDetails: { name: 'Live', protocol: 'websocket', endpoint: '/ws', method: 'GET', parameters: [] } },
+    ],
+  },
+  {
+    id: 'img-2',
+    name: 'Cart',
+    annotations: [
+      {
+        id: 'b1',
+        apiDetails: {
+          name: '',
+          endpoint: '/cart/items',
+          method: 'POST',
+          parameters: [],
+          requestBody: '{"sku": "A-1"}',
+          responseBody: '',
+          responseStatus: '201',
+          authScheme: 'apiKey',
+          authKeyName: 'X-Key',
+        },
+      },
+      {
+        id: 'b2',
+        apiDetails: {
+          name: 'Cart query',
+          protocol: 'graphql',
+          endpoint: '/graphql',
+          method: 'POST',
+          graphqlQuery: 'query Cart($id: ID!) { cart(id: $id) { total } }',
+          requestBody: '{"id": "c1"}',
+          responseBody: '{"cart": {"total": 3}}',
+          parameters: [],
+        },
+      },
+    ],
+  },
+];
+
+test('exports a Postman collection with a folder per mockup and example responses', () => {
+  const collection = generatePostmanCollection(images, { title: 'Shop', baseUrl: 'http://localhost:3000' });
+  expect(collection.info).toMatchObject({ name: 'Shop', schema: POSTMAN_SCHEMA });
+  expect(collection.variable).toEqual([
+    { key: 'baseUrl', value: 'http://localhost:3000', type: 'string' },
+    { key: 'token', value: '', type: 'string' },
+    { key: 'apiKey', value: '', type: 'string' },
+  ]);
+  expect(collection.item.map((folder) => [folder.name, folder.item.map((item) => item.name)])).toEqual([
+    ['Order page', ['Order']],
+    ['Cart', ['Section 1', 'Cart query']],
+  ]);
+
+  const order = collection.item[0].item[0];
+  expect(order.request.url).toMatchObject({
+    raw: '{{baseUrl}}/orders/:orderId?view=full',
+    host: ['{{baseUrl}}'],
+    path: ['orders', ':orderId'],
+    variable: [{ key: 'orderId', value: '42', description: 'Order number' }],
+  });
+  expect(order.request.url.query.map(({ key, value, disabled }) => [key, value, disabled])).toEqual([['view', 'full', false], ['page', '1', true]]);
+  expect(order.request.header).toEqual([{ key: 'X-Tenant', value: 'acme', description: '', type: 'text' }]);
+  expect(order.request.auth).toEqual({ type: 'bearer', bearer: [{ key: 'token', value: '{{token}}', type: 'string' }] });
+  expect(order.response.map(({ name, code, body }) => [name, code, body])).toEqual([
+    ['200 OK', 200, '{\n  "id": 42\n}'],
+    ['No such order', 404, '{\n  "title": "Not found"\n}'],
+  ]);
+  expect(order.response[0].header).toContainEqual({ key: 'ETag', value: 'W/"1"' });
+
+  const [addItem, cartQuery] = collection.item[1].item;
+  expect(addItem.request.body).toEqual({ mode: 'raw', raw: '{"sku": "A-1"}', options: { raw: { language: 'json' } } });
+  expect(addItem.request.auth.apikey).toContainEqual({ key: 'key', value: 'X-Key', type: 'string' });
+  expect(addItem.response).toEqual([]);
+  expect(cartQuery.request.body).toEqual({ mode: 'graphql', graphql: { query: images[1].annotations[1].apiDetails.graphqlQuery, variables: '{\n  "id": "c1"\n}' } });
+  expect(JSON.parse(cartQuery.response[0].body)).toEqual({ data: { cart: { total: 3 } } });
+});
+
+test('exports an Insomnia workspace with the base URL in its environment', () => {
+  const exported = generateInsomniaExport(images, { title: 'Shop', baseUrl: 'http://localhost:3000', exportDate: '2024-05-01T10:00:00.000Z' });
+  expect(exported).toMatchObject({ _type: 'export', __export_format: 4, __export_date: '2024-05-01T10:00:00.000Z' });
+  const byType = (type) => exported.resources.filter((resource) => resource._type === type);
+  expect(byType('workspace').map((resource) => resource.name)).toEqual(['Shop']);
+  expect(byType('environment')[0].data).toEqual({ baseUrl: 'http://localhost:3000', token: '', apiKey: '' });
+  expect(byType('request_group').map((resource) => resource.name)).toEqual(['Order page', 'Cart']);
+
+  const [order, addItem] = byType('request');
+  expect(order).toMatchObject({ _id: 'req_a1', parentId: 'fld_img1', method: 'GET', url: '{{ _.baseUrl }}/orders/42', authentication: { type: 'bearer', token: '{{ _.token }}' } });
+  expect(order.parameters.map(({ name, disabled }) => [name, disabled])).toEqual([['view', false], ['page', true]]);
+  expect(addItem).toMatchObject({ body: { mimeType: 'application/json', text: '{"sku": "A-1"}' }, authentication: { type: 'apikey', key: 'X-Key' } });
+  expect(addItem.headers).toContainEqual({ name: 'Content-Type', value: 'application/json' });
+});
+
+test('imports exported collections back as autocomplete operations', () => {
+  const postman = parseCollection(JSON.stringify(generatePostmanCollection(images, { title: 'Shop' })));
+  expect(postman.title).toBe('Shop');
+  expect(postman.operations.map((operation) => `${operation.method} ${operation.path}`)).toEqual(['GET /orders/{orderId}', 'POST /cart/items', 'POST /graphql']);
+  const [order] = postman.operations;
+  expect(order).toMatchObject({
+    operationId: 'getOrdersByOrderId',
+    summary: 'Order',
+    description: 'Loads the order',
+    responseStatus: '200',
+    responseExample: '{\n  "id": 42\n}',
+    responseHeaders: [{ key: 'ETag', value: 'W/"1"' }],
+    otherResponses: [{ status: '404', description: 'No such order', contentType: 'application/problem+json' }],
+  });
+  expect(order.parameters.map(({ key, in: location, type, example }) => [key, location, type, example])).toEqual([
+    ['orderId', 'path', 'integer', '42'],
+    ['view', 'query', 'string', 'full'],
+    ['page', 'query', 'integer', '1'],
+    ['X-Tenant', 'header', 'string', 'acme'],
+  ]);
+  expect(order.fingerprint).toMatch(/^[0-9a-f]+$/);
+
+  const insomnia = parseCollection(JSON.stringify(generateInsomniaExport(images, { title: 'Shop' })));
+  expect(insomnia.operations.map((operation) => `${operation.method} ${operation.path}`)).toEqual(['GET /orders/{orderId}', 'POST /cart/items', 'POST /graphql']);
+  expect(insomnia.operations[0].parameters[0]).toMatchObject({ key: 'orderId', in: 'path', example: '42' });
+  expect(insomnia.operations[1].requestExample).toBe('{"sku": "A-1"}');
+});
+
+test('a collection imported after a spec adds to the autocomplete and leaves spec links alone', () => {
+  const specOperations = extractOperations(parseOpenApiDocument(`
+openapi: 3.0.3
+info: { title: Shop, version: 1.0.0 }
+paths:
+  /orders/{orderId}:
+    get:
+      operationId: getOrder
+      parameters: [{ name: orderId, in: path, required: true, schema: { type: integer } }]
+      responses: { '200': { description: OK } }
+  /health:
+    get:
+      operationId: getHealth
+      responses: { '204': { description: Up } }
+`));
+  const linked = [{
+    id: 'img-1',
+    name: 'Order page',
+    annotations: specOperations.map((operation, index) => ({ id: `a${index}`, apiDetails: applyOperation({ parameters: [] }, operation) })),
+  }];
+  const { operations: collectionOperations } = parseCollection(JSON.stringify(generatePostmanCollection(images, { title: 'Shop' })));
+
+  const operations = addCollectionOperations(specOperations, collectionOperations);
+  // GET /orders/{orderId} is already in the spec, under its own operationId
+  expect(operations.map((operation) => operation.operationId)).toEqual(['getOrder', 'getHealth', 'postCartItems', 'postGraphql']);
+  expect(reconcileSpecBindings(linked, specOperations)).toEqual(linked);
+  expect(reconcileSpecBindings(linked, operations)).toEqual(linked);
+  expect(addCollectionOperations(operations, collectionOperations)).toEqual(operations);
+});
+
+test('recognises only Postman and Insomnia collections', () => {
+  expect(parseCollection('openapi: 3.0.0')).toBeNull();
+  expect(parseCollection('{"openapi": "3.1.0", "paths": {}}')).toBeNull();
+  const nested = {
+    info: { name: 'Legacy', schema: 'https://schema.getpostman.com/json/collection/v2.0.0/collection.json' },
+    item: [{ name: 'Folder', item: [{ name: 'Ping', request: { method: 'get', url: 'https://api.test/v1/ping?x=1' } }] }, { name: 'Dup', request: { method: 'GET', url: '{{host}}/v1/ping' } }],
+  };
+  const insomnia = { _type: 'export', __export_format: 4, resources: [{ _type: 'request', name: 'File', method: 'GET', url: '{{ _.baseUrl }}/files/100%zz/7' }] };
+  expect(parseCollection(JSON.stringify(insomnia)).operations.map((operation) => operation.path)).toEqual(['/files/100%zz/{id}']);
+  expect(parseCollection(JSON.stringify(nested)).operations.map((operation) => [operation.method, operation.path, operation.summary])).toEqual([['GET', '/v1/ping', 'Ping']]);
+});
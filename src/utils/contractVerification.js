@@ -0,0 +1,176 @@
+import { buildPreviewRequest, REQUEST_TIMEOUT_MS, sendPreviewRequest } from './apiRequest';
+import { validate } from './mockRuntime';
+import { describeOperation, effectiveMethod, eventSchema, getProtocol } from './protocols';
+import { isJsonContentType, listResponses } from './responses';
+import { getEffectiveSchema, inferSchema, parseJsonExample } from './schema';
+
+// Verifies a running backend against the annotations: every annotated operation is called with its example
+// request, and what comes back is checked against the documented statuses and the schemas implied by the
+// examples. Each annotation gets a result:
+//   { imageId, imageName, annotationId, name, operation, outcome, messages, time }
+// where `outcome` is one of OUTCOMES, `messages` explains a failure, error or skip, and `time` is in ms.
+export const OUTCOMES = ['passed', 'failed', 'error', 'skipped'];
+
+// Checks a JSON response text against a schema; `label` names the value in the messages
+const checkJson = (text, schema, label) => {
+  if (!schema) return [];
+  const { value, error } = parseJsonExample(text);
+  if (error) return [`The ${label} is not valid JSON`];
+  if (value === undefined) return [`The ${label} is empty`];
+  return validate(value, schema, label);
+};
+
+// The events of an event stream named like `channel` ('message' for unnamed events), as their data text
+const parseEventStream = (text, channel) => String(text || '').split(/\r?\n\r?\n/).reduce((events, block) => {
+  const lines = block.split(/\r?\n/);
+  const name = (lines.find((line) => line.startsWith('event:')) || 'event: message').slice('event:'.length).trim();
+  const data = lines.filter((line) => line.startsWith('data:')).map((line) => line.slice('data:'.length).trim());
+  return data.length > 0 && name === (channel || 'message') ? [...events, data.join('\n')] : events;
+}, []);
+
+// Checks every event or message against the schema of one example event
+const checkEvents = (events, schema, label) => events.flatMap((text, index) => checkJson(text, schema, `${label}[${index}]`));
+
+const checkHttpResponse = (apiDetails, response) => {
+  const documented = listResponses(apiDetails);
+  const match = documented.find((candidate) => candidate.status === String(response.status));
+  if (!match) {
+    return [`Status ${response.status} is not one of the documented responses (${documented.map((candidate) => candidate.status).join(', ')})`];
+  }
+  // HEAD responses and 204s have no body to check
+  if (effectiveMethod(apiDetails) === 'HEAD' || response.status === 204) return [];
+  let schema;
+  if (match.isMain) {
+    schema = getEffectiveSchema(apiDetails, 'response');
+  } else if (isJsonContentType(match.contentType)) {
+    const { value } = parseJsonExample(match.body);
+    schema = value === undefined ? undefined : inferSchema(value);
+  }
+  return checkJson(response.body, schema, 'body');
+};
+
+const checkGraphqlResponse = (apiDetails, response) => {
+  if (response.status < 200 || response.status >= 300) return [`Status ${response.status} instead of a 2xx answer`];
+  const { value, error } = parseJsonExample(response.body);
+  if (error || !value || typeof value !== 'object') return ['The response is not a GraphQL JSON result'];
+  if (Array.isArray(value.errors) && value.errors.length > 0) {
+    return value.errors.map((entry) => `GraphQL error: ${(entry && entry.message) || JSON.stringify(entry)}`);
+  }
+  const schema = getEffectiveSchema(apiDetails, 'response');
+  if (!schema) return [];
+  if (value.data === undefined || value.data === null) return ['data: is missing'];
+  return validate(value.data, schema, 'data');
+};
+
+// Compares the answer of a live backend (as returned by sendPreviewRequest) with what an annotation
+// documents. Returns { outcome, messages }: 'error' when the call itself failed, 'failed' on mismatches.
+export const verifyResponse = (apiDetails, response) => {
+  if (response.error) return { outcome: 'error', messages: [response.error] };
+  const protocol = getProtocol(apiDetails);
+  let messages;
+  if (protocol === 'graphql') {
+    messages = checkGraphqlResponse(apiDetails, response);
+  } else if (protocol === 'sse') {
+    messages = response.status === 200
+      ? checkEvents(parseEventStream(response.body, String(apiDetails.channel || '').trim()), eventSchema(apiDetails), 'events')
+      : [`Status ${response.status} instead of an event stream`];
+  } else if (protocol === 'websocket') {
+    messages = checkEvents(response.messages || [], eventSchema(apiDetails), 'messages');
+  } else {
+    messages = checkHttpResponse(apiDetails, response);
+  }
+  return { outcome: messages.length > 0 ? 'failed' : 'passed', messages };
+};
+
+// Calls every annotated operation of the project against `baseUrl`, one after the other, and verifies the
+// answers. Annotations without an endpoint are skipped, calls without an answer within `timeoutMs` end as
+// errors. `onResult` is called as each result comes in; `send` defaults to sendPreviewRequest. Resolves to
+// all the results in project order.
+export const runContractVerification = async (images, {
+  baseUrl,
+  send = sendPreviewRequest,
+  onResult = () => {},
+  timeoutMs = REQUEST_TIMEOUT_MS,
+} = {}) => {
+  const results = [];
+  for (const image of images) {
+    for (let index = 0; index < image.annotations.length; index += 1) {
+      const { id, apiDetails } = image.annotations[index];
+      const operation = describeOperation(apiDetails);
+      const base = {
+        imageId: image.id,
+        imageName: image.name,
+        annotationId: id,
+        name: apiDetails.name || `Section ${index + 1}`,
+        operation: operation ? `${operation.badge} ${operation.target}` : '',
+      };
+      let result;
+      if (!operation) {
+        result = { ...base, outcome: 'skipped', messages: ['No endpoint'], time: 0 };
+      } else {
+        // The calls run one at a time so a local dev server sees them in a predictable order
+        const response = await send(buildPreviewRequest(apiDetails, { baseUrl }), { timeoutMs });
+        result = { ...base, ...verifyResponse(apiDetails, response), time: response.latency || 0 };
+      }
+      results.push(result);
+      onResult(result);
+    }
+  }
+  return results;
+};
+
+// Number of results with each outcome, e.g. { passed: 3, failed: 1, error: 0, skipped: 2 }
+export const countOutcomes = (results) => OUTCOMES.reduce(
+  (counts, outcome) => ({ ...counts, [outcome]: results.filter((result) => result.outcome === outcome).length }),
+  {}
+);
+
+const escapeXml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const seconds = (ms) => (ms / 1000).toFixed(3);
+
+const suiteAttributes = (name, results) => {
+  const counts = countOutcomes(results);
+  const time = results.reduce((total, result) => total + result.time, 0);
+  return `name="${escapeXml(name)}" tests="${results.length}" failures="${counts.failed}" errors="${counts.error}" skipped="${counts.skipped}" time="${seconds(time)}"`;
+};
+
+const testCase = (result) => {
+  const open = `    <testcase classname="${escapeXml(result.imageName)}" name="${escapeXml(result.operation ? `${result.name} (${result.operation})` : result.name)}" time="${seconds(result.time)}"`;
+  const message = escapeXml(result.messages[0] || '');
+  switch (result.outcome) {
+    case 'failed':
+      return `${open}>\n      <failure message="${message}" type="ContractMismatch">${escapeXml(result.messages.join('\n'))}</failure>\n    </testcase>`;
+    case 'error':
+      return `${open}>\n      <error message="${message}" type="RequestError">${escapeXml(result.messages.join('\n'))}</error>\n    </testcase>`;
+    case 'skipped':
+      return `${open}>\n      <skipped message="${message}"/>\n    </testcase>`;
+    default:
+      return `${open}/>`;
+  }
+};
+
+// JUnit XML report of a verification run, one test suite per mockup and one test case per annotation, for
+// CI dashboards that read JUnit results
+export const generateJUnitReport = (results, { baseUrl = '', timestamp = new Date().toISOString() } = {}) => {
+  const suites = [];
+  results.forEach((result) => {
+    const suite = suites.find((candidate) => candidate.imageId === result.imageId);
+    if (suite) suite.results.push(result);
+    else suites.push({ imageId: result.imageId, name: result.imageName, results: [result] });
+  });
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<testsuites ${suiteAttributes('API contract verification', results)}>
+${suites.map((suite) => `  <testsuite ${suiteAttributes(suite.name, suite.results)} timestamp="${escapeXml(timestamp)}">
+    <properties>
+      <property name="baseUrl" value="${escapeXml(baseUrl)}"/>
+    </properties>
+${suite.results.map(testCase).join('\n')}
+  </testsuite>`).join('\n')}
+</testsuites>
+`;
+};
@@ -0,0 +1,79 @@
+import { countOutcomes, generateJUnitReport, runContractVerification, verifyResponse } from './contractVerification';
+
+const ok = (body, status = 200) => ({ status, statusText: 'OK', headers: {}, body, latency: 12 });
+
+const user = {
+  name: 'Profile',
+  endpoint: '/users/:id',
+  method: 'GET',
+  responseBody: '{"id": 1, "name": "Ada"}',
+  responses: [{ status: '404', contentType: 'application/json', body: '{"error": "Not found"}' }],
+};
+
+test('checks the status and body of an HTTP answer against the documented responses', () => {
+  expect(verifyResponse(user, ok('{"id": 2, "name": "Bo", "extra": true}'))).toEqual({ outcome: 'passed', messages: [] });
+  expect(verifyResponse(user, ok('{"id": "2"}'))).toEqual({
+    outcome: 'failed',
+    messages: ['body.name: is required', 'body.id: expected integer but got string'],
+  });
+  expect(verifyResponse(user, ok('{"error": "gone"}', 404)).outcome).toBe('passed');
+  expect(verifyResponse(user, ok('{}', 404)).messages).toEqual(['body.error: is required']);
+  expect(verifyResponse(user, ok('oops', 500)).messages).toEqual(['Status 500 is not one of the documented responses (200, 404)']);
+  expect(verifyResponse(user, ok('<html>'))).toEqual({ outcome: 'failed', messages: ['The body is not valid JSON'] });
+  expect(verifyResponse(user, { error: 'Failed to fetch', latency: 3 })).toEqual({ outcome: 'error', messages: ['Failed to fetch'] });
+});
+
+test('checks GraphQL data and errors, and every streamed event', () => {
+  const graphql = { protocol: 'graphql', endpoint: '/graphql', graphqlQuery: 'query Me { me { id } }', responseBody: '{"me": {"id": "1"}}' };
+  expect(verifyResponse(graphql, ok('{"data": {"me": {"id": "7"}}}')).outcome).toBe('passed');
+  expect(verifyResponse(graphql, ok('{"errors": [{"message": "Not allowed"}]}')).messages).toEqual(['GraphQL error: Not allowed']);
+  expect(verifyResponse(graphql, ok('{"data": {"me": null}}')).messages).toEqual(['data.me: expected object but got null']);
+
+  const sse = { protocol: 'sse', endpoint: '/events', channel: 'price', responseBody: '[{"price": 1}]' };
+  const stream = 'event: price\ndata: {"price": 2}\n\nevent: other\ndata: "ignored"\n\nevent: price\ndata: {"price": "3"}\n';
+  expect(verifyResponse(sse, ok(stream)).messages).toEqual(['events[1].price: expected integer but got string']);
+
+  const socket = { protocol: 'websocket', endpoint: '/ws', responseBody: '[{"type": "hello"}]' };
+  const received = ['{\n  "type": "hi"\n}', '{"kind": 1}'];
+  expect(verifyResponse(socket, { ...ok(received.join('\n'), 101), messages: received }).messages).toEqual(['messages[1].type: is required']);
+});
+
+test('calls every annotated operation in order and skips regions without an endpoint', async () => {
+  const images = [
+    { id: 'a', name: 'Home', annotations: [{ id: 'r1', apiDetails: { ...user, parameters: [{ key: 'id', in: 'path', example: '5' }] } }, { id: 'r2', apiDetails: { name: '', endpoint: '' } }] },
+    { id: 'b', name: 'Cart', annotations: [{ id: 'r3', apiDetails: { name: 'Cart', endpoint: '/cart', method: 'GET', responseBody: '[]' } }] },
+  ];
+  const sent = [];
+  const send = async (request, { timeoutMs }) => {
+    sent.push(request.url);
+    expect(timeoutMs).toBe(500);
+    return request.url.endsWith('/cart') ? { error: 'Connection refused', latency: 1 } : ok('{"id": 5, "name": "Ada"}');
+  };
+  const seen = [];
+  const results = await runContractVerification(images, { baseUrl: 'http://localhost:3000/', send, timeoutMs: 500, onResult: (result) => seen.push(result.annotationId) });
+
+  expect(sent).toEqual(['http://localhost:3000/users/5', 'http://localhost:3000/cart']);
+  expect(seen).toEqual(['r1', 'r2', 'r3']);
+  expect(results.map(({ name, operation, outcome }) => [name, operation, outcome])).toEqual([
+    ['Profile', 'GET /users/{id}', 'passed'],
+    ['Section 2', '', 'skipped'],
+    ['Cart', 'GET /cart', 'error'],
+  ]);
+  expect(countOutcomes(results)).toEqual({ passed: 1, failed: 0, error: 1, skipped: 1 });
+});
+
+test('writes a JUnit report with one suite per mockup', () => {
+  const results = [
+    { imageId: 'a', imageName: 'Home & Away', annotationId: 'r1', name: 'Profile', operation: 'GET /users/{id}', outcome: 'passed', messages: [], time: 12 },
+    { imageId: 'a', imageName: 'Home & Away', annotationId: 'r2', name: 'Section 2', operation: '', outcome: 'skipped', messages: ['No endpoint'], time: 0 },
+    { imageId: 'b', imageName: 'Cart', annotationId: 'r3', name: 'Cart', operation: 'GET /cart', outcome: 'failed', messages: ['body.total: is required', 'body.id: expected integer but got string'], time: 250 },
+  ];
+  const report = generateJUnitReport(results, { baseUrl: 'http://localhost:3000', timestamp: '2024-05-01T10:00:00.000Z' });
+
+  expect(report).toContain('<testsuites name="API contract verification" tests="3" failures="1" errors="0" skipped="1" time="0.262">');
+  expect(report).toContain('<testsuite name="Home &amp; Away" tests="2" failures="0" errors="0" skipped="1" time="0.012" timestamp="2024-05-01T10:00:00.000Z">');
+  expect(report).toContain('<testcase classname="Home &amp; Away" name="Profile (GET /users/{id})" time="0.012"/>');
+  expect(report).toContain('<skipped message="No endpoint"/>');
+  expect(report).toContain('<failure message="body.total: is required" type="ContractMismatch">body.total: is required\nbody.id: expected integer but got string</failure>');
+  expect(report).toContain('<property name="baseUrl" value="http://localhost:3000"/>');
+});
@@ -0,0 +1,12 @@
+// Triggers a browser download for the given content (string or Blob)
+export const downloadFile = (content, fileName, mimeType = 'application/json') => {
+  const blob = content instanceof Blob ? content : new Blob([content], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = fileName;
+  document.body.appendChild(a); // Append to body to make it clickable
+  a.click(); // Programmatically click the link to trigger download
+  document.body.removeChild(a); // Clean up the element
+  URL.revokeObjectURL(url); // Release the object URL
+};
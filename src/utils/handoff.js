@@ -0,0 +1,350 @@
+// API handoff documents for developers who don't use the annotator: a single self-contained HTML page with
+// every mockup, numbered hotspots over the annotated regions and a card per API call, plus a Markdown variant.
+
+import JSZip from 'jszip';
+import { normalizePath } from './openapi';
+import { endpointPathParams, normalizeParameter } from './parameters';
+import { imageExtension, parseDataUrl } from './projectPackage';
+import { BODY_LABELS, describeOperation, effectiveMethod, getProtocol, PROTOCOL_LABELS } from './protocols';
+import { describeAuth, isJsonContentType, listResponses, statusText } from './responses';
+import { parseJsonExample } from './schema';
+
+// Hotspots are numbered per screen in reading order: top to bottom, then left to right
+const numberedRegions = (image) => image.annotations
+  .map((annotation, index) => ({ annotation, index }))
+  .sort((a, b) => a.annotation.ratioY - b.annotation.ratioY || a.annotation.ratioX - b.annotation.ratioX)
+  .map((entry, position) => ({ ...entry, number: position + 1 }));
+
+const anchorIdOf = (annotationId) => `api-${String(annotationId).replace(/[^A-Za-z0-9_-]/g, '-')}`;
+
+const namedHeaders = (headers) => (headers || []).filter((header) => String(header.key || '').trim());
+
+// The responses worth a table: an HTTP call with only a plain 200 and no headers has nothing to add
+// to its response example
+const documentedResponses = (apiDetails) => {
+  if (getProtocol(apiDetails) !== 'http') return [];
+  const responses = listResponses(apiDetails);
+  const [main] = responses;
+  if (responses.length === 1 && main.status === '200' && namedHeaders(main.headers).length === 0) return [];
+  return responses.map((response) => ({
+    ...response,
+    description: response.description || (response.isMain && /^2/.test(response.status) ? 'Successful response' : statusText(response.status)),
+  }));
+};
+
+// One entry per mockup, with its hotspots numbered and each one's API details flattened for display
+export const buildHandoffSections = (images) => images.map((image) => {
+  const regions = numberedRegions(image);
+  const numbers = new Map(regions.map(({ annotation, number }) => [annotation.id, number]));
+  return {
+    image,
+    hotspots: regions.map(({ annotation, index, number }) => ({
+      number,
+      annotation,
+      anchorId: anchorIdOf(annotation.id),
+      name: annotation.apiDetails.name || `Section ${index + 1}`,
+      protocol: getProtocol(annotation.apiDetails),
+      // The kind of call: the HTTP method, the GraphQL operation type, or WS/SSE
+      method: (describeOperation(annotation.apiDetails) || { badge: effectiveMethod(annotation.apiDetails) }).badge,
+      endpoint: annotation.apiDetails.endpoint || '',
+      path: normalizePath(annotation.apiDetails.endpoint),
+      parentNumber: annotation.parentId ? numbers.get(annotation.parentId) || null : null,
+      responses: documentedResponses(annotation.apiDetails).map((response) => ({
+        ...response,
+        regionNumber: response.regionId ? numbers.get(response.regionId) || null : null,
+      })),
+    })),
+  };
+});
+
+export const escapeHtml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+// Pretty-prints a JSON example; anything that doesn't parse is shown exactly as typed
+const formatExample = (text) => {
+  const { value, error } = parseJsonExample(text);
+  return error || value === undefined ? String(text || '') : JSON.stringify(value, null, 2);
+};
+
+// The examples of a call with their labels, e.g. [['Variables', '{...}'], ['Response data', '{...}']]
+const labelledExamples = (protocol, { requestBody, responseBody }) => {
+  const labels = protocol === 'http' ? { request: 'Request example', response: 'Response example' } : BODY_LABELS[protocol];
+  return [[labels.request, requestBody], [labels.response, responseBody]].filter(([label, body]) => label && String(body || '').trim());
+};
+
+// The named parameters of a call with every field filled in
+const documentedParameters = (apiDetails) => {
+  const placeholders = endpointPathParams(apiDetails.endpoint);
+  return (apiDetails.parameters || [])
+    .filter((param) => String(param.key || '').trim())
+    .map((param) => ({ ...normalizeParameter(param, placeholders), key: param.key.trim() }));
+};
+
+// A parameter's description followed by its allowed values, default and example, e.g.
+// "Sort order. One of: asc, desc. Default: asc."
+const parameterNotes = (param) => [
+  String(param.description || '').trim() ? String(param.description).trim().replace(/\.?$/, '.') : '',
+  param.enum.some((value) => value.trim()) ? `One of: ${param.enum.map((value) => value.trim()).filter(Boolean).join(', ')}.` : '',
+  String(param.default).trim() ? `Default: ${param.default.trim()}.` : '',
+  String(param.example).trim() ? `Example: ${param.example.trim()}.` : '',
+].filter(Boolean).join(' ');
+
+// Examples of the responses other than the main one, e.g. [['Response 404 example', '{...}', true]],
+// where the last item tells whether the example is JSON
+const otherResponseExamples = (responses) => responses
+  .filter((response) => !response.isMain && String(response.body || '').trim())
+  .map((response) => [`Response ${response.status} example`, response.body, isJsonContentType(response.contentType)]);
+
+// What a GraphQL or stream call is about besides its endpoint, e.g. 'Channel chat' or 'Event price'
+const channelLabel = (protocol) => (protocol === 'sse' ? 'Event' : 'Channel');
+
+const percent = (ratio) => `${Number((ratio * 100).toFixed(4))}%`;
+
+// Polygon and freehand hotspots are clipped to their outline, given relative to the bounding box
+const hotspotClipPath = (annotation) => {
+  if (!annotation.shape || annotation.shape === 'rect' || !annotation.points) return '';
+  const points = annotation.points.map(({ x, y }) => {
+    const left = annotation.ratioWidth ? (x - annotation.ratioX) / annotation.ratioWidth : 0;
+    const top = annotation.ratioHeight ? (y - annotation.ratioY) / annotation.ratioHeight : 0;
+    return `${percent(left)} ${percent(top)}`;
+  });
+  return `clip-path:polygon(${points.join(',')});`;
+};
+
+const HTML_STYLES = `
+  html { scroll-behavior: smooth; }
+  body { margin: 0; font-family: system-ui, -apple-system, "Segoe UI", Roboto, sans-serif; color: #1f2937; background: #f3f4f6; }
+  main { max-width: 1100px; margin: 0 auto; padding: 32px 24px 64px; }
+  h1 { margin: 0 0 4px; font-size: 28px; }
+  h2 { margin: 48px 0 16px; font-size: 22px; border-bottom: 1px solid #d1d5db; padding-bottom: 8px; }
+  h3 { margin: 0; font-size: 16px; }
+  .meta { color: #6b7280; font-size: 14px; }
+  nav ul { padding-left: 20px; }
+  .screen { position: relative; display: inline-block; max-width: 100%; box-shadow: 0 1px 4px rgba(0,0,0,.15); background: #fff; }
+  .screen img { display: block; max-width: 100%; height: auto; }
+  .hotspot { position: absolute; background: rgba(59,130,246,.18); outline: 2px solid rgba(37,99,235,.85); }
+  .hotspot:hover, .hotspot:focus { background: rgba(59,130,246,.35); }
+  .badge { position: absolute; transform: translate(-40%, -40%); min-width: 22px; height: 22px; padding: 0 4px; box-sizing: border-box;
+    border-radius: 11px; background: #2563eb; color: #fff; font-size: 12px; font-weight: 600; line-height: 22px; text-align: center;
+    text-decoration: none; box-shadow: 0 1px 3px rgba(0,0,0,.3); }
+  table { width: 100%; border-collapse: collapse; margin: 16px 0; background: #fff; font-size: 14px; }
+  th, td { border: 1px solid #e5e7eb; padding: 6px 10px; text-align: left; vertical-align: top; }
+  th { background: #f9fafb; }
+  code, pre { font-family: ui-monospace, SFMono-Regular, Menlo, Consolas, monospace; font-size: 13px; }
+  pre { margin: 8px 0 0; padding: 12px; background: #111827; color: #f9fafb; border-radius: 6px; overflow-x: auto; }
+  .card { margin: 12px 0; padding: 16px; background: #fff; border: 1px solid #e5e7eb; border-radius: 8px; scroll-margin-top: 16px; }
+  .card:target { border-color: #2563eb; box-shadow: 0 0 0 3px rgba(37,99,235,.25); }
+  .card header { display: flex; align-items: baseline; gap: 8px; }
+  .card p { margin: 8px 0 0; }
+  .method { display: inline-block; padding: 1px 6px; border-radius: 4px; background: #e0e7ff; color: #3730a3; font-size: 12px; font-weight: 700; }
+  details { margin-top: 8px; }
+  summary { cursor: pointer; color: #2563eb; font-size: 14px; }
+  .empty { color: #9ca3af; font-style: italic; }
+`;
+
+const renderHotspot = ({ number, annotation, anchorId, name }) => {
+  const position = `left:${percent(annotation.ratioX)};top:${percent(annotation.ratioY)}`;
+  const size = `width:${percent(annotation.ratioWidth)};height:${percent(annotation.ratioHeight)}`;
+  const label = escapeHtml(`${number}. ${name}`);
+  return `<a class="hotspot" href="#${anchorId}" title="${label}" aria-label="${label}" style="${position};${size};${hotspotClipPath(annotation)}"></a>`
+    + `<a class="badge" href="#${anchorId}" title="${label}" style="${position}">${number}</a>`;
+};
+
+const renderEndpointTable = (hotspots) => `<table>
+  <thead><tr><th>#</th><th>Section</th><th>Method</th><th>Endpoint</th><th>Description</th></tr></thead>
+  <tbody>
+${hotspots.map(({ number, anchorId, name, method, endpoint, parentNumber, annotation }) => `    <tr><td>${number}</td><td><a href="#${anchorId}">${escapeHtml(name)}</a>${
+  parentNumber ? ` <span class="meta">(in #${parentNumber})</span>` : ''
+}</td><td><span class="method">${escapeHtml(method)}</span></td><td>${
+  endpoint ? `<code>${escapeHtml(endpoint)}</code>` : '<span class="empty">none</span>'
+}</td><td>${escapeHtml(annotation.apiDetails.description || '')}</td></tr>`).join('\n')}
+  </tbody>
+</table>`;
+
+const renderDetails = (summary, body) => `<details><summary>${summary}</summary>${body}</details>`;
+
+const renderCard = ({ number, anchorId, name, protocol, method, endpoint, path, annotation, responses }) => {
+  const { description, operationId, graphqlQuery, channel, requestHeaders } = annotation.apiDetails;
+  const namedParameters = documentedParameters(annotation.apiDetails);
+  const blocks = [];
+  if (namedParameters.length > 0) {
+    blocks.push(renderDetails(`Parameters (${namedParameters.length})`, `<table>
+  <thead><tr><th>Name</th><th>In</th><th>Type</th><th>Required</th><th>Description</th></tr></thead>
+  <tbody>
+${namedParameters.map((param) => `    <tr><td><code>${escapeHtml(param.key)}</code></td><td>${param.in}</td><td>${param.type}</td><td>${
+  param.required ? 'yes' : 'no'
+}</td><td>${escapeHtml(parameterNotes(param))}</td></tr>`).join('\n')}
+  </tbody>
+</table>`));
+  }
+  if (namedHeaders(requestHeaders).length > 0) {
+    blocks.push(renderDetails(`Request headers (${namedHeaders(requestHeaders).length})`, `<table>
+  <thead><tr><th>Name</th><th>Example</th></tr></thead>
+  <tbody>
+${namedHeaders(requestHeaders).map((header) => `    <tr><td><code>${escapeHtml(header.key.trim())}</code></td><td>${escapeHtml(header.value || '')}</td></tr>`).join('\n')}
+  </tbody>
+</table>`));
+  }
+  if (responses.length > 0) {
+    blocks.push(`<table>
+  <thead><tr><th>Status</th><th>Description</th><th>Headers</th><th>Shown in</th></tr></thead>
+  <tbody>
+${responses.map((response) => `    <tr><td><code>${escapeHtml(response.status)}</code></td><td>${escapeHtml(response.description)}</td><td>${
+  namedHeaders(response.headers).map((header) => `<code>${escapeHtml(header.key.trim())}</code>`).join(', ')
+}</td><td>${response.regionNumber ? `<a href="#${anchorIdOf(response.regionId)}">#${response.regionNumber}</a>` : ''}</td></tr>`).join('\n')}
+  </tbody>
+</table>`);
+  }
+  if (protocol === 'graphql' && String(graphqlQuery || '').trim()) {
+    blocks.push(renderDetails('GraphQL document', `<pre><code>${escapeHtml(graphqlQuery.trim())}</code></pre>`));
+  }
+  labelledExamples(protocol, annotation.apiDetails).forEach(([label, body]) => {
+    blocks.push(renderDetails(label, `<pre><code>${escapeHtml(formatExample(body))}</code></pre>`));
+  });
+  otherResponseExamples(responses).forEach(([label, body, isJson]) => {
+    blocks.push(renderDetails(label, `<pre><code>${escapeHtml(isJson ? formatExample(body) : body)}</code></pre>`));
+  });
+  const auth = describeAuth(annotation.apiDetails);
+  const protocolNote = [
+    protocol === 'http' ? '' : `${PROTOCOL_LABELS[protocol]}${
+      String(channel || '').trim() && protocol !== 'graphql' ? ` · ${channelLabel(protocol)} <code>${escapeHtml(channel.trim())}</code>` : ''
+    }`,
+    auth ? `Authentication: ${escapeHtml(auth)}` : '',
+  ].filter(Boolean).join(' · ');
+  return `<article class="card" id="${anchorId}">
+  <header><h3>${number}. ${escapeHtml(name)}</h3><span class="method">${escapeHtml(method)}</span>${
+    endpoint ? `<code>${escapeHtml(path || endpoint)}</code>` : '<span class="empty">No endpoint yet</span>'
+  }</header>
+${protocolNote ? `  <p class="meta">${protocolNote}</p>\n` : ''}${
+  operationId ? `  <p class="meta">Operation <code>${escapeHtml(operationId)}</code></p>\n` : ''
+}${
+  description ? `  <p>${escapeHtml(description)}</p>\n` : ''
+}${blocks.map((block) => `  ${block}\n`).join('')}</article>`;
+};
+
+// Builds the handoff page. Mockups are embedded as data URLs, so the file can be mailed or attached as is.
+export const generateHandoffHtml = (images, { title = 'API handoff', generatedAt = new Date() } = {}) => {
+  const sections = buildHandoffSections(images);
+  const screens = sections.map(({ image, hotspots }) => `<section id="screen-${escapeHtml(image.id)}">
+<h2>${escapeHtml(image.name)}</h2>
+<div class="screen">
+<img src="${escapeHtml(image.url)}" alt="${escapeHtml(image.name)}">
+${hotspots.map(renderHotspot).join('\n')}
+</div>
+${hotspots.length > 0 ? `${renderEndpointTable(hotspots)}
+${hotspots.map(renderCard).join('\n')}` : '<p class="empty">No API calls annotated on this screen.</p>'}
+</section>`).join('\n');
+
+  return `<!DOCTYPE html>
+<!-- Generated by UI Mocks API Annotator from annotated mockups. Regenerate instead of editing by hand. -->
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>
+<style>${HTML_STYLES}</style>
+</head>
+<body>
+<main>
+<h1>${escapeHtml(title)}</h1>
+<p class="meta">${sections.length} screen${sections.length === 1 ? '' : 's'} · generated ${escapeHtml(generatedAt.toISOString().slice(0, 10))}. Click a numbered hotspot to jump to its API call.</p>
+<nav><ul>
+${sections.map(({ image, hotspots }) => `<li><a href="#screen-${escapeHtml(image.id)}">${escapeHtml(image.name)}</a> <span class="meta">(${hotspots.length})</span></li>`).join('\n')}
+</ul></nav>
+${screens}
+</main>
+</body>
+</html>
+`;
+};
+
+// File name for a mockup inside the Markdown bundle, e.g. "images/01-home.png"
+export const handoffImageFileName = (image, position) => {
+  const slug = String(image.name).replace(/\.[a-z0-9]+$/i, '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'screen';
+  return `images/${String(position + 1).padStart(2, '0')}-${slug}.${imageExtension(parseDataUrl(image.url).mimeType)}`;
+};
+
+// Markdown table cells can't contain pipes or line breaks
+const markdownCell = (text) => String(text || '').replace(/\|/g, '\\|').replace(/\s*\n\s*/g, ' ');
+
+// Markdown can't overlay hotspots, so each screen lists where its numbered regions are instead.
+// <details> blocks are used for the examples; GitHub, GitLab and most wikis render them.
+export const generateHandoffMarkdown = (images, { title = 'API handoff' } = {}) => {
+  const sections = buildHandoffSections(images);
+  const screens = sections.map(({ image, hotspots }, position) => {
+    const lines = [`## ${image.name}`, '', `![${markdownCell(image.name)}](${handoffImageFileName(image, position)})`, ''];
+    if (hotspots.length === 0) return [...lines, '_No API calls annotated on this screen._', ''].join('\n');
+    lines.push('| # | Section | Method | Endpoint | Region (x, y, w, h) |', '| - | ------- | ------ | -------- | ------------------- |');
+    hotspots.forEach(({ number, name, method, endpoint, parentNumber, annotation }) => {
+      const region = [annotation.ratioX, annotation.ratioY, annotation.ratioWidth, annotation.ratioHeight].map((ratio) => `${Math.round(ratio * 100)}%`).join(', ');
+      lines.push(`| ${number} | ${markdownCell(name)}${parentNumber ? ` (in #${parentNumber})` : ''} | ${method} | ${endpoint ? `\`${markdownCell(endpoint)}\`` : ''} | ${region} |`);
+    });
+    lines.push('');
+    hotspots.forEach(({ number, name, protocol, method, endpoint, path, annotation, responses }) => {
+      const { description, operationId, graphqlQuery, channel, requestHeaders } = annotation.apiDetails;
+      lines.push(`### ${number}. ${name}`, '', `\`${method} ${path || endpoint || '(no endpoint)'}\``, '');
+      if (protocol !== 'http') {
+        const channelNote = String(channel || '').trim() && protocol !== 'graphql' ? ` · ${channelLabel(protocol)} \`${channel.trim()}\`` : '';
+        lines.push(`${PROTOCOL_LABELS[protocol]}${channelNote}`, '');
+      }
+      if (describeAuth(annotation.apiDetails)) lines.push(`Authentication: ${describeAuth(annotation.apiDetails)}`, '');
+      if (operationId) lines.push(`Operation \`${operationId}\``, '');
+      if (description) lines.push(description, '');
+      const namedParameters = documentedParameters(annotation.apiDetails);
+      if (namedParameters.length > 0) {
+        lines.push('| Parameter | In | Type | Required | Description |', '| --------- | -- | ---- | -------- | ----------- |');
+        namedParameters.forEach((param) => lines.push(`| \`${markdownCell(param.key)}\` | ${param.in} | ${param.type} | ${param.required ? 'yes' : 'no'} | ${
+          markdownCell(parameterNotes(param))
+        } |`));
+        lines.push('');
+      }
+      if (namedHeaders(requestHeaders).length > 0) {
+        lines.push('| Request header | Example |', '| -------------- | ------- |');
+        namedHeaders(requestHeaders).forEach((header) => lines.push(`| \`${markdownCell(header.key.trim())}\` | ${markdownCell(header.value)} |`));
+        lines.push('');
+      }
+      if (responses.length > 0) {
+        lines.push('| Status | Description | Headers | Shown in |', '| ------ | ----------- | ------- | -------- |');
+        responses.forEach((response) => lines.push(`| ${response.status} | ${markdownCell(response.description)} | ${
+          namedHeaders(response.headers).map((header) => `\`${markdownCell(header.key.trim())}\``).join(', ')
+        } | ${response.regionNumber ? `#${response.regionNumber}` : ''} |`));
+        lines.push('');
+      }
+      if (protocol === 'graphql' && String(graphqlQuery || '').trim()) {
+        lines.push('```graphql', graphqlQuery.trim(), '```', '');
+      }
+      labelledExamples(protocol, annotation.apiDetails).forEach(([label, body]) => {
+        lines.push('<details>', `<summary>${label}</summary>`, '', '```json', formatExample(body), '```', '', '</details>', '');
+      });
+      otherResponseExamples(responses).forEach(([label, body, isJson]) => {
+        lines.push('<details>', `<summary>${label}</summary>`, '', isJson ? '```json' : '```', isJson ? formatExample(body) : body, '```', '', '</details>', '');
+      });
+    });
+    return lines.join('\n');
+  });
+  return [
+    `<!-- Generated by UI Mocks API Annotator from annotated mockups. Regenerate instead of editing by hand. -->`,
+    '',
+    `# ${title}`,
+    '',
+    ...sections.map(({ image, hotspots }) => `- ${image.name} (${hotspots.length} API call${hotspots.length === 1 ? '' : 's'})`),
+    '',
+    ...screens,
+  ].join('\n');
+};
+
+// Zips handoff.md with the mockups it links to
+export const buildMarkdownHandoffBundle = async (images, options) => {
+  const zip = new JSZip();
+  const folder = zip.folder('api-handoff');
+  folder.file('handoff.md', generateHandoffMarkdown(images, options));
+  images.forEach((image, position) => {
+    const { base64, data } = parseDataUrl(image.url);
+    folder.file(handoffImageFileName(image, position), base64 ? data : decodeURIComponent(data), { base64, binary: base64 });
+  });
+  return zip.generateAsync({ type: 'blob' });
+};
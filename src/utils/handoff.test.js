@@ -0,0 +1,126 @@
+import { buildHandoffSections, generateHandoffHtml, generateHandoffMarkdown, handoffImageFileName } from './handoff';
+import { details } from './testFixtures';
+
+const images = [{
+  id: 'home',
+  name: 'Home.png',
+  url: 'data:image/png;base64,AAAA',
+  annotations: [
+    {
+      id: 'row',
+      ratioX: 0.1,
+      ratioY: 0.5,
+      ratioWidth: 0.4,
+      ratioHeight: 0.1,
+      parentId: 'list',
+      apiDetails: details({
+        name: 'Order <row>',
+        endpoint: '/orders/:id',
+        parameters: [{ key: 'id', type: 'integer' }, { key: 'view', in: 'query', type: 'string', enum: ['short', 'full'], default: 'short', description: 'Detail level' }],
+        responseBody: '{"id":1}',
+      }),
+    },
+    {
+      id: 'list',
+      ratioX: 0.05,
+      ratioY: 0.2,
+      ratioWidth: 0.9,
+      ratioHeight: 0.6,
+      shape: 'polygon',
+      points: [{ x: 0.05, y: 0.2 }, { x: 0.95, y: 0.2 }, { x: 0.5, y: 0.8 }],
+      apiDetails: details({ name: 'Orders', endpoint: '/orders', description: 'All | open orders' }),
+    },
+  ],
+}];
+
+test('numbers hotspots per screen in reading order', () => {
+  const [section] = buildHandoffSections(images);
+  expect(section.hotspots.map(({ number, name, parentNumber }) => [number, name, parentNumber])).toEqual([
+    [1, 'Orders', null],
+    [2, 'Order <row>', 1],
+  ]);
+  expect(section.hotspots[1]).toMatchObject({ anchorId: 'api-row', path: '/orders/{id}' });
+});
+
+test('renders a self-contained page with hotspots linking to escaped API cards', () => {
+  const html = generateHandoffHtml(images, { title: 'Shop', generatedAt: new Date('2024-01-01T00:00:00Z') });
+  expect(html).toContain('<img src="data:image/png;base64,AAAA"');
+  expect(html).toContain('<a class="hotspot" href="#api-row"');
+  expect(html).toContain('left:10%;top:50%;width:40%;height:10%');
+  expect(html).toContain('clip-path:polygon(0% 0%,100% 0%,50% 100%)');
+  expect(html).toContain('<article class="card" id="api-row">');
+  expect(html).toContain('Order &lt;row&gt;');
+  expect(html).not.toContain('Order <row>');
+  expect(html).toContain('<summary>Parameters (2)</summary>');
+  expect(html).toContain('<tr><td><code>id</code></td><td>path</td><td>integer</td><td>yes</td><td></td></tr>');
+  expect(html).toContain('<tr><td><code>view</code></td><td>query</td><td>string</td><td>no</td><td>Detail level. One of: short, full. Default: short.</td></tr>');
+  expect(html).toContain('{\n  &quot;id&quot;: 1\n}');
+  expect(html).not.toMatch(/<script|<link/);
+});
+
+test('writes a Markdown variant that links the bundled images', () => {
+  const markdown = generateHandoffMarkdown(images, { title: 'Shop' });
+  expect(handoffImageFileName(images[0], 0)).toBe('images/01-home.png');
+  expect(markdown).toContain('![Home.png](images/01-home.png)');
+  expect(markdown).toContain('| 2 | Order <row> (in #1) | GET | `/orders/:id` | 10%, 50%, 40%, 10% |');
+  expect(markdown).toContain('### 1. Orders\n\n`GET /orders`\n\nAll | open orders');
+  expect(markdown).toContain('| `view` | query | string | no | Detail level. One of: short, full. Default: short. |');
+  expect(markdown).toContain('<summary>Response example</summary>\n\n```json\n{\n  "id": 1\n}\n```');
+});
+
+test('describes GraphQL operations and streams with their own labels', () => {
+  const live = [{
+    id: 'live',
+    name: 'Live.png',
+    url: 'data:image/png;base64,AAAA',
+    annotations: [
+      {
+        id: 'cart', ratioX: 0, ratioY: 0, ratioWidth: 0.5, ratioHeight: 0.5,
+        apiDetails: details({ name: 'Cart', protocol: 'graphql', endpoint: '/graphql', graphqlQuery: 'mutation AddItem { addItem { id } }', requestBody: '{"sku": "a"}' }),
+      },
+      {
+        id: 'ticker', ratioX: 0, ratioY: 0.6, ratioWidth: 0.5, ratioHeight: 0.2,
+        apiDetails: details({ name: 'Ticker', protocol: 'sse', endpoint: '/prices', channel: 'price', responseBody: '[{"p": 1}]' }),
+      },
+    ],
+  }];
+  const html = generateHandoffHtml(live, { generatedAt: new Date('2024-05-01T00:00:00Z') });
+  expect(html).toContain('<span class="method">MUTATION</span>');
+  expect(html).toContain('<summary>GraphQL document</summary>');
+  expect(html).toContain('<summary>Variables</summary>');
+  expect(html).toContain('Server-Sent Events · Event <code>price</code>');
+
+  const markdown = generateHandoffMarkdown(live);
+  expect(markdown).toContain('`SSE /prices`\n\nServer-Sent Events · Event `price`');
+  expect(markdown).toContain('```graphql\nmutation AddItem { addItem { id } }\n```');
+  expect(markdown).toContain('<summary>Example events</summary>');
+});
+
+test('lists the responses of a call with the regions showing them, and its authentication', () => {
+  const withResponses = [{
+    ...images[0],
+    annotations: [
+      {
+        ...images[0].annotations[1],
+        apiDetails: details({
+          name: 'Orders',
+          endpoint: '/orders',
+          authScheme: 'bearer',
+          requestHeaders: [{ key: 'Accept-Language', value: 'en' }],
+          responseHeaders: [{ key: 'X-Total-Count', value: '2' }],
+          responses: [{ status: '404', description: '', contentType: 'text/plain', headers: [], body: 'No orders', regionId: 'row' }],
+        }),
+      },
+      images[0].annotations[0],
+    ],
+  }];
+  const html = generateHandoffHtml(withResponses, { generatedAt: new Date('2024-05-01T00:00:00Z') });
+  expect(html).toContain('Authentication: Bearer token');
+  expect(html).toContain('<tr><td><code>200</code></td><td>Successful response</td><td><code>X-Total-Count</code></td><td></td></tr>');
+  expect(html).toContain('<tr><td><code>404</code></td><td>Not Found</td><td></td><td><a href="#api-row">#2</a></td></tr>');
+  expect(html).toContain('<summary>Response 404 example</summary><pre><code>No orders</code></pre>');
+
+  const markdown = generateHandoffMarkdown(withResponses);
+  expect(markdown).toContain('| `Accept-Language` | en |');
+  expect(markdown).toContain('| 404 | Not Found |  | #2 |');
+});
@@ -0,0 +1,247 @@
+import { newParameter } from './parameters';
+import { HTTP_METHODS } from './protocols';
+import { DEFAULT_API_KEY_HEADER } from './responses';
+import { parseJsonExample } from './schema';
+
+// Seeds annotations from traffic recorded in the browser dev tools (HTTP Archive, "HAR" files). The API calls
+// of a recording are listed as captured calls:
+//   { id, method, url, template, status, time, details }
+// where `template` is the path with IDs replaced by placeholders and `details` the apiDetails fields the call
+// fills in. Credentials never leave this module: sensitive headers are dropped and tokens in query strings
+// and bodies are replaced by REDACTED.
+
+// Set as drag data (the call's id) when a captured call is dragged onto the mockup
+export const HAR_CALL_DRAG_TYPE = 'application/x-har-call';
+
+export const REDACTED = '<redacted>';
+
+// Names of headers, parameters and body fields that carry credentials
+const SENSITIVE_NAME = /authorization|cookie|token|secret|pass(?:word|wd|phrase|code)?(?![a-z])|pwd|api[-_]?key|session|credential|csrf|xsrf|signature/i;
+// JSON Web Tokens, wherever they appear in a value
+const JWT = /\beyJ[\w-]+\.[\w-]+\.[\w-]*/g;
+
+// Headers every browser sends or every server answers with, which say nothing about the API
+const NOISE_HEADERS = [
+  'accept', 'accept-encoding', 'accept-language', 'cache-control', 'connection', 'content-length', 'content-type',
+  'dnt', 'host', 'origin', 'pragma', 'referer', 'te', 'upgrade-insecure-requests', 'user-agent',
+  'x-powered-by', 'x-frame-options', 'x-content-type-options', 'x-xss-protection', 'x-cache', 'x-served-by', 'x-timer',
+];
+// Response headers worth documenting besides custom "X-" ones
+const RESPONSE_HEADERS = ['location', 'link', 'retry-after'];
+
+// Resource types (recorded by Chromium as `_resourceType`) and file extensions that are not API calls
+const API_RESOURCE_TYPES = ['xhr', 'fetch'];
+const STATIC_EXTENSION = /\.(?:js|mjs|css|map|html?|png|jpe?g|gif|svg|webp|avif|ico|woff2?|ttf|otf|eot|mp4|webm)$/i;
+
+// Parses the text of a .har file and returns its `log`
+export const parseHarFile = (text) => {
+  let har;
+  try {
+    har = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Could not parse the file as JSON: ${error.message}`);
+  }
+  if (!har || !har.log || !Array.isArray(har.log.entries)) {
+    throw new Error('The file is not a HAR recording (missing "log.entries").');
+  }
+  return har.log;
+};
+
+const isSensitive = (name) => SENSITIVE_NAME.test(String(name || ''));
+
+const redactText = (text) => String(text).replace(JWT, REDACTED);
+
+// Replaces credentials in a parsed JSON body: values of sensitive fields (whole objects such as
+// `credentials: { ... }` included) and tokens anywhere
+const redactValue = (value, key) => {
+  if (key !== undefined && isSensitive(key) && value !== null && typeof value !== 'boolean') return REDACTED;
+  if (Array.isArray(value)) return value.map((item) => redactValue(item));
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([name, item]) => [name, redactValue(item, name)]));
+  }
+  return typeof value === 'string' ? redactText(value) : value;
+};
+
+// A recorded body as the example the annotation form holds: pretty-printed JSON, else the text, redacted
+const bodyExample = (text) => {
+  if (!text || !String(text).trim()) return '';
+  const { value, error } = parseJsonExample(text);
+  return error ? redactText(text) : JSON.stringify(redactValue(value), null, 2);
+};
+
+// A form-encoded body with the values of sensitive fields redacted like query parameters. HAR recorders
+// list the fields under `params`; without them the text is parsed.
+const formBodyExample = ({ text, params }) => {
+  const fields = Array.isArray(params) && params.length > 0
+    ? params.map((param) => [String(param.name), String(param.value || '')])
+    : Array.from(new URLSearchParams(text || ''));
+  return fields
+    .map(([name, value]) => `${encodeURIComponent(name)}=${isSensitive(name) ? REDACTED : redactText(encodeURIComponent(value))}`)
+    .join('&');
+};
+
+const requestBodyExample = (postData) => {
+  if (!postData) return '';
+  return /application\/x-www-form-urlencoded/i.test(String(postData.mimeType || '')) ? formBodyExample(postData) : bodyExample(postData.text);
+};
+
+const decodeBase64 = (text) => {
+  const binary = atob(text);
+  if (typeof TextDecoder === 'undefined') return binary;
+  return new TextDecoder().decode(Uint8Array.from(binary, (char) => char.charCodeAt(0)));
+};
+
+// Text of a response body; HAR stores binary and sometimes compressed bodies base64-encoded
+const responseText = (content) => {
+  if (!content || typeof content.text !== 'string') return '';
+  if (content.encoding !== 'base64') return content.text;
+  try {
+    return decodeBase64(content.text);
+  } catch (error) {
+    return '';
+  }
+};
+
+const isApiCall = (entry) => {
+  const { request = {}, response = {} } = entry;
+  if (!/^https?:/i.test(String(request.url || ''))) return false;
+  if (!HTTP_METHODS.includes(String(request.method || '').toUpperCase()) || request.method.toUpperCase() === 'OPTIONS') return false;
+  if (entry._resourceType) return API_RESOURCE_TYPES.includes(entry._resourceType);
+  const mimeType = String((response.content && response.content.mimeType) || '');
+  return !STATIC_EXTENSION.test(new URL(request.url).pathname) && !/^(?:image|font|video|audio)\/|css|javascript|html/i.test(mimeType);
+};
+
+// Path segments that look like IDs: numbers, UUIDs, long hex strings and long slugs with digits
+const isIdSegment = (segment) => /^\d+$/.test(segment)
+  || /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(segment)
+  || /^[0-9a-f]{16,}$/i.test(segment)
+  || /^(?=.*\d)[A-Za-z0-9_-]{12,}$/.test(segment);
+
+const camelCase = (text) => text
+  .split(/[^A-Za-z0-9]+/)
+  .filter(Boolean)
+  .map((word, index) => (index === 0 ? word.toLowerCase() : word.charAt(0).toUpperCase() + word.slice(1).toLowerCase()))
+  .join('');
+
+const singular = (word) => {
+  if (/ies$/i.test(word)) return word.replace(/ies$/i, 'y');
+  if (/ss$/i.test(word)) return word;
+  return word.replace(/s$/i, '');
+};
+
+// A path segment with its escapes decoded; malformed ones ("100%zz") are kept as recorded
+const decodeSegment = (segment) => {
+  try {
+    return decodeURIComponent(segment);
+  } catch (error) {
+    return segment;
+  }
+};
+
+// Replaces the ID-like segments of a recorded path with placeholders named after the collection before them,
+// e.g. "/users/42/orders/7" becomes "/users/{userId}/orders/{orderId}". Returns { template, values } where
+// `values` maps each placeholder to the recorded value.
+export const detectPathTemplate = (pathname) => {
+  const values = {};
+  const segments = String(pathname || '/').split('/').map((rawSegment, index, all) => {
+    const segment = decodeSegment(rawSegment);
+    if (!segment || !isIdSegment(segment)) return rawSegment;
+    const previous = index > 1 && !isIdSegment(decodeSegment(all[index - 1])) ? camelCase(singular(decodeSegment(all[index - 1]))) : '';
+    const base = /^[a-z]/i.test(previous) ? `${previous}Id` : 'id';
+    let name = base;
+    for (let suffix = 2; values[name] !== undefined; suffix += 1) name = `${base}${suffix}`;
+    values[name] = segment;
+    return `{${name}}`;
+  });
+  const template = segments.join('/').replace(/\/+$/, '') || '/';
+  return { template, values };
+};
+
+// Parameter type of a recorded value
+const valueType = (value) => {
+  if (/^-?\d+$/.test(value)) return 'integer';
+  if (value !== '' && Number.isFinite(Number(value))) return 'number';
+  if (value === 'true' || value === 'false') return 'boolean';
+  return 'string';
+};
+
+// The query parameters of a call; repeated names become one array parameter
+const queryParameters = (url) => {
+  const byName = new Map();
+  new URL(url).searchParams.forEach((value, name) => {
+    byName.set(name, [...(byName.get(name) || []), value]);
+  });
+  return Array.from(byName, ([name, values]) => newParameter({
+    key: name,
+    type: values.length > 1 ? 'array' : valueType(values[0]),
+    example: isSensitive(name) ? REDACTED : redactText(values.join(',')),
+  }));
+};
+
+// How a recorded request authenticated, without the credential: { authScheme, authKeyName }
+const detectAuth = (headers) => {
+  const authorization = headers.find((header) => header.name.toLowerCase() === 'authorization');
+  if (authorization && /^bearer\s/i.test(authorization.value)) return { authScheme: 'bearer', authKeyName: '' };
+  if (authorization && /^basic\s/i.test(authorization.value)) return { authScheme: 'basic', authKeyName: '' };
+  const apiKey = headers.find((header) => /api[-_]?key/i.test(header.name));
+  if (apiKey) return { authScheme: 'apiKey', authKeyName: apiKey.name === DEFAULT_API_KEY_HEADER ? '' : apiKey.name };
+  return { authScheme: 'none', authKeyName: '' };
+};
+
+// Recorded headers worth documenting, as [{ key, value }]; `keep` picks them by lower-case name
+const documentedHeaders = (headers, keep) => headers
+  .filter((header) => !header.name.startsWith(':') && !isSensitive(header.name) && !NOISE_HEADERS.includes(header.name.toLowerCase()))
+  .filter((header) => keep(header.name.toLowerCase()))
+  .map((header) => ({ key: header.name, value: redactText(header.value) }));
+
+// The API calls of a HAR log (see parseHarFile), in recording order, as captured calls
+export const extractHarCalls = (log) => log.entries.filter(isApiCall).map((entry, index) => {
+  const { request, response = {} } = entry;
+  const url = new URL(request.url);
+  const method = request.method.toUpperCase();
+  const { template, values } = detectPathTemplate(url.pathname);
+  const requestHeaders = Array.isArray(request.headers) ? request.headers : [];
+  const responseHeaders = Array.isArray(response.headers) ? response.headers : [];
+  const status = Number(response.status) || 0;
+  return {
+    id: `har-${index}`,
+    method,
+    url: `${url.origin}${url.pathname}`,
+    template,
+    status,
+    time: Number(entry.time) || 0,
+    details: {
+      protocol: 'http',
+      method,
+      endpoint: template,
+      parameters: [
+        ...Object.entries(values).map(([key, value]) => newParameter({ key, in: 'path', type: valueType(value), required: true, example: value })),
+        ...queryParameters(request.url),
+      ],
+      requestBody: requestBodyExample(request.postData),
+      responseBody: bodyExample(responseText(response.content)),
+      responseStatus: status >= 100 && status < 600 ? String(status) : '200',
+      requestHeaders: documentedHeaders(requestHeaders, () => true),
+      responseHeaders: documentedHeaders(responseHeaders, (name) => name.startsWith('x-') || RESPONSE_HEADERS.includes(name)),
+      ...detectAuth(requestHeaders),
+    },
+  };
+});
+
+// Fills an annotation's apiDetails from a captured call. The name, description and other documented responses
+// are kept, and so are the details of parameters the call also has; the recorded values become their examples.
+export const applyHarCall = (apiDetails, call) => {
+  const existing = apiDetails.parameters || [];
+  const recorded = call.details.parameters.map((param) => {
+    const match = existing.find((other) => String(other.key || '').trim() === param.key && (other.in || 'query') === param.in);
+    return match ? { ...match, in: param.in, required: param.required || Boolean(match.required), example: param.example } : { ...param };
+  });
+  const others = existing.filter((param) => !recorded.some((other) => other.key === String(param.key || '').trim() && other.in === (param.in || 'query')));
+  return {
+    ...apiDetails,
+    ...call.details,
+    parameters: [...recorded, ...others.filter((param) => param.in !== 'path')],
+    requestHeaders: call.details.requestHeaders.map((header) => ({ ...header })),
+    responseHeaders: call.details.responseHeaders.map((header) => ({ ...header })),
+  };
+};
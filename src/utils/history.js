@@ -0,0 +1,52 @@
+// Undo/redo history kept as a list of labelled snapshots with a cursor pointing at the present one.
+// Consecutive changes sharing a coalesceKey (a drag, typing into one field) collapse into a single step.
+
+export const MAX_HISTORY_ENTRIES = 100;
+// Changes with the same coalesceKey further apart than this start a new step
+export const COALESCE_WINDOW_MS = 1000;
+
+export const createHistory = (state, label = 'Opened project') => ({
+  entries: [{ label, state, time: 0, coalesceKey: null }],
+  index: 0,
+});
+
+export const currentState = (history) => history.entries[history.index].state;
+export const canUndo = (history) => history.index > 0;
+export const canRedo = (history) => history.index < history.entries.length - 1;
+
+// Records a new state. Any redo entries are discarded.
+export const pushState = (history, state, { label = 'Edit', coalesceKey = null, time = Date.now() } = {}) => {
+  const present = history.entries[history.index];
+  if (state === present.state) return history;
+
+  const isLatest = history.index === history.entries.length - 1;
+  if (coalesceKey && isLatest && present.coalesceKey === coalesceKey && time - present.time < COALESCE_WINDOW_MS) {
+    const entries = history.entries.slice();
+    entries[history.index] = { ...present, state, time };
+    return { entries, index: history.index };
+  }
+
+  const entries = [...history.entries.slice(0, history.index + 1), { label, state, time, coalesceKey }];
+  const overflow = Math.max(0, entries.length - MAX_HISTORY_ENTRIES);
+  return { entries: entries.slice(overflow), index: entries.length - 1 - overflow };
+};
+
+// Replaces the present state without recording a step, e.g. with edits from collaborators, which undo must
+// not take back. Coalescing ends so the next local edit becomes a step of its own.
+export const replaceState = (history, state) => {
+  const entries = history.entries.slice();
+  entries[history.index] = { ...entries[history.index], state, coalesceKey: null };
+  return { entries, index: history.index };
+};
+
+// Moves the cursor to any entry of the list (undo/redo are jumps of one step)
+export const jumpTo = (history, index) => {
+  if (index < 0 || index >= history.entries.length || index === history.index) return history;
+  // Landing on an entry ends its coalescing, so the next edit becomes a new step
+  const entries = history.entries.slice();
+  entries[index] = { ...entries[index], coalesceKey: null };
+  return { entries, index };
+};
+
+export const undo = (history) => jumpTo(history, history.index - 1);
+export const redo = (history) => jumpTo(history, history.index + 1);
@@ -0,0 +1,79 @@
+import {
+  COALESCE_WINDOW_MS,
+  MAX_HISTORY_ENTRIES,
+  canRedo,
+  canUndo,
+  createHistory,
+  currentState,
+  jumpTo,
+  pushState,
+  redo,
+  replaceState,
+  undo,
+} from './history';
+
+test('replacing the present state records no step', () => {
+  let history = createHistory(['a']);
+  history = pushState(history, ['a', 'b'], { label: 'Add b', coalesceKey: 'typing', time: 1 });
+  history = replaceState(history, ['a', 'b', 'remote']);
+  expect(history.entries.map((entry) => [entry.label, entry.state])).toEqual([['Opened project', ['a']], ['Add b', ['a', 'b', 'remote']]]);
+  history = pushState(history, ['a', 'b2', 'remote'], { label: 'Edit b', coalesceKey: 'typing', time: 2 });
+  expect(history.entries).toHaveLength(3);
+});
+
+test('undo and redo walk through recorded states', () => {
+  let history = createHistory(['a']);
+  history = pushState(history, ['a', 'b'], { label: 'Add b', time: 1 });
+  history = pushState(history, ['a', 'b', 'c'], { label: 'Add c', time: 2 });
+  expect(history.entries.map((entry) => entry.label)).toEqual(['Opened project', 'Add b', 'Add c']);
+
+  history = undo(history);
+  expect(currentState(history)).toEqual(['a', 'b']);
+  expect(canRedo(history)).toBe(true);
+  history = redo(history);
+  expect(currentState(history)).toEqual(['a', 'b', 'c']);
+  expect(canRedo(history)).toBe(false);
+
+  history = jumpTo(history, 0);
+  expect(currentState(history)).toEqual(['a']);
+  expect(canUndo(history)).toBe(false);
+});
+
+test('a new change after undoing discards the redo entries', () => {
+  let history = createHistory(1);
+  history = pushState(history, 2, { time: 1 });
+  history = undo(history);
+  history = pushState(history, 3, { label: 'Branch', time: 2 });
+  expect(history.entries.map((entry) => entry.state)).toEqual([1, 3]);
+  expect(canRedo(history)).toBe(false);
+});
+
+test('changes with the same coalesce key close together become one step', () => {
+  let history = createHistory('');
+  history = pushState(history, 'h', { label: 'Edit name', coalesceKey: 'name', time: 1000 });
+  history = pushState(history, 'he', { label: 'Edit name', coalesceKey: 'name', time: 1200 });
+  history = pushState(history, 'hey', { label: 'Edit name', coalesceKey: 'name', time: 1400 });
+  expect(history.entries).toHaveLength(2);
+  expect(currentState(history)).toBe('hey');
+
+  // A pause longer than the window, or a different key, starts a new step
+  history = pushState(history, 'hey!', { coalesceKey: 'name', time: 1400 + COALESCE_WINDOW_MS });
+  history = pushState(history, 'hey!?', { coalesceKey: 'other', time: 1400 + COALESCE_WINDOW_MS + 1 });
+  expect(history.entries).toHaveLength(4);
+
+  // Undoing ends coalescing so the next edit is not merged into an older step
+  history = undo(history);
+  history = pushState(history, 'hey!!', { coalesceKey: 'name', time: 1400 + COALESCE_WINDOW_MS + 2 });
+  expect(history.entries.map((entry) => entry.state)).toEqual(['', 'hey', 'hey!', 'hey!!']);
+});
+
+test('unchanged states are ignored and the history is capped', () => {
+  let history = createHistory(0);
+  expect(pushState(history, 0)).toBe(history);
+  for (let i = 1; i <= MAX_HISTORY_ENTRIES + 5; i += 1) {
+    history = pushState(history, i, { time: i });
+  }
+  expect(history.entries).toHaveLength(MAX_HISTORY_ENTRIES);
+  expect(currentState(history)).toBe(MAX_HISTORY_ENTRIES + 5);
+  expect(history.index).toBe(MAX_HISTORY_ENTRIES - 1);
+});
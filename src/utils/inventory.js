@@ -0,0 +1,107 @@
+import { describeOperation } from './protocols';
+
+// Project-wide index of the API calls annotated on every mockup, grouped by operation, and full-text
+// search over it.
+
+// Searchable text of an annotation, with the labels shown next to a match
+const SEARCH_FIELDS = [
+  { field: 'name', label: 'Name', text: ({ annotation }) => annotation.apiDetails.name },
+  { field: 'endpoint', label: 'Endpoint', text: ({ annotation }) => `${annotation.apiDetails.method} ${annotation.apiDetails.endpoint}` },
+  { field: 'graphqlQuery', label: 'GraphQL document', text: ({ annotation }) => annotation.apiDetails.graphqlQuery },
+  { field: 'channel', label: 'Channel', text: ({ annotation }) => annotation.apiDetails.channel },
+  { field: 'description', label: 'Description', text: ({ annotation }) => annotation.apiDetails.description },
+  {
+    field: 'parameters',
+    label: 'Parameters',
+    text: ({ annotation }) => (annotation.apiDetails.parameters || [])
+      .map((param) => [`${param.key}: ${param.type}`, param.in, param.description, param.example].filter(Boolean).join(' ')).join(', '),
+  },
+  { field: 'requestBody', label: 'Request body', text: ({ annotation }) => annotation.apiDetails.requestBody },
+  { field: 'responseBody', label: 'Response body', text: ({ annotation }) => annotation.apiDetails.responseBody },
+  {
+    field: 'headers',
+    label: 'Headers',
+    text: ({ annotation }) => [...(annotation.apiDetails.requestHeaders || []), ...(annotation.apiDetails.responseHeaders || [])]
+      .map((header) => `${header.key}: ${header.value}`).join(', '),
+  },
+  {
+    field: 'responses',
+    label: 'Other responses',
+    text: ({ annotation }) => (annotation.apiDetails.responses || [])
+      .map((response) => `${response.status} ${response.description} ${response.body}`).join(' | '),
+  },
+  { field: 'screen', label: 'Screen', text: ({ image }) => image.name },
+];
+
+const EXCERPT_RADIUS = 40;
+
+// Groups every annotation by operation ("METHOD path" for HTTP, see describeOperation), with the same path
+// normalisation as the OpenAPI export, so "/orders/:id" and "https://host/orders/{id}" are one endpoint.
+// Annotations without an endpoint form a last group whose `key` is ''. Each group is
+// { key, method, path, target, usages: [{ image, annotation, index }] }, where `method` is the badge of the
+// call ('GET', 'QUERY', 'WS', ...) and `target` the path plus any GraphQL operation or channel.
+export const buildApiInventory = (images) => {
+  const groups = new Map();
+  images.forEach((image) => {
+    image.annotations.forEach((annotation, index) => {
+      const operation = describeOperation(annotation.apiDetails);
+      const key = operation ? operation.key : '';
+      if (!groups.has(key)) {
+        groups.set(key, operation
+          ? { key, method: operation.badge, path: operation.path, target: operation.target, usages: [] }
+          : { key, method: null, path: null, target: null, usages: [] });
+      }
+      groups.get(key).usages.push({ image, annotation, index });
+    });
+  });
+  return Array.from(groups.values()).sort((a, b) => {
+    if (!a.path || !b.path) return a.path ? -1 : b.path ? 1 : 0;
+    return a.target.localeCompare(b.target) || a.method.localeCompare(b.method);
+  });
+};
+
+// Number of different mockups in a list of usages
+export const countScreens = (usages) => new Set(usages.map((usage) => usage.image.id)).size;
+
+// Lowercased words of a search query; every word has to appear somewhere in a region for it to match
+export const queryTerms = (query) => String(query || '').toLowerCase().split(/\s+/).filter(Boolean);
+
+// A short piece of `text` around `position`, on one line
+const excerptAround = (text, position, length) => {
+  const start = Math.max(0, position - EXCERPT_RADIUS);
+  const end = Math.min(text.length, position + length + EXCERPT_RADIUS);
+  const excerpt = text.slice(start, end).replace(/\s+/g, ' ').trim();
+  return `${start > 0 ? '…' : ''}${excerpt}${end < text.length ? '…' : ''}`;
+};
+
+// The fields of a usage that contain any of `terms`, as [{ field, label, excerpt }], or null unless
+// every term is found in at least one field
+export const matchUsage = (usage, terms) => {
+  const found = new Set();
+  const matches = [];
+  SEARCH_FIELDS.forEach(({ field, label, text }) => {
+    const value = String(text(usage) || '');
+    const lower = value.toLowerCase();
+    const hits = terms.filter((term) => lower.includes(term));
+    if (hits.length === 0) return;
+    hits.forEach((term) => found.add(term));
+    matches.push({ field, label, excerpt: excerptAround(value, lower.indexOf(hits[0]), hits[0].length) });
+  });
+  return found.size === terms.length ? matches : null;
+};
+
+// Narrows the inventory to the regions matching `query`. Matching usages get their `matches`;
+// groups keep their full usage list as `allUsages` so counts can be shown as "2 of 5".
+export const searchInventory = (inventory, query) => {
+  const terms = queryTerms(query);
+  if (terms.length === 0) return inventory.map((group) => ({ ...group, allUsages: group.usages }));
+  return inventory
+    .map((group) => ({
+      ...group,
+      allUsages: group.usages,
+      usages: group.usages
+        .map((usage) => ({ ...usage, matches: matchUsage(usage, terms) }))
+        .filter((usage) => usage.matches),
+    }))
+    .filter((group) => group.usages.length > 0);
+};
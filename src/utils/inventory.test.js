@@ -0,0 +1,75 @@
+import { buildApiInventory, countScreens, searchInventory } from './inventory';
+import { details, region } from './testFixtures';
+
+const images = [
+  {
+    id: 'home',
+    name: 'Home',
+    url: 'data:,',
+    annotations: [
+      region('list', details({ name: 'Order list', endpoint: '/api/orders', parameters: [{ key: 'page', type: 'integer' }] })),
+      region('badge', details({ name: 'Cart badge', endpoint: 'https://shop.test/api/cart?count=1', responseBody: '{"itemCount": 3}' })),
+      region('hero', details({ name: 'Hero banner' })),
+    ],
+  },
+  {
+    id: 'orders',
+    name: 'Orders',
+    url: 'data:,',
+    annotations: [
+      region('table', details({ name: 'Orders table', endpoint: '/api/orders/', description: 'Past orders, newest first' })),
+      region('detail', details({ name: 'Order detail', endpoint: '/api/orders/:id' })),
+      region('cancel', details({ name: 'Cancel order', endpoint: '/api/orders/{id}', method: 'delete', requestBody: '{"reason": "changed my mind"}' })),
+    ],
+  },
+];
+
+test('groups annotations from every mockup by method and normalised endpoint', () => {
+  const inventory = buildApiInventory(images);
+  expect(inventory.map((group) => group.key)).toEqual([
+    'GET /api/cart',
+    'GET /api/orders',
+    'DELETE /api/orders/{id}',
+    'GET /api/orders/{id}',
+    '',
+  ]);
+
+  const orders = inventory.find((group) => group.key === 'GET /api/orders');
+  expect(orders.usages.map(({ image, annotation }) => `${image.id}/${annotation.id}`)).toEqual(['home/list', 'orders/table']);
+  expect(countScreens(orders.usages)).toBe(2);
+  expect(inventory[inventory.length - 1]).toMatchObject({ method: null, path: null });
+  expect(inventory[inventory.length - 1].usages[0]).toMatchObject({ index: 2, annotation: { id: 'hero' } });
+});
+
+test('returns everything for an empty query', () => {
+  const inventory = buildApiInventory(images);
+  const results = searchInventory(inventory, '   ');
+  expect(results).toHaveLength(inventory.length);
+  expect(results[1].allUsages).toBe(results[1].usages);
+});
+
+test('searches names, descriptions, parameters and bodies and says where each term matched', () => {
+  const inventory = buildApiInventory(images);
+
+  const byParameter = searchInventory(inventory, 'PAGE');
+  expect(byParameter.map((group) => group.key)).toEqual(['GET /api/orders']);
+  expect(byParameter[0].usages).toHaveLength(1);
+  expect(byParameter[0].allUsages).toHaveLength(2);
+  expect(byParameter[0].usages[0].matches).toEqual([{ field: 'parameters', label: 'Parameters', excerpt: 'page: integer' }]);
+
+  const byBody = searchInventory(inventory, 'itemcount');
+  expect(byBody[0].usages[0].matches).toEqual([{ field: 'responseBody', label: 'Response body', excerpt: '{"itemCount": 3}' }]);
+
+  // Every word has to match, but they may be in different fields
+  const combined = searchInventory(inventory, 'cancel mind');
+  expect(combined.map((group) => group.key)).toEqual(['DELETE /api/orders/{id}']);
+  expect(combined[0].usages[0].matches.map((match) => match.field)).toEqual(['name', 'requestBody']);
+  expect(searchInventory(inventory, 'cancel banner')).toEqual([]);
+});
+
+test('trims long matches to an excerpt around the first hit', () => {
+  const description = `${'a'.repeat(100)} needle ${'b'.repeat(100)}`;
+  const inventory = buildApiInventory([{ id: 'x', name: 'X', url: 'data:,', annotations: [region('r', details({ endpoint: '/x', description }))] }]);
+  const [match] = searchInventory(inventory, 'needle')[0].usages[0].matches;
+  expect(match.excerpt).toBe(`…${'a'.repeat(39)} needle ${'b'.repeat(39)}…`);
+});
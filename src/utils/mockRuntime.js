@@ -0,0 +1,76 @@
+// Request handling shared by the generated Express server and MSW handlers (utils/mockServer); contract
+// verification checks live responses with the same validator. The functions are copied into the generated files
+// as source, so each must stand on its own: no imports and no calls to anything outside this list.
+
+// Checks a value against the schema inferred from the annotated example; returns a list of errors
+export function validate(value, schema, path) {
+  if (!schema || typeof schema !== 'object') return [];
+  if (Array.isArray(schema.anyOf)) {
+    const attempts = schema.anyOf.map((variant) => validate(value, variant, path));
+    return attempts.some((errors) => errors.length === 0) ? [] : attempts[0];
+  }
+  const types = schema.type === undefined ? [] : [].concat(schema.type);
+  const actual = value === null ? 'null' : Array.isArray(value) ? 'array' : typeof value;
+  if (types.length > 0) {
+    const matches = types.some((type) => type === actual || (type === 'integer' && Number.isInteger(value)) || (type === 'number' && actual === 'number'));
+    if (!matches) return [path + ': expected ' + types.join(' or ') + ' but got ' + actual];
+  }
+  if (actual === 'object') {
+    const errors = [];
+    (schema.required || []).forEach((key) => {
+      if (!(key in value)) errors.push(path + '.' + key + ': is required');
+    });
+    Object.keys(schema.properties || {}).forEach((key) => {
+      if (key in value) errors.push(...validate(value[key], schema.properties[key], path + '.' + key));
+    });
+    return errors;
+  }
+  if (actual === 'array' && schema.items) {
+    return value.reduce((errors, item, index) => errors.concat(validate(item, schema.items, path + '[' + index + ']')), []);
+  }
+  return [];
+}
+
+// Finds the annotated operation a GraphQL request body asks for, by operationName or the name in the query
+export function findGraphqlOperation(route, body) {
+  const query = body && typeof body.query === 'string' ? body.query : '';
+  const declared = query.match(/(?:^|\})\s*(?:query|mutation|subscription)\s+([_A-Za-z][_0-9A-Za-z]*)/);
+  const name = (body && body.operationName) || (declared ? declared[1] : '');
+  return route.graphqlOperations.find((operation) => operation.operationName === name)
+    || (route.graphqlOperations.length === 1 ? route.graphqlOperations[0] : null);
+}
+
+// The 401 answer of a route documented as authenticated when its credentials header is missing, else null
+export function unauthorized(route, header) {
+  if (!route.auth || header(route.auth.header)) return null;
+  return (route.responses || []).find((response) => response.status === 401)
+    || { status: 401, responseBody: { error: 'Missing credentials', details: ['Send the ' + route.auth.header + ' header'] } };
+}
+
+// The documented response asked for with a "Prefer: code=404" request header (as with Prism), else the main one
+export function pickResponse(route, header) {
+  const preferred = /code=(\d{3})/.exec(header('Prefer') || '');
+  return (preferred && (route.responses || []).find((response) => String(response.status) === preferred[1])) || route;
+}
+
+// Checks the query and header parameters of a request; lists the mismatches like the body validator
+export function checkParameters(route, query, header) {
+  return (route.parameters || []).reduce((errors, param) => {
+    const value = param.in === 'query' ? query(param.name) : header(param.name);
+    const label = param.in + '.' + param.name;
+    if (value === undefined || value === null || value === '') return param.required ? errors.concat(label + ': is required') : errors;
+    const values = param.type === 'array' ? String(value).split(',') : [String(value)];
+    return values.reduce((found, item) => {
+      if (param.type === 'integer' && !/^-?\d+$/.test(item)) return found.concat(label + ': expected integer but got "' + item + '"');
+      if (param.type === 'number' && (item.trim() === '' || !Number.isFinite(Number(item)))) return found.concat(label + ': expected number but got "' + item + '"');
+      if (param.type === 'boolean' && item !== 'true' && item !== 'false') return found.concat(label + ': expected boolean but got "' + item + '"');
+      if (param.enum && !param.enum.includes(item.trim())) return found.concat(label + ': expected one of ' + param.enum.join(', ') + ' but got "' + item + '"');
+      return found;
+    }, errors);
+  }, []);
+}
+
+// Formats one server-sent event
+export function formatEvent(event) {
+  return (event.event ? 'event: ' + event.event + '\n' : '') + 'data: ' + JSON.stringify(event.data) + '\n\n';
+}
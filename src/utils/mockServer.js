@@ -0,0 +1,468 @@
+import JSZip from 'jszip';
+import { checkParameters, findGraphqlOperation, formatEvent, pickResponse, unauthorized, validate } from './mockRuntime';
+import { collectOperations, pathParamNames } from './openapi';
+import { normalizeParameter } from './parameters';
+import { graphqlOperationName, PROTOCOL_LABELS, streamEvents } from './protocols';
+import { authHeaders, headerObject, isJsonContentType, listResponses, mainStatus } from './responses';
+import { getEffectiveSchema, mergeSchemas, parseJsonExample } from './schema';
+
+export const DEFAULT_MOCK_PORT = 4010;
+// Streams send their example events one at a time, round and round, this often
+export const MOCK_EVENT_INTERVAL_MS = 1000;
+
+// Converts an OpenAPI path template into the Express/MSW form: "/users/{id}" -> "/users/:id"
+export const toRoutePath = (path) => path.replace(/\{([^}]+)\}/g, (match, name) => `:${name.replace(/[^A-Za-z0-9_]/g, '_')}`);
+
+// Orders routes so literal segments win over parameters ("/users/me" before "/users/:id")
+const compareRouteSpecificity = (a, b) => {
+  const aSegments = a.path.split('/');
+  const bSegments = b.path.split('/');
+  for (let i = 0; i < Math.min(aSegments.length, bSegments.length); i += 1) {
+    const aParam = aSegments[i].startsWith('{');
+    const bParam = bSegments[i].startsWith('{');
+    if (aParam !== bParam) return aParam ? 1 : -1;
+  }
+  return 0;
+};
+
+// Example `data` of each GraphQL operation on an endpoint; the first annotation of an operation wins
+const graphqlMockOperations = (details) => details.reduce((operations, d) => {
+  const operationName = graphqlOperationName(d);
+  if (operations.some((operation) => operation.operationName === operationName)) return operations;
+  const { value, error } = parseJsonExample(d.responseBody);
+  return [...operations, { operationName, data: error || value === undefined ? null : value }];
+}, []);
+
+// The documented responses other than the main one, first annotation first, one per status code:
+// [{ status, headers?, contentType?, responseBody | responseText }]
+const alternativeMockResponses = (details) => details
+  .flatMap((d) => listResponses(d).filter((response) => !response.isMain))
+  .filter((response, index, all) => all.findIndex((other) => other.status === response.status) === index)
+  .map(({ status, headers, contentType, body }) => {
+    const response = { status: Number(status) };
+    const headerValues = headerObject(headers);
+    if (Object.keys(headerValues).length > 0) response.headers = headerValues;
+    if (contentType && contentType !== 'application/json') response.contentType = contentType;
+    const { value, error } = parseJsonExample(body);
+    if (error || (value !== undefined && !isJsonContentType(contentType))) response.responseText = body;
+    else if (value !== undefined) response.responseBody = value;
+    return response;
+  });
+
+// The query and header parameters a mock checks, first annotation first:
+// [{ name, in, type, required, enum? }]
+const mockParameters = (details, path) => details
+  .flatMap((d) => (d.parameters || []).map((param) => normalizeParameter(param, pathParamNames(path))))
+  .filter((param) => (param.in === 'query' || param.in === 'header') && String(param.key).trim())
+  .filter((param, index, all) => all.findIndex((other) => other.in === param.in && other.key.trim() === param.key.trim()) === index)
+  .map((param) => {
+    const checked = { name: param.key.trim(), in: param.in, type: param.type, required: param.required };
+    const values = param.enum.map((value) => value.trim()).filter(Boolean);
+    return values.length > 0 ? { ...checked, enum: values } : checked;
+  });
+
+// The header a mock checks for credentials, for annotations that document authentication
+const mockAuth = (details) => {
+  const authenticated = details.find((d) => Object.keys(authHeaders(d)).length > 0);
+  return authenticated ? { scheme: authenticated.authScheme, header: Object.keys(authHeaders(authenticated))[0] } : null;
+};
+
+// Collects one mock route per annotated "METHOD path", answering with the first example response.
+// GraphQL routes answer per operation name; SSE and WebSocket routes stream their example events.
+// Other documented responses are listed in `responses`; calls documenting authentication get `auth`, and
+// REST calls with query or header parameters get the `parameters` their requests are checked against.
+export const buildMockRoutes = (images) => collectOperations(images)
+  .map(({ method, path, protocol, sources }) => {
+    const details = sources.map(({ annotation }) => annotation.apiDetails);
+    const route = {
+      method: method.toUpperCase(),
+      path,
+      routePath: toRoutePath(path),
+      status: 200,
+    };
+    const auth = protocol === 'websocket' ? null : mockAuth(details);
+    if (auth) route.auth = auth;
+    if (protocol === 'graphql') return { ...route, protocol, graphqlOperations: graphqlMockOperations(details) };
+    if (protocol === 'sse') {
+      const events = details.flatMap((d) => streamEvents(d).map((data) => ({ event: String(d.channel || '').trim() || null, data })));
+      return { ...route, protocol, events };
+    }
+    if (protocol === 'websocket') {
+      const websocketRoute = { ...route, status: 101, protocol, events: details.flatMap(streamEvents) };
+      const subscribeSchema = details.reduce((schema, d) => mergeSchemas(schema, getEffectiveSchema(d, 'request')), undefined);
+      return subscribeSchema ? { ...websocketRoute, subscribeSchema } : websocketRoute;
+    }
+
+    const parameters = mockParameters(details, path);
+    if (parameters.length > 0) route.parameters = parameters;
+
+    let requestSchema;
+    details.forEach((d) => {
+      requestSchema = mergeSchemas(requestSchema, getEffectiveSchema(d, 'request'));
+    });
+    if (requestSchema) route.requestSchema = requestSchema;
+
+    route.status = Number(mainStatus(details[0]));
+    const headers = headerObject(details[0].responseHeaders);
+    if (Object.keys(headers).length > 0) route.headers = headers;
+    const responseSource = details.find((d) => d.responseBody && d.responseBody.trim());
+    if (responseSource) {
+      const { value, error } = parseJsonExample(responseSource.responseBody);
+      if (error) route.responseText = responseSource.responseBody;
+      else route.responseBody = value;
+    }
+    const responses = alternativeMockResponses(details);
+    if (responses.length > 0) route.responses = responses;
+    return route;
+  })
+  .sort(compareRouteSpecificity);
+
+const HEADER_COMMENT = '// Generated by UI Mocks API Annotator from annotated mockups. Regenerate instead of editing by hand.';
+
+// Source of the request helpers (utils/mockRuntime) for the generated files. Each is bound to its own name, which
+// the keys keep even when a minified build has renamed the function itself.
+const embed = (helpers) => Object.entries(helpers).map(([name, helper]) => `const ${name} = ${helper};`).join('\n\n');
+
+// Minimal JSON Schema validator, so the generated files have no extra dependencies
+const VALIDATOR_SOURCE = embed({ validate });
+const GRAPHQL_SOURCE = embed({ findGraphqlOperation });
+const RESPONSE_SOURCE = embed({ unauthorized, pickResponse });
+const PARAMETER_SOURCE = embed({ checkParameters });
+const SSE_SOURCE = embed({ formatEvent });
+
+// Node/Express server answering every annotated call with its example response
+export const generateExpressServer = (routes, { port = DEFAULT_MOCK_PORT } = {}) => `${HEADER_COMMENT}
+const express = require('express');
+
+const PORT = process.env.PORT || ${port};
+
+const routes = ${JSON.stringify(routes, null, 2)};
+
+${VALIDATOR_SOURCE}
+
+const app = express();
+app.use(express.json({ strict: false }));
+
+// Allow the frontend dev server to call the mock from another origin
+app.use((req, res, next) => {
+  res.set('Access-Control-Allow-Origin', req.get('Origin') || '*');
+  res.set('Access-Control-Allow-Methods', 'GET,POST,PUT,PATCH,DELETE,HEAD,OPTIONS');
+  res.set('Access-Control-Allow-Headers', req.get('Access-Control-Request-Headers') || 'Content-Type');
+  res.set('Access-Control-Expose-Headers', '*');
+  if (req.method === 'OPTIONS') return res.sendStatus(204);
+  return next();
+});
+
+${RESPONSE_SOURCE}
+
+// Sends a mocked response: its status, headers and JSON or text body
+function send(res, response) {
+  res.set(response.headers || {});
+  if (response.responseText !== undefined) return res.status(response.status).type(response.contentType || 'text').send(response.responseText);
+  if (response.responseBody === undefined) return res.sendStatus(response.status);
+  if (response.contentType) return res.status(response.status).type(response.contentType).send(JSON.stringify(response.responseBody));
+  return res.status(response.status).json(response.responseBody);
+}
+
+${PARAMETER_SOURCE}
+
+${GRAPHQL_SOURCE}
+
+${SSE_SOURCE}
+
+const EVENT_INTERVAL_MS = ${MOCK_EVENT_INTERVAL_MS};
+
+routes.filter((route) => route.protocol === 'graphql').forEach((route) => {
+  app.post(route.routePath, (req, res) => {
+    const denied = unauthorized(route, (name) => req.get(name));
+    if (denied) return send(res, denied);
+    const operation = findGraphqlOperation(route, req.body);
+    console.log('POST ' + req.originalUrl + ' ' + (operation ? operation.operationName : '(unknown operation)'));
+    if (!operation) return res.json({ errors: [{ message: 'No annotated mock for this GraphQL operation' }] });
+    return res.json({ data: operation.data });
+  });
+});
+
+// Event streams repeat their example events until the client disconnects
+routes.filter((route) => route.protocol === 'sse').forEach((route) => {
+  app.get(route.routePath, (req, res) => {
+    const denied = unauthorized(route, (name) => req.get(name));
+    if (denied) return send(res, denied);
+    console.log('GET ' + req.originalUrl + ' -> event stream');
+    res.set({ 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', Connection: 'keep-alive' });
+    res.flushHeaders();
+    let next = 0;
+    const timer = setInterval(() => {
+      if (route.events.length === 0) return;
+      res.write(formatEvent(route.events[next % route.events.length]));
+      next += 1;
+    }, EVENT_INTERVAL_MS);
+    return req.on('close', () => clearInterval(timer));
+  });
+});
+
+routes.filter((route) => !route.protocol).forEach((route) => {
+  app[route.method.toLowerCase()](route.routePath, (req, res) => {
+    const header = (name) => req.get(name);
+    const denied = unauthorized(route, header);
+    if (denied) return send(res, denied);
+    const parameterErrors = checkParameters(route, (name) => [].concat(req.query[name])[0], header);
+    if (parameterErrors.length > 0) {
+      return res.status(400).json({ error: 'Request parameters do not match the annotation', details: parameterErrors });
+    }
+    if (route.requestSchema) {
+      const errors = validate(req.body, route.requestSchema, 'body');
+      if (errors.length > 0) {
+        return res.status(400).json({ error: 'Request body does not match the annotated example', details: errors });
+      }
+    }
+    const response = pickResponse(route, header);
+    console.log(req.method + ' ' + req.originalUrl + ' -> ' + response.status);
+    return send(res, response);
+  });
+});
+
+// Malformed JSON bodies are reported back instead of crashing the request
+app.use((err, req, res, next) => {
+  if (err.type === 'entity.parse.failed') {
+    return res.status(400).json({ error: 'Malformed JSON request body', details: [err.message] });
+  }
+  return next(err);
+});
+
+app.use((req, res) => {
+  res.status(404).json({ error: 'No annotated mock for ' + req.method + ' ' + req.path });
+});
+
+const server = app.listen(PORT, () => {
+  console.log('Mock API listening on http://localhost:' + PORT);
+  routes.forEach((route) => console.log('  ' + (route.protocol === 'websocket' ? 'WS' : route.method).padEnd(7) + route.path));
+});
+
+// WebSocket routes start sending their example messages once the client has subscribed (or right away when
+// no subscribe message is expected); subscribe messages are checked like request bodies
+const websocketRoutes = routes.filter((route) => route.protocol === 'websocket');
+if (websocketRoutes.length > 0) {
+  const WebSocket = require('ws');
+  const wss = new WebSocket.Server({ noServer: true });
+  const matchers = websocketRoutes.map((route) => ({
+    route,
+    pattern: new RegExp('^' + route.routePath.replace(/:[A-Za-z0-9_]+/g, '[^/]+') + '$'),
+  }));
+  server.on('upgrade', (req, socket, head) => {
+    const match = matchers.find(({ pattern }) => pattern.test(req.url.split('?')[0]));
+    if (!match) return socket.destroy();
+    return wss.handleUpgrade(req, socket, head, (client) => {
+      const { route } = match;
+      console.log('WS ' + req.url + ' connected');
+      let timer = null;
+      const start = () => {
+        let next = 0;
+        timer = timer || setInterval(() => {
+          if (route.events.length === 0) return;
+          client.send(JSON.stringify(route.events[next % route.events.length]));
+          next += 1;
+        }, EVENT_INTERVAL_MS);
+      };
+      client.on('message', (data) => {
+        let message;
+        try {
+          message = JSON.parse(String(data));
+        } catch (error) {
+          return client.send(JSON.stringify({ error: 'Malformed JSON message', details: [error.message] }));
+        }
+        const errors = route.subscribeSchema ? validate(message, route.subscribeSchema, 'message') : [];
+        if (errors.length > 0) return client.send(JSON.stringify({ error: 'Message does not match the annotated subscribe message', details: errors }));
+        return start();
+      });
+      client.on('close', () => clearInterval(timer));
+      if (!route.subscribeSchema) start();
+    });
+  });
+}
+`;
+
+// Streams a route's example events, round and round, until the client goes away
+const MSW_EVENT_STREAM_SOURCE = `function eventStream(route) {
+  const encoder = new TextEncoder();
+  let timer;
+  return new ReadableStream({
+    start(controller) {
+      let next = 0;
+      timer = setInterval(() => {
+        if (route.events.length === 0) return;
+        controller.enqueue(encoder.encode(formatEvent(route.events[next % route.events.length])));
+        next += 1;
+      }, EVENT_INTERVAL_MS);
+    },
+    cancel() {
+      clearInterval(timer);
+    },
+  });
+}`;
+
+// WebSocket links start sending their example messages once the client has subscribed (or right away when
+// no subscribe message is expected)
+const MSW_WEBSOCKET_SOURCE = `// WebSocket mocks need msw 2.6 or later
+const websocketHandlers = routes.filter((route) => route.protocol === 'websocket').map((route) =>
+  ws.link('*' + route.routePath).addEventListener('connection', ({ client }) => {
+    let timer = null;
+    const start = () => {
+      let next = 0;
+      timer = timer || setInterval(() => {
+        if (route.events.length === 0) return;
+        client.send(JSON.stringify(route.events[next % route.events.length]));
+        next += 1;
+      }, EVENT_INTERVAL_MS);
+    };
+    client.addEventListener('message', (event) => {
+      let message;
+      try {
+        message = JSON.parse(String(event.data));
+      } catch (error) {
+        return client.send(JSON.stringify({ error: 'Malformed JSON message', details: [error.message] }));
+      }
+      const errors = route.subscribeSchema ? validate(message, route.subscribeSchema, 'message') : [];
+      if (errors.length > 0) return client.send(JSON.stringify({ error: 'Message does not match the annotated subscribe message', details: errors }));
+      return start();
+    });
+    client.addEventListener('close', () => clearInterval(timer));
+    if (!route.subscribeSchema) start();
+  })
+);`;
+
+// Mock Service Worker (v2) request handlers for the same routes, for use in the browser or in tests
+export const generateMswHandlers = (routes) => {
+  const hasWebsockets = routes.some((route) => route.protocol === 'websocket');
+  return `${HEADER_COMMENT}
+import { http, HttpResponse${hasWebsockets ? ', ws' : ''} } from 'msw';
+
+const routes = ${JSON.stringify(routes, null, 2)};
+
+const EVENT_INTERVAL_MS = ${MOCK_EVENT_INTERVAL_MS};
+
+${RESPONSE_SOURCE}
+
+// A mocked response: its status, headers and JSON or text body
+function reply(response) {
+  const headers = { ...response.headers };
+  if (response.contentType) headers['Content-Type'] = response.contentType;
+  if (response.responseText !== undefined) return HttpResponse.text(response.responseText, { status: response.status, headers });
+  if (response.responseBody === undefined) return new HttpResponse(null, { status: response.status, headers });
+  return HttpResponse.json(response.responseBody, { status: response.status, headers });
+}
+
+${PARAMETER_SOURCE}
+
+${GRAPHQL_SOURCE}
+
+${SSE_SOURCE}
+
+${MSW_EVENT_STREAM_SOURCE}
+
+const graphqlHandlers = routes.filter((route) => route.protocol === 'graphql').map((route) =>
+  http.post('*' + route.routePath, async ({ request }) => {
+    const denied = unauthorized(route, (name) => request.headers.get(name));
+    if (denied) return reply(denied);
+    const operation = findGraphqlOperation(route, await request.clone().json().catch(() => null));
+    if (!operation) return HttpResponse.json({ errors: [{ message: 'No annotated mock for this GraphQL operation' }] });
+    return HttpResponse.json({ data: operation.data });
+  })
+);
+
+const sseHandlers = routes.filter((route) => route.protocol === 'sse').map((route) =>
+  http.get('*' + route.routePath, ({ request }) => {
+    const denied = unauthorized(route, (name) => request.headers.get(name));
+    if (denied) return reply(denied);
+    return new HttpResponse(eventStream(route), {
+      headers: { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache' },
+    });
+  })
+);
+${hasWebsockets ? `\n${MSW_WEBSOCKET_SOURCE}\n` : ''}
+const restHandlers = routes.filter((route) => !route.protocol).map((route) =>
+  // The leading "*" matches the route on any origin
+  http[route.method.toLowerCase()]('*' + route.routePath, async ({ request }) => {
+    const header = (name) => request.headers.get(name);
+    const denied = unauthorized(route, header);
+    if (denied) return reply(denied);
+    const url = new URL(request.url);
+    const parameterErrors = checkParameters(route, (name) => url.searchParams.get(name), header);
+    if (parameterErrors.length > 0) {
+      return HttpResponse.json({ error: 'Request parameters do not match the annotation', details: parameterErrors }, { status: 400 });
+    }
+    if (route.requestSchema) {
+      let body;
+      try {
+        body = await request.clone().json();
+      } catch (error) {
+        return HttpResponse.json({ error: 'Malformed JSON request body', details: [error.message] }, { status: 400 });
+      }
+      const errors = validate(body, route.requestSchema, 'body');
+      if (errors.length > 0) {
+        return HttpResponse.json({ error: 'Request body does not match the annotated example', details: errors }, { status: 400 });
+      }
+    }
+    return reply(pickResponse(route, header));
+  })
+);
+
+${VALIDATOR_SOURCE}
+
+export const handlers = [...graphqlHandlers, ...sseHandlers, ...restHandlers${hasWebsockets ? ', ...websocketHandlers' : ''}];
+`;
+};
+
+const generatePackageJson = (routes) => `${JSON.stringify({
+  name: 'ui-mocks-mock-server',
+  version: '1.0.0',
+  private: true,
+  description: 'Mock API generated from annotated UI mockups',
+  main: 'server.js',
+  scripts: { start: 'node server.js' },
+  dependencies: routes.some((route) => route.protocol === 'websocket') ? { express: '^4.21.2', ws: '^8.18.0' } : { express: '^4.21.2' },
+}, null, 2)}\n`;
+
+const generateReadme = (routes, port) => `# Mock API
+
+Generated by UI Mocks API Annotator. Every annotated call answers with its example response body;
+request bodies are checked against the shape of the annotated example and rejected with \`400\` when they do not match.
+So are query and header parameters: required ones must be sent, and values must fit their type and allowed values.
+
+Other documented responses are returned on request: send \`Prefer: code=404\` to get the annotated 404.
+Calls documented as authenticated answer \`401\` when their credentials header is missing (any value is accepted).
+
+## Node/Express
+
+\`\`\`sh
+npm install
+npm start            # http://localhost:${port}, override with PORT=...
+\`\`\`
+
+## Mock Service Worker
+
+Copy \`handlers.js\` into your app and register it with \`setupWorker(...handlers)\` (browser) or
+\`setupServer(...handlers)\` (Node/tests). Requires \`msw\` 2.x (2.6 or later for WebSocket routes).
+
+## Routes
+
+GraphQL endpoints answer each annotated operation with its example data. Event streams and WebSockets send
+their example events one at a time, every ${MOCK_EVENT_INTERVAL_MS / 1000}s, starting over at the end; a WebSocket that
+expects a subscribe message waits for one.
+
+| Method | Path | Protocol |
+| ------ | ---- | -------- |
+${routes.map((route) => `| ${route.method} | \`${route.path}\` | ${PROTOCOL_LABELS[route.protocol || 'http']} |`).join('\n')}
+`;
+
+// Packs the Express server, MSW handlers and instructions into a zip Blob
+export const buildMockServerBundle = async (images, { port = DEFAULT_MOCK_PORT } = {}) => {
+  const routes = buildMockRoutes(images);
+  const zip = new JSZip();
+  const folder = zip.folder('mock-server');
+  folder.file('server.js', generateExpressServer(routes, { port }));
+  folder.file('handlers.js', generateMswHandlers(routes));
+  folder.file('package.json', generatePackageJson(routes));
+  folder.file('README.md', generateReadme(routes, port));
+  return zip.generateAsync({ type: 'blob' });
+};
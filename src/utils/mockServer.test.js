@@ -0,0 +1,152 @@
+import { checkParameters, findGraphqlOperation, pickResponse, unauthorized, validate } from './mockRuntime';
+import { buildMockRoutes, generateExpressServer, generateMswHandlers, toRoutePath } from './mockServer';
+import { details, region } from './testFixtures';
+
+const images = [{
+  id: 'img1',
+  name: 'Users',
+  url: '',
+  annotations: [
+    region('a1', details({ endpoint: '/users/{id}', responseBody: '{"id": 7, "name": "Ada"}' })),
+    region('a2', details({ endpoint: '/users/me', responseBody: '{"id": 1}' })),
+    region('a3', details({ endpoint: '/users', method: 'POST', requestBody: '{"name": "Ada"}', responseBody: 'created' })),
+  ],
+}];
+
+test('converts path templates to route paths', () => {
+  expect(toRoutePath('/users/{id}/posts/{post-id}')).toBe('/users/:id/posts/:post_id');
+});
+
+test('builds one route per operation with literal paths before parameterised ones', () => {
+  const routes = buildMockRoutes(images);
+  expect(routes.map((route) => `${route.method} ${route.routePath}`)).toEqual([
+    'GET /users/me',
+    'GET /users/:id',
+    'POST /users',
+  ]);
+  expect(routes[1].responseBody).toEqual({ id: 7, name: 'Ada' });
+  expect(routes[2]).toMatchObject({
+    requestSchema: { type: 'object', properties: { name: { type: 'string' } }, required: ['name'] },
+    responseText: 'created',
+  });
+});
+
+test('generated files embed the routes and a request validator', () => {
+  const routes = buildMockRoutes(images);
+  const server = generateExpressServer(routes, { port: 5000 });
+  expect(server).toContain("require('express')");
+  expect(server).toContain('process.env.PORT || 5000');
+  expect(server).toContain('"routePath": "/users/:id"');
+
+  const handlers = generateMswHandlers(routes);
+  expect(handlers).toContain("import { http, HttpResponse } from 'msw';");
+  expect(handlers).toContain('export const handlers');
+  expect(handlers).toContain('const validate = function');
+  expect(server).toContain('const validate = function');
+
+  // The embedded validator reports mismatches against the example's shape
+  expect(validate({ name: 'Grace' }, routes[2].requestSchema, 'body')).toEqual([]);
+  expect(validate({ name: 3 }, routes[2].requestSchema, 'body')).toEqual(['body.name: expected string but got number']);
+  expect(validate({}, routes[2].requestSchema, 'body')).toEqual(['body.name: is required']);
+});
+
+test('GraphQL routes answer per operation and streams carry their example events', () => {
+  const routes = buildMockRoutes([{
+    id: 'img2',
+    name: 'Live',
+    url: '',
+    annotations: [
+      region('g1', details({ protocol: 'graphql', endpoint: '/graphql', graphqlQuery: 'query Cart { cart { total } }', responseBody: '{"cart": {"total": 3}}' })),
+      region('g2', details({ protocol: 'graphql', endpoint: '/graphql', graphqlQuery: 'mutation Checkout { checkout { id } }', responseBody: '{"checkout": {"id": "o1"}}' })),
+      region('s1', details({ protocol: 'sse', endpoint: '/events', channel: 'price', responseBody: '[{"price": 1}, {"price": 2}]' })),
+      region('w1', details({ protocol: 'websocket', endpoint: '/ws', requestBody: '{"subscribe": "chat"}', responseBody: '[{"text": "hi"}]' })),
+    ],
+  }]);
+  expect(routes.map((route) => `${route.method} ${route.routePath} ${route.protocol}`)).toEqual([
+    'POST /graphql graphql',
+    'GET /events sse',
+    'GET /ws websocket',
+  ]);
+  expect(routes[1].events).toEqual([{ event: 'price', data: { price: 1 } }, { event: 'price', data: { price: 2 } }]);
+  expect(routes[2]).toMatchObject({ events: [{ text: 'hi' }], subscribeSchema: { properties: { subscribe: { type: 'string' } } } });
+
+  const handlers = generateMswHandlers(routes);
+  expect(handlers).toContain("import { http, HttpResponse, ws } from 'msw';");
+  expect(generateExpressServer(routes)).toContain("require('ws')");
+
+  expect(handlers).toContain('const findGraphqlOperation = function');
+  expect(handlers).toContain('const formatEvent = function');
+  expect(findGraphqlOperation(routes[0], { query: 'mutation Checkout { checkout { id } }' }).data).toEqual({ checkout: { id: 'o1' } });
+  expect(findGraphqlOperation(routes[0], { query: '{ cart { total } }', operationName: 'Cart' }).data).toEqual({ cart: { total: 3 } });
+  expect(findGraphqlOperation(routes[0], { query: 'query Other { x }' })).toBeNull();
+});
+
+test('routes carry their other responses and authentication, picked with a Prefer header', () => {
+  const [route] = buildMockRoutes([{
+    id: 'img3',
+    name: 'Orders',
+    url: '',
+    annotations: [region('o1', details({
+      endpoint: '/orders',
+      responseBody: '[]',
+      responseStatus: '200',
+      responseHeaders: [{ key: 'X-Total-Count', value: '0' }],
+      authScheme: 'bearer',
+      responses: [
+        { status: '404', description: '', contentType: 'application/json', headers: [], body: '{"error": "none"}', regionId: null },
+        { status: '500', description: '', contentType: 'text/plain', headers: [{ key: 'Retry-After', value: '5' }], body: 'Oops', regionId: null },
+      ],
+    }))],
+  }]);
+  expect(route).toMatchObject({
+    status: 200,
+    headers: { 'X-Total-Count': '0' },
+    auth: { scheme: 'bearer', header: 'Authorization' },
+    responses: [
+      { status: 404, responseBody: { error: 'none' } },
+      { status: 500, contentType: 'text/plain', headers: { 'Retry-After': '5' }, responseText: 'Oops' },
+    ],
+  });
+
+  const handlers = generateMswHandlers([route]);
+  expect(handlers).toContain('const unauthorized = function');
+  expect(handlers).toContain('const pickResponse = function');
+  const headers = (values) => (name) => values[name];
+  expect(unauthorized(route, headers({})).status).toBe(401);
+  expect(unauthorized(route, headers({ Authorization: 'Bearer x' }))).toBeNull();
+  expect(pickResponse(route, headers({ Prefer: 'code=500' })).responseText).toBe('Oops');
+  expect(pickResponse(route, headers({ Prefer: 'code=418' }))).toBe(route);
+});
+
+test('REST routes check their query and header parameters', () => {
+  const [route] = buildMockRoutes([{
+    id: 'img4',
+    name: 'Search',
+    url: '',
+    annotations: [region('s1', details({
+      endpoint: '/products/{category}',
+      responseBody: '[]',
+      parameters: [
+        { key: 'category', in: 'path', type: 'string', required: true, enum: [], default: '', description: '', example: '' },
+        { key: 'sort', in: 'query', type: 'string', required: false, enum: ['price', 'name'], default: '', description: '', example: '' },
+        { key: 'limit', in: 'query', type: 'integer', required: true, enum: [], default: '', description: '', example: '' },
+        { key: 'X-Tenant', in: 'header', type: 'string', required: true, enum: [], default: '', description: '', example: '' },
+      ],
+    }))],
+  }]);
+  expect(route.parameters).toEqual([
+    { name: 'sort', in: 'query', type: 'string', required: false, enum: ['price', 'name'] },
+    { name: 'limit', in: 'query', type: 'integer', required: true },
+    { name: 'X-Tenant', in: 'header', type: 'string', required: true },
+  ]);
+
+  const server = generateExpressServer([route]);
+  expect(server).toContain('const checkParameters = function');
+  const lookup = (values) => (name) => values[name];
+  expect(checkParameters(route, lookup({ limit: '10' }), lookup({ 'X-Tenant': 'a' }))).toEqual([]);
+  expect(checkParameters(route, lookup({ sort: 'date', limit: 'ten' }), lookup({}))).toEqual([
+    'query.sort: expected one of price, name but got "date"',
+    'query.limit: expected integer but got "ten"',
+    'header.X-Tenant: is required',
+  ]);
+});
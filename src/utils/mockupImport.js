@@ -0,0 +1,127 @@
+// Turns uploaded design files into mockups: bitmaps as they are, SVGs kept as vectors and PDFs rendered
+// page by page (in the browser; nothing is uploaded anywhere).
+
+export const ACCEPTED_MOCKUP_TYPES = 'image/*,.svg,application/pdf,.pdf';
+
+// PDF pages are rendered at twice their CSS size so they stay crisp when zoomed in
+export const PDF_RENDER_SCALE = 2;
+// SVGs that don't say how big they are get this size (or their viewBox's)
+const DEFAULT_SVG_SIZE = { width: 1024, height: 768 };
+
+// 'pdf', 'svg' or 'image' for files we can turn into mockups, null for anything else
+export const mockupKind = (file) => {
+  const name = String(file.name || '').toLowerCase();
+  if (file.type === 'application/pdf' || name.endsWith('.pdf')) return 'pdf';
+  if (file.type === 'image/svg+xml' || name.endsWith('.svg')) return 'svg';
+  if (String(file.type).startsWith('image/')) return 'image';
+  return null;
+};
+
+// "checkout.flow.png" -> "checkout.flow"
+export const mockupNameFromFile = (fileName) => String(fileName || '').replace(/\.[^./\\]+$/, '').trim();
+
+// Pages of a multi-page PDF each get their own tab: "Deck (page 2)"
+export const pdfPageName = (baseName, pageNumber, pageCount) => (pageCount > 1 ? `${baseName} (page ${pageNumber})` : baseName);
+
+// A length we can use as an intrinsic size: a plain number or pixels, not "100%" or "10em"
+const absoluteLength = (value) => {
+  const match = String(value || '').trim().match(/^(\d*\.?\d+)(px)?$/);
+  return match ? Number(match[1]) : null;
+};
+
+// Makes sure the root <svg> has a pixel width and height. Browsers give SVGs without them no natural size
+// (or an arbitrary one), which the canvas needs for fitting, zooming and pixel nudging.
+export const prepareSvg = (text) => {
+  const tag = text.match(/<svg\b[^>]*>/i);
+  if (!tag) return text;
+  const attribute = (name) => {
+    const match = tag[0].match(new RegExp(`\\s${name}\\s*=\\s*("([^"]*)"|'([^']*)')`, 'i'));
+    return match ? (match[2] !== undefined ? match[2] : match[3]) : null;
+  };
+  let width = absoluteLength(attribute('width'));
+  let height = absoluteLength(attribute('height'));
+  if (width && height) return text;
+
+  const viewBox = String(attribute('viewBox') || '').trim().split(/[\s,]+/).map(Number);
+  const [boxWidth, boxHeight] = viewBox.length === 4 && viewBox[2] > 0 && viewBox[3] > 0
+    ? [viewBox[2], viewBox[3]]
+    : [DEFAULT_SVG_SIZE.width, DEFAULT_SVG_SIZE.height];
+  // Keep whichever dimension was given and derive the other from the aspect ratio
+  if (width) height = (width * boxHeight) / boxWidth;
+  else if (height) width = (height * boxWidth) / boxHeight;
+  else [width, height] = [boxWidth, boxHeight];
+
+  const sizedTag = tag[0]
+    .replace(/\s(width|height)\s*=\s*("[^"]*"|'[^']*')/gi, '')
+    .replace(/^<svg\b/i, `<svg width="${width}" height="${height}"`);
+  return text.replace(tag[0], sizedTag);
+};
+
+// btoa only takes Latin-1, so encode the text as UTF-8 bytes first
+const utf8ToBase64 = (text) => btoa(encodeURIComponent(text).replace(/%([0-9A-F]{2})/g, (match, hex) => String.fromCharCode(parseInt(hex, 16))));
+
+export const svgToDataUrl = (text) => `data:image/svg+xml;base64,${utf8ToBase64(prepareSvg(text))}`;
+
+const readFile = (file, method) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onloadend = () => (reader.error ? reject(reader.error) : resolve(reader.result));
+  reader[method](file);
+});
+
+// pdf.js is only downloaded the first time a PDF is imported. Loading its worker code into the page makes
+// pdf.js run it on the main thread instead of fetching a separate worker script.
+const loadPdfJs = async () => {
+  const [pdfjs] = await Promise.all([import('pdfjs-dist'), import('pdfjs-dist/build/pdf.worker.entry')]);
+  return pdfjs;
+};
+
+// Renders every page of a PDF to a PNG data URL
+export const renderPdfPages = async (data, { scale = PDF_RENDER_SCALE } = {}) => {
+  const pdfjs = await loadPdfJs();
+  const pdf = await pdfjs.getDocument({ data }).promise;
+  try {
+    const pages = [];
+    for (let pageNumber = 1; pageNumber <= pdf.numPages; pageNumber += 1) {
+      const page = await pdf.getPage(pageNumber);
+      const viewport = page.getViewport({ scale });
+      const canvas = document.createElement('canvas');
+      canvas.width = Math.ceil(viewport.width);
+      canvas.height = Math.ceil(viewport.height);
+      await page.render({ canvasContext: canvas.getContext('2d'), viewport }).promise;
+      pages.push(canvas.toDataURL('image/png'));
+      page.cleanup();
+    }
+    return pages;
+  } finally {
+    pdf.destroy();
+  }
+};
+
+// Reads a batch of uploaded or dropped files into mockups ({ name, url }), in the order given.
+// `name` replaces the file name when a single file is imported. Files that can't be read are reported in
+// `errors` rather than failing the whole batch.
+export const readMockupFiles = async (files, { name = '' } = {}) => {
+  const list = Array.from(files);
+  const mockups = [];
+  const errors = [];
+  for (const file of list) {
+    const baseName = (list.length === 1 && name.trim()) || mockupNameFromFile(file.name) || 'Mockup';
+    const kind = mockupKind(file);
+    try {
+      if (kind === 'pdf') {
+        const pages = await renderPdfPages(await readFile(file, 'readAsArrayBuffer'));
+        pages.forEach((url, index) => mockups.push({ name: pdfPageName(baseName, index + 1, pages.length), url }));
+      } else if (kind === 'svg') {
+        mockups.push({ name: baseName, url: svgToDataUrl(await readFile(file, 'readAsText')) });
+      } else if (kind === 'image') {
+        mockups.push({ name: baseName, url: await readFile(file, 'readAsDataURL') });
+      } else {
+        errors.push(`"${file.name}" is not an image, SVG or PDF.`);
+      }
+    } catch (error) {
+      console.error(`Failed to import ${file.name}:`, error);
+      errors.push(`"${file.name}" could not be read.`);
+    }
+  }
+  return { mockups, errors };
+};
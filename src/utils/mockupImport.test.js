@@ -0,0 +1,35 @@
+import { mockupKind, mockupNameFromFile, pdfPageName, prepareSvg, readMockupFiles } from './mockupImport';
+
+test('recognises images, SVGs and PDFs by type or extension', () => {
+  expect(mockupKind({ name: 'deck.PDF', type: '' })).toBe('pdf');
+  expect(mockupKind({ name: 'logo', type: 'image/svg+xml' })).toBe('svg');
+  expect(mockupKind({ name: 'home.png', type: 'image/png' })).toBe('image');
+  expect(mockupKind({ name: 'notes.txt', type: 'text/plain' })).toBeNull();
+  expect(mockupNameFromFile('checkout.flow.png')).toBe('checkout.flow');
+  expect(pdfPageName('Deck', 2, 3)).toBe('Deck (page 2)');
+  expect(pdfPageName('Deck', 1, 1)).toBe('Deck');
+});
+
+test('gives SVGs without a pixel size one from their viewBox', () => {
+  expect(prepareSvg('<svg viewBox="0 0 390 844" width="100%"><rect/></svg>')).toBe('<svg width="390" height="844" viewBox="0 0 390 844"><rect/></svg>');
+  expect(prepareSvg("<?xml version='1.0'?><svg height='422' viewBox='0,0,390,844'/>")).toBe("<?xml version='1.0'?><svg width=\"195\" height=\"422\" viewBox='0,0,390,844'/>");
+  const sized = '<svg width="10px" height="20"></svg>';
+  expect(prepareSvg(sized)).toBe(sized);
+});
+
+test('reads a batch of files, naming tabs after them and reporting what it skipped', async () => {
+  const files = [
+    new File(['<svg viewBox="0 0 10 5">é</svg>'], 'Logo.svg', { type: 'image/svg+xml' }),
+    new File(['png'], 'Home.png', { type: 'image/png' }),
+    new File(['hello'], 'notes.txt', { type: 'text/plain' }),
+  ];
+  const { mockups, errors } = await readMockupFiles(files, { name: 'Ignored for batches' });
+  expect(mockups.map((mockup) => mockup.name)).toEqual(['Logo', 'Home']);
+  expect(mockups[0].url.startsWith('data:image/svg+xml;base64,')).toBe(true);
+  expect(decodeURIComponent(escape(atob(mockups[0].url.split(',')[1])))).toBe('<svg width="10" height="5" viewBox="0 0 10 5">é</svg>');
+  expect(mockups[1].url.startsWith('data:image/png;base64,')).toBe(true);
+  expect(errors).toEqual(['"notes.txt" is not an image, SVG or PDF.']);
+
+  const single = await readMockupFiles([files[1]], { name: 'Landing' });
+  expect(single.mockups[0].name).toBe('Landing');
+});
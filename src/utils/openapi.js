@@ -0,0 +1,361 @@
+import YAML from 'yaml';
+import { normalizeParameter, parameterSchema, parseParamValue } from './parameters';
+import { effectiveMethod, eventSchema, getProtocol, graphqlOperationName, graphqlPayload, parseGraphqlOperation, streamEvents } from './protocols';
+import { DEFAULT_API_KEY_HEADER, isJsonContentType, listResponses, statusText } from './responses';
+import { getEffectiveSchema, inferSchema, mergeSchemas, parseJsonExample } from './schema';
+
+export const OPENAPI_VERSION = '3.1.0';
+
+const HTTP_METHODS = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch', 'trace'];
+
+// Normalises an annotated endpoint into an OpenAPI path template, e.g.
+// "https://host/api/users/:id?expand=1" -> "/api/users/{id}". Returns null when empty.
+export const normalizePath = (endpoint) => {
+  let path = String(endpoint || '').trim();
+  if (!path) return null;
+  path = path.replace(/^[a-z][a-z0-9+.-]*:\/\/[^/]+/i, ''); // Drop scheme and host
+  path = path.split(/[?#]/)[0];
+  if (!path.startsWith('/')) path = `/${path}`;
+  path = path.replace(/\/:([A-Za-z_][A-Za-z0-9_]*)/g, '/{$1}');
+  if (path.length > 1) path = path.replace(/\/+$/, '');
+  return path;
+};
+
+// Names of the `{placeholders}` in a path template
+export const pathParamNames = (path) => Array.from(String(path || '').matchAll(/\{([^}]+)\}/g), (match) => match[1]);
+
+// Builds a stable camelCase operationId such as "getApiUsersById"
+export const buildOperationId = (method, path) => {
+  const words = path
+    .split('/')
+    .filter(Boolean)
+    .map((segment) => {
+      const param = segment.match(/^\{(.+)\}$/);
+      return param ? `by ${param[1]}` : segment;
+    })
+    .join(' ')
+    .split(/[^A-Za-z0-9]+/)
+    .filter(Boolean);
+  return [method.toLowerCase(), ...words]
+    .map((word, index) => (index === 0 ? word : word.charAt(0).toUpperCase() + word.slice(1)))
+    .join('');
+};
+
+// Builds an OpenAPI media type object from the request or response bodies (`kind`) of several annotations,
+// preferring hand-edited schemas over ones inferred from the examples
+const buildContent = (details, kind) => {
+  let schema;
+  let example;
+  const invalid = [];
+  details.forEach((d) => {
+    const body = d[`${kind}Body`];
+    const { value, error } = parseJsonExample(body);
+    if (error) invalid.push(body);
+    else if (value !== undefined && example === undefined) example = value;
+    schema = mergeSchemas(schema, getEffectiveSchema(d, kind));
+  });
+
+  const content = {};
+  if (schema) content['application/json'] = example === undefined ? { schema } : { schema, example };
+  if (invalid.length > 0) content['text/plain'] = { schema: { type: 'string' }, example: invalid[0] };
+  return Object.keys(content).length > 0 ? content : null;
+};
+
+// Adds one example body of a non-main response to an OpenAPI content object: JSON examples by their
+// inferred schema, anything else as text
+const addResponseExample = (content, { contentType, body }) => {
+  const mediaType = String(contentType || '').trim() || 'application/json';
+  const { value, error } = parseJsonExample(body);
+  if (value === undefined && !error) {
+    if (!content[mediaType]) content[mediaType] = {};
+    return;
+  }
+  if (!isJsonContentType(mediaType) || error) {
+    if (!content[mediaType]) content[mediaType] = { schema: { type: 'string' }, example: String(body) };
+    return;
+  }
+  const existing = content[mediaType];
+  const schema = mergeSchemas(existing && existing.schema, inferSchema(value));
+  content[mediaType] = existing && existing.example !== undefined ? { schema, example: existing.example } : { schema, example: value };
+};
+
+// One OpenAPI response per documented status code across the annotations of an operation. The main
+// responses are built like request bodies (hand-edited schemas win); regions marked as showing a response
+// are listed in its `x-ui-states`.
+const buildResponses = (sources) => {
+  const byStatus = new Map();
+  sources.forEach((source) => {
+    listResponses(source.annotation.apiDetails).forEach((response) => {
+      if (!byStatus.has(response.status)) byStatus.set(response.status, []);
+      byStatus.get(response.status).push({ ...source, response });
+    });
+  });
+
+  const responses = {};
+  [...byStatus.keys()].sort().forEach((status) => {
+    const entries = byStatus.get(status);
+    const mains = entries.filter(({ response }) => response.isMain);
+    const described = entries.find(({ response }) => String(response.description || '').trim());
+    const result = {
+      description: described
+        ? described.response.description.trim()
+        : (mains.length > 0 && status.startsWith('2') ? 'Successful response' : statusText(status) || `Response ${status}`),
+    };
+
+    const headers = {};
+    entries.forEach(({ response }) => {
+      response.headers.forEach(({ key, value }) => {
+        const name = String(key || '').trim();
+        if (!name || headers[name]) return;
+        headers[name] = value ? { schema: { type: 'string' }, example: value } : { schema: { type: 'string' } };
+      });
+    });
+    if (Object.keys(headers).length > 0) result.headers = headers;
+
+    const content = { ...(buildContent(mains.map(({ annotation }) => annotation.apiDetails), 'response') || {}) };
+    entries.filter(({ response }) => !response.isMain).forEach(({ response }) => addResponseExample(content, response));
+    if (Object.keys(content).length > 0) result.content = content;
+
+    const states = entries
+      .filter(({ response }) => response.regionId)
+      .map(({ image, response }) => {
+        const index = image.annotations.findIndex((annotation) => annotation.id === response.regionId);
+        if (index === -1) return null;
+        return { mockupId: image.id, annotationId: response.regionId, section: image.annotations[index].apiDetails.name || `Section ${index + 1}` };
+      })
+      .filter(Boolean);
+    if (states.length > 0) result['x-ui-states'] = states;
+    responses[status] = result;
+  });
+  return responses;
+};
+
+// The OpenAPI security scheme an annotation's authentication uses, as { id, scheme }, or null
+export const securitySchemeOf = (apiDetails) => {
+  if (apiDetails.authScheme === 'bearer') return { id: 'bearerAuth', scheme: { type: 'http', scheme: 'bearer' } };
+  if (apiDetails.authScheme === 'basic') return { id: 'basicAuth', scheme: { type: 'http', scheme: 'basic' } };
+  if (apiDetails.authScheme === 'apiKey') {
+    const name = String(apiDetails.authKeyName || '').trim() || DEFAULT_API_KEY_HEADER;
+    return { id: name.replace(/[^A-Za-z0-9._-]/g, '_'), scheme: { type: 'apiKey', in: 'header', name } };
+  }
+  return null;
+};
+
+// Groups every annotation with an endpoint by "METHOD path", preserving first-seen order. GraphQL operations
+// sharing an endpoint are one HTTP operation; `protocol` is the protocol of the group's first annotation.
+export const collectOperations = (images) => {
+  const operations = new Map();
+  images.forEach((image) => {
+    image.annotations.forEach((annotation, index) => {
+      const { apiDetails } = annotation;
+      const path = normalizePath(apiDetails.endpoint);
+      const method = effectiveMethod(apiDetails).toLowerCase();
+      if (!path || !HTTP_METHODS.includes(method)) return;
+      const key = `${method.toUpperCase()} ${path}`;
+      if (!operations.has(key)) operations.set(key, { key, method, path, protocol: getProtocol(apiDetails), sources: [] });
+      operations.get(key).sources.push({ image, annotation, index });
+    });
+  });
+  return Array.from(operations.values());
+};
+
+// Generic shape of a GraphQL request and response body
+const GRAPHQL_REQUEST_SCHEMA = {
+  type: 'object',
+  properties: { query: { type: 'string' }, operationName: { type: 'string' }, variables: { type: 'object' } },
+  required: ['query'],
+};
+const GRAPHQL_ERRORS_SCHEMA = { type: 'array', items: { type: 'object', properties: { message: { type: 'string' } }, required: ['message'] } };
+
+// Request and response of a GraphQL endpoint, with each annotated operation as a named example and listed
+// in `x-graphql-operations`
+const addGraphqlContent = (operation, details) => {
+  const examples = {};
+  const graphqlOperations = [];
+  let data;
+  details.forEach((d) => {
+    const name = graphqlOperationName(d) || `operation${graphqlOperations.length + 1}`;
+    data = mergeSchemas(data, getEffectiveSchema(d, 'response'));
+    if (examples[name]) return;
+    examples[name] = { value: graphqlPayload(d) };
+    graphqlOperations.push({ operationName: name, operationType: parseGraphqlOperation(d.graphqlQuery).operationType, query: d.graphqlQuery || '' });
+  });
+  operation.requestBody = { required: true, content: { 'application/json': { schema: GRAPHQL_REQUEST_SCHEMA, examples } } };
+  const responseSchema = { type: 'object', properties: { data: data || { type: 'object' }, errors: GRAPHQL_ERRORS_SCHEMA } };
+  operation.responses = { 200: { description: 'GraphQL result', content: { 'application/json': { schema: responseSchema } } } };
+  operation['x-protocol'] = 'graphql';
+  operation['x-graphql-operations'] = graphqlOperations;
+};
+
+// Merged schema and first example of the events of WebSocket/SSE annotations
+const streamContent = (details, schemaOf, examplesOf) => {
+  let schema;
+  let example;
+  details.forEach((d) => {
+    schema = mergeSchemas(schema, schemaOf(d));
+    const [first] = examplesOf(d);
+    if (example === undefined && first !== undefined) example = first;
+  });
+  if (!schema) return null;
+  return example === undefined ? { schema } : { schema, example };
+};
+
+const uniqueChannels = (details) => [...new Set(details.map((d) => String(d.channel || '').trim()).filter(Boolean))];
+
+// SSE endpoints answer with a text/event-stream; the schema describes one event's data
+const addSseContent = (operation, details) => {
+  const content = streamContent(details, eventSchema, streamEvents);
+  operation.responses = { 200: { description: 'Event stream', content: { 'text/event-stream': content || { schema: { type: 'string' } } } } };
+  operation['x-protocol'] = 'sse';
+  const events = uniqueChannels(details);
+  if (events.length > 0) operation['x-sse-events'] = events;
+};
+
+// OpenAPI can't describe WebSocket messages, so they go in `x-websocket` next to the 101 upgrade response
+const addWebsocketContent = (operation, details) => {
+  operation.responses = { 101: { description: 'Switching Protocols' } };
+  operation['x-protocol'] = 'websocket';
+  const websocket = {};
+  const channels = uniqueChannels(details);
+  if (channels.length > 0) websocket.channels = channels;
+  const subscribe = streamContent(details, (d) => getEffectiveSchema(d, 'request'), (d) => {
+    const { value, error } = parseJsonExample(d.requestBody);
+    return error || value === undefined ? [] : [value];
+  });
+  if (subscribe) websocket.subscribeMessage = subscribe;
+  const message = streamContent(details, eventSchema, streamEvents);
+  if (message) websocket.message = message;
+  operation['x-websocket'] = websocket;
+};
+
+// Turns one grouped operation into an OpenAPI operation object
+const buildOperation = ({ path, protocol, sources }, operationId) => {
+  const details = sources.map(({ annotation }) => annotation.apiDetails);
+  const operation = { operationId };
+
+  const summary = details.map((d) => d.name && d.name.trim()).find(Boolean);
+  if (summary) operation.summary = summary;
+  const descriptions = [...new Set(details.map((d) => d.description && d.description.trim()).filter(Boolean))];
+  if (descriptions.length > 0) operation.description = descriptions.join('\n\n');
+  operation.tags = [...new Set(sources.map(({ image }) => image.name))];
+
+  // Path placeholders are always path parameters. A path parameter without a placeholder is documented in
+  // the query string, where a call could still send it.
+  const placeholders = pathParamNames(path);
+  const parameters = [];
+  details.forEach((d) => {
+    (d.parameters || []).forEach((rawParam) => {
+      const param = normalizeParameter(rawParam, placeholders);
+      const name = String(param.key || '').trim();
+      const location = placeholders.includes(name) ? 'path' : (param.in === 'path' ? 'query' : param.in);
+      if (!name || parameters.some((p) => p.name === name && p.in === location)) return;
+      const parameter = { name, in: location, required: location === 'path' || param.required };
+      if (String(param.description || '').trim()) parameter.description = param.description.trim();
+      parameter.schema = parameterSchema(param);
+      if (String(param.example || '').trim()) parameter.example = parseParamValue(param.type, param.example);
+      parameters.push(parameter);
+    });
+  });
+  placeholders.forEach((name) => {
+    if (!parameters.some((p) => p.name === name && p.in === 'path')) {
+      parameters.push({ name, in: 'path', required: true, schema: { type: 'string' } });
+    }
+  });
+  details.forEach((d) => {
+    (d.requestHeaders || []).forEach(({ key, value }) => {
+      const name = String(key || '').trim();
+      if (!name || parameters.some((p) => p.in === 'header' && p.name.toLowerCase() === name.toLowerCase())) return;
+      parameters.push({ name, in: 'header', required: false, schema: { type: 'string' }, ...(value ? { example: value } : {}) });
+    });
+  });
+  if (parameters.length > 0) operation.parameters = parameters;
+
+  // Any of the annotated ways of authenticating is accepted
+  const security = [...new Set(details.map((d) => securitySchemeOf(d)).filter(Boolean).map(({ id }) => id))];
+  if (security.length > 0) operation.security = security.map((id) => ({ [id]: [] }));
+
+  if (protocol === 'graphql') addGraphqlContent(operation, details);
+  else if (protocol === 'sse') addSseContent(operation, details);
+  else if (protocol === 'websocket') addWebsocketContent(operation, details);
+  else {
+    const requestContent = buildContent(details, 'request');
+    if (requestContent) operation.requestBody = { content: requestContent };
+
+    operation.responses = buildResponses(sources);
+  }
+
+  // Points reviewers back to the screens and regions that document this operation
+  operation['x-mockups'] = sources.map(({ image, annotation, index }) => {
+    const mockup = {
+      mockupId: image.id,
+      mockup: image.name,
+      annotationId: annotation.id,
+      section: annotation.apiDetails.name || `Section ${index + 1}`,
+      region: {
+        x: annotation.ratioX,
+        y: annotation.ratioY,
+        width: annotation.ratioWidth,
+        height: annotation.ratioHeight,
+      },
+    };
+    // Polygon/freehand outlines and nesting are only written when present
+    if (annotation.shape && annotation.shape !== 'rect') {
+      mockup.region.shape = annotation.shape;
+      mockup.region.points = annotation.points.map(({ x, y }) => [x, y]);
+    }
+    if (annotation.parentId) mockup.parentAnnotationId = annotation.parentId;
+    return mockup;
+  });
+
+  return operation;
+};
+
+// Builds an OpenAPI 3.1 document describing every annotated API call in the project
+export const buildOpenApiDocument = (images, { title = 'UI Mocks API', version = '1.0.0' } = {}) => {
+  const paths = {};
+  const usedIds = new Set();
+
+  collectOperations(images).forEach((group) => {
+    // Annotations linked to an imported spec keep that spec's operationId
+    const linkedSource = group.sources.find(({ annotation }) => annotation.apiDetails.operationId);
+    const baseId = linkedSource ? linkedSource.annotation.apiDetails.operationId : buildOperationId(group.method, group.path);
+    let operationId = baseId;
+    for (let suffix = 2; usedIds.has(operationId); suffix += 1) {
+      operationId = `${baseId}${suffix}`;
+    }
+    usedIds.add(operationId);
+    if (!paths[group.path]) paths[group.path] = {};
+    paths[group.path][group.method] = buildOperation(group, operationId);
+  });
+
+  // Tag names must be unique; mockups sharing a name (two "Untitled" uploads) share their tag like in operations
+  const tags = [...new Set(images
+    .filter((image) => image.annotations.length > 0)
+    .map((image) => image.name))]
+    .map((name) => ({ name }));
+
+  const securitySchemes = {};
+  images.forEach((image) => image.annotations.forEach((annotation) => {
+    const security = normalizePath(annotation.apiDetails.endpoint) && securitySchemeOf(annotation.apiDetails);
+    if (security && !securitySchemes[security.id]) securitySchemes[security.id] = security.scheme;
+  }));
+
+  return {
+    openapi: OPENAPI_VERSION,
+    info: {
+      title,
+      version,
+      description: 'Generated from annotated UI mockups.',
+    },
+    ...(tags.length > 0 ? { tags } : {}),
+    paths,
+    ...(Object.keys(securitySchemes).length > 0 ? { components: { securitySchemes } } : {}),
+  };
+};
+
+// Serialises an OpenAPI document as 'yaml' or 'json'
+export const serializeOpenApiDocument = (document, format = 'yaml') => {
+  if (format === 'json') return JSON.stringify(document, null, 2);
+  // Shared schema objects must be written out in full rather than as YAML anchors
+  return YAML.stringify(document, { aliasDuplicateObjects: false });
+};
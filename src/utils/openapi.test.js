@@ -0,0 +1,187 @@
+import YAML from 'yaml';
+import { buildOpenApiDocument, normalizePath, serializeOpenApiDocument } from './openapi';
+import { details, region } from './testFixtures';
+
+const images = [
+  {
+    id: 'img1',
+    name: 'User List',
+    url: 'data:image/png;base64,AAAA',
+    annotations: [
+      region('a1', details({
+        name: 'User card',
+        endpoint: '/api/users/:id',
+        responseBody: '{"id": 1, "email": "a@b.co", "nickname": "al"}',
+        parameters: [{ key: 'id', type: 'int' }, { key: 'expand', type: 'boolean' }],
+      })),
+      region('a2', details({ name: 'Unfinished', endpoint: '' })),
+    ],
+  },
+  {
+    id: 'img2',
+    name: 'Profile',
+    url: 'data:image/png;base64,BBBB',
+    annotations: [
+      region('b1', details({
+        endpoint: 'https://example.com/api/users/{id}?expand=1',
+        description: 'Loads the profile header',
+        responseBody: '{"id": 2, "email": null}',
+      })),
+      region('b2', details({
+        name: 'Save profile',
+        endpoint: '/api/users/{id}',
+        method: 'PUT',
+        requestBody: '{"email": "x@y.io"}',
+      })),
+    ],
+  },
+];
+
+test('normalizes endpoints into OpenAPI path templates', () => {
+  expect(normalizePath('api/orders/')).toBe('/api/orders');
+  expect(normalizePath('http://localhost:3000/api/items/:itemId?x=1')).toBe('/api/items/{itemId}');
+  expect(normalizePath('   ')).toBeNull();
+});
+
+test('merges annotations that share the same path and method', () => {
+  const document = buildOpenApiDocument(images);
+  expect(document.openapi).toBe('3.1.0');
+  expect(Object.keys(document.paths)).toEqual(['/api/users/{id}']);
+
+  const getOperation = document.paths['/api/users/{id}'].get;
+  expect(getOperation.operationId).toBe('getApiUsersById');
+  expect(getOperation.summary).toBe('User card');
+  expect(getOperation.tags).toEqual(['User List', 'Profile']);
+  expect(getOperation.parameters).toEqual([
+    { name: 'id', in: 'path', required: true, schema: { type: 'integer' } },
+    { name: 'expand', in: 'query', required: false, schema: { type: 'boolean' } },
+  ]);
+  expect(getOperation['x-mockups']).toEqual([
+    expect.objectContaining({ mockupId: 'img1', annotationId: 'a1', section: 'User card', region: { x: 0, y: 0, width: 0.1, height: 0.1 } }),
+    expect.objectContaining({ mockupId: 'img2', annotationId: 'b1', section: 'Section 1' }),
+  ]);
+
+  // Only properties present in every example stay required; null examples make a field nullable
+  const { schema } = getOperation.responses['200'].content['application/json'];
+  expect(schema.required).toEqual(['id', 'email']);
+  expect(schema.properties.email).toEqual({ type: ['string', 'null'], format: 'email' });
+  expect(schema.properties.nickname).toEqual({ type: 'string' });
+});
+
+test('infers request body schemas and adds undeclared path parameters', () => {
+  const putOperation = buildOpenApiDocument(images).paths['/api/users/{id}'].put;
+  expect(putOperation.parameters).toEqual([{ name: 'id', in: 'path', required: true, schema: { type: 'string' } }]);
+  expect(putOperation.requestBody.content['application/json']).toEqual({
+    schema: { type: 'object', properties: { email: { type: 'string', format: 'email' } }, required: ['email'] },
+    example: { email: 'x@y.io' },
+  });
+});
+
+test('serializes to YAML that round-trips to the same document', () => {
+  const document = buildOpenApiDocument(images);
+  expect(YAML.parse(serializeOpenApiDocument(document, 'yaml'))).toEqual(document);
+  expect(JSON.parse(serializeOpenApiDocument(document, 'json'))).toEqual(document);
+});
+
+test('documents GraphQL operations and streams with protocol extensions', () => {
+  const document = buildOpenApiDocument([{
+    id: 'img3',
+    name: 'Live',
+    url: 'data:image/png;base64,AAAA',
+    annotations: [
+      region('q', details({ protocol: 'graphql', endpoint: '/graphql', graphqlQuery: 'query Cart { cart { total } }', responseBody: '{"cart": {"total": 1}}' })),
+      region('m', details({ protocol: 'graphql', endpoint: '/graphql', graphqlQuery: 'mutation Checkout($id: ID!) { checkout(id: $id) { id } }', requestBody: '{"id": "c1"}' })),
+      region('s', details({ protocol: 'sse', endpoint: '/events', channel: 'price', responseBody: '[{"price": 1}]' })),
+      region('w', details({ protocol: 'websocket', endpoint: '/ws', requestBody: '{"subscribe": "chat"}', responseBody: '[{"text": "hi"}]' })),
+    ],
+  }]);
+
+  const graphql = document.paths['/graphql'].post;
+  expect(graphql['x-protocol']).toBe('graphql');
+  expect(graphql['x-graphql-operations'].map((operation) => `${operation.operationType} ${operation.operationName}`)).toEqual(['query Cart', 'mutation Checkout']);
+  expect(graphql.requestBody.content['application/json'].examples.Checkout.value).toEqual({
+    query: 'mutation Checkout($id: ID!) { checkout(id: $id) { id } }', operationName: 'Checkout', variables: { id: 'c1' },
+  });
+  expect(graphql.responses['200'].content['application/json'].schema.properties.data.properties.cart).toBeDefined();
+
+  const events = document.paths['/events'].get;
+  expect(events.responses['200'].content['text/event-stream'].schema).toMatchObject({ type: 'object', properties: { price: { type: 'integer' } } });
+  expect(events['x-sse-events']).toEqual(['price']);
+
+  const socket = document.paths['/ws'].get;
+  expect(Object.keys(socket.responses)).toEqual(['101']);
+  expect(socket['x-websocket'].subscribeMessage.example).toEqual({ subscribe: 'chat' });
+  expect(socket['x-websocket'].message.schema).toMatchObject({ properties: { text: { type: 'string' } } });
+});
+
+test('documents every response status with headers, UI states, request headers and security', () => {
+  const document = buildOpenApiDocument([{
+    id: 'img4',
+    name: 'Orders',
+    url: 'data:image/png;base64,AAAA',
+    annotations: [
+      region('list', details({
+        name: 'Order list',
+        endpoint: '/orders',
+        responseBody: '[{"id": 1}]',
+        responseHeaders: [{ key: 'X-Total-Count', value: '1' }],
+        requestHeaders: [{ key: 'Accept-Language', value: 'en' }],
+        authScheme: 'apiKey',
+        authKeyName: 'X-Shop-Key',
+        responses: [
+          { status: '404', description: 'No orders yet', contentType: 'application/json', headers: [], body: '{"error": "none"}', regionId: 'empty' },
+          { status: '500', description: '', contentType: 'text/plain', headers: [], body: 'Oops', regionId: null },
+        ],
+      })),
+      region('empty', details({ name: 'Empty state' })),
+    ],
+  }]);
+
+  const operation = document.paths['/orders'].get;
+  expect(Object.keys(operation.responses)).toEqual(['200', '404', '500']);
+  expect(operation.responses['200'].headers).toEqual({ 'X-Total-Count': { schema: { type: 'string' }, example: '1' } });
+  expect(operation.responses['404']).toMatchObject({
+    description: 'No orders yet',
+    content: { 'application/json': { example: { error: 'none' } } },
+    'x-ui-states': [{ mockupId: 'img4', annotationId: 'empty', section: 'Empty state' }],
+  });
+  expect(operation.responses['500']).toMatchObject({ description: 'Internal Server Error', content: { 'text/plain': { example: 'Oops' } } });
+  expect(operation.parameters).toContainEqual({ name: 'Accept-Language', in: 'header', required: false, schema: { type: 'string' }, example: 'en' });
+  expect(operation.security).toEqual([{ 'X-Shop-Key': [] }]);
+  expect(document.components.securitySchemes).toEqual({ 'X-Shop-Key': { type: 'apiKey', in: 'header', name: 'X-Shop-Key' } });
+});
+
+test('documents parameter locations, required flags, allowed values, defaults and examples', () => {
+  const document = buildOpenApiDocument([{
+    id: 'img5',
+    name: 'Search',
+    url: 'data:image/png;base64,AAAA',
+    annotations: [region('s', details({
+      endpoint: '/products/{category}',
+      parameters: [
+        { key: 'category', in: 'path', type: 'string', required: true, enum: [], default: '', description: 'Category slug', example: 'shoes' },
+        { key: 'sort', in: 'query', type: 'string', required: false, enum: ['price', 'name'], default: 'price', description: '', example: '' },
+        { key: 'limit', in: 'query', type: 'integer', required: true, enum: [], default: '', description: '', example: '20' },
+        { key: 'X-Request-Id', in: 'header', type: 'string', required: false, enum: [], default: '', description: '', example: '' },
+        { key: 'session', in: 'cookie', type: 'string', required: false, enum: [], default: '', description: '', example: '' },
+      ],
+    }))],
+  }]);
+  expect(document.paths['/products/{category}'].get.parameters).toEqual([
+    { name: 'category', in: 'path', required: true, description: 'Category slug', schema: { type: 'string' }, example: 'shoes' },
+    { name: 'sort', in: 'query', required: false, schema: { type: 'string', enum: ['price', 'name'], default: 'price' } },
+    { name: 'limit', in: 'query', required: true, schema: { type: 'integer' }, example: 20 },
+    { name: 'X-Request-Id', in: 'header', required: false, schema: { type: 'string' } },
+    { name: 'session', in: 'cookie', required: false, schema: { type: 'string' } },
+  ]);
+});
+
+test('lists each tag once when mockups share a name', () => {
+  const document = buildOpenApiDocument([
+    { id: 'img6', name: 'Untitled', url: 'data:image/png;base64,AAAA', annotations: [region('a', details({ endpoint: '/cart' }))] },
+    { id: 'img7', name: 'Untitled', url: 'data:image/png;base64,BBBB', annotations: [region('b', details({ endpoint: '/cart', method: 'DELETE' }))] },
+    { id: 'img8', name: 'Checkout', url: 'data:image/png;base64,CCCC', annotations: [region('c', details({ endpoint: '/orders', method: 'POST' }))] },
+  ]);
+  expect(document.tags).toEqual([{ name: 'Untitled' }, { name: 'Checkout' }]);
+  expect(document.paths['/cart'].delete.tags).toEqual(['Untitled']);
+});
@@ -0,0 +1,267 @@
+import YAML from 'yaml';
+import { buildOperationId } from './openapi';
+import { newParameter, PARAM_LOCATIONS, paramTypeOf } from './parameters';
+import { isValidStatus } from './responses';
+
+const HTTP_METHODS = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch', 'trace'];
+
+// Parses an OpenAPI 3.x document from JSON or YAML text (YAML is a superset of JSON)
+export const parseOpenApiDocument = (text) => {
+  let document;
+  try {
+    document = YAML.parse(text);
+  } catch (error) {
+    throw new Error(`Could not parse the file as JSON or YAML: ${error.message}`);
+  }
+  if (!document || typeof document !== 'object' || Array.isArray(document)) {
+    throw new Error('The file does not contain an OpenAPI document.');
+  }
+  if (typeof document.openapi !== 'string' || !document.openapi.startsWith('3.')) {
+    throw new Error('Only OpenAPI 3.x documents are supported (missing or unsupported "openapi" version).');
+  }
+  if (!document.paths || typeof document.paths !== 'object') {
+    throw new Error('The OpenAPI document has no "paths".');
+  }
+  return document;
+};
+
+// Follows local "$ref" pointers such as "#/components/schemas/User"
+const resolveRef = (document, node, seen = new Set()) => {
+  if (!node || typeof node !== 'object' || typeof node.$ref !== 'string') return node;
+  const ref = node.$ref;
+  if (!ref.startsWith('#/') || seen.has(ref)) return {};
+  seen.add(ref);
+  const target = ref
+    .slice(2)
+    .split('/')
+    .map((part) => part.replace(/~1/g, '/').replace(/~0/g, '~'))
+    .reduce((current, part) => (current && typeof current === 'object' ? current[part] : undefined), document);
+  return resolveRef(document, target, seen);
+};
+
+// Builds a plausible example value from a schema when the spec does not provide one
+export const exampleFromSchema = (document, schema, depth = 0) => {
+  const resolved = resolveRef(document, schema);
+  if (!resolved || typeof resolved !== 'object' || depth > 8) return null;
+  if (resolved.example !== undefined) return resolved.example;
+  if (Array.isArray(resolved.examples) && resolved.examples.length > 0) return resolved.examples[0];
+  if (resolved.default !== undefined) return resolved.default;
+  if (Array.isArray(resolved.enum) && resolved.enum.length > 0) return resolved.enum[0];
+  if (resolved.const !== undefined) return resolved.const;
+
+  const variants = resolved.oneOf || resolved.anyOf;
+  if (Array.isArray(variants) && variants.length > 0) return exampleFromSchema(document, variants[0], depth + 1);
+  if (Array.isArray(resolved.allOf)) {
+    return resolved.allOf.reduce((merged, part) => {
+      const value = exampleFromSchema(document, part, depth + 1);
+      return value && typeof value === 'object' && !Array.isArray(value) ? { ...merged, ...value } : merged;
+    }, {});
+  }
+
+  const type = Array.isArray(resolved.type) ? resolved.type.find((t) => t !== 'null') : resolved.type;
+  switch (type || (resolved.properties ? 'object' : undefined)) {
+    case 'object': {
+      const example = {};
+      Object.entries(resolved.properties || {}).forEach(([key, propertySchema]) => {
+        example[key] = exampleFromSchema(document, propertySchema, depth + 1);
+      });
+      return example;
+    }
+    case 'array':
+      return [exampleFromSchema(document, resolved.items, depth + 1)];
+    case 'integer':
+    case 'number':
+      return 0;
+    case 'boolean':
+      return true;
+    case 'string':
+      if (resolved.format === 'date-time') return '2024-01-01T00:00:00Z';
+      if (resolved.format === 'date') return '2024-01-01';
+      if (resolved.format === 'email') return 'user@example.com';
+      if (resolved.format === 'uuid') return '00000000-0000-0000-0000-000000000000';
+      return 'string';
+    default:
+      return null;
+  }
+};
+
+// Picks the JSON-ish media type of a requestBody/response and returns its example as pretty JSON text
+const exampleFromContent = (document, content) => {
+  if (!content || typeof content !== 'object') return '';
+  const mediaTypes = Object.keys(content);
+  const mediaType = mediaTypes.find((type) => /json/i.test(type)) || mediaTypes[0];
+  if (!mediaType) return '';
+  const media = content[mediaType] || {};
+  let example = media.example;
+  if (example === undefined && media.examples && typeof media.examples === 'object') {
+    const first = resolveRef(document, Object.values(media.examples)[0]);
+    example = first ? first.value : undefined;
+  }
+  if (example === undefined && media.schema) example = exampleFromSchema(document, media.schema);
+  if (example === undefined || example === null) return '';
+  return typeof example === 'string' ? example : JSON.stringify(example, null, 2);
+};
+
+// The headers of a response with an example value each, as [{ key, value }]
+const headersFromResponse = (document, response) => Object.entries((response && response.headers) || {}).map(([key, rawHeader]) => {
+  const header = resolveRef(document, rawHeader) || {};
+  const example = header.example !== undefined ? header.example : exampleFromSchema(document, header.schema);
+  return { key, value: example === undefined || example === null ? '' : String(example) };
+});
+
+// Serialises a value with sorted object keys so equal structures always produce equal text
+export const stableStringify = (value) => {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+};
+
+// Small non-cryptographic string hash (djb2), returned as hex
+export const hashString = (text) => {
+  let hash = 5381;
+  for (let i = 0; i < text.length; i += 1) {
+    hash = ((hash * 33) ^ text.charCodeAt(i)) >>> 0;
+  }
+  return hash.toString(16);
+};
+
+// A parameter value from a spec as the text the annotation form holds; lists are comma-separated
+const valueText = (value) => {
+  if (value === undefined || value === null) return '';
+  if (Array.isArray(value)) return value.join(',');
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+};
+
+// Flattens every operation of an OpenAPI document into the shape used by the annotation form
+export const extractOperations = (document) => {
+  const operations = [];
+  Object.entries(document.paths || {}).forEach(([path, rawPathItem]) => {
+    const pathItem = resolveRef(document, rawPathItem) || {};
+    const sharedParameters = Array.isArray(pathItem.parameters) ? pathItem.parameters : [];
+
+    HTTP_METHODS.forEach((method) => {
+      const operation = pathItem[method];
+      if (!operation || typeof operation !== 'object') return;
+
+      // Operation-level parameters override path-level ones with the same name and location
+      const parameters = [];
+      [...sharedParameters, ...(operation.parameters || [])].forEach((rawParameter) => {
+        const parameter = resolveRef(document, rawParameter);
+        if (!parameter || !parameter.name) return;
+        const schema = resolveRef(document, parameter.schema) || {};
+        const type = (Array.isArray(schema.type) ? schema.type.find((t) => t !== 'null') : schema.type) || 'string';
+        const existing = parameters.findIndex((p) => p.key === parameter.name && p.in === parameter.in);
+        const example = parameter.example !== undefined ? parameter.example : schema.example;
+        const entry = newParameter({
+          key: parameter.name,
+          in: PARAM_LOCATIONS.includes(parameter.in) ? parameter.in : 'query',
+          type: paramTypeOf(type),
+          required: parameter.in === 'path' || Boolean(parameter.required),
+          enum: Array.isArray(schema.enum) ? schema.enum.map(valueText) : [],
+          default: valueText(schema.default),
+          description: parameter.description || '',
+          example: valueText(example),
+        });
+        entry.specType = type;
+        if (existing === -1) parameters.push(entry);
+        else parameters[existing] = entry;
+      });
+
+      const requestBody = resolveRef(document, operation.requestBody);
+      const responses = operation.responses || {};
+      const successStatus = Object.keys(responses).sort().find((status) => /^2/.test(status)) ||
+        (responses.default ? 'default' : undefined);
+      const response = successStatus ? resolveRef(document, responses[successStatus]) : null;
+
+      const extracted = {
+        operationId: operation.operationId || buildOperationId(method, path),
+        method: method.toUpperCase(),
+        path,
+        summary: operation.summary || '',
+        description: operation.description || '',
+        parameters: parameters.map(({ specType, ...param }) => param),
+        requestExample: requestBody ? exampleFromContent(document, requestBody.content) : '',
+        responseExample: response ? exampleFromContent(document, response.content) : '',
+        responseStatus: isValidStatus(successStatus) ? successStatus : '200',
+        responseHeaders: headersFromResponse(document, response),
+        // Ranges ("4XX") and "default" have no status code to mock or mark a UI state with
+        otherResponses: Object.keys(responses).sort().filter((status) => status !== successStatus && isValidStatus(status)).map((status) => {
+          const other = resolveRef(document, responses[status]) || {};
+          const mediaTypes = Object.keys(other.content || {});
+          return {
+            status,
+            description: other.description || '',
+            contentType: mediaTypes.find((type) => /json/i.test(type)) || mediaTypes[0] || 'application/json',
+            headers: headersFromResponse(document, other),
+            body: exampleFromContent(document, other.content),
+          };
+        }),
+      };
+      extracted.fingerprint = hashString(stableStringify({
+        method: extracted.method,
+        path: extracted.path,
+        // Only names and types, as before parameters had more fields, so existing links don't all turn 'changed'
+        parameters: parameters.map(({ key, specType }) => ({ key, type: specType })),
+        requestExample: extracted.requestExample,
+        responseExample: extracted.responseExample,
+      }));
+      operations.push(extracted);
+    });
+  });
+  return operations;
+};
+
+// Fills an annotation's apiDetails from a spec operation and records the link to it
+export const applyOperation = (apiDetails, operation) => ({
+  ...apiDetails,
+  name: apiDetails.name || operation.summary,
+  endpoint: operation.path,
+  method: operation.method,
+  description: operation.description || operation.summary || apiDetails.description,
+  parameters: operation.parameters.map((param) => ({ ...param })),
+  requestBody: operation.requestExample,
+  responseBody: operation.responseExample,
+  responseStatus: operation.responseStatus,
+  responseHeaders: operation.responseHeaders.map((header) => ({ ...header })),
+  // Responses already marked as shown in a region keep their region
+  responses: operation.otherResponses.map((response) => ({
+    ...response,
+    headers: response.headers.map((header) => ({ ...header })),
+    regionId: ((apiDetails.responses || []).find((existing) => existing.status === response.status) || {}).regionId || null,
+  })),
+  operationId: operation.operationId,
+  specFingerprint: operation.fingerprint,
+  specStatus: null,
+});
+
+// Removes the link between an annotation and its spec operation, keeping the filled-in values
+export const unlinkOperation = (apiDetails) => {
+  const { operationId, specFingerprint, specStatus, ...rest } = apiDetails;
+  return rest;
+};
+
+// Compares linked annotations against a (re-)imported spec and flags the ones that are out of date:
+// 'removed' when the operationId no longer exists, 'changed' when the operation's shape changed.
+export const reconcileSpecBindings = (images, operations) => {
+  const byId = new Map(operations.map((operation) => [operation.operationId, operation]));
+  return images.map((image) => {
+    let imageChanged = false;
+    const annotations = image.annotations.map((annotation) => {
+      const { apiDetails } = annotation;
+      if (!apiDetails.operationId) return annotation;
+      const operation = byId.get(apiDetails.operationId);
+      let specStatus = null;
+      if (!operation) specStatus = 'removed';
+      else if (operation.fingerprint !== apiDetails.specFingerprint) specStatus = 'changed';
+      if ((apiDetails.specStatus || null) === specStatus) return annotation;
+      imageChanged = true;
+      return { ...annotation, apiDetails: { ...apiDetails, specStatus } };
+    });
+    return imageChanged ? { ...image, annotations } : image;
+  });
+};
+
+// True when any annotation of the image is flagged as out of date with the imported spec
+export const hasOutdatedAnnotations = (image) => image.annotations.some((annotation) => Boolean(annotation.apiDetails.specStatus));
@@ -0,0 +1,127 @@
+import {
+  applyOperation,
+  extractOperations,
+  parseOpenApiDocument,
+  reconcileSpecBindings,
+} from './openapiImport';
+import { details } from './testFixtures';
+
+const specYaml = `
+openapi: 3.0.3
+info:
+  title: Shop
+  version: 2.0.0
+paths:
+  /api/orders/{orderId}:
+    parameters:
+      - name: orderId
+        in: path
+        required: true
+        schema:
+          type: integer
+    get:
+      operationId: getOrder
+      summary: Fetch an order
+      parameters:
+        - name: view
+          in: query
+          description: How much to include
+          schema:
+            type: string
+            enum: [summary, full]
+            default: summary
+      responses:
+        '200':
+          description: OK
+          content:
+            application/json:
+              schema:
+                $ref: '#/components/schemas/Order'
+          headers:
+            ETag:
+              schema:
+                type: string
+              example: W/"1"
+        '404':
+          description: No such order
+          content:
+            application/problem+json:
+              example:
+                title: Not found
+        4XX:
+          description: Client error
+  /api/orders:
+    post:
+      summary: Create an order
+      requestBody:
+        content:
+          application/json:
+            example:
+              items: [1, 2]
+      responses:
+        '201':
+          description: Created
+components:
+  schemas:
+    Order:
+      type: object
+      properties:
+        id:
+          type: integer
+        status:
+          type: string
+          enum: [open, shipped]
+`;
+
+test('rejects documents that are not OpenAPI 3.x', () => {
+  expect(() => parseOpenApiDocument('swagger: "2.0"\npaths: {}')).toThrow(/OpenAPI 3\.x/);
+  expect(() => parseOpenApiDocument('{ not json')).toThrow(/Could not parse/);
+});
+
+test('extracts operations with parameters and examples built from schemas', () => {
+  const operations = extractOperations(parseOpenApiDocument(specYaml));
+  expect(operations.map((op) => `${op.method} ${op.path} ${op.operationId}`)).toEqual([
+    'GET /api/orders/{orderId} getOrder',
+    'POST /api/orders postApiOrders',
+  ]);
+  expect(operations[0].parameters).toEqual([
+    { key: 'orderId', in: 'path', type: 'integer', required: true, enum: [], default: '', description: '', example: '' },
+    { key: 'view', in: 'query', type: 'string', required: false, enum: ['summary', 'full'], default: 'summary', description: 'How much to include', example: '' },
+  ]);
+  expect(JSON.parse(operations[0].responseExample)).toEqual({ id: 0, status: 'open' });
+  expect(JSON.parse(operations[1].requestExample)).toEqual({ items: [1, 2] });
+});
+
+test('applying an operation fills apiDetails and keeps the operationId link', () => {
+  const [getOrder] = extractOperations(parseOpenApiDocument(specYaml));
+  const applied = applyOperation(details({ name: 'Order header' }), getOrder);
+  expect(applied).toMatchObject({
+    name: 'Order header',
+    endpoint: '/api/orders/{orderId}',
+    method: 'GET',
+    description: 'Fetch an order',
+    operationId: 'getOrder',
+    specFingerprint: getOrder.fingerprint,
+    responseStatus: '200',
+    responseHeaders: [{ key: 'ETag', value: 'W/"1"' }],
+    responses: [{ status: '404', description: 'No such order', contentType: 'application/problem+json', headers: [], body: '{\n  "title": "Not found"\n}', regionId: null }],
+  });
+  const reapplied = applyOperation({ ...applied, responses: [{ ...applied.responses[0], regionId: 'empty-state' }] }, getOrder);
+  expect(reapplied.responses[0].regionId).toBe('empty-state');
+});
+
+test('flags linked annotations whose operation changed or was removed on re-import', () => {
+  const operations = extractOperations(parseOpenApiDocument(specYaml));
+  const images = [{
+    id: 'img1',
+    name: 'Orders',
+    url: '',
+    annotations: operations.map((operation, index) => ({ id: `a${index}`, apiDetails: applyOperation(details(), operation) })),
+  }];
+
+  expect(reconcileSpecBindings(images, operations)).toEqual(images);
+
+  const changedSpec = specYaml.replace('enum: [open, shipped]', 'enum: [pending, shipped]').replace(/ {2}\/api\/orders:\n[\s\S]*?'201'[\s\S]*?Created\n/, '');
+  const reconciled = reconcileSpecBindings(images, extractOperations(parseOpenApiDocument(changedSpec)));
+  expect(reconciled[0].annotations.map((ann) => ann.apiDetails.specStatus)).toEqual(['changed', 'removed']);
+});
@@ -0,0 +1,157 @@
+import { normalizePath, pathParamNames } from './openapi';
+
+// Parameters of an annotation, in `apiDetails.parameters`:
+//   { key, in, type, required, enum, default, description, example }
+// where `in` is one of PARAM_LOCATIONS, `type` one of PARAM_TYPES and `enum` the allowed values as a list
+// of text ([] when any value goes). default, example and description are text, '' when not given;
+// values are written the way they appear in a URL or header and converted to `type` for schemas.
+
+export const PARAM_LOCATIONS = ['path', 'query', 'header', 'cookie'];
+
+export const PARAM_TYPES = ['string', 'integer', 'number', 'boolean', 'array', 'object'];
+
+// Maps the free-text types typed before the type picker existed onto PARAM_TYPES
+const PARAM_TYPE_ALIASES = {
+  str: 'string',
+  string: 'string',
+  text: 'string',
+  int: 'integer',
+  integer: 'integer',
+  long: 'integer',
+  number: 'number',
+  float: 'number',
+  double: 'number',
+  decimal: 'number',
+  bool: 'boolean',
+  boolean: 'boolean',
+  array: 'array',
+  list: 'array',
+  object: 'object',
+};
+
+export const paramTypeOf = (type) => PARAM_TYPE_ALIASES[String(type || '').trim().toLowerCase()] || 'string';
+
+export const isKnownParamType = (type) => Boolean(PARAM_TYPE_ALIASES[String(type || '').trim().toLowerCase()]);
+
+// Names of the path placeholders of an endpoint, e.g. ['id'] for "/users/:id"
+export const endpointPathParams = (endpoint) => pathParamNames(normalizePath(endpoint));
+
+export const newParameter = (overrides) => ({
+  key: '',
+  in: 'query',
+  type: 'string',
+  required: false,
+  enum: [],
+  default: '',
+  description: '',
+  example: '',
+  ...overrides,
+});
+
+// A parameter with every field filled in. Parameters saved before locations existed are path parameters
+// when the endpoint has a placeholder of that name, query parameters otherwise.
+export const normalizeParameter = (param, placeholders = []) => {
+  const location = PARAM_LOCATIONS.includes(param.in) ? param.in : (placeholders.includes(String(param.key || '').trim()) ? 'path' : 'query');
+  return newParameter({
+    ...param,
+    in: location,
+    type: paramTypeOf(param.type),
+    required: location === 'path' || Boolean(param.required),
+    enum: Array.isArray(param.enum) ? param.enum.map(String) : [],
+  });
+};
+
+// Whether a parameter carries anything beyond what syncPathParameters would fill in by itself
+const hasDetails = (param) => param.type !== 'string' || (param.enum || []).length > 0
+  || [param.default, param.description, param.example].some((value) => String(value || '').trim());
+
+// Keeps the path parameters in line with the placeholders of `endpoint`:
+//   - a parameter named like a placeholder becomes a required path parameter
+//   - path parameters whose placeholder is gone are renamed to a new placeholder, in order, so renaming
+//     "{id}" to "{orderId}" keeps the description and example
+//   - remaining placeholders get a new string parameter
+//   - remaining path parameters are dropped unless they were filled in, which the linter then reports
+export const syncPathParameters = (parameters, endpoint) => {
+  const placeholders = endpointPathParams(endpoint);
+  const declared = (parameters || []).map((param) => {
+    const key = String(param.key || '').trim();
+    return placeholders.includes(key) && (param.in !== 'path' || !param.required) ? { ...param, in: 'path', required: true } : param;
+  });
+  const keys = declared.map((param) => String(param.key || '').trim());
+  const missing = placeholders.filter((name) => !keys.includes(name));
+  const orphans = declared.filter((param) => param.in === 'path' && !placeholders.includes(String(param.key || '').trim()));
+
+  const renamed = new Map(orphans.slice(0, missing.length).map((param, index) => [param, missing[index]]));
+  const synced = declared
+    .filter((param) => !orphans.includes(param) || renamed.has(param) || hasDetails(param))
+    .map((param) => (renamed.has(param) ? { ...param, key: renamed.get(param) } : param));
+  const added = missing.slice(renamed.size).map((name) => newParameter({ key: name, in: 'path', required: true }));
+  const result = [...synced, ...added];
+  const unchanged = result.length === (parameters || []).length && result.every((param, index) => param === parameters[index]);
+  return unchanged ? parameters : result;
+};
+
+// Converts a parameter value written as text (a default, example or enum value) to the parameter's type.
+// Text that doesn't fit the type is kept as is.
+export const parseParamValue = (type, text) => {
+  const value = String(text).trim();
+  switch (paramTypeOf(type)) {
+    case 'integer':
+      return /^-?\d+$/.test(value) ? Number(value) : value;
+    case 'number':
+      return value !== '' && Number.isFinite(Number(value)) ? Number(value) : value;
+    case 'boolean':
+      return value === 'true' ? true : value === 'false' ? false : value;
+    case 'array':
+      return value.split(',').map((item) => item.trim()).filter(Boolean);
+    case 'object': {
+      try {
+        return JSON.parse(value);
+      } catch (error) {
+        return value;
+      }
+    }
+    default:
+      return value;
+  }
+};
+
+// JSON Schema of a parameter's value, with its enum and default
+export const parameterSchema = (param) => {
+  const type = paramTypeOf(param.type);
+  const schema = type === 'array' ? { type: 'array', items: { type: 'string' } } : { type };
+  const values = (param.enum || []).filter((value) => String(value).trim() !== '');
+  if (values.length > 0) {
+    if (type === 'array') schema.items.enum = values.map((value) => String(value).trim());
+    else schema.enum = values.map((value) => parseParamValue(type, value));
+  }
+  if (String(param.default || '').trim()) schema.default = parseParamValue(type, param.default);
+  return schema;
+};
+
+// A value to call the API with: the example, else the default, else the first allowed value, else a
+// placeholder of the right type
+export const sampleParameterValue = (param) => {
+  const given = [param.example, param.default, (param.enum || [])[0]].find((value) => String(value || '').trim());
+  if (given !== undefined) return String(given).trim();
+  const type = paramTypeOf(param.type);
+  if (type === 'integer' || type === 'number') return '1';
+  if (type === 'boolean') return 'true';
+  return 'sample';
+};
+
+// Problems with the values of a parameter: a default or example that isn't of its type or not one of
+// its allowed values. Returned as short sentences.
+export const parameterValueProblems = (param) => {
+  const type = paramTypeOf(param.type);
+  const allowed = (param.enum || []).map((value) => String(value).trim()).filter(Boolean);
+  const problems = [];
+  ['default', 'example'].forEach((field) => {
+    const text = String(param[field] || '').trim();
+    if (!text) return;
+    const value = parseParamValue(type, text);
+    if (['integer', 'number', 'boolean'].includes(type) && typeof value === 'string') problems.push(`The ${field} "${text}" is not ${type === 'integer' ? 'an' : 'a'} ${type}.`);
+    else if (allowed.length > 0 && type !== 'array' && !allowed.includes(text)) problems.push(`The ${field} "${text}" is not one of the allowed values.`);
+  });
+  return problems;
+};
@@ -0,0 +1,37 @@
+import { newParameter, normalizeParameter, parameterSchema, parameterValueProblems, sampleParameterValue, syncPathParameters } from './parameters';
+
+test('keeps path parameters in line with the endpoint placeholders', () => {
+  const page = newParameter({ key: 'page', type: 'integer' });
+  const added = syncPathParameters([page], '/orders/{orderId}/items/:itemId');
+  expect(added).toEqual([
+    page,
+    newParameter({ key: 'orderId', in: 'path', required: true }),
+    newParameter({ key: 'itemId', in: 'path', required: true }),
+  ]);
+  expect(syncPathParameters(added, '/orders/{orderId}/items/:itemId')).toBe(added);
+
+  // Renaming a placeholder renames its parameter; a placeholder that goes away takes its blank parameter along
+  const described = [{ ...added[1], description: 'The order' }, page];
+  expect(syncPathParameters(described, '/orders/{id}')).toEqual([{ ...described[0], key: 'id' }, page]);
+  expect(syncPathParameters([added[1], page], '/orders')).toEqual([page]);
+  expect(syncPathParameters(described, '/orders')).toEqual(described);
+
+  // A query parameter named like a new placeholder moves into the path
+  expect(syncPathParameters([page], '/pages/{page}')).toEqual([{ ...page, in: 'path', required: true }]);
+});
+
+test('builds schemas and sample values from the typed-in values', () => {
+  const sort = normalizeParameter({ key: 'sort', type: 'str', enum: ['asc', ' desc'], default: 'asc' });
+  expect(sort).toMatchObject({ in: 'query', type: 'string', required: false });
+  expect(parameterSchema(sort)).toEqual({ type: 'string', enum: ['asc', 'desc'], default: 'asc' });
+  expect(parameterSchema({ type: 'integer', enum: ['1', '2'], default: '2' })).toEqual({ type: 'integer', enum: [1, 2], default: 2 });
+  expect(parameterSchema({ type: 'array', enum: ['a', 'b'] })).toEqual({ type: 'array', items: { type: 'string', enum: ['a', 'b'] } });
+  expect(normalizeParameter({ key: 'id', type: 'int' }, ['id'])).toMatchObject({ in: 'path', type: 'integer', required: true });
+
+  expect(sampleParameterValue(sort)).toBe('asc');
+  expect(sampleParameterValue(newParameter({ type: 'number' }))).toBe('1');
+  expect(sampleParameterValue(newParameter({ example: 'x', default: 'y' }))).toBe('x');
+
+  expect(parameterValueProblems({ type: 'integer', default: 'ten', example: '3' })).toEqual(['The default "ten" is not an integer.']);
+  expect(parameterValueProblems({ type: 'string', enum: ['asc', 'desc'], example: 'up' })).toEqual(['The example "up" is not one of the allowed values.']);
+});
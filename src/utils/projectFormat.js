@@ -0,0 +1,337 @@
+// The project file format: the project.json of a project package (see utils/projectPackage), and the
+// single JSON files exported by earlier versions.
+//
+// Files carry a `formatVersion`. Older files are upgraded step by step through MIGRATIONS before being
+// validated, so every change to the annotation model needs a version bump and a migration here.
+// Version history:
+//   0 - a bare JSON array of images (files exported before versioning)
+//   1 - { formatVersion, name, images }
+//   2 - annotations have a `protocol` (http, graphql, websocket or sse; see utils/protocols)
+//   3 - annotations have response statuses and headers, other responses, request headers and an auth scheme
+//       (see utils/responses)
+//   4 - parameters have a location, a type from a fixed set, a required flag, allowed values, a default,
+//       a description and an example (see utils/parameters)
+
+import { endpointPathParams, isKnownParamType, normalizeParameter, PARAM_LOCATIONS, PARAM_TYPES } from './parameters';
+import { PROTOCOLS } from './protocols';
+import { AUTH_SCHEMES, isValidStatus } from './responses';
+
+export const PROJECT_FORMAT_VERSION = 4;
+
+// Applies `update` to the apiDetails of every annotation, leaving malformed entries for validation to report
+const mapApiDetails = (project, update) => ({
+  ...project,
+  images: project.images.map((image) => (image && Array.isArray(image.annotations) ? {
+    ...image,
+    annotations: image.annotations.map((annotation) => (annotation && annotation.apiDetails && typeof annotation.apiDetails === 'object'
+      ? { ...annotation, apiDetails: update(annotation.apiDetails) }
+      : annotation)),
+  } : image)),
+});
+
+// MIGRATIONS[n] upgrades a version n project to version n + 1
+const MIGRATIONS = {
+  0: (images) => ({ formatVersion: 1, name: null, images }),
+  // Every annotation before version 2 described a plain HTTP call
+  1: (project) => ({ ...mapApiDetails(project, (apiDetails) => ({ ...apiDetails, protocol: 'http' })), formatVersion: 2 }),
+  // Annotations before version 3 documented a single unauthenticated 200 response without headers
+  2: (project) => ({
+    ...mapApiDetails(project, (apiDetails) => ({
+      responseStatus: '200',
+      responseHeaders: [],
+      responses: [],
+      requestHeaders: [],
+      authScheme: 'none',
+      authKeyName: '',
+      ...apiDetails,
+    })),
+    formatVersion: 3,
+  }),
+  // Parameters before version 4 were { key, type } with a free-text type. Types the picker doesn't offer
+  // (e.g. "uuid") become strings, with the typed text kept in the description.
+  3: (project) => ({
+    ...mapApiDetails(project, (apiDetails) => (Array.isArray(apiDetails.parameters) ? {
+      ...apiDetails,
+      parameters: apiDetails.parameters.map((param) => {
+        if (!isPlainObject(param)) return param;
+        const typed = typeof param.type === 'string' ? param.type.trim() : '';
+        const normalized = normalizeParameter(param, endpointPathParams(apiDetails.endpoint));
+        return typed && !isKnownParamType(typed) && !normalized.description ? { ...normalized, description: typed } : normalized;
+      }),
+    } : apiDetails)),
+    formatVersion: 4,
+  }),
+};
+
+const HTTP_METHODS = ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'HEAD', 'OPTIONS', 'TRACE'];
+const SHAPES = ['rect', 'polygon', 'freehand'];
+const SPEC_STATUSES = ['changed', 'removed'];
+const TEXT_FIELDS = ['name', 'endpoint', 'requestBody', 'responseBody', 'description', 'graphqlQuery', 'graphqlOperationName', 'channel', 'authKeyName'];
+// Ratios may overshoot the image edge by rounding error only
+const RATIO_TOLERANCE = 1e-6;
+
+// Serialises a project in the current format version
+export const serializeProject = ({ name, images }) => JSON.stringify({ formatVersion: PROJECT_FORMAT_VERSION, name, images }, null, 2);
+
+const versionOf = (data) => (Array.isArray(data) ? 0 : data.formatVersion);
+
+// Upgrades a parsed project (in any known format version) to the current version.
+// Throws when the data isn't a project at all or was written by a newer version of the app.
+export const migrateProject = (data) => {
+  if (!Array.isArray(data) && (!data || typeof data !== 'object' || !Array.isArray(data.images))) {
+    throw new Error('The file does not contain a UI Mocks project.');
+  }
+  let version = versionOf(data);
+  if (!Number.isInteger(version) || version < 0) {
+    throw new Error('The project file has no valid "formatVersion".');
+  }
+  if (version > PROJECT_FORMAT_VERSION) {
+    throw new Error(`The project was saved by a newer version of the app (format ${version}; this one reads up to ${PROJECT_FORMAT_VERSION}).`);
+  }
+  let project = data;
+  while (version < PROJECT_FORMAT_VERSION) {
+    project = MIGRATIONS[version](project);
+    version += 1;
+  }
+  return project;
+};
+
+// Parses the text of a project file and upgrades it to the current format (see migrateProject)
+export const parseProjectFile = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`The file is not valid JSON: ${error.message}`);
+  }
+  return migrateProject(data);
+};
+
+const isPlainObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+const isRatio = (value) => typeof value === 'number' && Number.isFinite(value) && value >= -RATIO_TOLERANCE && value <= 1 + RATIO_TOLERANCE;
+const isNonEmptyString = (value) => typeof value === 'string' && value.trim() !== '';
+
+// Problems with a list of headers ([{ key, value }]) found at `path`
+const checkHeaders = (headers, path) => {
+  if (!Array.isArray(headers)) return [`${path} must be a list`];
+  return headers
+    .map((header, index) => (isPlainObject(header) && typeof header.key === 'string' && typeof header.value === 'string'
+      ? null
+      : `${path}[${index}] must have a text "key" and "value"`))
+    .filter(Boolean);
+};
+
+// Checks one annotation's apiDetails. Returns the problems found and the details with optional fields filled in.
+const checkApiDetails = (apiDetails) => {
+  if (!isPlainObject(apiDetails)) return { problems: ['apiDetails is missing or not an object'] };
+  const problems = [];
+  const normalized = { ...apiDetails };
+  TEXT_FIELDS.forEach((field) => {
+    if (apiDetails[field] === undefined || apiDetails[field] === null) normalized[field] = '';
+    else if (typeof apiDetails[field] !== 'string') problems.push(`apiDetails.${field} must be text`);
+  });
+  if (apiDetails.protocol === undefined || apiDetails.protocol === null) normalized.protocol = 'http';
+  else if (!PROTOCOLS.includes(apiDetails.protocol)) problems.push(`apiDetails.protocol must be one of ${PROTOCOLS.join(', ')} (got ${JSON.stringify(apiDetails.protocol)})`);
+  const method = typeof apiDetails.method === 'string' ? apiDetails.method.toUpperCase() : apiDetails.method;
+  if (!HTTP_METHODS.includes(method)) problems.push(`apiDetails.method must be one of ${HTTP_METHODS.join(', ')} (got ${JSON.stringify(apiDetails.method)})`);
+  else normalized.method = method;
+
+  if (apiDetails.parameters === undefined) normalized.parameters = [];
+  else if (!Array.isArray(apiDetails.parameters)) problems.push('apiDetails.parameters must be a list');
+  else {
+    const placeholders = typeof apiDetails.endpoint === 'string' ? endpointPathParams(apiDetails.endpoint) : [];
+    normalized.parameters = apiDetails.parameters.map((param, index) => {
+      const path = `apiDetails.parameters[${index}]`;
+      if (!isPlainObject(param) || typeof param.key !== 'string') {
+        problems.push(`${path} must have a text "key"`);
+        return param;
+      }
+      if (param.in !== undefined && !PARAM_LOCATIONS.includes(param.in)) problems.push(`${path}.in must be one of ${PARAM_LOCATIONS.join(', ')} (got ${JSON.stringify(param.in)})`);
+      if (param.type !== undefined && !PARAM_TYPES.includes(param.type)) problems.push(`${path}.type must be one of ${PARAM_TYPES.join(', ')} (got ${JSON.stringify(param.type)})`);
+      if (param.required !== undefined && typeof param.required !== 'boolean') problems.push(`${path}.required must be true or false`);
+      if (param.enum !== undefined && (!Array.isArray(param.enum) || param.enum.some((value) => typeof value !== 'string'))) problems.push(`${path}.enum must be a list of text`);
+      ['default', 'description', 'example'].forEach((field) => {
+        if (param[field] !== undefined && typeof param[field] !== 'string') problems.push(`${path}.${field} must be text`);
+      });
+      return normalizeParameter(param, placeholders);
+    });
+  }
+
+  ['requestHeaders', 'responseHeaders'].forEach((field) => {
+    if (apiDetails[field] === undefined) normalized[field] = [];
+    else problems.push(...checkHeaders(apiDetails[field], `apiDetails.${field}`));
+  });
+  if (apiDetails.responseStatus === undefined || apiDetails.responseStatus === null) normalized.responseStatus = '200';
+  else if (typeof apiDetails.responseStatus !== 'string' || !isValidStatus(apiDetails.responseStatus)) {
+    problems.push(`apiDetails.responseStatus must be an HTTP status code (got ${JSON.stringify(apiDetails.responseStatus)})`);
+  }
+  if (apiDetails.responses === undefined) normalized.responses = [];
+  else if (!Array.isArray(apiDetails.responses)) problems.push('apiDetails.responses must be a list');
+  else {
+    normalized.responses = apiDetails.responses.map((response, index) => {
+      const path = `apiDetails.responses[${index}]`;
+      if (!isPlainObject(response)) {
+        problems.push(`${path} is not an object`);
+        return response;
+      }
+      if (typeof response.status !== 'string' || !isValidStatus(response.status)) problems.push(`${path}.status must be an HTTP status code (got ${JSON.stringify(response.status)})`);
+      const normalizedResponse = { ...response };
+      ['description', 'contentType', 'body'].forEach((field) => {
+        if (response[field] === undefined || response[field] === null) normalizedResponse[field] = field === 'contentType' ? 'application/json' : '';
+        else if (typeof response[field] !== 'string') problems.push(`${path}.${field} must be text`);
+      });
+      if (response.headers === undefined) normalizedResponse.headers = [];
+      else problems.push(...checkHeaders(response.headers, `${path}.headers`));
+      if (response.regionId === undefined) normalizedResponse.regionId = null;
+      else if (response.regionId !== null && typeof response.regionId !== 'string') problems.push(`${path}.regionId must be a region id or null`);
+      return normalizedResponse;
+    });
+  }
+  if (apiDetails.authScheme === undefined || apiDetails.authScheme === null) normalized.authScheme = 'none';
+  else if (!AUTH_SCHEMES.includes(apiDetails.authScheme)) problems.push(`apiDetails.authScheme must be one of ${AUTH_SCHEMES.join(', ')} (got ${JSON.stringify(apiDetails.authScheme)})`);
+
+  ['operationId', 'specFingerprint', 'targetImageId'].forEach((field) => {
+    if (apiDetails[field] !== undefined && apiDetails[field] !== null && typeof apiDetails[field] !== 'string') problems.push(`apiDetails.${field} must be text`);
+  });
+  if (apiDetails.specStatus !== undefined && apiDetails.specStatus !== null && !SPEC_STATUSES.includes(apiDetails.specStatus)) {
+    problems.push(`apiDetails.specStatus must be one of ${SPEC_STATUSES.join(', ')}`);
+  }
+  ['requestSchema', 'responseSchema'].forEach((field) => {
+    if (apiDetails[field] !== undefined && apiDetails[field] !== null && !isPlainObject(apiDetails[field])) problems.push(`apiDetails.${field} must be a JSON Schema object`);
+  });
+  return { problems, apiDetails: normalized };
+};
+
+// Checks one annotation's region and details; returns the problems found and the normalised annotation
+const checkAnnotation = (annotation) => {
+  if (!isPlainObject(annotation)) return { problems: ['is not an object'] };
+  const problems = [];
+  if (!isNonEmptyString(annotation.id)) problems.push('id is missing');
+  const ratios = ['ratioX', 'ratioY', 'ratioWidth', 'ratioHeight'];
+  const badRatios = ratios.filter((field) => !isRatio(annotation[field]));
+  if (badRatios.length > 0) problems.push(`${badRatios.join(', ')} must be numbers between 0 and 1`);
+  else if (annotation.ratioWidth <= 0 || annotation.ratioHeight <= 0) problems.push('region has no area');
+  else if (annotation.ratioX + annotation.ratioWidth > 1 + RATIO_TOLERANCE || annotation.ratioY + annotation.ratioHeight > 1 + RATIO_TOLERANCE) {
+    problems.push('region extends past the edge of the mockup');
+  }
+
+  const shape = annotation.shape || 'rect';
+  if (!SHAPES.includes(shape)) problems.push(`shape must be one of ${SHAPES.join(', ')}`);
+  else if (shape !== 'rect' && (!Array.isArray(annotation.points) || annotation.points.length < 3
+    || !annotation.points.every((point) => isPlainObject(point) && isRatio(point.x) && isRatio(point.y)))) {
+    problems.push(`a ${shape} region needs at least 3 points with x and y between 0 and 1`);
+  }
+  if (annotation.parentId !== undefined && annotation.parentId !== null && typeof annotation.parentId !== 'string') problems.push('parentId must be text');
+
+  const details = checkApiDetails(annotation.apiDetails);
+  problems.push(...details.problems);
+  return { problems, annotation: problems.length === 0 ? { ...annotation, apiDetails: details.apiDetails } : null };
+};
+
+const describeImage = (image, index) => (isPlainObject(image) && isNonEmptyString(image.name) ? `Mockup "${image.name}"` : `Mockup #${index + 1}`);
+const describeAnnotation = (annotation, index) => {
+  const name = isPlainObject(annotation) && isPlainObject(annotation.apiDetails) && annotation.apiDetails.name;
+  return isNonEmptyString(name) ? `annotation "${name}"` : `annotation #${index + 1}`;
+};
+
+// Validates every image and annotation of a migrated project. Invalid entries are dropped rather than failing
+// the whole import: a broken image is rejected entirely, a broken annotation only on its own.
+// Returns the images that can be used and a report:
+//   errors   - [{ entry, problems }] for each rejected image or annotation
+//   warnings - things that were repaired, such as links to regions that no longer exist
+export const validateProject = (project) => {
+  const errors = [];
+  const warnings = [];
+  const imageIds = new Set();
+  const images = [];
+
+  project.images.forEach((image, imageIndex) => {
+    const entry = describeImage(image, imageIndex);
+    if (!isPlainObject(image)) {
+      errors.push({ entry, problems: ['is not an object'] });
+      return;
+    }
+    const problems = [];
+    if (!isNonEmptyString(image.id)) problems.push('id is missing');
+    else if (imageIds.has(image.id)) problems.push(`id "${image.id}" is used by an earlier mockup`);
+    if (typeof image.name !== 'string') problems.push('name is missing');
+    if (!isNonEmptyString(image.url)) problems.push('image data (url) is missing');
+    if (!Array.isArray(image.annotations)) problems.push('annotations must be a list');
+    if (problems.length > 0) {
+      errors.push({ entry, problems });
+      return;
+    }
+    imageIds.add(image.id);
+
+    const annotationIds = new Set();
+    const annotations = [];
+    image.annotations.forEach((annotation, annotationIndex) => {
+      const result = checkAnnotation(annotation);
+      if (result.annotation && annotationIds.has(result.annotation.id)) result.problems.push(`id "${result.annotation.id}" is used by an earlier annotation`);
+      if (result.problems.length > 0) {
+        errors.push({ entry: `${entry} › ${describeAnnotation(annotation, annotationIndex)}`, problems: result.problems });
+        return;
+      }
+      annotationIds.add(result.annotation.id);
+      annotations.push(result.annotation);
+    });
+
+    // Children of a rejected (or missing) parent move to the top level
+    const repaired = annotations.map((annotation, annotationIndex) => {
+      if (!annotation.parentId || annotationIds.has(annotation.parentId)) return annotation;
+      warnings.push(`${entry} › ${describeAnnotation(annotation, annotationIndex)}: parent region "${annotation.parentId}" not found, moved to the top level`);
+      return { ...annotation, parentId: null };
+    });
+    images.push({ ...image, annotations: repaired });
+  });
+
+  return { images, errors, warnings };
+};
+
+// Adds imported images to the current ones. Imported images and annotations whose ids are already taken
+// get fresh ones (keeping nesting intact), so importing the same file twice gives two independent copies.
+export const mergeProjectImages = (currentImages, importedImages, generateId) => {
+  const imageIds = new Set(currentImages.map((image) => image.id));
+  const annotationIds = new Set(currentImages.flatMap((image) => image.annotations.map((annotation) => annotation.id)));
+  const fresh = (ids, id) => {
+    let next = id;
+    while (ids.has(next)) next = generateId();
+    ids.add(next);
+    return next;
+  };
+  const merged = importedImages.map((image) => {
+    const renamed = new Map(image.annotations.map((annotation) => [annotation.id, fresh(annotationIds, annotation.id)]));
+    return {
+      ...image,
+      id: fresh(imageIds, image.id),
+      annotations: image.annotations.map((annotation) => ({
+        ...annotation,
+        id: renamed.get(annotation.id),
+        ...(annotation.parentId ? { parentId: renamed.get(annotation.parentId) || null } : {}),
+        // Responses shown in another region of the mockup (UI states) point at its new id
+        ...(annotation.apiDetails && Array.isArray(annotation.apiDetails.responses) && annotation.apiDetails.responses.some((response) => response.regionId)
+          ? {
+            apiDetails: {
+              ...annotation.apiDetails,
+              responses: annotation.apiDetails.responses.map((response) => (response.regionId
+                ? { ...response, regionId: renamed.get(response.regionId) || response.regionId }
+                : response)),
+            },
+          }
+          : {}),
+      })),
+    };
+  });
+  // Links between the imported mockups (see utils/screenFlow) follow them to their new ids
+  const renamedImages = new Map(importedImages.map((image, index) => [image.id, merged[index].id]));
+  const relinked = merged.map((image) => ({
+    ...image,
+    annotations: image.annotations.map((annotation) => {
+      const target = annotation.apiDetails && annotation.apiDetails.targetImageId;
+      return target && renamedImages.has(target) && renamedImages.get(target) !== target
+        ? { ...annotation, apiDetails: { ...annotation.apiDetails, targetImageId: renamedImages.get(target) } }
+        : annotation;
+    }),
+  }));
+  return [...currentImages, ...relinked];
+};
@@ -0,0 +1,125 @@
+import { mergeProjectImages, migrateProject, parseProjectFile, PROJECT_FORMAT_VERSION, serializeProject, validateProject } from './projectFormat';
+import { details, region } from './testFixtures';
+
+const image = (id, annotations, overrides) => ({ id, name: id, url: 'data:image/png;base64,AAAA', annotations, ...overrides });
+
+test('round-trips the current format and migrates pre-versioning files', () => {
+  const images = [image('home', [region('a')])];
+  const saved = JSON.parse(serializeProject({ name: 'Shop', images }));
+  expect(saved).toEqual({ formatVersion: PROJECT_FORMAT_VERSION, name: 'Shop', images });
+  expect(parseProjectFile(JSON.stringify(saved))).toEqual(saved);
+  expect(migrateProject(images)).toMatchObject({ formatVersion: PROJECT_FORMAT_VERSION, images });
+});
+
+test('version 1 annotations become HTTP calls and unknown protocols are rejected', () => {
+  const project = migrateProject({ formatVersion: 1, name: 'Shop', images: [image('home', [region('a'), { id: 'bare' }])] });
+  expect(project.formatVersion).toBe(PROJECT_FORMAT_VERSION);
+  expect(project.images[0].annotations[0].apiDetails.protocol).toBe('http');
+  expect(project.images[0].annotations[1]).toEqual({ id: 'bare' });
+
+  const { images, errors } = validateProject({ images: [image('home', [region('ws', details({ protocol: 'websocket' })), region('ftp', details({ protocol: 'ftp' }))])] });
+  expect(images[0].annotations[0].apiDetails).toMatchObject({ protocol: 'websocket', channel: '', graphqlQuery: '' });
+  expect(errors[0].problems).toEqual(['apiDetails.protocol must be one of http, graphql, websocket, sse (got "ftp")']);
+});
+
+test('version 2 annotations get a single 200 response and responses are validated', () => {
+  const project = migrateProject({ formatVersion: 2, name: 'Shop', images: [image('home', [region('a', details({ protocol: 'http' }))])] });
+  expect(project.images[0].annotations[0].apiDetails).toMatchObject({ responseStatus: '200', responses: [], requestHeaders: [], authScheme: 'none' });
+
+  const { images, errors } = validateProject({ images: [image('home', [
+    region('ok', details({ responses: [{ status: '404', body: '{}', regionId: 'empty' }], requestHeaders: [{ key: 'X-Trace', value: '1' }] })),
+    region('bad', details({ responseStatus: 200, responses: [{ status: 'oops' }], responseHeaders: [{ key: 'X' }], authScheme: 'oauth' })),
+  ])] });
+  expect(images[0].annotations[0].apiDetails).toMatchObject({
+    responseStatus: '200',
+    responseHeaders: [],
+    responses: [{ status: '404', description: '', contentType: 'application/json', headers: [], body: '{}', regionId: 'empty' }],
+    authScheme: 'none',
+    authKeyName: '',
+  });
+  expect(errors[0].problems).toEqual([
+    'apiDetails.responseHeaders[0] must have a text "key" and "value"',
+    'apiDetails.responseStatus must be an HTTP status code (got 200)',
+    'apiDetails.responses[0].status must be an HTTP status code (got "oops")',
+    'apiDetails.authScheme must be one of none, bearer, basic, apiKey (got "oauth")',
+  ]);
+});
+
+test('version 3 parameters get a location and a type from the picker', () => {
+  const project = migrateProject({ formatVersion: 3, name: 'Shop', images: [image('home', [region('a', details({
+    endpoint: '/orders/:id', parameters: [{ key: 'id', type: 'int' }, { key: 'token', type: 'uuid' }],
+  }))])] });
+  expect(project.images[0].annotations[0].apiDetails.parameters).toEqual([
+    { key: 'id', in: 'path', type: 'integer', required: true, enum: [], default: '', description: '', example: '' },
+    { key: 'token', in: 'query', type: 'string', required: false, enum: [], default: '', description: 'uuid', example: '' },
+  ]);
+
+  const { errors } = validateProject({ images: [image('home', [
+    region('bad', details({ parameters: [{ key: 'sort', in: 'body', type: 'text', enum: 'asc' }] })),
+  ])] });
+  expect(errors[0].problems).toEqual([
+    'apiDetails.parameters[0].in must be one of path, query, header, cookie (got "body")',
+    'apiDetails.parameters[0].type must be one of string, integer, number, boolean, array, object (got "text")',
+    'apiDetails.parameters[0].enum must be a list of text',
+  ]);
+});
+
+test('refuses files that are not projects or come from a newer version', () => {
+  expect(() => parseProjectFile('{')).toThrow('not valid JSON');
+  expect(() => parseProjectFile('{"paths": {}}')).toThrow('does not contain a UI Mocks project');
+  expect(() => parseProjectFile(JSON.stringify({ formatVersion: PROJECT_FORMAT_VERSION + 1, images: [] }))).toThrow('newer version');
+});
+
+test('rejects invalid entries with readable reasons and keeps the rest', () => {
+  const project = migrateProject([
+    image('home', [
+      region('ok', { name: 'Orders', endpoint: '/orders', method: 'post' }),
+      { ...region('wide', details({ name: 'Wide', method: 'FETCH' })), ratioX: 0.95 },
+      { ...region('child', details({ name: 'Row' })), parentId: 'wide' },
+      { ...region('poly', details({ name: 'Outline' })), shape: 'polygon', points: [{ x: 0, y: 0 }] },
+    ]),
+    image('home', []),
+    { id: 'broken', name: 'Broken' },
+  ]);
+  const { images, errors, warnings } = validateProject(project);
+
+  expect(images).toHaveLength(1);
+  expect(images[0].annotations.map((a) => a.id)).toEqual(['ok', 'child']);
+  // Missing optional fields are filled in and the method is normalised
+  expect(images[0].annotations[0].apiDetails).toMatchObject({ method: 'POST', parameters: [], description: '' });
+  expect(images[0].annotations[1].parentId).toBeNull();
+
+  expect(errors).toEqual([
+    {
+      entry: 'Mockup "home" › annotation "Wide"',
+      problems: ['region extends past the edge of the mockup', 'apiDetails.method must be one of GET, POST, PUT, PATCH, DELETE, HEAD, OPTIONS, TRACE (got "FETCH")'],
+    },
+    { entry: 'Mockup "home" › annotation "Outline"', problems: ['a polygon region needs at least 3 points with x and y between 0 and 1'] },
+    { entry: 'Mockup "home"', problems: ['id "home" is used by an earlier mockup'] },
+    { entry: 'Mockup "Broken"', problems: ['image data (url) is missing', 'annotations must be a list'] },
+  ]);
+  expect(warnings).toEqual(['Mockup "home" › annotation "Row": parent region "wide" not found, moved to the top level']);
+});
+
+test('merges imported mockups with fresh ids where they clash', () => {
+  let next = 0;
+  const generateId = () => `new${(next += 1)}`;
+  const current = [image('home', [region('list')])];
+  const imported = [image('home', [region('list'), { ...region('row'), parentId: 'list' }])];
+  const merged = mergeProjectImages(current, imported, generateId);
+  expect(merged[0]).toBe(current[0]);
+  expect(merged[1].id).toBe('new2');
+  expect(merged[1].annotations.map((a) => [a.id, a.parentId])).toEqual([['new1', undefined], ['row', 'new1']]);
+
+  const linked = [image('home', [region('next', details({ targetImageId: 'cart' }))]), image('cart', [region('back', details({ targetImageId: 'home' }))])];
+  const relinked = mergeProjectImages(merged, linked, generateId);
+  expect(relinked.slice(2).map((img) => [img.id, img.annotations[0].apiDetails.targetImageId])).toEqual([['new3', 'cart'], ['cart', 'new3']]);
+
+  const states = [image('home', [
+    region('list', details({ responses: [{ status: '404', body: '', regionId: 'row' }, { status: '500', body: '' }] })),
+    region('row'),
+  ])];
+  const [withStates] = mergeProjectImages(relinked, states, generateId).slice(4);
+  expect(withStates.annotations.map((a) => a.id)).toEqual(['new4', 'new5']);
+  expect(withStates.annotations[0].apiDetails.responses.map((response) => response.regionId)).toEqual(['new5', undefined]);
+});
@@ -0,0 +1,92 @@
+// Project packages: a zip with a project.json manifest and the mockups as separate image files, small
+// enough to commit and readable in a pull request diff. Loading also accepts plain JSON project files.
+//
+//   project.json        { formatVersion, name, images: [{ id, name, file: "images/<hash>.png", annotations }] }
+//   images/<hash>.png   one file per distinct image; mockups with identical images share it
+//
+// In the manifest each image's `file` takes the place of the data URL `url` used everywhere else.
+
+import JSZip from 'jszip';
+import { hashString } from './openapiImport';
+import { parseProjectFile, serializeProject } from './projectFormat';
+
+export const MANIFEST_FILE = 'project.json';
+
+const EXTENSION_BY_MIME_TYPE = { 'image/png': 'png', 'image/jpeg': 'jpg', 'image/gif': 'gif', 'image/webp': 'webp', 'image/svg+xml': 'svg' };
+const MIME_TYPE_BY_EXTENSION = Object.fromEntries(Object.entries(EXTENSION_BY_MIME_TYPE).map(([mimeType, extension]) => [extension, mimeType]));
+
+// Splits a data URL into its MIME type and payload (base64 or URL-encoded text)
+export const parseDataUrl = (url) => {
+  const [header, data = ''] = String(url).split(',');
+  return {
+    mimeType: (header.match(/^data:([^;,]+)/) || [])[1] || 'application/octet-stream',
+    base64: /;base64$/.test(header),
+    data,
+  };
+};
+
+// File extension for an image MIME type, "png" for anything unknown
+export const imageExtension = (mimeType) => EXTENSION_BY_MIME_TYPE[mimeType] || 'png';
+
+// Builds the zip package. Image files are named after a hash of their content, so re-exporting an
+// unchanged project gives identical files and only project.json changes between commits.
+export const buildProjectPackage = async ({ name, images }) => {
+  const zip = new JSZip();
+  const fileByContent = new Map();
+  const usedNames = new Set();
+  const manifestImages = images.map(({ url, ...image }) => {
+    const { mimeType, base64, data } = parseDataUrl(url);
+    const contentKey = `${mimeType},${base64},${data}`;
+    if (!fileByContent.has(contentKey)) {
+      // Different images with the same (short) hash get a numbered name instead of overwriting each other
+      const baseName = `images/${hashString(data)}`;
+      let fileName = `${baseName}.${imageExtension(mimeType)}`;
+      for (let suffix = 2; usedNames.has(fileName); suffix += 1) fileName = `${baseName}-${suffix}.${imageExtension(mimeType)}`;
+      usedNames.add(fileName);
+      fileByContent.set(contentKey, fileName);
+      zip.file(fileName, base64 ? data : decodeURIComponent(data), { base64, binary: base64 });
+    }
+    return { ...image, file: fileByContent.get(contentKey) };
+  });
+  zip.file(MANIFEST_FILE, `${serializeProject({ name, images: manifestImages })}\n`);
+  return zip.generateAsync({ type: 'blob', compression: 'DEFLATE', mimeType: 'application/zip' });
+};
+
+// Reads a zip package (Blob, ArrayBuffer or Uint8Array) back into a migrated project whose images have data URLs.
+// Images whose file is missing from the zip keep an empty url, which validation reports.
+export const readProjectPackage = async (data) => {
+  let zip;
+  try {
+    zip = await JSZip.loadAsync(data);
+  } catch (error) {
+    throw new Error(`The file is not a valid zip archive: ${error.message}`);
+  }
+  const manifest = zip.file(MANIFEST_FILE);
+  if (!manifest) throw new Error(`The zip archive has no ${MANIFEST_FILE}.`);
+  const project = parseProjectFile(await manifest.async('string'));
+  const images = await Promise.all(project.images.map(async (image) => {
+    if (!image || typeof image !== 'object' || typeof image.file !== 'string') return image;
+    const { file, ...rest } = image;
+    const entry = zip.file(file);
+    if (!entry) return { ...rest, url: '' };
+    const mimeType = MIME_TYPE_BY_EXTENSION[file.split('.').pop().toLowerCase()] || 'application/octet-stream';
+    return { ...rest, url: `data:${mimeType};base64,${await entry.async('base64')}` };
+  }));
+  return { ...project, images };
+};
+
+// Zip archives start with "PK"
+const isZip = (bytes) => bytes.length > 1 && bytes[0] === 0x50 && bytes[1] === 0x4b;
+
+const readFile = (file, method) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onloadend = () => (reader.error ? reject(reader.error) : resolve(reader.result));
+  reader[method](file);
+});
+
+// Reads whatever "Load Project Data" was given: a zip package or a (legacy or current) JSON project file
+export const readProjectFile = async (file) => {
+  const bytes = new Uint8Array(await readFile(file, 'readAsArrayBuffer'));
+  if (isZip(bytes)) return readProjectPackage(bytes);
+  return parseProjectFile(await readFile(file, 'readAsText'));
+};
@@ -0,0 +1,36 @@
+import JSZip from 'jszip';
+import { PROJECT_FORMAT_VERSION } from './projectFormat';
+import { buildProjectPackage, MANIFEST_FILE, readProjectFile } from './projectPackage';
+import { details, region } from './testFixtures';
+
+const annotation = region('a', details({ name: 'Orders', endpoint: '/orders' }));
+const images = [
+  { id: 'home', name: 'Home', url: 'data:image/png;base64,iVBORw0KGgo=', annotations: [annotation] },
+  { id: 'copy', name: 'Home (copy)', url: 'data:image/png;base64,iVBORw0KGgo=', annotations: [] },
+  { id: 'logo', name: 'Logo', url: 'data:image/svg+xml;base64,PHN2Zy8+', annotations: [] },
+];
+
+// The package Blob as the bytes of a downloaded file
+const packageBytes = async () => {
+  const blob = await buildProjectPackage({ name: 'Shop', images });
+  return new Uint8Array(await new Response(blob).arrayBuffer());
+};
+
+test('stores each distinct image once, referenced from project.json', async () => {
+  const zip = await JSZip.loadAsync(await packageBytes());
+  const manifest = JSON.parse(await zip.file(MANIFEST_FILE).async('string'));
+  expect(manifest).toMatchObject({ formatVersion: PROJECT_FORMAT_VERSION, name: 'Shop' });
+  expect(manifest.images[0]).toEqual({ id: 'home', name: 'Home', file: manifest.images[1].file, annotations: [annotation] });
+  expect(manifest.images[0].file).toMatch(/^images\/[0-9a-f]+\.png$/);
+  expect(manifest.images[2].file).toMatch(/\.svg$/);
+  expect(Object.keys(zip.files).filter((name) => name.startsWith('images/') && !zip.files[name].dir)).toHaveLength(2);
+});
+
+test('reads packages and legacy JSON files back into projects with data URLs', async () => {
+  const project = await readProjectFile(new File([await packageBytes()], 'shop.zip'));
+  expect(project.images).toEqual(images);
+
+  const legacy = await readProjectFile(new File([JSON.stringify(images)], 'old.json', { type: 'application/json' }));
+  expect(legacy).toMatchObject({ formatVersion: PROJECT_FORMAT_VERSION, images });
+  await expect(readProjectFile(new File(['PK nonsense'], 'bad.zip'))).rejects.toThrow('not a valid zip archive');
+});
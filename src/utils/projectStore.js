@@ -0,0 +1,159 @@
+// Persists projects to IndexedDB. Annotation data lives in the "projects" store while image
+// files are kept as Blobs in the "images" store, keyed "<projectId>/<imageId>", so large
+// mockups are written once instead of on every annotation edit.
+
+import { migrateProject, PROJECT_FORMAT_VERSION } from './projectFormat';
+
+const DB_NAME = 'ui-mocks-api-annotator';
+const DB_VERSION = 1;
+const PROJECTS_STORE = 'projects';
+const IMAGES_STORE = 'images';
+const META_STORE = 'meta';
+const LAST_PROJECT_KEY = 'lastProjectId';
+
+export const isProjectStoreAvailable = () => typeof indexedDB !== 'undefined';
+
+// Wraps an IDBRequest in a promise
+const promisify = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+// Resolves once a transaction has committed
+const transactionDone = (transaction) => new Promise((resolve, reject) => {
+  transaction.oncomplete = () => resolve();
+  transaction.onerror = () => reject(transaction.error);
+  transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+});
+
+let databasePromise = null;
+
+const openDatabase = () => {
+  if (!databasePromise) {
+    databasePromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(PROJECTS_STORE)) db.createObjectStore(PROJECTS_STORE, { keyPath: 'id' });
+        if (!db.objectStoreNames.contains(IMAGES_STORE)) db.createObjectStore(IMAGES_STORE);
+        if (!db.objectStoreNames.contains(META_STORE)) db.createObjectStore(META_STORE);
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        databasePromise = null;
+        reject(request.error);
+      };
+    });
+  }
+  return databasePromise;
+};
+
+const imageKey = (projectId, imageId) => `${projectId}/${imageId}`;
+const projectImageRange = (projectId) => IDBKeyRange.bound(`${projectId}/`, `${projectId}/\uffff`);
+
+// Converts a data URL (as produced by FileReader.readAsDataURL) into a Blob
+export const dataUrlToBlob = (dataUrl) => {
+  const [header, data = ''] = dataUrl.split(',');
+  const mimeType = (header.match(/^data:([^;,]+)/) || [])[1] || 'application/octet-stream';
+  if (!/;base64$/.test(header)) return new Blob([decodeURIComponent(data)], { type: mimeType });
+  const binary = atob(data);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i += 1) bytes[i] = binary.charCodeAt(i);
+  return new Blob([bytes], { type: mimeType });
+};
+
+// Reads a Blob back into a data URL so it can be used like a freshly uploaded image
+export const blobToDataUrl = (blob) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onloadend = () => resolve(reader.result);
+  reader.onerror = () => reject(reader.error);
+  reader.readAsDataURL(blob);
+});
+
+// Image blobs already written during this session, so unchanged images are not rewritten on every autosave
+const storedImageKeys = new Set();
+
+// Lists saved projects, most recently updated first
+export const listProjects = async () => {
+  const db = await openDatabase();
+  const projects = await promisify(db.transaction(PROJECTS_STORE).objectStore(PROJECTS_STORE).getAll());
+  return projects
+    .map(({ id, name, updatedAt, images }) => ({ id, name, updatedAt, imageCount: images.length }))
+    .sort((a, b) => b.updatedAt - a.updatedAt);
+};
+
+// Saves a project: { id, name, images (with data URLs), ...other project-level state }
+export const saveProject = async ({ id, name, images, ...rest }) => {
+  const db = await openDatabase();
+  const transaction = db.transaction([PROJECTS_STORE, IMAGES_STORE], 'readwrite');
+  const projectsStore = transaction.objectStore(PROJECTS_STORE);
+  const imagesStore = transaction.objectStore(IMAGES_STORE);
+
+  const keys = images.map((image) => imageKey(id, image.id));
+  images.forEach((image, index) => {
+    if (!storedImageKeys.has(keys[index])) {
+      imagesStore.put(dataUrlToBlob(image.url), keys[index]);
+    }
+  });
+
+  // Drop blobs of images that were removed from the project
+  const storedKeysRequest = imagesStore.getAllKeys(projectImageRange(id));
+  storedKeysRequest.onsuccess = () => {
+    storedKeysRequest.result.filter((key) => !keys.includes(key)).forEach((key) => {
+      imagesStore.delete(key);
+      storedImageKeys.delete(key);
+    });
+  };
+
+  const existing = await promisify(projectsStore.get(id));
+  projectsStore.put({
+    ...rest,
+    id,
+    name,
+    formatVersion: PROJECT_FORMAT_VERSION,
+    createdAt: existing ? existing.createdAt : Date.now(),
+    updatedAt: Date.now(),
+    images: images.map(({ url, ...image }) => image),
+  });
+  await transactionDone(transaction);
+  keys.forEach((key) => storedImageKeys.add(key));
+};
+
+// Loads a project with its images restored to data URLs; resolves null when it does not exist
+export const loadProject = async (id) => {
+  const db = await openDatabase();
+  const transaction = db.transaction([PROJECTS_STORE, IMAGES_STORE]);
+  const project = await promisify(transaction.objectStore(PROJECTS_STORE).get(id));
+  if (!project) return null;
+  const imagesStore = transaction.objectStore(IMAGES_STORE);
+  const blobs = await Promise.all(project.images.map((image) => promisify(imagesStore.get(imageKey(id, image.id)))));
+
+  const images = await Promise.all(project.images.map(async (image, index) => {
+    storedImageKeys.add(imageKey(id, image.id));
+    return { ...image, url: blobs[index] ? await blobToDataUrl(blobs[index]) : '' };
+  }));
+  // Projects saved before the format was versioned have the version 1 layout
+  return migrateProject({ ...project, formatVersion: project.formatVersion || 1, images });
+};
+
+// Deletes a project and all of its image blobs
+export const deleteProject = async (id) => {
+  const db = await openDatabase();
+  const transaction = db.transaction([PROJECTS_STORE, IMAGES_STORE], 'readwrite');
+  transaction.objectStore(PROJECTS_STORE).delete(id);
+  transaction.objectStore(IMAGES_STORE).delete(projectImageRange(id));
+  await transactionDone(transaction);
+  Array.from(storedImageKeys).filter((key) => key.startsWith(`${id}/`)).forEach((key) => storedImageKeys.delete(key));
+};
+
+export const getLastProjectId = async () => {
+  const db = await openDatabase();
+  return promisify(db.transaction(META_STORE).objectStore(META_STORE).get(LAST_PROJECT_KEY));
+};
+
+export const setLastProjectId = async (id) => {
+  const db = await openDatabase();
+  const transaction = db.transaction(META_STORE, 'readwrite');
+  transaction.objectStore(META_STORE).put(id, LAST_PROJECT_KEY);
+  await transactionDone(transaction);
+};
@@ -0,0 +1,61 @@
+import 'fake-indexeddb/auto';
+import {
+  blobToDataUrl,
+  dataUrlToBlob,
+  deleteProject,
+  getLastProjectId,
+  isProjectStoreAvailable,
+  listProjects,
+  loadProject,
+  saveProject,
+  setLastProjectId,
+} from './projectStore';
+import { PROJECT_FORMAT_VERSION } from './projectFormat';
+
+// jsdom's Blobs cannot be cloned into the in-memory IndexedDB, so the saved projects here have no images and
+// the image blobs are covered through their data URL conversion
+const project = (overrides) => ({ id: 'shop', name: 'Shop', images: [], lintSeverities: { 'missing-endpoint': 'error' }, ...overrides });
+
+test('saves projects and loads them back', async () => {
+  expect(isProjectStoreAvailable()).toBe(true);
+  await saveProject(project());
+  await saveProject(project({ id: 'blank', name: 'Blank' }));
+
+  const loaded = await loadProject('shop');
+  expect(loaded).toMatchObject({ id: 'shop', name: 'Shop', images: [], formatVersion: PROJECT_FORMAT_VERSION, lintSeverities: { 'missing-endpoint': 'error' } });
+  expect(loaded.createdAt).toBeLessThanOrEqual(loaded.updatedAt);
+  expect(await loadProject('missing')).toBeNull();
+
+  await saveProject(project({ name: 'Shop 2' }));
+  const resaved = await loadProject('shop');
+  expect(resaved).toMatchObject({ name: 'Shop 2', createdAt: loaded.createdAt });
+  expect((await listProjects()).map(({ id, name, imageCount }) => [id, name, imageCount]).sort()).toEqual([['blank', 'Blank', 0], ['shop', 'Shop 2', 0]]);
+});
+
+test('keeps the last opened project and forgets deleted ones', async () => {
+  expect(await getLastProjectId()).toBeUndefined();
+  await setLastProjectId('shop');
+  expect(await getLastProjectId()).toBe('shop');
+
+  await deleteProject('shop');
+  expect(await loadProject('shop')).toBeNull();
+  expect((await listProjects()).map(({ id }) => id)).toEqual(['blank']);
+});
+
+test('stores images as blobs and reads them back as data URLs', async () => {
+  const png = 'data:image/png;base64,iVBORw0KGgo=';
+  const blob = dataUrlToBlob(png);
+  expect(blob).toMatchObject({ type: 'image/png', size: 8 });
+  expect(await blobToDataUrl(blob)).toBe(png);
+  expect(dataUrlToBlob('data:image/svg+xml,%3Csvg%2F%3E')).toMatchObject({ type: 'image/svg+xml', size: 6 });
+});
+
+test('reports the store as unavailable without IndexedDB', () => {
+  const { indexedDB } = global;
+  delete global.indexedDB;
+  try {
+    expect(isProjectStoreAvailable()).toBe(false);
+  } finally {
+    global.indexedDB = indexedDB;
+  }
+});
@@ -0,0 +1,143 @@
+import { normalizePath } from './openapi';
+import { getEffectiveSchema, mergeSchemas, parseJsonExample } from './schema';
+
+// The kinds of API call an annotation can describe, in `apiDetails.protocol` ('http' when missing).
+// Protocols other than HTTP reuse the generic fields, so examples, schemas and validation work the same way:
+//   graphql   - endpoint: the GraphQL endpoint; graphqlQuery and graphqlOperationName: the operation;
+//               requestBody: example variables; responseBody: example `data`
+//   websocket - endpoint: the socket URL; channel: the channel or topic subscribed to;
+//               requestBody: the subscribe message; responseBody: a JSON array of example messages received
+//   sse       - endpoint: the event stream URL; channel: the event name (empty for unnamed "message" events);
+//               responseBody: a JSON array of example event payloads
+export const PROTOCOLS = ['http', 'graphql', 'websocket', 'sse'];
+
+export const PROTOCOL_LABELS = {
+  http: 'HTTP',
+  graphql: 'GraphQL',
+  websocket: 'WebSocket',
+  sse: 'Server-Sent Events',
+};
+
+export const HTTP_METHODS = ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'HEAD', 'OPTIONS'];
+
+// The HTTP method the other protocols are carried over
+const PROTOCOL_METHODS = { graphql: 'POST', websocket: 'GET', sse: 'GET' };
+
+// What the request and response examples hold for each protocol; null when the protocol has no such example
+export const BODY_LABELS = {
+  http: { request: 'Request body', response: 'Response body' },
+  graphql: { request: 'Variables', response: 'Response data' },
+  websocket: { request: 'Subscribe message', response: 'Example messages' },
+  sse: { request: null, response: 'Example events' },
+};
+
+export const getProtocol = (apiDetails) => (PROTOCOLS.includes(apiDetails.protocol) ? apiDetails.protocol : 'http');
+
+export const isStreamProtocol = (protocol) => protocol === 'websocket' || protocol === 'sse';
+
+// The HTTP method an annotation's call is made with
+export const effectiveMethod = (apiDetails) => PROTOCOL_METHODS[getProtocol(apiDetails)] || String(apiDetails.method || 'GET').toUpperCase();
+
+// Switches an annotation to another protocol, keeping the method in line with it
+export const withProtocol = (apiDetails, protocol) => ({
+  ...apiDetails,
+  protocol,
+  method: PROTOCOL_METHODS[protocol] || (HTTP_METHODS.includes(apiDetails.method) ? apiDetails.method : 'GET'),
+});
+
+// Operation type and name declared by a GraphQL document, e.g. "mutation AddToCart($id: ID!) { ... }".
+// The query shorthand ("{ me { id } }") is an anonymous query.
+export const parseGraphqlOperation = (query) => {
+  const text = String(query || '').replace(/#[^\n]*/g, '');
+  const match = text.match(/(?:^|\})\s*(query|mutation|subscription)\b\s*([_A-Za-z][_0-9A-Za-z]*)?/);
+  return { operationType: match ? match[1] : 'query', operationName: match && match[2] ? match[2] : '' };
+};
+
+// The operation name of a GraphQL annotation: the one typed in, else the one in the document
+export const graphqlOperationName = (apiDetails) => String(apiDetails.graphqlOperationName || '').trim()
+  || parseGraphqlOperation(apiDetails.graphqlQuery).operationName;
+
+// The JSON body a GraphQL client posts for an annotation: { query, operationName, variables }
+export const graphqlPayload = (apiDetails) => {
+  const payload = { query: String(apiDetails.graphqlQuery || '') };
+  const operationName = graphqlOperationName(apiDetails);
+  if (operationName) payload.operationName = operationName;
+  const { value, error } = parseJsonExample(apiDetails.requestBody);
+  if (!error && value !== undefined) payload.variables = value;
+  return payload;
+};
+
+// The example events of a WebSocket/SSE annotation. A single example that isn't an array is one event.
+export const streamEvents = (apiDetails) => {
+  const { value, error } = parseJsonExample(apiDetails.responseBody);
+  if (error || value === undefined) return [];
+  return Array.isArray(value) ? value : [value];
+};
+
+// The schema of one event of a WebSocket/SSE annotation, from the schema of its example list
+export const eventSchema = (apiDetails) => {
+  const schema = getEffectiveSchema(apiDetails, 'response');
+  if (!schema) return undefined;
+  const types = [].concat(schema.type);
+  return types.includes('array') ? schema.items : schema;
+};
+
+// Identifies the operation an annotation describes, for grouping annotations across screens:
+//   key    - equal for annotations of the same operation
+//   path   - the normalised endpoint path
+//   badge  - short label of the kind of call ('GET', 'QUERY', 'WS', ...)
+//   target - what is called: the path, plus the GraphQL operation or stream channel
+// Returns null while the annotation has no endpoint.
+export const describeOperation = (apiDetails) => {
+  const path = normalizePath(apiDetails.endpoint);
+  if (!path) return null;
+  const protocol = getProtocol(apiDetails);
+  if (protocol === 'graphql') {
+    const name = graphqlOperationName(apiDetails);
+    const { operationType } = parseGraphqlOperation(apiDetails.graphqlQuery);
+    return { key: `GRAPHQL ${path} ${name}`, protocol, path, badge: operationType.toUpperCase(), target: name ? `${path} · ${name}` : path };
+  }
+  if (isStreamProtocol(protocol)) {
+    const channel = String(apiDetails.channel || '').trim();
+    const badge = protocol === 'websocket' ? 'WS' : 'SSE';
+    return { key: `${badge} ${path} ${channel}`, protocol, path, badge, target: channel ? `${path} · ${channel}` : path };
+  }
+  const method = effectiveMethod(apiDetails);
+  return { key: `${method} ${path}`, protocol, path, badge: method, target: path };
+};
+
+// Groups the annotations of one protocol by operation (see describeOperation), in first-seen order.
+// Each group is { key, path, sources: [{ image, annotation, index }] } plus the fields `extra` derives
+// from the first annotation of the group.
+const groupByOperation = (images, protocol, extra) => {
+  const groups = new Map();
+  images.forEach((image) => {
+    image.annotations.forEach((annotation, index) => {
+      const { apiDetails } = annotation;
+      const operation = getProtocol(apiDetails) === protocol && describeOperation(apiDetails);
+      if (!operation) return;
+      if (!groups.has(operation.key)) groups.set(operation.key, { key: operation.key, path: operation.path, ...extra(apiDetails), sources: [] });
+      groups.get(operation.key).sources.push({ image, annotation, index });
+    });
+  });
+  return Array.from(groups.values());
+};
+
+// Merged schema of the request or response examples (`kind`) of a group's annotations
+export const mergedSchema = (sources, kind) => sources.reduce(
+  (schema, { annotation }) => mergeSchemas(schema, getEffectiveSchema(annotation.apiDetails, kind)),
+  undefined
+);
+
+// Every GraphQL operation of the project: { key, path, operationType, operationName, query, sources }
+export const collectGraphqlOperations = (images) => groupByOperation(images, 'graphql', (apiDetails) => ({
+  operationType: parseGraphqlOperation(apiDetails.graphqlQuery).operationType,
+  operationName: graphqlOperationName(apiDetails),
+  query: String(apiDetails.graphqlQuery || ''),
+}));
+
+// Every WebSocket and SSE stream of the project: { key, protocol, path, channel, sources }
+export const collectStreams = (images) => ['websocket', 'sse'].flatMap((protocol) => groupByOperation(images, protocol, (apiDetails) => ({
+  protocol,
+  channel: String(apiDetails.channel || '').trim(),
+})));
@@ -0,0 +1,56 @@
+import {
+  collectGraphqlOperations,
+  collectStreams,
+  describeOperation,
+  effectiveMethod,
+  graphqlPayload,
+  parseGraphqlOperation,
+  streamEvents,
+  withProtocol,
+} from './protocols';
+import { details, region } from './testFixtures';
+
+test('reads the operation type and name of a GraphQL document', () => {
+  expect(parseGraphqlOperation('mutation AddToCart($id: ID!) { addToCart(id: $id) { total } }')).toEqual({ operationType: 'mutation', operationName: 'AddToCart' });
+  expect(parseGraphqlOperation('# query Commented\n{ me { id } }')).toEqual({ operationType: 'query', operationName: '' });
+  expect(parseGraphqlOperation('fragment F on User { id }\nsubscription { orderUpdated { id } }')).toEqual({ operationType: 'subscription', operationName: '' });
+
+  const cart = details({ protocol: 'graphql', graphqlQuery: 'query Cart($id: ID!) { cart(id: $id) { total } }', requestBody: '{"id": "c1"}' });
+  expect(graphqlPayload(cart)).toEqual({ query: cart.graphqlQuery, operationName: 'Cart', variables: { id: 'c1' } });
+  expect(graphqlPayload({ ...cart, graphqlOperationName: 'CartTotal', requestBody: '' })).toEqual({ query: cart.graphqlQuery, operationName: 'CartTotal' });
+});
+
+test('describes each kind of call and keeps the method in line with the protocol', () => {
+  expect(describeOperation(details({ endpoint: 'https://shop.test/api/orders/:id', method: 'patch' }))).toEqual({
+    key: 'PATCH /api/orders/{id}', protocol: 'http', path: '/api/orders/{id}', badge: 'PATCH', target: '/api/orders/{id}',
+  });
+  expect(describeOperation(details({ protocol: 'graphql', endpoint: '/graphql', graphqlQuery: 'mutation Checkout { checkout { id } }' })))
+    .toMatchObject({ key: 'GRAPHQL /graphql Checkout', badge: 'MUTATION', target: '/graphql · Checkout' });
+  expect(describeOperation(details({ protocol: 'websocket', endpoint: '/ws', channel: ' chat ' }))).toMatchObject({ key: 'WS /ws chat', badge: 'WS' });
+  expect(describeOperation(details({ protocol: 'sse' }))).toBeNull();
+
+  const graphql = withProtocol(details({ method: 'DELETE' }), 'graphql');
+  expect(graphql).toMatchObject({ protocol: 'graphql', method: 'POST' });
+  expect(effectiveMethod(withProtocol(graphql, 'sse'))).toBe('GET');
+  expect(withProtocol(details({ method: 'OPTIONS' }), 'http').method).toBe('OPTIONS');
+});
+
+test('groups GraphQL operations and streams across mockups', () => {
+  const images = [
+    { id: 'a', name: 'A', url: '', annotations: [
+      region('q1', details({ protocol: 'graphql', endpoint: '/graphql', graphqlQuery: 'query Me { me { id } }' })),
+      region('s1', details({ protocol: 'sse', endpoint: '/events', channel: 'price', responseBody: '{"price": 1}' })),
+      region('h1', details({ endpoint: '/graphql', method: 'POST' })),
+    ] },
+    { id: 'b', name: 'B', url: '', annotations: [region('q2', details({ protocol: 'graphql', endpoint: 'https://api.test/graphql', graphqlQuery: 'query Me { me { name } }' }))] },
+  ];
+  const [me] = collectGraphqlOperations(images);
+  expect(me).toMatchObject({ key: 'GRAPHQL /graphql Me', operationType: 'query', operationName: 'Me' });
+  expect(me.sources.map(({ annotation: a }) => a.id)).toEqual(['q1', 'q2']);
+
+  const streams = collectStreams(images);
+  expect(streams).toHaveLength(1);
+  expect(streams[0]).toMatchObject({ protocol: 'sse', path: '/events', channel: 'price' });
+  // A single example that isn't a list is one event
+  expect(streamEvents(streams[0].sources[0].annotation.apiDetails)).toEqual([{ price: 1 }]);
+});
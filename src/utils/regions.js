@@ -0,0 +1,199 @@
+// Geometry and layer helpers for annotation regions. Every coordinate is a ratio of the image size (0..1),
+// so regions stay put when the image is displayed at a different size.
+//
+// A region is a rectangle (ratioX/ratioY/ratioWidth/ratioHeight) unless `shape` is 'polygon' or 'freehand',
+// in which case `points` holds its outline and the ratio fields hold its bounding box.
+// `parentId` nests a region inside another one; the order of the annotations array is the z-order among siblings.
+
+export const getShape = (annotation) => annotation.shape || 'rect';
+
+export const isPolygonal = (annotation) => getShape(annotation) !== 'rect';
+
+// Bounding box of a list of points, in the annotation's ratio fields
+export const pointsToBounds = (points) => {
+  const xs = points.map((point) => point.x);
+  const ys = points.map((point) => point.y);
+  const minX = Math.min(...xs);
+  const minY = Math.min(...ys);
+  return { ratioX: minX, ratioY: minY, ratioWidth: Math.max(...xs) - minX, ratioHeight: Math.max(...ys) - minY };
+};
+
+// The region's outline: its polygon points, or the four corners of its rectangle
+export const outlinePoints = (annotation) => {
+  if (isPolygonal(annotation)) return annotation.points;
+  const { ratioX: x, ratioY: y, ratioWidth: width, ratioHeight: height } = annotation;
+  return [{ x, y }, { x: x + width, y }, { x: x + width, y: y + height }, { x, y: y + height }];
+};
+
+// Even-odd ray casting; points exactly on an edge may fall either way
+export const pointInPolygon = (point, points) => {
+  let inside = false;
+  for (let i = 0, j = points.length - 1; i < points.length; j = i, i += 1) {
+    const a = points[i];
+    const b = points[j];
+    if ((a.y > point.y) !== (b.y > point.y) && point.x < ((b.x - a.x) * (point.y - a.y)) / (b.y - a.y) + a.x) {
+      inside = !inside;
+    }
+  }
+  return inside;
+};
+
+export const containsPoint = (annotation, point) => {
+  const { ratioX, ratioY, ratioWidth, ratioHeight } = annotation;
+  const inBounds = point.x >= ratioX && point.x <= ratioX + ratioWidth && point.y >= ratioY && point.y <= ratioY + ratioHeight;
+  if (!inBounds) return false;
+  return isPolygonal(annotation) ? pointInPolygon(point, annotation.points) : true;
+};
+
+// Parent id of a region, ignoring references to regions that no longer exist
+const parentOf = (annotations, annotation) => (
+  annotation.parentId && annotations.some((other) => other.id === annotation.parentId) ? annotation.parentId : null
+);
+
+// True when `id` is `ancestorId` itself or nested somewhere below it
+export const isDescendantOf = (annotations, id, ancestorId) => {
+  const seen = new Set();
+  let current = annotations.find((annotation) => annotation.id === id);
+  while (current && !seen.has(current.id)) {
+    if (current.id === ancestorId) return true;
+    seen.add(current.id);
+    const parentId = parentOf(annotations, current);
+    current = parentId ? annotations.find((annotation) => annotation.id === parentId) : null;
+  }
+  return false;
+};
+
+// Nests the annotations by parentId: [{ annotation, index, children }], siblings in z-order (bottom first).
+// Regions whose parent is missing, or that sit in a parent cycle, are treated as top-level.
+export const buildLayerTree = (annotations) => {
+  const nodes = annotations.map((annotation, index) => ({ annotation, index, children: [] }));
+  const roots = [];
+  nodes.forEach((node) => {
+    const parentId = parentOf(annotations, node.annotation);
+    const inCycle = parentId && isDescendantOf(annotations, parentId, node.annotation.id);
+    const parent = parentId && !inCycle ? nodes.find((other) => other.annotation.id === parentId) : null;
+    if (parent) parent.children.push(node);
+    else roots.push(node);
+  });
+  return roots;
+};
+
+// Indexes in the order regions are painted: parents before their children, siblings by z-order
+export const paintOrder = (annotations) => {
+  const order = [];
+  const visit = (node) => {
+    order.push(node.index);
+    node.children.forEach(visit);
+  };
+  buildLayerTree(annotations).forEach(visit);
+  return order;
+};
+
+// Index of the region under `point` that is painted last, i.e. the innermost/topmost one; -1 if none
+export const hitTest = (annotations, point) => {
+  const order = paintOrder(annotations);
+  for (let i = order.length - 1; i >= 0; i -= 1) {
+    if (containsPoint(annotations[order[i]], point)) return order[i];
+  }
+  return -1;
+};
+
+// Innermost existing region that fully contains the given region, used to nest newly drawn regions
+export const findContainingParent = (annotations, region) => {
+  const outline = outlinePoints(region);
+  const order = paintOrder(annotations);
+  for (let i = order.length - 1; i >= 0; i -= 1) {
+    const candidate = annotations[order[i]];
+    if (candidate.id !== region.id && outline.every((point) => containsPoint(candidate, point))) return candidate.id;
+  }
+  return null;
+};
+
+// Re-parents a region; moves that would put a region inside its own subtree are ignored
+export const setParent = (annotations, index, parentId) => {
+  const annotation = annotations[index];
+  if (parentId && isDescendantOf(annotations, parentId, annotation.id)) return annotations;
+  return annotations.map((other, i) => (i === index ? { ...other, parentId: parentId || null } : other));
+};
+
+// Removes a region; its children move up to its own parent
+export const removeAnnotation = (annotations, index) => {
+  const removed = annotations[index];
+  const newParentId = parentOf(annotations, removed);
+  return annotations
+    .filter((_, i) => i !== index)
+    .map((annotation) => (annotation.parentId === removed.id ? { ...annotation, parentId: newParentId } : annotation));
+};
+
+// Changes a region's stacking among its siblings. `direction` is 'forward', 'backward', 'front' or 'back'.
+// Returns the reordered annotations and the region's new index.
+export const moveInZOrder = (annotations, index, direction) => {
+  const parentId = parentOf(annotations, annotations[index]);
+  const siblings = annotations
+    .map((annotation, i) => i)
+    .filter((i) => parentOf(annotations, annotations[i]) === parentId);
+  const position = siblings.indexOf(index);
+  const targetPosition = {
+    forward: Math.min(position + 1, siblings.length - 1),
+    backward: Math.max(position - 1, 0),
+    front: siblings.length - 1,
+    back: 0,
+  }[direction];
+  if (targetPosition === undefined || targetPosition === position) return { annotations, index };
+
+  const target = siblings[targetPosition];
+  const rest = annotations.filter((_, i) => i !== index);
+  // Inserting at the target's old index lands just above it when moving up and just below it when moving down
+  rest.splice(target, 0, annotations[index]);
+  return { annotations: rest, index: target };
+};
+
+// Moves a region by a ratio delta
+export const translateRegion = (annotation, dx, dy) => {
+  const moved = { ...annotation, ratioX: annotation.ratioX + dx, ratioY: annotation.ratioY + dy };
+  if (isPolygonal(annotation)) moved.points = annotation.points.map((point) => ({ x: point.x + dx, y: point.y + dy }));
+  return moved;
+};
+
+// Fits a region into new bounds ({ ratioX, ratioY, ratioWidth, ratioHeight }), stretching polygon outlines
+export const resizeRegion = (annotation, bounds) => {
+  const resized = { ...annotation, ...bounds };
+  if (isPolygonal(annotation)) {
+    const scaleX = annotation.ratioWidth ? bounds.ratioWidth / annotation.ratioWidth : 1;
+    const scaleY = annotation.ratioHeight ? bounds.ratioHeight / annotation.ratioHeight : 1;
+    resized.points = annotation.points.map((point) => ({
+      x: bounds.ratioX + (point.x - annotation.ratioX) * scaleX,
+      y: bounds.ratioY + (point.y - annotation.ratioY) * scaleY,
+    }));
+  }
+  return resized;
+};
+
+// Distance from `point` to the segment a-b
+const distanceToSegment = (point, a, b) => {
+  const dx = b.x - a.x;
+  const dy = b.y - a.y;
+  const lengthSquared = dx * dx + dy * dy;
+  const t = lengthSquared === 0 ? 0 : Math.max(0, Math.min(1, ((point.x - a.x) * dx + (point.y - a.y) * dy) / lengthSquared));
+  return Math.hypot(point.x - (a.x + t * dx), point.y - (a.y + t * dy));
+};
+
+// Ramer-Douglas-Peucker simplification, so freehand strokes don't store every mouse move
+export const simplifyPath = (points, tolerance) => {
+  if (points.length < 3) return points;
+  const first = points[0];
+  const last = points[points.length - 1];
+  let farthest = 0;
+  let farthestIndex = 0;
+  for (let i = 1; i < points.length - 1; i += 1) {
+    const distance = distanceToSegment(points[i], first, last);
+    if (distance > farthest) {
+      farthest = distance;
+      farthestIndex = i;
+    }
+  }
+  if (farthest <= tolerance) return [first, last];
+  const left = simplifyPath(points.slice(0, farthestIndex + 1), tolerance);
+  const right = simplifyPath(points.slice(farthestIndex), tolerance);
+  return [...left.slice(0, -1), ...right];
+};
@@ -0,0 +1,80 @@
+import {
+  buildLayerTree,
+  findContainingParent,
+  hitTest,
+  moveInZOrder,
+  pointInPolygon,
+  removeAnnotation,
+  resizeRegion,
+  setParent,
+  simplifyPath,
+} from './regions';
+
+const rect = (id, ratioX, ratioY, ratioWidth, ratioHeight, extra = {}) => ({ id, ratioX, ratioY, ratioWidth, ratioHeight, ...extra });
+
+const triangle = {
+  id: 't',
+  shape: 'polygon',
+  points: [{ x: 0.5, y: 0.5 }, { x: 0.9, y: 0.5 }, { x: 0.5, y: 0.9 }],
+  ratioX: 0.5,
+  ratioY: 0.5,
+  ratioWidth: 0.4,
+  ratioHeight: 0.4,
+};
+
+test('hit-testing picks the innermost region, then the topmost sibling', () => {
+  const annotations = [
+    rect('row', 0.1, 0.2, 0.6, 0.1, { parentId: 'list' }),
+    rect('list', 0, 0, 0.8, 0.8),
+    rect('overlay', 0, 0, 1, 0.1),
+  ];
+  expect(hitTest(annotations, { x: 0.2, y: 0.25 })).toBe(0);
+  expect(hitTest(annotations, { x: 0.2, y: 0.5 })).toBe(1);
+  expect(hitTest(annotations, { x: 0.2, y: 0.05 })).toBe(2);
+  expect(hitTest(annotations, { x: 0.95, y: 0.95 })).toBe(-1);
+});
+
+test('polygons only hit inside their outline', () => {
+  expect(pointInPolygon({ x: 0.6, y: 0.6 }, triangle.points)).toBe(true);
+  expect(hitTest([triangle], { x: 0.85, y: 0.85 })).toBe(-1);
+  expect(hitTest([triangle], { x: 0.55, y: 0.55 })).toBe(0);
+  expect(resizeRegion(triangle, { ratioX: 0, ratioY: 0, ratioWidth: 0.8, ratioHeight: 0.4 }).points[1]).toEqual({ x: 0.8, y: 0 });
+});
+
+test('builds a layer tree and refuses parent cycles', () => {
+  const annotations = [rect('a', 0, 0, 1, 1), rect('b', 0.1, 0.1, 0.5, 0.5, { parentId: 'a' }), rect('c', 0.2, 0.2, 0.1, 0.1, { parentId: 'missing' })];
+  const tree = buildLayerTree(annotations);
+  expect(tree.map((node) => node.annotation.id)).toEqual(['a', 'c']);
+  expect(tree[0].children.map((node) => node.annotation.id)).toEqual(['b']);
+  expect(setParent(annotations, 0, 'b')).toBe(annotations);
+  expect(setParent(annotations, 2, 'b')[2].parentId).toBe('b');
+});
+
+test('nests new regions in the innermost region containing them', () => {
+  const annotations = [rect('list', 0, 0, 0.8, 0.8), rect('row', 0.1, 0.1, 0.6, 0.2, { parentId: 'list' }), triangle];
+  expect(findContainingParent(annotations, rect('new', 0.2, 0.15, 0.1, 0.05))).toBe('row');
+  expect(findContainingParent(annotations, rect('new', 0.2, 0.5, 0.1, 0.05))).toBe('list');
+  expect(findContainingParent(annotations, rect('new', 0.52, 0.52, 0.3, 0.3))).toBe(null);
+});
+
+test('removing a parent hands its children to the grandparent', () => {
+  const annotations = [rect('a', 0, 0, 1, 1), rect('b', 0, 0, 0.5, 0.5, { parentId: 'a' }), rect('c', 0, 0, 0.2, 0.2, { parentId: 'b' })];
+  expect(removeAnnotation(annotations, 1).map((annotation) => [annotation.id, annotation.parentId || null])).toEqual([['a', null], ['c', 'a']]);
+});
+
+test('changes z-order among siblings only', () => {
+  const annotations = [rect('a', 0, 0, 1, 1), rect('child', 0, 0, 0.1, 0.1, { parentId: 'a' }), rect('b', 0, 0, 1, 1), rect('c', 0, 0, 1, 1)];
+  const ids = (list) => list.map((annotation) => annotation.id);
+
+  const forward = moveInZOrder(annotations, 0, 'forward');
+  expect(ids(forward.annotations)).toEqual(['child', 'b', 'a', 'c']);
+  expect(forward.index).toBe(2);
+  expect(ids(moveInZOrder(annotations, 0, 'front').annotations)).toEqual(['child', 'b', 'c', 'a']);
+  expect(ids(moveInZOrder(annotations, 3, 'back').annotations)).toEqual(['c', 'a', 'child', 'b']);
+  expect(moveInZOrder(annotations, 1, 'front').annotations).toBe(annotations);
+});
+
+test('simplifies freehand strokes', () => {
+  const line = [{ x: 0, y: 0 }, { x: 0.1, y: 0.001 }, { x: 0.2, y: 0 }, { x: 0.2, y: 0.2 }];
+  expect(simplifyPath(line, 0.01)).toEqual([{ x: 0, y: 0 }, { x: 0.2, y: 0 }, { x: 0.2, y: 0.2 }]);
+});
@@ -0,0 +1,129 @@
+import { parseJsonExample } from './schema';
+
+// Responses, headers and authentication of an HTTP annotation. The main response keeps its example in
+// `responseBody` (and hand-edited schema in `responseSchema`), so everything built on those keeps working:
+//   responseStatus  - status code of the main response, '200' when missing
+//   responseHeaders - [{ key, value }] headers of the main response
+//   responses       - the other documented outcomes, e.g. an empty state on 404 or a banner on 500:
+//                     [{ status, description, contentType, headers: [{ key, value }], body, regionId }]
+//                     where `regionId` is the region of the mockup showing that UI state, if marked
+//   requestHeaders  - [{ key, value }] headers sent with the request, with example values
+//   authScheme      - one of AUTH_SCHEMES; authKeyName is the header carrying the key for 'apiKey'
+
+export const AUTH_SCHEMES = ['none', 'bearer', 'basic', 'apiKey'];
+
+export const AUTH_LABELS = {
+  none: 'None',
+  bearer: 'Bearer token',
+  basic: 'Basic auth',
+  apiKey: 'API key header',
+};
+
+export const DEFAULT_API_KEY_HEADER = 'X-API-Key';
+
+export const CONTENT_TYPES = ['application/json', 'application/problem+json', 'text/plain', 'text/html'];
+
+// Reason phrases of the status codes annotators use most
+export const STATUS_TEXTS = {
+  200: 'OK',
+  201: 'Created',
+  202: 'Accepted',
+  204: 'No Content',
+  301: 'Moved Permanently',
+  302: 'Found',
+  304: 'Not Modified',
+  400: 'Bad Request',
+  401: 'Unauthorized',
+  403: 'Forbidden',
+  404: 'Not Found',
+  409: 'Conflict',
+  410: 'Gone',
+  422: 'Unprocessable Content',
+  429: 'Too Many Requests',
+  500: 'Internal Server Error',
+  502: 'Bad Gateway',
+  503: 'Service Unavailable',
+};
+
+export const isValidStatus = (status) => /^[1-5][0-9]{2}$/.test(String(status || '').trim());
+
+export const statusText = (status) => STATUS_TEXTS[String(status).trim()] || '';
+
+export const isJsonContentType = (contentType) => /[/+]json\b/i.test(String(contentType || 'application/json'));
+
+// Status code of the main response
+export const mainStatus = (apiDetails) => (isValidStatus(apiDetails.responseStatus) ? String(apiDetails.responseStatus).trim() : '200');
+
+// Headers with a name, as a { name: value } object
+export const headerObject = (headers) => (headers || []).reduce((object, { key, value }) => {
+  const name = String(key || '').trim();
+  return name ? { ...object, [name]: String(value || '') } : object;
+}, {});
+
+// One of the other documented responses with its optional fields filled in
+export const normalizeResponse = (response) => ({
+  description: '',
+  contentType: 'application/json',
+  headers: [],
+  body: '',
+  regionId: null,
+  ...response,
+  status: String(response.status).trim(),
+  isMain: false,
+});
+
+// The main response followed by the other documented ones, in one shape:
+// { status, description, contentType, headers, body, regionId, isMain }. The main response's content type
+// follows its example (JSON unless the example isn't).
+export const listResponses = (apiDetails) => {
+  const body = apiDetails.responseBody || '';
+  const main = {
+    status: mainStatus(apiDetails),
+    description: '',
+    contentType: String(body).trim() && parseJsonExample(body).error ? 'text/plain' : 'application/json',
+    headers: apiDetails.responseHeaders || [],
+    body,
+    regionId: null,
+    isMain: true,
+  };
+  return [main, ...(apiDetails.responses || []).filter((response) => isValidStatus(response.status)).map(normalizeResponse)];
+};
+
+// A new entry for the other responses, defaulting to the first common error status not documented yet
+export const newResponse = (apiDetails) => {
+  const used = listResponses(apiDetails).map((response) => response.status);
+  const status = ['404', '400', '401', '403', '409', '422', '500'].find((code) => !used.includes(code)) || '500';
+  return { status, description: statusText(status), contentType: 'application/json', headers: [], body: '', regionId: null };
+};
+
+// Where the annotation's call is answered with the response shown by a region, as { annotation, response },
+// or null when no response is marked with that region
+export const findStateResponse = (annotations, regionId) => {
+  for (let i = 0; i < annotations.length; i += 1) {
+    const response = (annotations[i].apiDetails.responses || []).find((candidate) => candidate.regionId === regionId);
+    if (response) return { annotation: annotations[i], response };
+  }
+  return null;
+};
+
+// Headers that authenticate a request with a placeholder credential, e.g. { Authorization: 'Bearer <token>' }
+export const authHeaders = (apiDetails) => {
+  switch (apiDetails.authScheme) {
+    case 'bearer':
+      return { Authorization: 'Bearer <token>' };
+    case 'basic':
+      return { Authorization: 'Basic <credentials>' };
+    case 'apiKey':
+      return { [String(apiDetails.authKeyName || '').trim() || DEFAULT_API_KEY_HEADER]: '<api-key>' };
+    default:
+      return {};
+  }
+};
+
+// Short description of an annotation's authentication, e.g. 'Bearer token' or 'API key header X-Key';
+// empty when the call is not authenticated
+export const describeAuth = (apiDetails) => {
+  if (!AUTH_SCHEMES.includes(apiDetails.authScheme) || apiDetails.authScheme === 'none') return '';
+  if (apiDetails.authScheme === 'apiKey') return `${AUTH_LABELS.apiKey} ${String(apiDetails.authKeyName || '').trim() || DEFAULT_API_KEY_HEADER}`;
+  return AUTH_LABELS[apiDetails.authScheme];
+};
@@ -0,0 +1,29 @@
+import { authHeaders, describeAuth, findStateResponse, headerObject, listResponses, newResponse } from './responses';
+
+test('lists the main response first and skips entries without a valid status', () => {
+  const apiDetails = {
+    responseBody: 'not json',
+    responseStatus: '201',
+    responseHeaders: [{ key: 'Location', value: '/orders/1' }],
+    responses: [{ status: '409', body: '{}' }, { status: 'nope' }],
+  };
+  expect(listResponses(apiDetails)).toEqual([
+    { status: '201', description: '', contentType: 'text/plain', headers: [{ key: 'Location', value: '/orders/1' }], body: 'not json', regionId: null, isMain: true },
+    { status: '409', description: '', contentType: 'application/json', headers: [], body: '{}', regionId: null, isMain: false },
+  ]);
+  expect(listResponses({ responseBody: '{}' })[0]).toMatchObject({ status: '200', contentType: 'application/json' });
+  expect(newResponse({ responses: [{ status: '404' }] })).toMatchObject({ status: '400', description: 'Bad Request' });
+});
+
+test('finds the call a UI state region answers and describes authentication', () => {
+  const response = { status: '404', regionId: 'empty' };
+  const owner = { id: 'list', apiDetails: { responses: [response] } };
+  expect(findStateResponse([{ id: 'empty', apiDetails: {} }, owner], 'empty')).toEqual({ annotation: owner, response });
+  expect(findStateResponse([owner], 'list')).toBeNull();
+
+  expect(headerObject([{ key: ' X-Trace ', value: 'a' }, { key: '', value: 'b' }])).toEqual({ 'X-Trace': 'a' });
+  expect(authHeaders({ authScheme: 'bearer' })).toEqual({ Authorization: 'Bearer <token>' });
+  expect(authHeaders({ authScheme: 'apiKey', authKeyName: '' })).toEqual({ 'X-API-Key': '<api-key>' });
+  expect(describeAuth({ authScheme: 'apiKey', authKeyName: 'X-Key' })).toBe('API key header X-Key');
+  expect(describeAuth({ authScheme: 'none' })).toBe('');
+});
@@ -0,0 +1,181 @@
+// Helpers for turning example JSON bodies into JSON Schema (OpenAPI 3.1 dialect)
+
+// Works out where a JSON.parse error happened from the position reported in its message
+const locateJsonError = (text, message) => {
+  const lineColumn = message.match(/line (\d+) column (\d+)/);
+  let offset;
+  if (lineColumn) {
+    const lines = text.split('\n');
+    const line = Number(lineColumn[1]);
+    const column = Number(lineColumn[2]);
+    offset = lines.slice(0, line - 1).reduce((sum, current) => sum + current.length + 1, 0) + column - 1;
+  } else {
+    const position = message.match(/position (\d+)/);
+    offset = position ? Number(position[1]) : text.length; // "Unexpected end of JSON input"
+  }
+  offset = Math.min(offset, text.length);
+  const before = text.slice(0, offset).split('\n');
+  return { line: before.length, column: before[before.length - 1].length + 1, offset };
+};
+
+// Parses a JSON example typed into a textarea. Empty input is not an error.
+// Errors come back with the line/column (and character offset) they were found at.
+export const parseJsonExample = (text) => {
+  if (typeof text !== 'string' || text.trim() === '') {
+    return { value: undefined, error: null };
+  }
+  try {
+    return { value: JSON.parse(text), error: null };
+  } catch (error) {
+    return { value: undefined, error: error.message, ...locateJsonError(text, error.message) };
+  }
+};
+
+// Recognisable string formats, checked in order
+const STRING_FORMATS = [
+  ['date-time', /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?$/],
+  ['date', /^\d{4}-\d{2}-\d{2}$/],
+  ['email', /^[^\s@]+@[^\s@]+\.[^\s@]+$/],
+  ['uuid', /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i],
+  ['uri', /^https?:\/\/\S+$/],
+];
+
+// Infers a JSON Schema from an example value
+export const inferSchema = (value) => {
+  if (value === null) return { type: 'null' };
+  if (Array.isArray(value)) {
+    const items = value.reduce((merged, item) => mergeSchemas(merged, inferSchema(item)), undefined);
+    return items ? { type: 'array', items } : { type: 'array', items: {} };
+  }
+  switch (typeof value) {
+    case 'boolean':
+      return { type: 'boolean' };
+    case 'number':
+      return { type: Number.isInteger(value) ? 'integer' : 'number' };
+    case 'string': {
+      const match = STRING_FORMATS.find(([, pattern]) => pattern.test(value));
+      return match ? { type: 'string', format: match[0] } : { type: 'string' };
+    }
+    case 'object': {
+      const properties = {};
+      Object.keys(value).forEach((key) => {
+        properties[key] = inferSchema(value[key]);
+      });
+      const keys = Object.keys(properties);
+      return keys.length > 0 ? { type: 'object', properties, required: keys } : { type: 'object' };
+    }
+    default:
+      return {};
+  }
+};
+
+// Returns the schema's types as an array (3.1 allows `type: ['string', 'null']`)
+const typesOf = (schema) => {
+  if (!schema || schema.type === undefined) return [];
+  return Array.isArray(schema.type) ? schema.type : [schema.type];
+};
+
+const withTypes = (schema, types) => ({ ...schema, type: types.length === 1 ? types[0] : types });
+
+// Merges two schemas describing examples of the same value (e.g. two annotations of the same operation)
+export const mergeSchemas = (a, b) => {
+  if (!a) return b;
+  if (!b) return a;
+  if (JSON.stringify(a) === JSON.stringify(b)) return a;
+
+  const aTypes = typesOf(a);
+  const bTypes = typesOf(b);
+  const aNullable = aTypes.includes('null');
+  const bNullable = bTypes.includes('null');
+  const aBase = aTypes.filter((t) => t !== 'null');
+  const bBase = bTypes.filter((t) => t !== 'null');
+
+  // A null example only makes the other side nullable
+  if (aBase.length === 0 && aNullable) return withTypes(b, [...new Set([...bTypes, 'null'])]);
+  if (bBase.length === 0 && bNullable) return withTypes(a, [...new Set([...aTypes, 'null'])]);
+
+  const nullSuffix = aNullable || bNullable ? ['null'] : [];
+
+  if (aBase.length === 1 && bBase.length === 1) {
+    const [aType] = aBase;
+    const [bType] = bBase;
+    const numeric = ['integer', 'number'];
+    if (numeric.includes(aType) && numeric.includes(bType)) {
+      const type = aType === bType ? aType : 'number';
+      return withTypes({}, [type, ...nullSuffix]);
+    }
+    if (aType === bType) {
+      if (aType === 'object') {
+        const properties = { ...(a.properties || {}) };
+        Object.entries(b.properties || {}).forEach(([key, schema]) => {
+          properties[key] = mergeSchemas(properties[key], schema);
+        });
+        const bRequired = b.required || [];
+        const required = (a.required || []).filter((key) => bRequired.includes(key));
+        const merged = { type: 'object' };
+        if (Object.keys(properties).length > 0) merged.properties = properties;
+        if (required.length > 0) merged.required = required;
+        return withTypes(merged, ['object', ...nullSuffix]);
+      }
+      if (aType === 'array') {
+        return withTypes({ items: mergeSchemas(a.items, b.items) || {} }, ['array', ...nullSuffix]);
+      }
+      const merged = {};
+      if (a.format && a.format === b.format) merged.format = a.format;
+      return withTypes(merged, [aType, ...nullSuffix]);
+    }
+  }
+
+  // Genuinely different shapes: keep both alternatives
+  const variants = [...(a.anyOf || [a]), ...(b.anyOf || [b])];
+  const unique = variants.filter((variant, index) =>
+    variants.findIndex((other) => JSON.stringify(other) === JSON.stringify(variant)) === index
+  );
+  return { anyOf: unique };
+};
+
+// Types offered by the schema editor, and the string formats it knows about
+export const SCHEMA_TYPES = ['string', 'integer', 'number', 'boolean', 'object', 'array', 'null'];
+export const STRING_FORMAT_OPTIONS = ['date-time', 'date', 'email', 'uuid', 'uri'];
+
+// The non-null type of a schema ('string', 'object', ...), or null for untyped/anyOf schemas
+export const getBaseType = (schema) => typesOf(schema).find((t) => t !== 'null') || (typesOf(schema).includes('null') ? 'null' : null);
+
+export const isNullable = (schema) => typesOf(schema).includes('null') && typesOf(schema).length > 1;
+
+// Returns the schema with its base type changed, keeping nullability and resetting type-specific keywords
+export const withBaseType = (schema, type) => {
+  const { properties, required, items, format, anyOf, ...rest } = schema;
+  const next = { ...rest };
+  if (type === 'object') {
+    next.properties = properties || {};
+    if (required) next.required = required;
+  } else if (type === 'array') {
+    next.items = items || { type: 'string' };
+  } else if (type === 'string' && format) {
+    next.format = format;
+  }
+  return withTypes(next, isNullable(schema) && type !== 'null' ? [type, 'null'] : [type]);
+};
+
+export const withNullable = (schema, nullable) => {
+  const base = getBaseType(schema) || 'string';
+  if (base === 'null') return schema;
+  return withTypes(schema, nullable ? [base, 'null'] : [base]);
+};
+
+// Immutably replaces the sub-schema found at `path` (e.g. ['properties', 'user', 'items'])
+export const updateSchemaAt = (schema, path, updater) => {
+  if (path.length === 0) return updater(schema);
+  const [key, ...restPath] = path;
+  return { ...schema, [key]: updateSchemaAt(schema[key] || {}, restPath, updater) };
+};
+
+// The schema describing an annotation's request or response body: the hand-edited one when present,
+// otherwise inferred from the example. `kind` is 'request' or 'response'.
+export const getEffectiveSchema = (apiDetails, kind) => {
+  const override = apiDetails[`${kind}Schema`];
+  if (override) return override;
+  const { value } = parseJsonExample(apiDetails[`${kind}Body`]);
+  return value === undefined ? undefined : inferSchema(value);
+};
@@ -0,0 +1,49 @@
+import {
+  getEffectiveSchema,
+  inferSchema,
+  parseJsonExample,
+  updateSchemaAt,
+  withBaseType,
+  withNullable,
+} from './schema';
+
+test('reports the line and column of JSON syntax errors', () => {
+  expect(parseJsonExample('')).toEqual({ value: undefined, error: null });
+  expect(parseJsonExample('{"a": [1, 2]}').value).toEqual({ a: [1, 2] });
+
+  const result = parseJsonExample('{\n  "a": 1,\n  "b" 2\n}');
+  expect(result.error).toBeTruthy();
+  expect(result).toMatchObject({ line: 3, column: 7, offset: 18 });
+
+  const truncated = parseJsonExample('{"a": ');
+  expect(truncated).toMatchObject({ line: 1, offset: 6 });
+});
+
+test('infers formats, nested objects and arrays', () => {
+  expect(inferSchema({ when: '2024-05-01T10:00:00Z', tags: ['a'], owner: { id: 'c0ffee00-0000-4000-8000-000000000000' } })).toEqual({
+    type: 'object',
+    properties: {
+      when: { type: 'string', format: 'date-time' },
+      tags: { type: 'array', items: { type: 'string' } },
+      owner: { type: 'object', properties: { id: { type: 'string', format: 'uuid' } }, required: ['id'] },
+    },
+    required: ['when', 'tags', 'owner'],
+  });
+});
+
+test('editing helpers change types and nullability without losing the rest of the schema', () => {
+  const schema = inferSchema({ user: { name: 'Ada' } });
+  const nullableName = updateSchemaAt(schema, ['properties', 'user', 'properties', 'name'], (s) => withNullable(s, true));
+  expect(nullableName.properties.user.properties.name).toEqual({ type: ['string', 'null'] });
+  expect(withBaseType({ type: ['string', 'null'] }, 'array')).toEqual({ type: ['array', 'null'], items: { type: 'string' } });
+  expect(withBaseType({ type: 'object', properties: {}, required: [] }, 'integer')).toEqual({ type: 'integer' });
+  expect(schema.properties.user.properties.name).toEqual({ type: 'string' });
+});
+
+test('hand-edited schemas take precedence over inferred ones', () => {
+  const apiDetails = { requestBody: '{"id": 1}', responseBody: 'not json', responseSchema: undefined };
+  expect(getEffectiveSchema(apiDetails, 'request')).toEqual({ type: 'object', properties: { id: { type: 'integer' } }, required: ['id'] });
+  expect(getEffectiveSchema(apiDetails, 'response')).toBeUndefined();
+  const edited = { ...apiDetails, requestSchema: { type: 'object', properties: { id: { type: 'string', format: 'uuid' } } } };
+  expect(getEffectiveSchema(edited, 'request')).toBe(edited.requestSchema);
+});
@@ -0,0 +1,73 @@
+import { describeOperation } from './protocols';
+
+// Screen flow of a project: annotations can lead to another mockup (`apiDetails.targetImageId`), e.g. tapping
+// "Checkout" on the cart opens the payment screen once `POST /api/orders` succeeded. The flow is a graph with
+// the mockups as nodes and those annotated actions as edges.
+
+// The mockup an annotation leads to, or null when it has no link or the mockup is gone
+export const linkTarget = (images, apiDetails) => (apiDetails.targetImageId && images.find((image) => image.id === apiDetails.targetImageId)) || null;
+
+// Nodes { id, name, url } in mockup order and edges { id, from, to, annotationId, label, call } where `call`
+// describes the annotation's API call ('POST /api/orders'), '' for plain navigation
+export const buildScreenFlow = (images) => ({
+  nodes: images.map((image, index) => ({ id: image.id, name: image.name || `Mockup ${index + 1}`, url: image.url })),
+  edges: images.flatMap((image) => image.annotations
+    .map((annotation, index) => ({ annotation, index }))
+    .filter(({ annotation }) => linkTarget(images, annotation.apiDetails))
+    .map(({ annotation, index }) => {
+      const operation = describeOperation(annotation.apiDetails);
+      return {
+        id: annotation.id,
+        from: image.id,
+        to: annotation.apiDetails.targetImageId,
+        annotationId: annotation.id,
+        label: annotation.apiDetails.name || `Section ${index + 1}`,
+        call: operation ? `${operation.badge} ${operation.target}` : '',
+      };
+    })),
+});
+
+// Places the nodes in columns by how many steps they are from the start of the flow (screens nothing leads
+// to, else the first mockup) and in rows by mockup order. Screens only reachable through a cycle start a new
+// walk of their own. Returns a Map from node id to { column, row }.
+export const layoutScreenFlow = ({ nodes, edges }) => {
+  const depth = new Map();
+  const walk = (startIds) => {
+    const queue = startIds.map((id) => [id, 0]);
+    queue.forEach(([id, level]) => depth.set(id, level));
+    while (queue.length > 0) {
+      const [id, level] = queue.shift();
+      edges.filter((edge) => edge.from === id && !depth.has(edge.to)).forEach((edge) => {
+        depth.set(edge.to, level + 1);
+        queue.push([edge.to, level + 1]);
+      });
+    }
+  };
+  const targets = new Set(edges.filter((edge) => edge.from !== edge.to).map((edge) => edge.to));
+  const starts = nodes.filter((node) => !targets.has(node.id)).map((node) => node.id);
+  walk(starts.length > 0 ? starts : nodes.slice(0, 1).map((node) => node.id));
+  nodes.forEach((node) => {
+    if (!depth.has(node.id)) walk([node.id]);
+  });
+
+  const rows = new Map();
+  const positions = new Map();
+  nodes.forEach((node) => {
+    const column = depth.get(node.id);
+    const row = rows.get(column) || 0;
+    rows.set(column, row + 1);
+    positions.set(node.id, { column, row });
+  });
+  return positions;
+};
+
+// Removes the links to a mockup, e.g. when it is deleted; images without such links are returned as they are
+export const unlinkImage = (images, imageId) => images.map((image) => {
+  if (!image.annotations.some((annotation) => annotation.apiDetails.targetImageId === imageId)) return image;
+  return {
+    ...image,
+    annotations: image.annotations.map((annotation) => (annotation.apiDetails.targetImageId === imageId
+      ? { ...annotation, apiDetails: { ...annotation.apiDetails, targetImageId: null } }
+      : annotation)),
+  };
+});
@@ -0,0 +1,45 @@
+import { buildScreenFlow, layoutScreenFlow, linkTarget, unlinkImage } from './screenFlow';
+import { details, region } from './testFixtures';
+
+const images = [
+  { id: 'cart', name: 'Cart', url: 'cart.png', annotations: [
+    region('checkout', details({ name: 'Checkout', endpoint: '/api/orders', method: 'POST', targetImageId: 'pay' })),
+    region('total', details({ name: 'Total', endpoint: '/api/cart' })),
+  ] },
+  { id: 'pay', name: 'Payment', url: 'pay.png', annotations: [
+    region('back', details({ targetImageId: 'cart' })),
+    region('pay-now', details({ name: 'Pay', endpoint: '/api/payments', method: 'POST', targetImageId: 'done' })),
+  ] },
+  { id: 'done', name: '', url: 'done.png', annotations: [region('gone', details({ name: 'Broken', targetImageId: 'deleted' }))] },
+  { id: 'help', name: 'Help', url: 'help.png', annotations: [region('self', details({ name: 'Next tip', targetImageId: 'help' }))] },
+];
+
+test('builds nodes and edges from the linked regions', () => {
+  expect(linkTarget(images, images[0].annotations[0].apiDetails).name).toBe('Payment');
+  expect(linkTarget(images, images[2].annotations[0].apiDetails)).toBeNull();
+  const flow = buildScreenFlow(images);
+  expect(flow.nodes.map((node) => node.name)).toEqual(['Cart', 'Payment', 'Mockup 3', 'Help']);
+  expect(flow.edges).toEqual([
+    { id: 'checkout', from: 'cart', to: 'pay', annotationId: 'checkout', label: 'Checkout', call: 'POST /api/orders' },
+    { id: 'back', from: 'pay', to: 'cart', annotationId: 'back', label: 'Section 1', call: '' },
+    { id: 'pay-now', from: 'pay', to: 'done', annotationId: 'pay-now', label: 'Pay', call: 'POST /api/payments' },
+    { id: 'self', from: 'help', to: 'help', annotationId: 'self', label: 'Next tip', call: '' },
+  ]);
+});
+
+test('lays screens out in columns by steps from the start of the flow', () => {
+  const positions = layoutScreenFlow(buildScreenFlow(images));
+  // Help only leads to itself, so it starts the flow; Cart and Payment lead to each other and start a walk of their own
+  expect(Object.fromEntries(positions)).toEqual({
+    cart: { column: 0, row: 0 },
+    help: { column: 0, row: 1 },
+    pay: { column: 1, row: 0 },
+    done: { column: 2, row: 0 },
+  });
+});
+
+test('unlinks a deleted mockup', () => {
+  const unlinked = unlinkImage(images, 'pay');
+  expect(unlinked[0].annotations[0].apiDetails.targetImageId).toBeNull();
+  expect(unlinked[1]).toBe(images[1]);
+});
@@ -0,0 +1,15 @@
+// Building blocks shared by the utils tests: annotation details and regions with the fields a new annotation
+// starts with, so each test spells out only what it is about.
+
+export const details = (overrides) => ({
+  name: '',
+  endpoint: '',
+  method: 'GET',
+  requestBody: '',
+  responseBody: '',
+  parameters: [],
+  description: '',
+  ...overrides,
+});
+
+export const region = (id, apiDetails = details()) => ({ id, ratioX: 0, ratioY: 0, ratioWidth: 0.1, ratioHeight: 0.1, apiDetails });
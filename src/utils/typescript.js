@@ -0,0 +1,204 @@
+import { buildOpenApiDocument } from './openapi';
+import {
+  collectGraphqlOperations,
+  collectStreams,
+  eventSchema,
+  getProtocol,
+  graphqlOperationName,
+  mergedSchema,
+  parseGraphqlOperation,
+} from './protocols';
+import { isJsonContentType, listResponses } from './responses';
+import { getEffectiveSchema, inferSchema, mergeSchemas, parseJsonExample } from './schema';
+
+const IDENTIFIER = /^[A-Za-z_$][A-Za-z0-9_$]*$/;
+
+// "user profile-card" -> "UserProfileCard"; falls back to `fallback` when nothing usable is left
+export const toPascalCase = (text, fallback = 'Api') => {
+  const words = String(text || '').split(/[^A-Za-z0-9]+/).filter(Boolean);
+  const name = words.map((word) => word.charAt(0).toUpperCase() + word.slice(1)).join('');
+  if (!name) return fallback;
+  return /^[0-9]/.test(name) ? `${fallback}${name}` : name;
+};
+
+const propertyKey = (key) => (IDENTIFIER.test(key) ? key : JSON.stringify(key));
+
+// Wraps union types in parentheses so they can be followed by "[]"
+const asArrayItem = (type) => (type.includes(' | ') ? `(${type})[]` : `${type}[]`);
+
+// Converts a JSON Schema into a TypeScript type expression
+export const schemaToType = (schema, indent = '') => {
+  if (!schema || typeof schema !== 'object' || Object.keys(schema).length === 0) return 'unknown';
+  if (Array.isArray(schema.anyOf)) return schema.anyOf.map((variant) => schemaToType(variant, indent)).join(' | ');
+  if (Array.isArray(schema.enum)) return schema.enum.map((value) => JSON.stringify(value)).join(' | ');
+
+  const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+  return types.map((type) => {
+    switch (type) {
+      case 'string':
+        return 'string';
+      case 'integer':
+      case 'number':
+        return 'number';
+      case 'boolean':
+        return 'boolean';
+      case 'null':
+        return 'null';
+      case 'array':
+        return asArrayItem(schemaToType(schema.items, indent));
+      case 'object': {
+        const entries = Object.entries(schema.properties || {});
+        if (entries.length === 0) return 'Record<string, unknown>';
+        const required = schema.required || [];
+        const lines = entries.map(([key, propertySchema]) => {
+          const optional = required.includes(key) ? '' : '?';
+          return `${indent}  ${propertyKey(key)}${optional}: ${schemaToType(propertySchema, `${indent}  `)};`;
+        });
+        return `{\n${lines.join('\n')}\n${indent}}`;
+      }
+      default:
+        return 'unknown';
+    }
+  }).join(' | ');
+};
+
+// Declares a named type: an interface for object schemas, a type alias for anything else
+export const declareType = (name, schema, comment) => {
+  const doc = comment ? `/** ${comment} */\n` : '';
+  const type = schemaToType(schema);
+  const isPlainObject = schema && schema.type === 'object' && type.startsWith('{');
+  return isPlainObject ? `${doc}export interface ${name} ${type}\n` : `${doc}export type ${name} = ${type};\n`;
+};
+
+const FILE_HEADER = '// Generated by UI Mocks API Annotator from annotated mockups. Regenerate instead of editing by hand.\n';
+
+// Request/response types for a single annotation, named after its section name
+export const generateAnnotationTypes = (apiDetails, fallbackName = 'Section') => {
+  const baseName = toPascalCase(apiDetails.name, fallbackName);
+  const endpoint = apiDetails.endpoint || '(no endpoint)';
+  const protocol = getProtocol(apiDetails);
+  const declarations = [];
+  if (protocol === 'graphql') {
+    const { operationType } = parseGraphqlOperation(apiDetails.graphqlQuery);
+    const operationName = graphqlOperationName(apiDetails);
+    const operation = `GraphQL ${operationType}${operationName ? ` ${operationName}` : ''} at ${endpoint}`;
+    declarations.push(declareType(`${baseName}Variables`, getEffectiveSchema(apiDetails, 'request') || { type: 'object' }, `Variables of the ${operation}`));
+    declarations.push(declareType(`${baseName}Data`, getEffectiveSchema(apiDetails, 'response') || {}, `Data returned by the ${operation}`));
+    return `${FILE_HEADER}\n${declarations.join('\n')}`;
+  }
+  if (protocol === 'websocket' || protocol === 'sse') {
+    const stream = `${protocol === 'sse' ? 'SSE stream' : 'WebSocket'} ${endpoint}`;
+    const subscribeSchema = protocol === 'websocket' && getEffectiveSchema(apiDetails, 'request');
+    if (subscribeSchema) declarations.push(declareType(`${baseName}SubscribeMessage`, subscribeSchema, `Message sent to subscribe on ${stream}`));
+    declarations.push(declareType(`${baseName}Event`, eventSchema(apiDetails) || {}, `Event received from ${stream}`));
+    return `${FILE_HEADER}\n${declarations.join('\n')}`;
+  }
+  const operation = `${apiDetails.method} ${endpoint}`;
+  const requestSchema = getEffectiveSchema(apiDetails, 'request');
+  if (requestSchema) declarations.push(declareType(`${baseName}Request`, requestSchema, `Request body of ${operation}`));
+  const responseSchema = getEffectiveSchema(apiDetails, 'response');
+  declarations.push(declareType(`${baseName}Response`, responseSchema || {}, `Response body of ${operation}`));
+  listResponses(apiDetails).filter((response) => !response.isMain && isJsonContentType(response.contentType)).forEach(({ status, body }) => {
+    const { value, error } = parseJsonExample(body);
+    if (error || value === undefined) return;
+    declarations.push(declareType(`${baseName}Response${status}`, inferSchema(value), `${status} response body of ${operation}`));
+  });
+  return `${FILE_HEADER}\n${declarations.join('\n')}`;
+};
+
+// The status of an OpenAPI operation's successful response: the first 2xx one
+const successStatus = (operation) => Object.keys(operation.responses || {}).sort().find((status) => status.startsWith('2'));
+
+// The JSON schema of an OpenAPI operation's request body or response (`kind`), if any. Responses default to
+// the successful one; pass `status` for another.
+export const operationBodySchema = (operation, kind, status = successStatus(operation)) => {
+  const holder = kind === 'request' ? operation.requestBody : operation.responses && operation.responses[status];
+  const content = (holder && holder.content) || {};
+  const mediaType = Object.keys(content).find(isJsonContentType);
+  return mediaType ? content[mediaType].schema : undefined;
+};
+
+// Lists the operations of an OpenAPI document sorted by path and method, so generated code is deterministic
+export const sortedOperations = (document) => Object.keys(document.paths).sort().flatMap((path) =>
+  Object.keys(document.paths[path]).sort().map((method) => ({ path, method, operation: document.paths[path][method] }))
+);
+
+// Params/Request/Response type names for an operation, derived from its operationId
+export const operationTypeNames = (operation) => {
+  const base = toPascalCase(operation.operationId, 'Operation');
+  return { params: `${base}Params`, request: `${base}Request`, response: `${base}Response` };
+};
+
+// Declarations for every HTTP operation of an OpenAPI document. GraphQL endpoints and streams (marked with
+// `x-protocol`) get their types from generateRealtimeTypes instead.
+export const generateOperationTypes = (document) => sortedOperations(document).filter(({ operation }) => !operation['x-protocol']).map(({ path, method, operation }) => {
+  const names = operationTypeNames(operation);
+  const label = `${method.toUpperCase()} ${path}`;
+  const declarations = [];
+
+  // Headers and cookies are set through the client's configuration rather than per call
+  const parameters = (operation.parameters || []).filter((param) => param.in === 'path' || param.in === 'query');
+  if (parameters.length > 0) {
+    const paramsSchema = {
+      type: 'object',
+      properties: Object.fromEntries(parameters.map((param) => [param.name, param.schema])),
+      required: parameters.filter((param) => param.required).map((param) => param.name),
+    };
+    declarations.push(declareType(names.params, paramsSchema, `Path and query parameters of ${label}`));
+  }
+  const requestSchema = operationBodySchema(operation, 'request');
+  if (requestSchema) declarations.push(declareType(names.request, requestSchema, `Request body of ${label}`));
+  declarations.push(declareType(names.response, operationBodySchema(operation, 'response') || {}, `Response body of ${label}`));
+  // Documented error cases and other outcomes, e.g. GetOrdersResponse404
+  Object.keys(operation.responses || {}).sort().filter((status) => status !== successStatus(operation)).forEach((status) => {
+    const schema = operationBodySchema(operation, 'response', status);
+    if (schema) declarations.push(declareType(`${names.response}${status}`, schema, `${status} response body of ${label}`));
+  });
+  return declarations.join('\n');
+}).join('\n');
+
+const sortByKey = (groups) => [...groups].sort((a, b) => a.key.localeCompare(b.key));
+
+// The project's GraphQL operations and WebSocket/SSE streams in deterministic order, each with a `typeBase`
+// for its type names: the operation name or channel, else the section name. Clashes get a number suffix.
+export const describeRealtimeOperations = (images) => {
+  const used = new Set();
+  const assign = (group, name) => {
+    const base = toPascalCase(name || group.sources[0].annotation.apiDetails.name || group.path, 'Operation');
+    let typeBase = base;
+    for (let suffix = 2; used.has(typeBase); suffix += 1) typeBase = `${base}${suffix}`;
+    used.add(typeBase);
+    return { ...group, typeBase };
+  };
+  return {
+    graphql: sortByKey(collectGraphqlOperations(images)).map((operation) => assign(operation, operation.operationName)),
+    streams: sortByKey(collectStreams(images)).map((stream) => assign(stream, stream.channel)),
+  };
+};
+
+// Declarations for GraphQL operations (<Name>Variables, <Name>Data) and streams (<Name>Event, plus
+// <Name>SubscribeMessage for WebSockets that expect one)
+export const generateRealtimeTypes = ({ graphql, streams }) => [
+  ...graphql.map((operation) => {
+    const label = `GraphQL ${operation.operationType}${operation.operationName ? ` ${operation.operationName}` : ''} at ${operation.path}`;
+    return [
+      declareType(`${operation.typeBase}Variables`, mergedSchema(operation.sources, 'request') || { type: 'object' }, `Variables of the ${label}`),
+      declareType(`${operation.typeBase}Data`, mergedSchema(operation.sources, 'response') || {}, `Data returned by the ${label}`),
+    ].join('\n');
+  }),
+  ...streams.map((stream) => {
+    const label = `${stream.protocol === 'sse' ? 'SSE stream' : 'WebSocket'} ${stream.path}${stream.channel ? ` (${stream.channel})` : ''}`;
+    const declarations = [];
+    const subscribeSchema = stream.protocol === 'websocket' && mergedSchema(stream.sources, 'request');
+    if (subscribeSchema) declarations.push(declareType(`${stream.typeBase}SubscribeMessage`, subscribeSchema, `Message sent to subscribe on ${label}`));
+    const schema = stream.sources.reduce((merged, { annotation }) => mergeSchemas(merged, eventSchema(annotation.apiDetails)), undefined);
+    declarations.push(declareType(`${stream.typeBase}Event`, schema || {}, `Event received from ${label}`));
+    return declarations.join('\n');
+  }),
+].join('\n');
+
+// Combined api-types.d.ts for the whole project
+export const generateProjectTypes = (images) => {
+  const declarations = [generateOperationTypes(buildOpenApiDocument(images)), generateRealtimeTypes(describeRealtimeOperations(images))];
+  return `${FILE_HEADER}\n${declarations.filter(Boolean).join('\n')}`;
+};
@@ -0,0 +1,83 @@
+import { details } from './testFixtures';
+import { generateAnnotationTypes, generateProjectTypes, schemaToType, toPascalCase } from './typescript';
+
+test('converts schemas into TypeScript type expressions', () => {
+  expect(toPascalCase('user profile-card')).toBe('UserProfileCard');
+  expect(toPascalCase('', 'Section1')).toBe('Section1');
+  expect(schemaToType({ type: ['string', 'null'] })).toBe('string | null');
+  expect(schemaToType({ type: 'array', items: { anyOf: [{ type: 'string' }, { type: 'integer' }] } })).toBe('(string | number)[]');
+  expect(schemaToType({
+    type: 'object',
+    properties: { id: { type: 'integer' }, 'display-name': { type: 'string' } },
+    required: ['id'],
+  })).toBe('{\n  id: number;\n  "display-name"?: string;\n}');
+});
+
+test('generates request and response types for one annotation', () => {
+  const output = generateAnnotationTypes(details({
+    name: 'Order form',
+    endpoint: '/api/orders',
+    method: 'POST',
+    requestBody: '{"items": [{"sku": "A1", "qty": 2}]}',
+    responseBody: '{"id": 10, "note": null}',
+  }));
+  expect(output).toContain('/** Request body of POST /api/orders */\nexport interface OrderFormRequest {\n  items: {\n    sku: string;\n    qty: number;\n  }[];\n}');
+  expect(output).toContain('export interface OrderFormResponse {\n  id: number;\n  note: null;\n}');
+});
+
+test('generates deterministic project-wide declarations per operation', () => {
+  const images = [{
+    id: 'i1',
+    name: 'Users',
+    url: '',
+    annotations: [
+      { id: 'b', apiDetails: details({ endpoint: '/users/{id}', parameters: [{ key: 'id', type: 'integer' }], responseBody: '{"id": 1}' }) },
+      { id: 'a', apiDetails: details({ endpoint: '/users', responseBody: '[{"id": 1}]' }) },
+    ],
+  }];
+  const output = generateProjectTypes(images);
+  expect(output.indexOf('GetUsersResponse')).toBeLessThan(output.indexOf('GetUsersByIdParams'));
+  expect(output).toContain('export interface GetUsersByIdParams {\n  id: number;\n}');
+  expect(output).toContain('export type GetUsersResponse = {\n  id: number;\n}[];');
+  expect(generateProjectTypes([...images].reverse())).toBe(output);
+});
+
+test('types GraphQL variables and data, and stream events', () => {
+  const graphql = generateAnnotationTypes(details({
+    name: 'Cart summary',
+    protocol: 'graphql',
+    endpoint: '/graphql',
+    graphqlQuery: 'query Cart($id: ID!) { cart(id: $id) { total } }',
+    requestBody: '{"id": "c1"}',
+    responseBody: '{"cart": {"total": 3}}',
+  }));
+  expect(graphql).toContain('export interface CartSummaryVariables {\n  id: string;\n}');
+  expect(graphql).toContain('export interface CartSummaryData {\n  cart: {\n    total: number;\n  };\n}');
+
+  const output = generateProjectTypes([{
+    id: 'i1',
+    name: 'Chat',
+    url: '',
+    annotations: [{ id: 'w', apiDetails: details({ protocol: 'websocket', endpoint: '/ws', channel: 'chat', requestBody: '{"room": "a"}', responseBody: '[{"text": "hi"}]' }) }],
+  }]);
+  expect(output).toContain('export interface ChatSubscribeMessage {\n  room: string;\n}');
+  expect(output).toContain('export interface ChatEvent {\n  text: string;\n}');
+});
+
+test('declares a type per documented error response', () => {
+  const apiDetails = details({
+    name: 'Orders',
+    endpoint: '/orders',
+    responseBody: '[{"id": 1}]',
+    responses: [
+      { status: '404', contentType: 'application/json', headers: [], body: '{"error": "none"}' },
+      { status: '500', contentType: 'text/plain', headers: [], body: 'Oops' },
+    ],
+  });
+  const annotationTypes = generateAnnotationTypes(apiDetails);
+  expect(annotationTypes).toContain('export interface OrdersResponse404 {\n  error: string;\n}');
+  expect(annotationTypes).not.toContain('OrdersResponse500');
+
+  const projectTypes = generateProjectTypes([{ id: 'i1', name: 'Orders', url: '', annotations: [{ id: 'o', apiDetails }] }]);
+  expect(projectTypes).toContain('export interface GetOrdersResponse404 {\n  error: string;\n}');
+});
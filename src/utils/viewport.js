@@ -0,0 +1,61 @@
+// Zoom/pan math for the annotation canvas. A view is { zoom, x, y }: the mockup is drawn at `zoom` times its
+// natural size with its top-left corner at (x, y) pixels inside the viewport. Annotations keep storing ratios
+// of the image size, so none of this affects saved data.
+
+export const MIN_ZOOM = 0.05;
+export const MAX_ZOOM = 8;
+// Multiplier applied by the zoom in/out buttons
+export const ZOOM_STEP = 1.25;
+// How much of the mockup (in pixels) must stay inside the viewport when panning
+const PAN_MARGIN = 48;
+
+export const clampZoom = (zoom) => Math.min(MAX_ZOOM, Math.max(MIN_ZOOM, zoom));
+
+// Keeps at least part of the mockup on screen
+export const clampPan = (view, imageSize, viewportSize) => {
+  const clampAxis = (offset, contentLength, viewportLength) => {
+    const margin = Math.min(PAN_MARGIN, contentLength);
+    return Math.min(viewportLength - margin, Math.max(margin - contentLength, offset));
+  };
+  return {
+    ...view,
+    x: clampAxis(view.x, imageSize.width * view.zoom, viewportSize.width),
+    y: clampAxis(view.y, imageSize.height * view.zoom, viewportSize.height),
+  };
+};
+
+// Zooms while keeping the image point under `anchor` (viewport pixels) where it is
+export const zoomAtPoint = (view, nextZoom, anchor) => {
+  const zoom = clampZoom(nextZoom);
+  const imageX = (anchor.x - view.x) / view.zoom;
+  const imageY = (anchor.y - view.y) / view.zoom;
+  return { zoom, x: anchor.x - imageX * zoom, y: anchor.y - imageY * zoom };
+};
+
+// Zoom level at which the mockup fills the viewport's width, scrolled to its top
+export const fitToWidth = (imageSize, viewportSize) => {
+  if (!imageSize.width) return { zoom: 1, x: 0, y: 0 };
+  return { zoom: clampZoom(viewportSize.width / imageSize.width), x: 0, y: 0 };
+};
+
+// Actual size, centred horizontally on what is currently in the middle of the viewport
+export const actualSize = (view, viewportSize) => zoomAtPoint(view, 1, { x: viewportSize.width / 2, y: viewportSize.height / 2 });
+
+// Part of the mockup currently visible, as ratios of the image size (what the minimap outlines)
+export const visibleRegion = (view, imageSize, viewportSize) => {
+  const contentWidth = imageSize.width * view.zoom;
+  const contentHeight = imageSize.height * view.zoom;
+  if (!contentWidth || !contentHeight) return { x: 0, y: 0, width: 1, height: 1 };
+  const left = Math.max(0, -view.x / contentWidth);
+  const top = Math.max(0, -view.y / contentHeight);
+  const right = Math.min(1, (viewportSize.width - view.x) / contentWidth);
+  const bottom = Math.min(1, (viewportSize.height - view.y) / contentHeight);
+  return { x: left, y: top, width: Math.max(0, right - left), height: Math.max(0, bottom - top) };
+};
+
+// Pans so the image point at `ratioPoint` sits in the middle of the viewport
+export const centerOn = (view, ratioPoint, imageSize, viewportSize) => clampPan({
+  ...view,
+  x: viewportSize.width / 2 - ratioPoint.x * imageSize.width * view.zoom,
+  y: viewportSize.height / 2 - ratioPoint.y * imageSize.height * view.zoom,
+}, imageSize, viewportSize);
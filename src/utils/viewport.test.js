@@ -0,0 +1,31 @@
+import { centerOn, clampPan, fitToWidth, MAX_ZOOM, visibleRegion, zoomAtPoint } from './viewport';
+
+const imageSize = { width: 1000, height: 4000 };
+const viewportSize = { width: 500, height: 400 };
+
+test('zooming keeps the point under the cursor in place', () => {
+  const view = { zoom: 0.5, x: 0, y: -100 };
+  const next = zoomAtPoint(view, 1, { x: 100, y: 200 });
+  expect(next).toEqual({ zoom: 1, x: -100, y: -400 });
+  // The image pixel that was under the cursor (200, 600) still is
+  expect((100 - next.x) / next.zoom).toBe(200);
+  expect((200 - next.y) / next.zoom).toBe(600);
+  expect(zoomAtPoint(view, 100, { x: 0, y: 0 }).zoom).toBe(MAX_ZOOM);
+});
+
+test('fits the mockup to the viewport width', () => {
+  expect(fitToWidth(imageSize, viewportSize)).toEqual({ zoom: 0.5, x: 0, y: 0 });
+});
+
+test('panning keeps part of the mockup visible', () => {
+  const clamped = clampPan({ zoom: 0.5, x: 1000, y: -5000 }, imageSize, viewportSize);
+  expect(clamped.x).toBe(500 - 48);
+  expect(clamped.y).toBe(48 - 2000);
+});
+
+test('reports the visible region for the minimap and centres on a clicked point', () => {
+  const region = visibleRegion({ zoom: 0.5, x: 0, y: -1000 }, imageSize, viewportSize);
+  expect(region).toMatchObject({ x: 0, y: 0.5, width: 1 });
+  expect(region.height).toBeCloseTo(0.2);
+  expect(centerOn({ zoom: 0.5, x: 0, y: 0 }, { x: 0.5, y: 0.5 }, imageSize, viewportSize)).toEqual({ zoom: 0.5, x: 0, y: -800 });
+});